@@ -22,22 +22,52 @@ import {
 
 // Import tool implementations
 import searchComplaints from './mcps/nyc-311/tools/search_complaints.js';
+import searchComplaintsV2 from './mcps/nyc-311/tools/search_complaints_v2.js';
+import searchComplaintsV3 from './mcps/nyc-311/tools/search_complaints_v3.js';
 import getResponseTimes from './mcps/nyc-311/tools/get_response_times.js';
 import analyzeTrends from './mcps/nyc-311/tools/analyze_trends.js';
+import analyzeTrendsV2 from './mcps/nyc-311/tools/analyze_trends_v2.js';
 import getNeighborhoodHealth from './mcps/nyc-311/tools/get_neighborhood_health.js';
 import searchSpending from './mcps/nyc-comptroller/tools/search_spending.js';
 import searchContracts from './mcps/nyc-comptroller/tools/search_contracts.js';
 import getPayroll from './mcps/nyc-comptroller/tools/get_payroll.js';
 import searchStreetClosures from './mcps/nyc-dot/tools/search_street_closures.js';
+import searchStreetClosuresV2 from './mcps/nyc-dot/tools/search_street_closures_v2.js';
 import getParkingViolations from './mcps/nyc-dot/tools/get_parking_violations.js';
 import getTrafficVolume from './mcps/nyc-dot/tools/get_traffic_volume.js';
 import searchEvents from './mcps/nyc-events/tools/search_events.js';
 import getUpcomingEvents from './mcps/nyc-events/tools/get_upcoming_events.js';
 import analyzeEventImpact from './mcps/nyc-events/tools/analyze_event_impact.js';
 import searchViolations from './mcps/nyc-hpd/tools/search_violations.js';
+import searchViolationsV2 from './mcps/nyc-hpd/tools/search_violations_v2.js';
 import searchHPDComplaints from './mcps/nyc-hpd/tools/search_complaints.js';
 import getRegistrations from './mcps/nyc-hpd/tools/get_registrations.js';
 import getHousingHealth from './mcps/nyc-hpd/tools/get_housing_health.js';
+import { createVersionedTool } from './lib/tool-versions.js';
+import { spatialProperties } from './lib/spatial.js';
+
+// Tools with rewritten implementations. The newest version is the default;
+// pass `version` to run an older one.
+const VERSIONED_TOOLS = Object.fromEntries(
+  [
+    createVersionedTool({
+      name: 'search_311_complaints',
+      implementations: { v1: searchComplaints, v2: searchComplaintsV2, v3: searchComplaintsV3 },
+    }),
+    createVersionedTool({
+      name: 'analyze_311_trends',
+      implementations: { v1: analyzeTrends, v2: analyzeTrendsV2 },
+    }),
+    createVersionedTool({
+      name: 'search_hpd_violations',
+      implementations: { v1: searchViolations, v2: searchViolationsV2 },
+    }),
+    createVersionedTool({
+      name: 'search_dot_street_closures',
+      implementations: { v1: searchStreetClosures, v2: searchStreetClosuresV2 },
+    }),
+  ].map((tool) => [tool.name, tool])
+);
 
 const server = new Server(
   {
@@ -56,7 +86,7 @@ const TOOLS = [
   // ========== 311 Service Requests ==========
   {
     name: 'search_311_complaints',
-    description: 'Search NYC 311 service requests by type, location, or date range. Use this to find specific complaints like noise, heat/hot water, street conditions, etc.',
+    description: 'Search NYC 311 service requests by type, location, or date range. Use this to find specific complaints like noise, heat/hot water, street conditions, etc. Defaults to v3 (validated, cached, NTA-enriched envelope with insights), which can also search near a point or address, or within a polygon.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -76,11 +106,22 @@ const TOOLS = [
           type: 'string',
           description: 'End date in YYYY-MM-DD format',
         },
+        days: {
+          type: 'number',
+          description: 'Look back this many days when no date range is given (v2/v3; default: 90)',
+        },
         limit: {
           type: 'number',
           description: 'Maximum number of results (default: 100)',
           default: 100,
         },
+        skip_cache: {
+          type: 'boolean',
+          description: 'Bypass the response cache and fetch fresh data (v3 only)',
+          default: false,
+        },
+        ...spatialProperties('v3'),
+        version: VERSIONED_TOOLS.search_311_complaints.versionProperty,
       },
     },
   },
@@ -108,7 +149,7 @@ const TOOLS = [
   },
   {
     name: 'analyze_311_trends',
-    description: 'Identify trends in 311 complaints over time. Shows patterns by day, week, or month.',
+    description: 'Identify trends in 311 complaints over time. Shows patterns by day, week, or month. Defaults to v2 (server-side aggregation, standard envelope with insights).',
     inputSchema: {
       type: 'object',
       properties: {
@@ -130,6 +171,7 @@ const TOOLS = [
           description: 'Number of days to analyze (default: 90)',
           default: 90,
         },
+        version: VERSIONED_TOOLS.analyze_311_trends.versionProperty,
       },
     },
   },
@@ -155,27 +197,39 @@ const TOOLS = [
   // ========== Housing Preservation & Development (HPD) ==========
   {
     name: 'search_hpd_violations',
-    description: 'Search NYC housing violations from HPD. Find building code violations, safety issues, and compliance problems by borough, building, or status.',
+    description: 'Search NYC housing violations from HPD. Find building code violations, safety issues, and compliance problems by borough, building, or status. Defaults to v2 (12-month window, severity mix and hazard index; set aggregated=false for raw records), which can also search near a point or address, or within a polygon.',
     inputSchema: {
       type: 'object',
       properties: {
         borough: {
           type: 'string',
-          description: 'Borough ID (1=Manhattan, 2=Bronx, 3=Brooklyn, 4=Queens, 5=Staten Island)',
+          description: 'NYC borough: name, county, code 1-5, or abbreviation (e.g. BROOKLYN, Kings, 3, BK)',
         },
         bin: {
           type: 'string',
-          description: 'Building Identification Number (BIN)',
+          description: 'Building Identification Number (BIN), 7 digits',
         },
         status: {
           type: 'string',
           description: 'Violation status (e.g., "Open", "Close")',
         },
+        days: {
+          type: 'number',
+          description: 'Number of days of inspections to include (v2; default: 365)',
+          default: 365,
+        },
+        aggregated: {
+          type: 'boolean',
+          description: 'Return server-side class/borough aggregates instead of individual violations (v2; default: true)',
+          default: true,
+        },
         limit: {
           type: 'number',
           description: 'Maximum number of results (default: 100)',
           default: 100,
         },
+        ...spatialProperties('v2'),
+        version: VERSIONED_TOOLS.search_hpd_violations.versionProperty,
       },
     },
   },
@@ -323,23 +377,29 @@ const TOOLS = [
   // ========== DOT Traffic & Transportation ==========
   {
     name: 'search_dot_street_closures',
-    description: 'Search NYC DOT street closures and construction worksites. Find active street work, paving projects, and planned road closures by borough.',
+    description: 'Search NYC DOT street closures and construction worksites. Find active street work, paving projects, and planned road closures by borough. Defaults to v2 (de-duplicated by segment and dates, active closures only, standard envelope), which can also search near a point or address, or within a polygon.',
     inputSchema: {
       type: 'object',
       properties: {
         borough: {
           type: 'string',
-          description: 'Borough code (M=Manhattan, K=Brooklyn, Q=Queens, X=Bronx, S=Staten Island)',
+          description: 'NYC borough: name, county, code 1-5, or abbreviation (e.g. BROOKLYN, Kings, 3, BK)',
         },
         work_type: {
           type: 'string',
           description: 'Type of work (e.g., "Paving", "Construction")',
         },
+        active_only: {
+          type: 'boolean',
+          description: 'Only closures active today (v2; default: true)',
+          default: true,
+        },
         limit: {
           type: 'number',
-          description: 'Maximum number of results (default: 100)',
-          default: 100,
+          description: 'Maximum number of results (default: 1000 for v2, 100 for v1)',
         },
+        ...spatialProperties('v2'),
+        version: VERSIONED_TOOLS.search_dot_street_closures.versionProperty,
       },
     },
   },
@@ -351,7 +411,7 @@ const TOOLS = [
       properties: {
         county: {
           type: 'string',
-          description: 'County code (NY=Manhattan, K=Brooklyn/Kings, Q=Queens, BX=Bronx, R=Staten Island/Richmond)',
+          description: 'County code (NY=Manhattan, K=Brooklyn/Kings, Q=Queens, BX=Bronx, R=Staten Island/Richmond) or any borough name, code 1-5, or abbreviation',
         },
         violation_code: {
           type: 'string',
@@ -477,17 +537,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     let result;
 
-    // 311 Service Request tools
     switch (name) {
+      // Tools with v2/v3 rewrites, dispatched on the `version` argument
       case 'search_311_complaints':
-        result = await searchComplaints(args || {});
+      case 'analyze_311_trends':
+      case 'search_hpd_violations':
+      case 'search_dot_street_closures':
+        result = await VERSIONED_TOOLS[name].run(args || {});
         break;
+
+      // 311 Service Request tools
       case 'get_311_response_times':
         result = await getResponseTimes(args || {});
         break;
-      case 'analyze_311_trends':
-        result = await analyzeTrends(args || {});
-        break;
       case 'get_neighborhood_health':
         result = await getNeighborhoodHealth(args || {});
         break;
@@ -504,9 +566,6 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         break;
 
       // DOT tools
-      case 'search_dot_street_closures':
-        result = await searchStreetClosures(args || {});
-        break;
       case 'get_dot_parking_violations':
         result = await getParkingViolations(args || {});
         break;
@@ -526,9 +585,6 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         break;
 
       // HPD tools
-      case 'search_hpd_violations':
-        result = await searchViolations(args || {});
-        break;
       case 'search_hpd_complaints':
         result = await searchHPDComplaints(args || {});
         break;
@@ -550,6 +606,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           text: JSON.stringify(result, null, 2),
         },
       ],
+      // v2/v3 tools report failures as error envelopes instead of throwing
+      ...(result?.success === false && { isError: true }),
     };
   } catch (error) {
     return {
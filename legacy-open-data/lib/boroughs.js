@@ -0,0 +1,82 @@
+/**
+ * Borough translation
+ *
+ * Why: Every dataset writes boroughs its own way - 311 uses "BROOKLYN", HPD `boroid` uses "3",
+ * DOT closures use "B", parking summonses use county "K". Tools normalize whatever the user typed
+ * to a borough, then ask for the literal in the encoding the dataset's registry entry declares.
+ */
+
+/**
+ * One row per borough, in borough-code order, with each encoding used by the datasets
+ */
+export const BOROUGHS = [
+  { name: 'MANHATTAN', title: 'Manhattan', code: '1', abbreviation: 'MN', letter: 'M', county: 'NY', county_name: 'NEW YORK' },
+  { name: 'BRONX', title: 'Bronx', code: '2', abbreviation: 'BX', letter: 'X', county: 'BX', county_name: 'BRONX' },
+  { name: 'BROOKLYN', title: 'Brooklyn', code: '3', abbreviation: 'BK', letter: 'B', county: 'K', county_name: 'KINGS' },
+  { name: 'QUEENS', title: 'Queens', code: '4', abbreviation: 'QN', letter: 'Q', county: 'Q', county_name: 'QUEENS' },
+  { name: 'STATEN ISLAND', title: 'Staten Island', code: '5', abbreviation: 'SI', letter: 'S', county: 'R', county_name: 'RICHMOND' }
+];
+
+const ALIASES = new Map([['THE BRONX', BOROUGHS[1]]]);
+for (const borough of BOROUGHS) {
+  for (const key of ['name', 'code', 'abbreviation', 'letter', 'county', 'county_name']) {
+    ALIASES.set(borough[key], borough);
+  }
+}
+
+export const ACCEPTED_BOROUGH_FORMS = 'a name (Brooklyn), county (Kings), code 1-5, or abbreviation (BK, K, B)';
+
+/**
+ * Normalize any borough input to its canonical name
+ * @param {string|number} input - e.g. 'bk', 'Kings', '3', 3, 'Brooklyn'
+ * @returns {string|null} Canonical name (e.g. 'BROOKLYN'), or null if unrecognized
+ */
+export function normalizeBorough(input) {
+  if (input === undefined || input === null) return null;
+  const key = String(input).trim().toUpperCase().replace(/\s+/g, ' ');
+  return ALIASES.get(key)?.name ?? null;
+}
+
+/**
+ * Translate borough input to the literal a dataset stores
+ * @param {Object} dataset - Registry entry from datasets.js (must declare `borough`)
+ * @param {string|number} input - Any form accepted by normalizeBorough
+ * @returns {string|null} Literal in the dataset's encoding, or null if unrecognized
+ */
+export function boroughValue(dataset, input) {
+  if (!dataset.borough) {
+    throw new Error(`${dataset.name} has no borough column`);
+  }
+  const name = normalizeBorough(input);
+  if (!name) return null;
+  return BOROUGHS.find(b => b.name === name)[dataset.borough.encoding];
+}
+
+/**
+ * Build a SoQL condition on a dataset's borough column
+ * @param {Object} dataset - Registry entry from datasets.js
+ * @param {string|number} input - Any form accepted by normalizeBorough
+ * @returns {string} e.g. "boroid='3'"
+ * @throws {Error} If the borough is not recognized
+ */
+export function boroughCondition(dataset, input) {
+  const value = boroughValue(dataset, input);
+  if (value === null) {
+    throw new Error(`Invalid borough: '${input}'. Use ${ACCEPTED_BOROUGH_FORMS}`);
+  }
+  return `${dataset.borough.column}='${value}'`;
+}
+
+/**
+ * Translate a dataset's stored borough value back to a canonical name
+ * @param {Object} dataset - Registry entry from datasets.js
+ * @param {string} value - Value from the dataset's borough column
+ * @returns {string|null} Canonical name, or null if unrecognized
+ */
+export function boroughFromValue(dataset, value) {
+  if (value === undefined || value === null || !dataset.borough) return null;
+  const key = String(value).trim().toUpperCase();
+  const encoding = dataset.borough.encoding;
+  const match = BOROUGHS.find(b => b[encoding].toUpperCase() === key);
+  return match ? match.name : normalizeBorough(value);
+}
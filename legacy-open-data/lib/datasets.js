@@ -0,0 +1,215 @@
+/**
+ * Dataset registry
+ *
+ * Why: Dataset IDs used to be repeated in every tool file, in verification.js and in
+ * standard-envelope.js, and they drifted apart. Everything now reads them from here.
+ * Entries shared with the TypeScript server (src/utils/datasets.ts) must match it; the root
+ * test/legacy-parity.test.js compares them.
+ *
+ * Each entry describes one NYC Open Data (Socrata) dataset:
+ * - id: Socrata four-by-four
+ * - source: envelope `source` name
+ * - aliases: older verification keys that still resolve to this dataset
+ * - date_column: column that dates each row
+ * - borough: { column, encoding } where encoding is one of
+ *     'name' (STATEN ISLAND), 'title' (Staten Island), 'code' (5), 'abbreviation' (SI),
+ *     'letter' (DOT single letter: M, X, B, Q, S), 'county' (summons county: NY, BX, K, Q, R)
+ * - key_columns: columns that identify a row
+ * - bin_column / bbl_column: building and tax lot identifiers, when the dataset has them
+ */
+
+export const SOCRATA_BASE = 'https://data.cityofnewyork.us/resource';
+
+const HPD = 'NYC Department of Housing Preservation & Development';
+const DOT = 'NYC Department of Transportation';
+const COMPTROLLER = 'NYC Office of the Comptroller';
+
+export const DATASETS = {
+  NYC_311: {
+    id: 'erm2-nwe9',
+    source: '311_service_requests',
+    aliases: ['311'],
+    name: 'NYC 311 Service Requests',
+    authority: 'NYC Department of Information Technology & Telecommunications',
+    update_frequency: 'Daily',
+    credibility: 'Official City Data',
+    page_url: 'https://data.cityofnewyork.us/Social-Services/311-Service-Requests/erm2-nwe9',
+    date_column: 'created_date',
+    borough: { column: 'borough', encoding: 'name' },
+    key_columns: ['unique_key'],
+    bbl_column: 'bbl'
+  },
+  HPD_VIOLATIONS: {
+    id: 'wvxf-dwi5',
+    source: 'hpd_violations',
+    aliases: ['hpd-violations'],
+    name: 'HPD Housing Maintenance Code Violations',
+    authority: HPD,
+    update_frequency: 'Daily',
+    credibility: 'Official City Housing Data',
+    page_url: 'https://data.cityofnewyork.us/Housing-Development/Housing-Maintenance-Code-Violations/wvxf-dwi5',
+    date_column: 'inspectiondate',
+    borough: { column: 'boroid', encoding: 'code' },
+    key_columns: ['violationid'],
+    bin_column: 'bin',
+    bbl_column: 'bbl'
+  },
+  HPD_COMPLAINTS: {
+    id: 'uwyv-629c',
+    source: 'hpd_complaints',
+    aliases: ['hpd-complaints'],
+    name: 'HPD Housing Maintenance Code Complaints and Problems',
+    authority: HPD,
+    update_frequency: 'Daily',
+    credibility: 'Official City Housing Data',
+    date_column: 'receiveddate',
+    borough: { column: 'boroughid', encoding: 'code' },
+    key_columns: ['complaintid'],
+    bin_column: 'bin',
+    bbl_column: 'bbl'
+  },
+  HPD_REGISTRATIONS: {
+    id: 'tesw-yqqr',
+    source: 'hpd_registrations',
+    aliases: ['hpd-registrations'],
+    name: 'HPD Multiple Dwelling Registrations',
+    authority: HPD,
+    update_frequency: 'Daily',
+    credibility: 'Official City Housing Data',
+    date_column: 'lastregistrationdate',
+    borough: { column: 'boroid', encoding: 'code' },
+    key_columns: ['registrationid'],
+    bin_column: 'bin'
+  },
+  PLUTO: {
+    id: '64uk-42ks',
+    source: 'pluto',
+    aliases: [],
+    name: 'Primary Land Use Tax Lot Output (PLUTO)',
+    authority: 'NYC Department of City Planning',
+    update_frequency: 'Quarterly',
+    credibility: 'Official City Planning Data',
+    borough: { column: 'borough', encoding: 'abbreviation' },
+    key_columns: ['bbl'],
+    bbl_column: 'bbl'
+  },
+  DOT_CLOSURES: {
+    id: 'i6b5-j7bu',
+    source: 'dot_street_closures',
+    aliases: ['dot-closures'],
+    name: 'DOT Street Closures due to Construction Activities',
+    authority: DOT,
+    update_frequency: 'Daily',
+    credibility: 'Official City Transportation Data',
+    date_column: 'work_start_date',
+    borough: { column: 'borough_code', encoding: 'letter' },
+    key_columns: ['segmentid', 'work_start_date']
+  },
+  DOT_PARKING: {
+    id: 'nc67-uf89',
+    source: 'dot_parking_violations',
+    aliases: ['dot-violations'],
+    name: 'Open Parking and Camera Violations',
+    authority: 'NYC Department of Finance',
+    update_frequency: 'Daily',
+    credibility: 'Official City Enforcement Data',
+    date_column: 'issue_date',
+    borough: { column: 'county', encoding: 'county' },
+    key_columns: ['summons_number']
+  },
+  DOT_TRAFFIC: {
+    id: 'btm5-ppia',
+    source: 'dot_traffic_volume',
+    aliases: ['dot-traffic'],
+    name: 'DOT Traffic Volume Counts',
+    authority: DOT,
+    update_frequency: 'As counts are collected',
+    credibility: 'Official City Transportation Data',
+    date_column: 'date',
+    borough: { column: 'boro', encoding: 'title' },
+    key_columns: ['id', 'segmentid', 'date']
+  },
+  EVENTS: {
+    id: 'tvpp-9vvx',
+    source: 'nyc_events',
+    aliases: ['events'],
+    name: 'NYC Permitted Event Information',
+    authority: 'NYC Mayor\'s Office of Citywide Event Coordination and Management',
+    update_frequency: 'Daily',
+    credibility: 'Official City Events Data',
+    page_url: 'https://data.cityofnewyork.us/City-Government/NYC-Permitted-Event-Information/tvpp-9vvx',
+    date_column: 'start_date_time',
+    borough: { column: 'event_borough', encoding: 'title' },
+    key_columns: ['event_id']
+  },
+  COMPTROLLER_SPENDING: {
+    id: 'mwzb-yiwb',
+    source: 'comptroller_spending',
+    aliases: ['comptroller-spending'],
+    name: 'NYC Expense Budget',
+    authority: COMPTROLLER,
+    update_frequency: 'Quarterly',
+    credibility: 'Official City Financial Data',
+    page_url: 'https://data.cityofnewyork.us/City-Government/Expense-Budget/mwzb-yiwb',
+    date_column: 'publication_date',
+    key_columns: ['fiscal_year', 'agency_number', 'unit_appropriation_number', 'object_code'],
+    note: 'Shows budgeted amounts, not actual transactions'
+  },
+  COMPTROLLER_CONTRACTS: {
+    id: 'qyyg-4tf5',
+    source: 'comptroller_contracts',
+    aliases: ['comptroller-contracts'],
+    name: 'NYC Contracts (City Record)',
+    authority: COMPTROLLER,
+    update_frequency: 'Daily',
+    credibility: 'Official City Procurement Data',
+    page_url: 'https://www.checkbooknyc.com/contracts',
+    date_column: 'start_date',
+    key_columns: ['request_id']
+  },
+  COMPTROLLER_PAYROLL: {
+    id: 'k397-673e',
+    source: 'comptroller_payroll',
+    aliases: ['comptroller-payroll'],
+    name: 'NYC Citywide Payroll',
+    authority: `${COMPTROLLER} / Office of Payroll Administration`,
+    update_frequency: 'Annually',
+    credibility: 'Official City Personnel Data',
+    page_url: 'https://www.checkbooknyc.com/payroll',
+    key_columns: ['fiscal_year', 'payroll_number', 'last_name', 'first_name', 'agency_start_date']
+  }
+};
+
+const LOOKUP = new Map();
+for (const dataset of Object.values(DATASETS)) {
+  for (const key of [dataset.source, dataset.id, ...dataset.aliases]) {
+    LOOKUP.set(key, dataset);
+  }
+}
+
+/**
+ * Find a dataset by envelope source name, four-by-four ID, or older verification key
+ * @param {string} key - e.g. 'hpd_violations', 'wvxf-dwi5' or 'hpd-violations'
+ * @returns {Object|undefined} Registry entry
+ */
+export function findDataset(key) {
+  return LOOKUP.get(key);
+}
+
+/**
+ * Socrata resource URL for a registry entry
+ * @param {Object} dataset - Registry entry
+ * @returns {string} e.g. https://data.cityofnewyork.us/resource/wvxf-dwi5.json
+ */
+export function apiEndpoint(dataset) {
+  return `${SOCRATA_BASE}/${dataset.id}.json`;
+}
+
+/**
+ * Human-facing page for a registry entry
+ * @param {Object} dataset - Registry entry
+ * @returns {string} Dataset page URL
+ */
+export function datasetPage(dataset) {
+  return dataset.page_url || `https://data.cityofnewyork.us/d/${dataset.id}`;
+}
@@ -0,0 +1,148 @@
+/**
+ * Offline geography index reader
+ *
+ * Reads the same data/geography.json the TypeScript server uses (generated by
+ * `npm run build:geo` in the repository root):
+ * - NTA 2020 and community district boundaries for point-in-polygon lookups
+ * - A PLUTO-derived BBL table mapping blocks (or split-block lots) to [cd, nta]
+ *
+ * Set GEOGRAPHY_INDEX_PATH to load the file from elsewhere.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_GEOGRAPHY_PATH = fileURLToPath(new URL('../../data/geography.json', import.meta.url));
+
+const NO_DISTRICTS = { cd: null, nta: null, nta_name: null };
+
+/**
+ * Even-odd ray cast against one ring of [lon, lat] points
+ */
+export function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Inside the outer ring of any polygon and outside all of that polygon's holes
+ */
+export function pointInPolygons(lon, lat, polygons) {
+  return polygons.some(([outer, ...holes]) =>
+    outer && pointInRing(lon, lat, outer) && !holes.some(hole => pointInRing(lon, lat, hole))
+  );
+}
+
+/**
+ * Canonical 10-digit BBL, or null. Accepts Socrata's "1000010001.00000000" form.
+ */
+function canonicalBBL(bbl) {
+  if (bbl === null || bbl === undefined) return null;
+  const digits = String(bbl).trim().replace(/\.0*$/, '');
+  return /^[1-5]\d{9}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Build an index over parsed geography data (null gives an empty index)
+ *
+ * @param {Object|null} data - Contents of geography.json
+ * @returns {Object} { available, info, locate(lat, lon), lookupBBL(bbl), cacheSize() }
+ */
+export function createGeographyIndex(data) {
+  const nta = data?.nta || [];
+  const cd = data?.cd || [];
+  const ntaNames = new Map(nta.map(shape => [shape.code, shape.name || null]));
+  const cache = new Map();
+
+  const find = (shapes, lon, lat) => shapes.find(({ bbox: [minLon, minLat, maxLon, maxLat], polygons }) =>
+    lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat && pointInPolygons(lon, lat, polygons)
+  );
+
+  return {
+    available: data !== null,
+    info: {
+      available: data !== null,
+      generated_at: data?.generated_at || null,
+      nta_count: nta.length,
+      cd_count: cd.length,
+      bbl_blocks: data ? Object.keys(data.bbl.blocks).length : 0
+    },
+
+    /**
+     * Districts containing a point; null fields where it falls outside every boundary
+     */
+    locate(lat, lon) {
+      const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+      if (cache.has(key)) return cache.get(key);
+      const ntaShape = find(nta, lon, lat);
+      const districts = {
+        cd: find(cd, lon, lat)?.code || null,
+        nta: ntaShape?.code || null,
+        nta_name: ntaShape?.name || null
+      };
+      cache.set(key, districts);
+      return districts;
+    },
+
+    /**
+     * Districts PLUTO assigns to a lot, or null if the BBL is invalid or not in the table
+     */
+    lookupBBL(bbl) {
+      const canonical = data ? canonicalBBL(bbl) : null;
+      if (!canonical) return null;
+      const pair = data.bbl.lots[canonical] ?? data.bbl.blocks[canonical.slice(0, 6)];
+      if (pair === undefined) return null;
+      const [cdCode, ntaCode] = data.bbl.pairs[pair];
+      return { cd: cdCode, nta: ntaCode, nta_name: ntaCode ? ntaNames.get(ntaCode) || null : null };
+    },
+
+    cacheSize() {
+      return cache.size;
+    }
+  };
+}
+
+/**
+ * Districts for a lot (by BBL) or, failing that, a point
+ *
+ * @param {Object} where - { bbl, lat, lon }; any may be null
+ * @param {Object} index - Geography index (defaults to the bundled one)
+ * @returns {Object} { cd, nta, nta_name }
+ */
+export function lookupDistricts({ bbl, lat, lon }, index = geographyIndex()) {
+  const byLot = bbl ? index.lookupBBL(bbl) : null;
+  if (byLot?.cd && byLot.nta) return byLot;
+  const byPoint = lat !== null && lon !== null ? index.locate(lat, lon) : NO_DISTRICTS;
+  return {
+    cd: byLot?.cd || byPoint.cd,
+    nta: byLot?.nta || byPoint.nta,
+    nta_name: byLot?.nta_name || byPoint.nta_name
+  };
+}
+
+let defaultIndex = null;
+
+/**
+ * The bundled index, loaded once on first use.
+ * Without a data file every lookup returns nulls.
+ */
+export function geographyIndex() {
+  if (!defaultIndex) {
+    const path = process.env.GEOGRAPHY_INDEX_PATH || DEFAULT_GEOGRAPHY_PATH;
+    let data = null;
+    if (existsSync(path)) {
+      data = JSON.parse(readFileSync(path, 'utf8'));
+    } else {
+      console.error(`Geography index not found at ${path}; run "npm run build:geo" in the repository root for NTA and community district lookups`);
+    }
+    defaultIndex = createGeographyIndex(data);
+  }
+  return defaultIndex;
+}
@@ -7,52 +7,31 @@
  */
 
 import { createErrorEnvelope, ERROR_TYPES } from './standard-envelope.js';
+import { BOROUGHS, normalizeBorough, ACCEPTED_BOROUGH_FORMS } from './boroughs.js';
 
 /**
  * Valid borough codes/names
+ * Any form in lib/boroughs.js is accepted; these are the ones listed in error messages.
  */
 export const VALID_BOROUGHS = {
-  codes: ['1', '2', '3', '4', '5'],
-  names: ['MANHATTAN', 'BRONX', 'BROOKLYN', 'QUEENS', 'STATEN ISLAND'],
-  mapping: {
-    '1': 'MANHATTAN',
-    '2': 'BRONX',
-    '3': 'BROOKLYN',
-    '4': 'QUEENS',
-    '5': 'STATEN ISLAND',
-    'M': 'MANHATTAN',
-    'X': 'BRONX',
-    'K': 'BROOKLYN',
-    'Q': 'QUEENS',
-    'R': 'STATEN ISLAND'
-  }
+  codes: BOROUGHS.map(b => b.code),
+  names: BOROUGHS.map(b => b.name)
 };
 
 /**
  * Validate borough input
- * @param {string} borough - Borough code or name
+ * @param {string} borough - Borough name, county, code or abbreviation (see lib/boroughs.js)
  * @returns {Object} { valid: boolean, normalized?: string, error?: object }
+ *   normalized is always the canonical name (e.g. 'BROOKLYN'); translate it per dataset with boroughCondition()
  */
 export function validateBorough(borough) {
   if (!borough) {
     return { valid: true }; // Optional parameter
   }
 
-  const upper = borough.toString().toUpperCase();
-
-  // Check if it's a valid code
-  if (VALID_BOROUGHS.codes.includes(upper)) {
-    return { valid: true, normalized: upper };
-  }
-
-  // Check if it's a valid name
-  if (VALID_BOROUGHS.names.includes(upper)) {
-    return { valid: true, normalized: upper };
-  }
-
-  // Check if it's in the mapping
-  if (VALID_BOROUGHS.mapping[upper]) {
-    return { valid: true, normalized: VALID_BOROUGHS.mapping[upper] };
+  const normalized = normalizeBorough(borough);
+  if (normalized) {
+    return { valid: true, normalized };
   }
 
   return {
@@ -65,7 +44,7 @@ export function validateBorough(borough) {
         valid_names: VALID_BOROUGHS.names,
         valid_codes: VALID_BOROUGHS.codes
       },
-      guidance: 'Use borough names (e.g., "MANHATTAN") or numeric codes (1-5)'
+      guidance: `Use ${ACCEPTED_BOROUGH_FORMS}`
     })
   };
 }
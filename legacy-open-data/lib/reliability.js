@@ -29,6 +29,8 @@ const CACHE_CONFIG = {
 
 /**
  * Rate limit configuration
+ * The TypeScript server declares the same budgets (src/utils/http.ts); the root
+ * test/legacy-parity.test.js keeps them equal.
  */
 export const RATE_LIMITS = {
   // Socrata API limits
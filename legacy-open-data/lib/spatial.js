@@ -0,0 +1,269 @@
+/**
+ * Spatial search areas for the v2/v3 tools
+ *
+ * `near` (latitude/longitude or address, plus radius_ft) and `within` (GeoJSON
+ * Polygon/MultiPolygon) parameters, ported from src/utils/spatial.ts:
+ * - Datasets with a location column get a SoQL within_circle / within_polygon clause
+ * - Datasets without coordinates are joined on the BBLs of the PLUTO lots inside the area
+ * - Addresses resolve through NYC Planning GeoSearch, as resolve_address does
+ */
+
+import axios from 'axios';
+import { createErrorEnvelope, ERROR_TYPES } from './standard-envelope.js';
+import { pointInPolygons } from './geography-index.js';
+import { DATASETS, apiEndpoint } from './datasets.js';
+import { getAPIHeaders } from './reliability.js';
+
+const GEOSEARCH_ENDPOINT = 'https://geosearch.planninglabs.nyc/v2/search';
+const FEET_PER_METER = 3.28084;
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Generous bounds around the five boroughs; anything outside is almost certainly swapped lat/lon
+ */
+const NYC_BOUNDS = { minLat: 40.4, maxLat: 41.0, minLon: -74.3, maxLon: -73.6 };
+
+export const DEFAULT_RADIUS_FT = 500;
+export const MAX_RADIUS_FT = 5280;
+export const MAX_POLYGON_VERTICES = 500;
+/** Lots an area may cover before a BBL join gets too long for one request */
+export const MAX_AREA_LOTS = 300;
+
+/**
+ * JSON Schema properties for the tools that accept an area
+ * @param {string} versions - Which implementations honour them, e.g. 'v3'
+ * @returns {Object} { near, within } inputSchema properties
+ */
+export function spatialProperties(versions) {
+  return {
+    near: {
+      type: 'object',
+      description: `Search around a point: { latitude, longitude } or { address }, plus radius_ft (default ${DEFAULT_RADIUS_FT}, max ${MAX_RADIUS_FT}) (${versions} only)`,
+      properties: {
+        latitude: { type: 'number' },
+        longitude: { type: 'number' },
+        address: { type: 'string' },
+        radius_ft: { type: 'number', default: DEFAULT_RADIUS_FT }
+      }
+    },
+    within: {
+      type: 'object',
+      description: `Search inside a GeoJSON Polygon or MultiPolygon with [longitude, latitude] positions, at most ${MAX_POLYGON_VERTICES} vertices (${versions} only)`
+    }
+  };
+}
+
+function invalid(paramName, message, guidance) {
+  return {
+    valid: false,
+    error: createErrorEnvelope({ type: ERROR_TYPES.INVALID_INPUT, message: `Invalid ${paramName}: ${message}`, guidance })
+  };
+}
+
+function inNYC(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    lat >= NYC_BOUNDS.minLat && lat <= NYC_BOUNDS.maxLat &&
+    lon >= NYC_BOUNDS.minLon && lon <= NYC_BOUNDS.maxLon;
+}
+
+/**
+ * Validate the `near` parameter
+ * @param {Object} near - { latitude, longitude } or { address }, plus optional radius_ft
+ * @returns {Object} { valid: boolean, normalized?: Object, error?: object }
+ */
+export function validateNear(near) {
+  if (near === undefined || near === null) {
+    return { valid: true };
+  }
+
+  const { latitude, longitude, address, radius_ft = DEFAULT_RADIUS_FT } = near;
+  const hasPoint = latitude !== undefined && longitude !== undefined;
+  const hasAddress = typeof address === 'string' && address.trim() !== '';
+  if (hasPoint === hasAddress) {
+    return invalid('near', 'needs either latitude and longitude, or an address', 'Pass { "latitude": 40.7411, "longitude": -73.9897 } or { "address": "175 5th Ave, Manhattan" }');
+  }
+  if (hasPoint && !inNYC(latitude, longitude)) {
+    return invalid('near', `(${latitude}, ${longitude}) is outside New York City`, 'Check that latitude and longitude are not swapped');
+  }
+  if (hasAddress && address.length > 200) {
+    return invalid('near', 'address exceeds maximum length of 200 characters', 'Shorten the address');
+  }
+  if (typeof radius_ft !== 'number' || !(radius_ft > 0) || radius_ft > MAX_RADIUS_FT) {
+    return invalid('near', `radius_ft must be between 0 and ${MAX_RADIUS_FT}`, 'Use a radius in feet, e.g. 500');
+  }
+
+  return {
+    valid: true,
+    normalized: hasPoint ?
+      { latitude, longitude, address: null, radius_ft } :
+      { latitude: null, longitude: null, address: address.trim(), radius_ft }
+  };
+}
+
+/**
+ * Validate the `within` parameter
+ * @param {Object} within - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} { valid: boolean, normalized?: Array, error?: object } - normalized is a list of polygons
+ */
+export function validateWithin(within) {
+  if (within === undefined || within === null) {
+    return { valid: true };
+  }
+
+  const guidance = 'Pass a GeoJSON Polygon or MultiPolygon whose rings end at their first [longitude, latitude] position';
+  const polygons = within.type === 'Polygon' ? [within.coordinates] :
+                   within.type === 'MultiPolygon' ? within.coordinates :
+                   null;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return invalid('within', 'must be a GeoJSON Polygon or MultiPolygon', guidance);
+  }
+
+  let vertices = 0;
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return invalid('within', 'every polygon needs at least one ring', guidance);
+    }
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return invalid('within', 'a polygon ring needs at least 4 positions', guidance);
+      }
+      if (!ring.every(p => Array.isArray(p) && inNYC(p[1], p[0]))) {
+        return invalid('within', 'every position must be a [longitude, latitude] inside New York City', guidance);
+      }
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return invalid('within', 'a polygon ring must end at its first position', guidance);
+      }
+      vertices += ring.length;
+    }
+  }
+  if (vertices > MAX_POLYGON_VERTICES) {
+    return invalid('within', `polygon may have at most ${MAX_POLYGON_VERTICES} vertices`, 'Simplify the polygon');
+  }
+
+  return { valid: true, normalized: polygons.map(p => p.map(r => r.map(([lon, lat]) => [lon, lat]))) };
+}
+
+/**
+ * Validate `near` and `within` together; at most one may be given
+ * @param {Object} spatial - { near, within } tool parameters
+ * @returns {Object} { valid: boolean, normalized?: Object, error?: object } - normalized is { near, within }
+ */
+export function validateArea({ near, within }) {
+  if (near && within) {
+    return invalid('area', 'use either near or within, not both', 'Pass a point and radius with near, or a polygon with within');
+  }
+  const nearResult = validateNear(near);
+  if (!nearResult.valid) return nearResult;
+  const withinResult = validateWithin(within);
+  if (!withinResult.valid) return withinResult;
+  if (!nearResult.normalized && !withinResult.normalized) {
+    return { valid: true };
+  }
+  return { valid: true, normalized: { near: nearResult.normalized || null, within: withinResult.normalized || null } };
+}
+
+/**
+ * Resolve a validated area to a search area, geocoding an address
+ * @param {Object} spatial - { near, within } as normalized by validateArea (or undefined)
+ * @returns {Promise<Object|null>} Circle or polygon area, or null when neither is given
+ */
+export async function resolveSearchArea({ near, within } = {}) {
+  if (within) {
+    return { type: 'polygon', polygons: within };
+  }
+  if (!near) {
+    return null;
+  }
+  if (near.address === null) {
+    return { type: 'circle', latitude: near.latitude, longitude: near.longitude, radius_ft: near.radius_ft, address: null };
+  }
+
+  const response = await axios.get(GEOSEARCH_ENDPOINT, { params: { text: near.address } });
+  const [match] = response.data?.features || [];
+  const [lon, lat] = match?.geometry?.coordinates || [];
+  if (typeof lat !== 'number' || typeof lon !== 'number') {
+    throw new Error(`Could not resolve address "${near.address}" to a location`);
+  }
+  return { type: 'circle', latitude: lat, longitude: lon, radius_ft: near.radius_ft, address: match.properties?.label || near.address };
+}
+
+/**
+ * SoQL clause restricting a location (point, line or polygon) column to the area
+ */
+export function spatialClause(column, area) {
+  if (area.type === 'circle') {
+    const meters = Math.round((area.radius_ft / FEET_PER_METER) * 100) / 100;
+    return `within_circle(${column}, ${area.latitude}, ${area.longitude}, ${meters})`;
+  }
+  const rings = polygon => `(${polygon.map(r => `(${r.map(([lon, lat]) => `${lon} ${lat}`).join(', ')})`).join(', ')})`;
+  return `within_polygon(${column}, 'MULTIPOLYGON (${area.polygons.map(rings).join(', ')})')`;
+}
+
+/**
+ * Summary of an area for response metadata
+ */
+export function describeArea(area) {
+  return area.type === 'circle' ?
+    { type: 'circle', latitude: area.latitude, longitude: area.longitude, radius_ft: area.radius_ft, address: area.address } :
+    { type: 'polygon', polygons: area.polygons.length, vertices: area.polygons.flat(2).length };
+}
+
+function distanceFt(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a)) * FEET_PER_METER;
+}
+
+function areaBounds(area) {
+  if (area.type === 'circle') {
+    const dLat = (area.radius_ft / FEET_PER_METER / EARTH_RADIUS_M) * (180 / Math.PI);
+    const dLon = dLat / Math.cos((area.latitude * Math.PI) / 180);
+    return [area.longitude - dLon, area.latitude - dLat, area.longitude + dLon, area.latitude + dLat];
+  }
+  const points = area.polygons.flatMap(p => p[0] || []);
+  const lons = points.map(([lon]) => lon);
+  const lats = points.map(([, lat]) => lat);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+function areaContains(area, lat, lon) {
+  return area.type === 'circle' ?
+    distanceFt(area.latitude, area.longitude, lat, lon) <= area.radius_ft :
+    pointInPolygons(lon, lat, area.polygons);
+}
+
+/**
+ * BBLs of the PLUTO lots whose centroid falls inside the area
+ * @param {Object} area - From resolveSearchArea
+ * @returns {Promise<string[]>} Sorted 10-digit BBLs
+ */
+export async function bblsInArea(area) {
+  const [minLon, minLat, maxLon, maxLat] = areaBounds(area);
+  // The bounding box holds more lots than a circle or irregular polygon inside it
+  const limit = MAX_AREA_LOTS * 4;
+  const response = await axios.get(apiEndpoint(DATASETS.PLUTO), {
+    params: {
+      $select: 'bbl, latitude, longitude',
+      $where: `latitude >= ${minLat} AND latitude <= ${maxLat} AND longitude >= ${minLon} AND longitude <= ${maxLon}`,
+      $limit: limit
+    },
+    headers: getAPIHeaders()
+  });
+
+  const bbls = new Set();
+  for (const row of response.data) {
+    const lat = parseFloat(row.latitude);
+    const lon = parseFloat(row.longitude);
+    const bbl = String(row.bbl ?? '').replace(/\.0*$/, '');
+    if (Number.isFinite(lat) && Number.isFinite(lon) && /^[1-5]\d{9}$/.test(bbl) && areaContains(area, lat, lon)) {
+      bbls.add(bbl);
+    }
+  }
+  if (response.data.length === limit || bbls.size > MAX_AREA_LOTS) {
+    throw new Error(`Search area covers more than ${MAX_AREA_LOTS} tax lots; use a smaller radius or polygon`);
+  }
+  return [...bbls].sort();
+}
@@ -6,11 +6,13 @@
  * Every tool should return this structure for consistent, composable outputs.
  */
 
+import { DATASETS, findDataset } from './datasets.js';
+
 /**
  * Create a standard success envelope
  *
  * @param {Object} params
- * @param {string} params.source - Data source identifier (e.g., '311_service_requests', 'hpd_violations')
+ * @param {string} params.source - Data source identifier (e.g., '311_service_requests', 'hpd_violations'); its dataset ID is looked up in the registry
  * @param {string} params.eventType - Type of analysis (e.g., 'search', 'trend_analysis', 'aggregation')
  * @param {Object} params.window - Time window { start, end, days, type }
  * @param {number} params.count - Total number of records/events in the result
@@ -22,6 +24,7 @@ export function createSuccessEnvelope({ source, eventType, window, count, record
   return {
     success: true,
     source,
+    dataset_id: findDataset(source)?.id ?? null,
     event_type: eventType,
     window: {
       start: window.start,
@@ -89,21 +92,11 @@ export const STANDARD_RECORD_SCHEMA = {
 };
 
 /**
- * Data source identifiers
+ * Data source identifiers, by registry key (see datasets.js)
  */
-export const DATA_SOURCES = {
-  NYC_311: '311_service_requests',
-  HPD_VIOLATIONS: 'hpd_violations',
-  HPD_COMPLAINTS: 'hpd_complaints',
-  HPD_REGISTRATIONS: 'hpd_registrations',
-  DOT_CLOSURES: 'dot_street_closures',
-  DOT_PARKING: 'dot_parking_violations',
-  DOT_TRAFFIC: 'dot_traffic_volume',
-  EVENTS: 'nyc_events',
-  COMPTROLLER_SPENDING: 'comptroller_spending',
-  COMPTROLLER_CONTRACTS: 'comptroller_contracts',
-  COMPTROLLER_PAYROLL: 'comptroller_payroll'
-};
+export const DATA_SOURCES = Object.fromEntries(
+  Object.entries(DATASETS).map(([key, dataset]) => [key, dataset.source])
+);
 
 /**
  * Event types
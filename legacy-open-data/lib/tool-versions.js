@@ -0,0 +1,63 @@
+/**
+ * Versioned tool dispatch
+ *
+ * Several tools have rewrites (_v2/_v3) that add validation, standard envelopes,
+ * caching and geo enrichment. The newest rewrite is the default; clients can pin
+ * an older implementation with the `version` argument. Every result records the
+ * version that produced it under `_implementation`.
+ */
+
+/**
+ * Create a dispatcher for one tool name backed by several implementations
+ * @param {Object} options
+ * @param {string} options.name - Tool name as exposed to MCP clients
+ * @param {Object<string, Function>} options.implementations - Version label to implementation, oldest first
+ * @param {string} [options.defaultVersion] - Version used when none is requested (default: newest)
+ * @returns {Object} { name, versions, defaultVersion, versionProperty, run }
+ */
+export function createVersionedTool({ name, implementations, defaultVersion }) {
+  const versions = Object.keys(implementations);
+  const fallback = defaultVersion || versions[versions.length - 1];
+
+  if (!versions.includes(fallback)) {
+    throw new Error(`Default version '${fallback}' for ${name} has no implementation`);
+  }
+
+  return {
+    name,
+    versions,
+    defaultVersion: fallback,
+
+    /** JSON Schema property advertised in the tool's inputSchema */
+    versionProperty: {
+      type: 'string',
+      enum: versions,
+      description: `Implementation to run (default: ${fallback}). ${versions[0]} is the original, unvalidated version.`,
+      default: fallback
+    },
+
+    /**
+     * Run the requested (or default) implementation
+     * @param {Object} args - Tool arguments; `version` is consumed here and not passed on
+     * @returns {Promise<Object>} Implementation result with `_implementation` attached
+     */
+    async run(args = {}) {
+      const { version = fallback, ...params } = args;
+
+      if (!versions.includes(version)) {
+        throw new Error(`Unknown version '${version}' for ${name}. Available versions: ${versions.join(', ')}`);
+      }
+
+      const result = await implementations[version](params);
+      return {
+        ...result,
+        _implementation: {
+          tool: name,
+          version,
+          is_default: version === fallback,
+          available_versions: versions
+        }
+      };
+    }
+  };
+}
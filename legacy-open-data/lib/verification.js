@@ -3,11 +3,14 @@
  *
  * Adds source citations, verification URLs, and data provenance
  * to all tool responses to enable seamless human-in-the-loop verification.
+ * Dataset details come from the registry in datasets.js.
  */
 
+import { DATASETS, findDataset, apiEndpoint, datasetPage } from './datasets.js';
+
 /**
  * Generate verification metadata for tool responses
- * @param {string} dataSource - The dataset identifier (e.g., '311', 'comptroller', 'hpd')
+ * @param {string} dataSource - Envelope source name or registry alias (e.g., 'hpd_violations', '311', 'comptroller-spending')
  * @param {object} params - The query parameters used
  * @param {number} count - Number of records returned
  * @returns {object} Verification metadata
@@ -27,81 +30,26 @@ export function generateVerification(dataSource, params, count) {
 }
 
 /**
- * Get data source information and credibility
+ * Get data source information and credibility from the dataset registry
  */
 function getDataSourceInfo(dataSource) {
-  const sources = {
-    '311': {
-      name: 'NYC 311 Service Requests',
-      authority: 'NYC Department of Information Technology & Telecommunications',
-      update_frequency: 'Daily',
-      api_type: 'Socrata Open Data API',
+  const dataset = findDataset(dataSource);
+  if (!dataset) {
+    return {
+      name: 'NYC Open Data',
       credibility: 'Official City Data',
-      dataset_id: 'erm2-nwe9'
-    },
-    'comptroller-spending': {
-      name: 'NYC Expense Budget',
-      authority: 'NYC Office of the Comptroller',
-      update_frequency: 'Quarterly',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Financial Data',
-      dataset_id: 'mwzb-yiwb',
-      note: 'Shows budgeted amounts, not actual transactions'
-    },
-    'comptroller-contracts': {
-      name: 'NYC Contracts (PASSPort)',
-      authority: 'NYC Office of the Comptroller',
-      update_frequency: 'Daily',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Procurement Data',
-      dataset_id: 'j67a-m49u'
-    },
-    'comptroller-payroll': {
-      name: 'NYC Citywide Payroll',
-      authority: 'NYC Office of the Comptroller / Office of Payroll Administration',
-      update_frequency: 'Annually',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Personnel Data',
-      dataset_id: 'k397-673e'
-    },
-    'hpd-violations': {
-      name: 'HPD Housing Violations',
-      authority: 'NYC Department of Housing Preservation & Development',
-      update_frequency: 'Daily',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Housing Data',
-      dataset_id: 'wvxf-dwi5'
-    },
-    'hpd-complaints': {
-      name: 'HPD Housing Complaints',
-      authority: 'NYC Department of Housing Preservation & Development',
-      update_frequency: 'Daily',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Housing Data',
-      dataset_id: '9w7m-hzhe'
-    },
-    'events': {
-      name: 'NYC City-Sponsored Events',
-      authority: 'NYC Mayor\'s Office of Media & Entertainment',
-      update_frequency: 'Weekly',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Events Data',
-      dataset_id: 'tvpp-9vvx'
-    },
-    'dot-closures': {
-      name: 'DOT Street Closures & Events',
-      authority: 'NYC Department of Transportation',
-      update_frequency: 'Daily',
-      api_type: 'Socrata Open Data API',
-      credibility: 'Official City Transportation Data',
-      dataset_id: 'i7b8-gv4y'
-    }
-  };
+      note: 'Data source details not fully cataloged'
+    };
+  }
 
-  return sources[dataSource] || {
-    name: 'NYC Open Data',
-    credibility: 'Official City Data',
-    note: 'Data source details not fully cataloged'
+  return {
+    name: dataset.name,
+    authority: dataset.authority,
+    update_frequency: dataset.update_frequency,
+    api_type: 'Socrata Open Data API',
+    credibility: dataset.credibility,
+    dataset_id: dataset.id,
+    ...(dataset.note && { note: dataset.note })
   };
 }
 
@@ -116,23 +64,13 @@ function getVerificationUrls(dataSource, params) {
     search_query: null
   };
 
-  // Dataset-specific URLs
-  const datasetUrls = {
-    '311': 'https://data.cityofnewyork.us/Social-Services/311-Service-Requests/erm2-nwe9',
-    'comptroller-spending': 'https://data.cityofnewyork.us/City-Government/Expense-Budget/mwzb-yiwb',
-    'comptroller-contracts': 'https://www.checkbooknyc.com/contracts',
-    'comptroller-payroll': 'https://www.checkbooknyc.com/payroll',
-    'hpd-violations': 'https://data.cityofnewyork.us/Housing-Development/Housing-Maintenance-Code-Violations/wvxf-dwi5',
-    'hpd-complaints': 'https://data.cityofnewyork.us/Housing-Development/Housing-Maintenance-Code-Complaints/9w7m-hzhe',
-    'events': 'https://data.cityofnewyork.us/City-Government/NYC-Permitted-Event-Information/tvpp-9vvx'
-  };
-
-  urls.dataset_specific = datasetUrls[dataSource];
+  const dataset = findDataset(dataSource);
+  urls.dataset_specific = dataset ? datasetPage(dataset) : null;
 
   // Generate query-specific verification URL
-  if (dataSource === 'comptroller-payroll' && params.last_name) {
+  if (dataset === DATASETS.COMPTROLLER_PAYROLL && params.last_name) {
     urls.search_query = `https://www.checkbooknyc.com/payroll?q=${encodeURIComponent(params.last_name)}`;
-  } else if (dataSource === 'comptroller-contracts' && params.vendor) {
+  } else if (dataset === DATASETS.COMPTROLLER_CONTRACTS && params.vendor) {
     urls.search_query = `https://www.checkbooknyc.com/contracts?q=${encodeURIComponent(params.vendor)}`;
   }
 
@@ -143,18 +81,8 @@ function getVerificationUrls(dataSource, params) {
  * Get the actual API endpoint used
  */
 function getApiEndpoint(dataSource) {
-  const endpoints = {
-    '311': 'https://data.cityofnewyork.us/resource/erm2-nwe9.json',
-    'comptroller-spending': 'https://data.cityofnewyork.us/resource/mwzb-yiwb.json',
-    'comptroller-contracts': 'https://data.cityofnewyork.us/resource/j67a-m49u.json',
-    'comptroller-payroll': 'https://data.cityofnewyork.us/resource/k397-673e.json',
-    'hpd-violations': 'https://data.cityofnewyork.us/resource/wvxf-dwi5.json',
-    'hpd-complaints': 'https://data.cityofnewyork.us/resource/9w7m-hzhe.json',
-    'events': 'https://data.cityofnewyork.us/resource/tvpp-9vvx.json',
-    'dot-closures': 'https://data.cityofnewyork.us/resource/i7b8-gv4y.json'
-  };
-
-  return endpoints[dataSource] || 'https://data.cityofnewyork.us/';
+  const dataset = findDataset(dataSource);
+  return dataset ? apiEndpoint(dataset) : 'https://data.cityofnewyork.us/';
 }
 
 /**
@@ -173,7 +101,7 @@ function calculateTrustScore(dataSource, recordCount) {
   };
 
   // Adjust for known limitations
-  if (dataSource === 'comptroller-spending') {
+  if (findDataset(dataSource) === DATASETS.COMPTROLLER_SPENDING) {
     score.factors.completeness = 80;
     score.notes.push('Budget data shows allocations, not actual expenditures');
     score.overall = 85;
@@ -1,8 +1,10 @@
 import axios from 'axios';
 import { getTimeWindow, getCustomWindow } from '../../../lib/time-windows.js';
 import { validateEnum, validateDays, validateBorough, validateAndEscapeString, batchValidate } from '../../../lib/input-validation.js';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/erm2-nwe9.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.NYC_311);
 
 /**
  * Analyze 311 trends using SERVER-SIDE aggregation with SoQL
@@ -58,7 +60,7 @@ export default async function analyzeTrends(params) {
 
   if (normalized.borough) {
     // Already normalized by validation
-    whereConditions.push(`borough = '${normalized.borough}'`);
+    whereConditions.push(boroughCondition(DATASETS.NYC_311, normalized.borough));
   }
 
   // SoQL date truncation functions for grouping
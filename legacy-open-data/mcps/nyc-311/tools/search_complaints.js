@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/erm2-nwe9.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.NYC_311);
 
 export default async function searchComplaints(params) {
   const {
@@ -19,7 +21,7 @@ export default async function searchComplaints(params) {
   }
 
   if (borough) {
-    whereConditions.push(`borough='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.NYC_311, borough));
   }
 
   if (start_date) {
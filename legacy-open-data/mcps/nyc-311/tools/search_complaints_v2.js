@@ -3,8 +3,10 @@ import { getTimeWindow, getCustomWindow } from '../../../lib/time-windows.js';
 import { validateBorough, validateAndEscapeString, validateLimit, validateDays, validateDate, batchValidate } from '../../../lib/input-validation.js';
 import { createSuccessEnvelope, createErrorEnvelope, ERROR_TYPES, DATA_SOURCES, EVENT_TYPES } from '../../../lib/standard-envelope.js';
 import { enrich311Geo, getCacheStats } from '../../../lib/geo-enrichment.js';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/erm2-nwe9.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.NYC_311);
 
 /**
  * Search 311 complaints with geographic enrichment
@@ -77,7 +79,7 @@ export default async function searchComplaints(params) {
     }
 
     if (normalized.borough) {
-      whereConditions.push(`borough = '${normalized.borough}'`);
+      whereConditions.push(boroughCondition(DATASETS.NYC_311, normalized.borough));
     }
 
     // Select fields including geo fields for enrichment
@@ -5,8 +5,11 @@ import { createSuccessEnvelope, createErrorEnvelope, ERROR_TYPES, DATA_SOURCES,
 import { enrich311Geo, getCacheStats as getGeoCacheStats } from '../../../lib/geo-enrichment.js';
 import { withRetry, withCache, getCacheStats, getAPIHeaders, getRateLimitInfo, CACHE_CONFIG } from '../../../lib/reliability.js';
 import { generate311SearchInsights } from '../../../lib/insights.js';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
+import { validateArea, resolveSearchArea, spatialClause, describeArea } from '../../../lib/spatial.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/erm2-nwe9.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.NYC_311);
 
 /**
  * Search 311 complaints with full reliability features
@@ -19,6 +22,7 @@ const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/erm2-nwe9.json'
  * - API token support
  *
  * Priority 3: Geographic enrichment (≥95% NTA coverage)
+ * Spatial search: near (point or address plus radius) or within (GeoJSON polygon)
  * Priority 2: Standard envelope format
  * Priority 1: Input validation
  */
@@ -30,6 +34,8 @@ export default async function searchComplaints(params) {
     end_date,
     days,
     limit = 100,
+    near,                  // Point or address plus radius_ft
+    within,                // GeoJSON polygon
     use_cache = true,      // Priority 4: Caching
     skip_cache = false     // Force fresh data
   } = params;
@@ -41,7 +47,8 @@ export default async function searchComplaints(params) {
     limit: validateLimit(limit, { min: 1, max: 10000, defaultValue: 100 }),
     start_date: validateDate(start_date, 'start_date'),
     end_date: validateDate(end_date, 'end_date'),
-    days: validateDays(days, { min: 1, max: 365 })
+    days: validateDays(days, { min: 1, max: 365 }),
+    area: validateArea({ near, within })
   });
 
   if (!validation.valid) {
@@ -81,7 +88,22 @@ export default async function searchComplaints(params) {
   }
 
   if (normalized.borough) {
-    whereConditions.push(`borough = '${normalized.borough}'`);
+    whereConditions.push(boroughCondition(DATASETS.NYC_311, normalized.borough));
+  }
+
+  // 311 rows have a location point, so the area filters server-side
+  let area;
+  try {
+    area = await resolveSearchArea(normalized.area);
+  } catch (error) {
+    return createErrorEnvelope({
+      type: ERROR_TYPES.API_ERROR,
+      message: error.message,
+      guidance: 'Check the address, or pass latitude and longitude instead.'
+    });
+  }
+  if (area) {
+    whereConditions.push(spatialClause('location', area));
   }
 
   const query = {
@@ -130,6 +152,7 @@ export default async function searchComplaints(params) {
           cd: geo.cd,
           cd_numeric: geo.cd_numeric,
           nta: geo.nta,
+          nta_name: geo.nta_name,
           bbl: geo.bbl,
           lat: geo.lat,
           lon: geo.lon
@@ -204,7 +227,8 @@ export default async function searchComplaints(params) {
         },
         filters: {
           complaint_type: normalized.complaint_type || 'ALL',
-          borough: normalized.borough || 'ALL'
+          borough: normalized.borough || 'ALL',
+          area: area ? describeArea(area) : null
         },
         // Priority 4: Reliability metrics
         reliability: {
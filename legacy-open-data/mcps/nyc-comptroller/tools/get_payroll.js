@@ -1,6 +1,7 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/k397-673e.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.COMPTROLLER_PAYROLL);
 
 export default async function getPayroll(params) {
   const {
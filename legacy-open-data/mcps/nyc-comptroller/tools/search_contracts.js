@@ -1,6 +1,7 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/qyyg-4tf5.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.COMPTROLLER_CONTRACTS);
 
 export default async function searchContracts(params) {
   const {
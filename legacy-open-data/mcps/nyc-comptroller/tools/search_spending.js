@@ -1,9 +1,10 @@
 import axios from 'axios';
 import { enrichWithVerification } from '../../../lib/verification.js';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
 
 // Using Expense Budget dataset as Checkbook NYC 2.0 (mxwn-eh3b) is federated/non-tabular
 // For actual transaction-level spending, the Comptroller's XML API may be needed
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/mwzb-yiwb.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.COMPTROLLER_SPENDING);
 
 export default async function searchSpending(params) {
   const {
@@ -74,7 +75,7 @@ export default async function searchSpending(params) {
     };
 
     // Add verification metadata
-    return enrichWithVerification(result, 'comptroller-spending', params);
+    return enrichWithVerification(result, DATASETS.COMPTROLLER_SPENDING.source, params);
   } catch (error) {
     throw new Error(`Failed to search spending: ${error.message}`);
   }
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/nc67-uf89.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.DOT_PARKING);
 
 export default async function getParkingViolations(params) {
   const {
@@ -12,7 +14,7 @@ export default async function getParkingViolations(params) {
   const whereConditions = [];
 
   if (county) {
-    whereConditions.push(`county='${county.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.DOT_PARKING, county));
   }
 
   if (violation_code) {
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/btm5-ppia.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.DOT_TRAFFIC);
 
 export default async function getTrafficVolume(params) {
   const {
@@ -11,7 +13,7 @@ export default async function getTrafficVolume(params) {
   const whereConditions = [];
 
   if (boro) {
-    whereConditions.push(`boro='${boro.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.DOT_TRAFFIC, boro));
   }
 
   const query = {
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/i6b5-j7bu.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.DOT_CLOSURES);
 
 export default async function searchStreetClosures(params) {
   const {
@@ -12,7 +14,7 @@ export default async function searchStreetClosures(params) {
   const whereConditions = [];
 
   if (borough) {
-    whereConditions.push(`boro='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.DOT_CLOSURES, borough));
   }
 
   if (work_type) {
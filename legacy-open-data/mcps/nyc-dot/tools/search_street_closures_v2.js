@@ -3,8 +3,11 @@ import { getTimeWindow } from '../../../lib/time-windows.js';
 import { validateBorough, validateAndEscapeString, validateLimit, batchValidate } from '../../../lib/input-validation.js';
 import { createSuccessEnvelope, createErrorEnvelope, ERROR_TYPES, DATA_SOURCES, EVENT_TYPES } from '../../../lib/standard-envelope.js';
 import { enrichDOTGeo } from '../../../lib/geo-enrichment.js';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition, boroughFromValue } from '../../../lib/boroughs.js';
+import { validateArea, resolveSearchArea, spatialClause, describeArea } from '../../../lib/spatial.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/i6b5-j7bu.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.DOT_CLOSURES);
 
 /**
  * Search DOT Street Closures with de-duplication
@@ -15,20 +18,24 @@ const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/i6b5-j7bu.json'
  * - Attaches borough/CD when available
  * - Standard envelope format
  * - Stable counts under repeats
+ * - Spatial search: near (point or address plus radius) or within (GeoJSON polygon)
  */
 export default async function searchStreetClosures(params) {
   const {
     borough,
     work_type,
     limit = 1000,  // Higher limit for de-duplication
-    active_only = true  // Only show currently active closures
+    active_only = true,  // Only show currently active closures
+    near,
+    within
   } = params;
 
   // Validate inputs
   const validation = batchValidate({
     borough: validateBorough(borough),
     work_type: validateAndEscapeString(work_type, { maxLength: 100, paramName: 'work_type' }),
-    limit: validateLimit(limit, { min: 1, max: 5000, defaultValue: 1000 })
+    limit: validateLimit(limit, { min: 1, max: 5000, defaultValue: 1000 }),
+    area: validateArea({ near, within })
   });
 
   if (!validation.valid) {
@@ -41,13 +48,7 @@ export default async function searchStreetClosures(params) {
     const whereConditions = [];
 
     if (normalized.borough) {
-      // Map borough names to codes (DOT uses M/X/B/Q/S)
-      const boroughCode = normalized.borough === 'MANHATTAN' ? 'M' :
-                          normalized.borough === 'BRONX' ? 'X' :
-                          normalized.borough === 'BROOKLYN' ? 'B' :
-                          normalized.borough === 'QUEENS' ? 'Q' :
-                          normalized.borough === 'STATEN ISLAND' ? 'S' : normalized.borough;
-      whereConditions.push(`borough_code = '${boroughCode}'`);
+      whereConditions.push(boroughCondition(DATASETS.DOT_CLOSURES, normalized.borough));
     }
 
     if (normalized.work_type) {
@@ -60,6 +61,12 @@ export default async function searchStreetClosures(params) {
       whereConditions.push(`work_end_date >= '${today}T00:00:00.000'`);
     }
 
+    // Closures carry their street segment geometry, so the area filters server-side
+    const area = await resolveSearchArea(normalized.area);
+    if (area) {
+      whereConditions.push(spatialClause('the_geom', area));
+    }
+
     const query = {
       $limit: normalized.limit
     };
@@ -102,7 +109,7 @@ export default async function searchStreetClosures(params) {
           from_street: closure.fromstreetname,
           to_street: closure.tostreetname,
           borough_code: closure.borough_code,
-          borough: mapBoroughCode(closure.borough_code),
+          borough: boroughFromValue(DATASETS.DOT_CLOSURES, closure.borough_code) || closure.borough_code,
           purposes: closure.purpose ? [closure.purpose] : [],
           purpose_merged: closure.purpose || 'Unknown',
           cd: null,  // Will be added in Priority 3 (geo enrichment)
@@ -223,7 +230,8 @@ export default async function searchStreetClosures(params) {
         borough_breakdown: Object.entries(boroughCounts).map(([borough, count]) => ({ borough, count })),
         top_purposes: topPurposes,
         active_only_filter: active_only,
-        work_type_filter: normalized.work_type || 'ALL'
+        work_type_filter: normalized.work_type || 'ALL',
+        area_filter: area ? describeArea(area) : null
       }
     });
 
@@ -236,17 +244,3 @@ export default async function searchStreetClosures(params) {
     });
   }
 }
-
-/**
- * Map borough code to full name
- */
-function mapBoroughCode(code) {
-  const mapping = {
-    'M': 'MANHATTAN',
-    'X': 'BRONX',
-    'B': 'BROOKLYN',
-    'Q': 'QUEENS',
-    'S': 'STATEN ISLAND'
-  };
-  return mapping[code] || code;
-}
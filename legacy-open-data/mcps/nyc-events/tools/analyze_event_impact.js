@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/tvpp-9vvx.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.EVENTS);
 
 export default async function analyzeEventImpact(params) {
   const {
@@ -21,7 +23,7 @@ export default async function analyzeEventImpact(params) {
   ];
 
   if (borough) {
-    whereConditions.push(`event_borough='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.EVENTS, borough));
   }
 
   const query = {
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/tvpp-9vvx.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.EVENTS);
 
 export default async function getUpcomingEvents(params) {
   const {
@@ -22,7 +24,7 @@ export default async function getUpcomingEvents(params) {
   ];
 
   if (borough) {
-    whereConditions.push(`event_borough='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.EVENTS, borough));
   }
 
   const query = {
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/tvpp-9vvx.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.EVENTS);
 
 export default async function searchEvents(params) {
   const {
@@ -18,7 +20,7 @@ export default async function searchEvents(params) {
   }
 
   if (borough) {
-    whereConditions.push(`event_borough='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.EVENTS, borough));
   }
 
   if (start_date) {
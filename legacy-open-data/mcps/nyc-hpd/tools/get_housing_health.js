@@ -1,7 +1,9 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const VIOLATIONS_ENDPOINT = 'https://data.cityofnewyork.us/resource/wvxf-dwi5.json';
-const COMPLAINTS_ENDPOINT = 'https://data.cityofnewyork.us/resource/uwyv-629c.json';
+const VIOLATIONS_ENDPOINT = apiEndpoint(DATASETS.HPD_VIOLATIONS);
+const COMPLAINTS_ENDPOINT = apiEndpoint(DATASETS.HPD_COMPLAINTS);
 
 /**
  * Get comprehensive housing health indicators
@@ -19,7 +21,7 @@ export default async function getHousingHealth(params) {
   try {
     // Fetch violations
     const violationsQuery = {
-      $where: borough ? `boroid='${borough.toUpperCase()}'` : '1=1',
+      $where: borough ? boroughCondition(DATASETS.HPD_VIOLATIONS, borough) : '1=1',
       $limit: 50000,
       $select: 'violationstatus,novdescription,inspectiondate,currentstatusdate,buildingid'
     };
@@ -37,7 +39,7 @@ export default async function getHousingHealth(params) {
     // Fetch recent complaints
     const complaintsQuery = {
       $where: `receiveddate>='${startDate.toISOString().split('T')[0]}'` +
-              (borough ? ` AND boroughid='${borough.toUpperCase()}'` : ''),
+              (borough ? ` AND ${boroughCondition(DATASETS.HPD_COMPLAINTS, borough)}` : ''),
       $limit: 50000,
       $select: 'status,receiveddate,statusdate,buildingid'
     };
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/tesw-yqqr.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.HPD_REGISTRATIONS);
 
 export default async function getRegistrations(params) {
   const {
@@ -12,7 +14,7 @@ export default async function getRegistrations(params) {
   const whereConditions = [];
 
   if (borough) {
-    whereConditions.push(`boroid='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.HPD_REGISTRATIONS, borough));
   }
 
   if (zip) {
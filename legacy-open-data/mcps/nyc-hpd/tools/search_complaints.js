@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/uwyv-629c.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.HPD_COMPLAINTS);
 
 export default async function searchComplaints(params) {
   const {
@@ -18,7 +20,7 @@ export default async function searchComplaints(params) {
   ];
 
   if (borough) {
-    whereConditions.push(`boroughid='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.HPD_COMPLAINTS, borough));
   }
 
   if (status) {
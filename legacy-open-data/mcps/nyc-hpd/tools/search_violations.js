@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition } from '../../../lib/boroughs.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/wvxf-dwi5.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.HPD_VIOLATIONS);
 
 export default async function searchViolations(params) {
   const {
@@ -13,7 +15,7 @@ export default async function searchViolations(params) {
   const whereConditions = [];
 
   if (borough) {
-    whereConditions.push(`boroid='${borough.toUpperCase()}'`);
+    whereConditions.push(boroughCondition(DATASETS.HPD_VIOLATIONS, borough));
   }
 
   if (bin) {
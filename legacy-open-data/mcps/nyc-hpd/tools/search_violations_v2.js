@@ -3,8 +3,11 @@ import { getTimeWindow, getCustomWindow } from '../../../lib/time-windows.js';
 import { validateBorough, validateAndEscapeString, validateLimit, batchValidate, validateDays } from '../../../lib/input-validation.js';
 import { createSuccessEnvelope, createErrorEnvelope, ERROR_TYPES, DATA_SOURCES, EVENT_TYPES } from '../../../lib/standard-envelope.js';
 import { enrichHPDGeo } from '../../../lib/geo-enrichment.js';
+import { DATASETS, apiEndpoint } from '../../../lib/datasets.js';
+import { boroughCondition, boroughValue } from '../../../lib/boroughs.js';
+import { validateArea, resolveSearchArea, bblsInArea, describeArea } from '../../../lib/spatial.js';
 
-const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/wvxf-dwi5.json';
+const SOCRATA_ENDPOINT = apiEndpoint(DATASETS.HPD_VIOLATIONS);
 
 /**
  * Search HPD Housing Violations with server-side aggregation
@@ -16,22 +19,30 @@ const SOCRATA_ENDPOINT = 'https://data.cityofnewyork.us/resource/wvxf-dwi5.json'
  * - Returns counts by borough/community district
  * - Standard envelope format
  * - 12-month default window
+ * - Optional BIN filter, so building lookups keep working now that v2 is the default
+ * - Spatial search: near/within, joined on the BBLs of the PLUTO lots in the area
+ *   (violations have no location column)
  */
 export default async function searchViolations(params) {
   const {
     borough,
+    bin,
     status,
     days = 365,  // Default to 12-month window
     limit = 100,
-    aggregated = true  // Toggle server-side aggregation
+    aggregated = true,  // Toggle server-side aggregation
+    near,
+    within
   } = params;
 
   // Validate inputs
   const validation = batchValidate({
     borough: validateBorough(borough),
+    bin: validateAndEscapeString(bin, { maxLength: 7, pattern: /^[1-5]\d{6}$/, paramName: 'bin' }),
     status: validateAndEscapeString(status, { maxLength: 50, paramName: 'status' }),
     days: validateDays(days, { min: 1, max: 365 }),
-    limit: validateLimit(limit, { min: 1, max: 10000, defaultValue: 100 })
+    limit: validateLimit(limit, { min: 1, max: 10000, defaultValue: 100 }),
+    area: validateArea({ near, within })
   });
 
   if (!validation.valid) {
@@ -46,10 +57,12 @@ export default async function searchViolations(params) {
                  getCustomWindow(days);
 
   try {
+    const area = await resolveSearchArea(normalized.area);
+    const lots = area ? { area: describeArea(area), bbls: await bblsInArea(area) } : null;
     if (aggregated) {
-      return await getAggregatedViolations({ normalized, window, status });
+      return await getAggregatedViolations({ normalized, window, lots });
     } else {
-      return await getRawViolations({ normalized, window, limit: normalized.limit, status });
+      return await getRawViolations({ normalized, window, limit: normalized.limit, lots });
     }
   } catch (error) {
     return createErrorEnvelope({
@@ -62,9 +75,16 @@ export default async function searchViolations(params) {
 }
 
 /**
- * Get aggregated violations with severity mix
+ * An area with no lots matches nothing, so its queries are answered without a request
+ */
+function noLots(lots) {
+  return lots !== null && lots.bbls.length === 0;
+}
+
+/**
+ * Where conditions shared by the aggregated and raw queries
  */
-async function getAggregatedViolations({ normalized, window, status }) {
+function whereConditionsFor(normalized, window, lots) {
   // Format dates for Socrata
   const startDate = new Date(window.start).toISOString().replace('Z', '');
   const endDate = new Date(window.end).toISOString().replace('Z', '');
@@ -75,17 +95,30 @@ async function getAggregatedViolations({ normalized, window, status }) {
   ];
 
   if (normalized.borough) {
-    whereConditions.push(`boroid = '${normalized.borough === 'MANHATTAN' ? '1' :
-                                      normalized.borough === 'BRONX' ? '2' :
-                                      normalized.borough === 'BROOKLYN' ? '3' :
-                                      normalized.borough === 'QUEENS' ? '4' :
-                                      normalized.borough === 'STATEN ISLAND' ? '5' : normalized.borough}'`);
+    whereConditions.push(boroughCondition(DATASETS.HPD_VIOLATIONS, normalized.borough));
+  }
+
+  if (normalized.bin) {
+    whereConditions.push(`bin = '${normalized.bin}'`);
   }
 
   if (normalized.status) {
     whereConditions.push(`violationstatus = '${normalized.status}'`);
   }
 
+  if (lots) {
+    whereConditions.push(`bbl IN (${lots.bbls.map(bbl => `'${bbl}'`).join(', ')})`);
+  }
+
+  return whereConditions;
+}
+
+/**
+ * Get aggregated violations with severity mix
+ */
+async function getAggregatedViolations({ normalized, window, lots }) {
+  const whereConditions = whereConditionsFor(normalized, window, lots);
+
   // Query 1: Get counts by violation class (A/B/C severity)
   const classQuery = {
     $select: 'class, COUNT(*) AS count',
@@ -110,10 +143,12 @@ async function getAggregatedViolations({ normalized, window, status }) {
   }
 
   // Execute both queries in parallel
-  const [classResponse, boroughResponse] = await Promise.all([
-    axios.get(SOCRATA_ENDPOINT, { params: classQuery, headers }),
-    axios.get(SOCRATA_ENDPOINT, { params: boroughQuery, headers })
-  ]);
+  const [classResponse, boroughResponse] = noLots(lots) ?
+    [{ data: [] }, { data: [] }] :
+    await Promise.all([
+      axios.get(SOCRATA_ENDPOINT, { params: classQuery, headers }),
+      axios.get(SOCRATA_ENDPOINT, { params: boroughQuery, headers })
+    ]);
 
   // Calculate severity mix
   const totalViolations = classResponse.data.reduce((sum, row) => sum + parseInt(row.count, 10), 0);
@@ -161,10 +196,9 @@ async function getAggregatedViolations({ normalized, window, status }) {
   }));
 
   // Build records array (one per class) with basic geo enrichment
-  const BOROUGH_TO_ID = { 'MANHATTAN': '1', 'BRONX': '2', 'BROOKLYN': '3', 'QUEENS': '4', 'STATEN ISLAND': '5' };
   const records = classBreakdown.map(item => {
     // Create a mock record for geo enrichment
-    const mockRecord = { boroid: normalized.borough ? BOROUGH_TO_ID[normalized.borough] : null };
+    const mockRecord = { boroid: normalized.borough ? boroughValue(DATASETS.HPD_VIOLATIONS, normalized.borough) : null };
     const geo = enrichHPDGeo(mockRecord);
 
     return {
@@ -172,8 +206,8 @@ async function getAggregatedViolations({ normalized, window, status }) {
       geo: {
         borough: geo.borough || normalized.borough || 'ALL',
         borough_id: geo.borough_id,
-        cd: null,  // HPD data lacks CD info without BBL→CD lookup
-        nta: null,  // HPD data lacks NTA info without BBL→NTA lookup
+        cd: null,  // Class totals span many lots, so there is no single CD/NTA
+        nta: null,
         bbl: null
       },
       topic: `Class ${item.class} - ${item.severity}`,
@@ -202,6 +236,8 @@ async function getAggregatedViolations({ normalized, window, status }) {
                              parseFloat(hazardIndex) < 66 ? 'Moderate severity (mixed classes)' :
                              'High severity (many Class B/C violations)',
       status_filter: normalized.status || 'ALL',
+      bin_filter: normalized.bin || null,
+      area_filter: lots ? { ...lots.area, lots: lots.bbls.length } : null,
       // NTA table will be added in Priority 3
       nta_table: null
     }
@@ -211,27 +247,8 @@ async function getAggregatedViolations({ normalized, window, status }) {
 /**
  * Get raw violations (non-aggregated)
  */
-async function getRawViolations({ normalized, window, limit, status }) {
-  const startDate = new Date(window.start).toISOString().replace('Z', '');
-  const endDate = new Date(window.end).toISOString().replace('Z', '');
-
-  const whereConditions = [
-    `inspectiondate >= '${startDate}'`,
-    `inspectiondate <= '${endDate}'`
-  ];
-
-  if (normalized.borough) {
-    const boroughId = normalized.borough === 'MANHATTAN' ? '1' :
-                      normalized.borough === 'BRONX' ? '2' :
-                      normalized.borough === 'BROOKLYN' ? '3' :
-                      normalized.borough === 'QUEENS' ? '4' :
-                      normalized.borough === 'STATEN ISLAND' ? '5' : normalized.borough;
-    whereConditions.push(`boroid = '${boroughId}'`);
-  }
-
-  if (normalized.status) {
-    whereConditions.push(`violationstatus = '${normalized.status}'`);
-  }
+async function getRawViolations({ normalized, window, limit, lots }) {
+  const whereConditions = whereConditionsFor(normalized, window, lots);
 
   const query = {
     $where: whereConditions.join(' AND '),
@@ -244,35 +261,39 @@ async function getRawViolations({ normalized, window, limit, status }) {
     headers['X-App-Token'] = process.env.SOCRATA_APP_TOKEN || process.env.NYC_OPEN_DATA_APP_TOKEN;
   }
 
-  const response = await axios.get(SOCRATA_ENDPOINT, {
+  const response = noLots(lots) ? { data: [] } : await axios.get(SOCRATA_ENDPOINT, {
     params: query,
     headers
   });
 
-  const records = response.data.map(v => ({
-    ts: v.inspectiondate,
-    geo: {
-      borough: v.boro,
-      cd: null,  // Will be added in Priority 3
-      nta: null,
-      lat: null,
-      lon: null
-    },
-    topic: `Class ${v.class} - ${v.novdescription?.substring(0, 100) || 'N/A'}`,
-    value: 1,
-    details: {
-      violation_id: v.violationid,
-      building_id: v.buildingid,
-      bin: v.bin,
-      class: v.class,
-      address: `${v.housenumber} ${v.streetname}, ${v.boro}`,
-      apartment: v.apartment,
-      inspection_date: v.inspectiondate,
-      status: v.violationstatus,
-      description: v.novdescription,
-      nov_issued_date: v.novissueddate
-    }
-  }));
+  const records = response.data.map(v => {
+    const geo = enrichHPDGeo(v);
+    return {
+      ts: v.inspectiondate,
+      geo: {
+        borough: v.boro,
+        cd: geo.cd,
+        nta: geo.nta,
+        bbl: geo.bbl,
+        lat: geo.lat,
+        lon: geo.lon
+      },
+      topic: `Class ${v.class} - ${v.novdescription?.substring(0, 100) || 'N/A'}`,
+      value: 1,
+      details: {
+        violation_id: v.violationid,
+        building_id: v.buildingid,
+        bin: v.bin,
+        class: v.class,
+        address: `${v.housenumber} ${v.streetname}, ${v.boro}`,
+        apartment: v.apartment,
+        inspection_date: v.inspectiondate,
+        status: v.violationstatus,
+        description: v.novdescription,
+        nov_issued_date: v.novissueddate
+      }
+    };
+  });
 
   return createSuccessEnvelope({
     source: DATA_SOURCES.HPD_VIOLATIONS,
@@ -283,7 +304,9 @@ async function getRawViolations({ normalized, window, limit, status }) {
     meta: {
       aggregation: 'raw',
       limit,
-      status_filter: normalized.status || 'ALL'
+      status_filter: normalized.status || 'ALL',
+      bin_filter: normalized.bin || null,
+      area_filter: lots ? { ...lots.area, lots: lots.bbls.length } : null
     }
   });
 }
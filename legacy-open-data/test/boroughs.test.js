@@ -0,0 +1,59 @@
+/**
+ * Tests for per-dataset borough translation
+ * Any user input must become the literal each dataset actually stores
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { normalizeBorough, boroughValue, boroughCondition, boroughFromValue } from '../lib/boroughs.js';
+import { DATASETS } from '../lib/datasets.js';
+import { validateBorough } from '../lib/input-validation.js';
+import { enrichDOTGeo } from '../lib/geo-enrichment.js';
+
+test('Every input form normalizes to the canonical name', () => {
+  for (const input of ['bk', 'BK', 'Kings', 'kings', '3', 3, 'Brooklyn', ' brooklyn ', 'B', 'K']) {
+    assert.strictEqual(normalizeBorough(input), 'BROOKLYN', `input ${input}`);
+  }
+  for (const input of ['S', 'R', 'SI', '5', 'Richmond', 'staten  island']) {
+    assert.strictEqual(normalizeBorough(input), 'STATEN ISLAND', `input ${input}`);
+  }
+  assert.strictEqual(normalizeBorough('The Bronx'), 'BRONX');
+  assert.strictEqual(normalizeBorough('New York'), 'MANHATTAN');
+  assert.strictEqual(normalizeBorough('NEW JERSEY'), null);
+  assert.strictEqual(normalizeBorough(null), null);
+});
+
+test('Brooklyn becomes the right literal for each dataset', () => {
+  assert.strictEqual(boroughValue(DATASETS.NYC_311, 'bk'), 'BROOKLYN');
+  assert.strictEqual(boroughValue(DATASETS.HPD_VIOLATIONS, 'Kings'), '3');
+  assert.strictEqual(boroughValue(DATASETS.HPD_COMPLAINTS, 'Brooklyn'), '3');
+  assert.strictEqual(boroughValue(DATASETS.DOT_CLOSURES, '3'), 'B');
+  assert.strictEqual(boroughValue(DATASETS.DOT_PARKING, 'brooklyn'), 'K');
+  assert.strictEqual(boroughValue(DATASETS.DOT_TRAFFIC, 'BK'), 'Brooklyn');
+  assert.strictEqual(boroughValue(DATASETS.EVENTS, 'staten island'), 'Staten Island');
+  assert.strictEqual(boroughValue(DATASETS.HPD_VIOLATIONS, 'Jersey'), null);
+  assert.throws(() => boroughValue(DATASETS.COMPTROLLER_PAYROLL, 'bk'), /no borough column/);
+});
+
+test('Conditions use the dataset column and reject unknown boroughs', () => {
+  assert.strictEqual(boroughCondition(DATASETS.HPD_VIOLATIONS, 'brooklyn'), "boroid='3'");
+  assert.strictEqual(boroughCondition(DATASETS.HPD_COMPLAINTS, 'bk'), "boroughid='3'");
+  assert.strictEqual(boroughCondition(DATASETS.DOT_CLOSURES, 'S'), "borough_code='S'");
+  assert.strictEqual(boroughCondition(DATASETS.NYC_311, 'r'), "borough='STATEN ISLAND'");
+  assert.throws(() => boroughCondition(DATASETS.NYC_311, "x' OR '1'='1"), /Invalid borough/);
+});
+
+test('Stored values translate back to names', () => {
+  assert.strictEqual(boroughFromValue(DATASETS.DOT_CLOSURES, 'B'), 'BROOKLYN');
+  assert.strictEqual(boroughFromValue(DATASETS.DOT_CLOSURES, 'K'), 'BROOKLYN');
+  assert.strictEqual(boroughFromValue(DATASETS.HPD_VIOLATIONS, '5'), 'STATEN ISLAND');
+  assert.strictEqual(enrichDOTGeo({ borough_code: 'S' }).borough_id, '5');
+});
+
+test('validateBorough accepts every form and returns the canonical name', () => {
+  assert.deepStrictEqual(validateBorough('3'), { valid: true, normalized: 'BROOKLYN' });
+  assert.deepStrictEqual(validateBorough('S'), { valid: true, normalized: 'STATEN ISLAND' });
+  assert.deepStrictEqual(validateBorough('kings'), { valid: true, normalized: 'BROOKLYN' });
+  assert.strictEqual(validateBorough('Hoboken').valid, false);
+  assert.deepStrictEqual(validateBorough(undefined), { valid: true });
+});
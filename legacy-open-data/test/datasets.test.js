@@ -0,0 +1,77 @@
+/**
+ * Tests for the dataset registry
+ * Ensures verification and envelopes agree with the IDs the tools query
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { DATASETS, findDataset, apiEndpoint, datasetPage } from '../lib/datasets.js';
+import { generateVerification } from '../lib/verification.js';
+import { createSuccessEnvelope, DATA_SOURCES } from '../lib/standard-envelope.js';
+
+const window = { start: '2025-01-01T00:00:00.000Z', end: '2025-01-31T23:59:59.999Z', days: 31, type: 'custom' };
+
+test('Every registry entry is complete and unique', () => {
+  const ids = new Set();
+  const sources = new Set();
+
+  for (const [key, dataset] of Object.entries(DATASETS)) {
+    assert.match(dataset.id, /^[a-z0-9]{4}-[a-z0-9]{4}$/, `${key} id`);
+    assert.ok(dataset.name && dataset.authority && dataset.update_frequency, `${key} metadata`);
+    assert.ok(dataset.key_columns.length > 0, `${key} key columns`);
+    if (dataset.borough) {
+      assert.ok(['name', 'title', 'code', 'abbreviation', 'letter', 'county'].includes(dataset.borough.encoding), `${key} borough encoding`);
+    }
+    ids.add(dataset.id);
+    sources.add(dataset.source);
+  }
+
+  assert.strictEqual(ids.size, Object.keys(DATASETS).length);
+  assert.strictEqual(sources.size, Object.keys(DATASETS).length);
+});
+
+test('Datasets resolve by source name, ID and older verification key', () => {
+  assert.strictEqual(findDataset('hpd_complaints'), DATASETS.HPD_COMPLAINTS);
+  assert.strictEqual(findDataset('uwyv-629c'), DATASETS.HPD_COMPLAINTS);
+  assert.strictEqual(findDataset('hpd-complaints'), DATASETS.HPD_COMPLAINTS);
+  assert.strictEqual(findDataset('311'), DATASETS.NYC_311);
+  assert.strictEqual(findDataset('unknown'), undefined);
+});
+
+test('Verification cites the dataset the tools query', () => {
+  const complaints = generateVerification('hpd-complaints', {}, 10);
+  assert.strictEqual(complaints.data_source.dataset_id, 'uwyv-629c');
+  assert.strictEqual(complaints.api_endpoint, apiEndpoint(DATASETS.HPD_COMPLAINTS));
+
+  const closures = generateVerification(DATA_SOURCES.DOT_CLOSURES, {}, 10);
+  assert.strictEqual(closures.api_endpoint, 'https://data.cityofnewyork.us/resource/i6b5-j7bu.json');
+  assert.strictEqual(closures.verification_urls.dataset_specific, datasetPage(DATASETS.DOT_CLOSURES));
+
+  const contracts = generateVerification('comptroller-contracts', { vendor: 'ACME' }, 10);
+  assert.strictEqual(contracts.data_source.dataset_id, 'qyyg-4tf5');
+  assert.match(contracts.verification_urls.search_query, /contracts\?q=ACME/);
+
+  const spending = generateVerification(DATA_SOURCES.COMPTROLLER_SPENDING, {}, 10);
+  assert.strictEqual(spending.trust_score.overall, 85);
+  assert.ok(spending.data_source.note);
+});
+
+test('Unknown sources fall back to the portal', () => {
+  const verification = generateVerification('not-a-dataset', {}, 1);
+  assert.strictEqual(verification.api_endpoint, 'https://data.cityofnewyork.us/');
+  assert.strictEqual(verification.verification_urls.dataset_specific, null);
+});
+
+test('Envelope sources come from the registry', () => {
+  assert.strictEqual(DATA_SOURCES.NYC_311, '311_service_requests');
+  assert.strictEqual(DATA_SOURCES.HPD_VIOLATIONS, 'hpd_violations');
+
+  const envelope = createSuccessEnvelope({
+    source: DATA_SOURCES.HPD_VIOLATIONS,
+    eventType: 'search',
+    window,
+    count: 0,
+    records: []
+  });
+  assert.strictEqual(envelope.dataset_id, 'wvxf-dwi5');
+});
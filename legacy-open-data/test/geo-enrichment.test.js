@@ -0,0 +1,86 @@
+/**
+ * Tests for geo enrichment against a small fixture geography index
+ * CD and NTA must come from the BBL table or point-in-polygon, not a CD→NTA guess
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createGeographyIndex, pointInPolygons } from '../lib/geography-index.js';
+import { enrich311Geo, enrichHPDGeo, enrichDOTGeo } from '../lib/geo-enrichment.js';
+
+const square = (minLon, minLat, maxLon, maxLat) => [[
+  [minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]
+]];
+
+// CD 101 covers the whole square; its west half is MN0101, its east half MN0102
+const index = createGeographyIndex({
+  version: 1,
+  generated_at: '2026-01-01T00:00:00.000Z',
+  sources: {},
+  nta: [
+    { code: 'MN0101', name: 'Financial District-Battery Park City', bbox: [-74.02, 40.70, -74.01, 40.72], polygons: [square(-74.02, 40.70, -74.01, 40.72)] },
+    { code: 'MN0102', name: 'Tribeca-Civic Center', bbox: [-74.01, 40.70, -74.00, 40.72], polygons: [square(-74.01, 40.70, -74.00, 40.72)] }
+  ],
+  cd: [
+    { code: '101', bbox: [-74.02, 40.70, -74.00, 40.72], polygons: [square(-74.02, 40.70, -74.00, 40.72)] }
+  ],
+  bbl: {
+    pairs: [['101', 'MN0101'], ['101', 'MN0102']],
+    blocks: { '100001': 0 },
+    lots: { '1000020001': 0, '1000020002': 1 }
+  }
+});
+
+const empty = createGeographyIndex(null);
+
+test('Points inside a hole are outside the polygon', () => {
+  const withHole = [[...square(0, 0, 10, 10), ...square(4, 4, 6, 6)]];
+  assert.strictEqual(pointInPolygons(1, 1, withHole), true);
+  assert.strictEqual(pointInPolygons(5, 5, withHole), false);
+});
+
+test('BBLs resolve by block, or by lot where a block is split', () => {
+  assert.deepStrictEqual(index.lookupBBL('1000010099'), { cd: '101', nta: 'MN0101', nta_name: 'Financial District-Battery Park City' });
+  assert.strictEqual(index.lookupBBL('1000020002.00000000').nta, 'MN0102');
+  assert.strictEqual(index.lookupBBL('1000030001'), null);
+  assert.strictEqual(index.lookupBBL('not a bbl'), null);
+});
+
+test('311 records get the NTA containing their point, not the CD\'s first NTA', () => {
+  const geo = enrich311Geo({
+    borough: 'MANHATTAN',
+    community_board: '01 MANHATTAN',
+    latitude: '40.71',
+    longitude: '-74.005'
+  }, index);
+  assert.strictEqual(geo.cd, '101');
+  assert.strictEqual(geo.cd_numeric, '01');
+  assert.strictEqual(geo.nta, 'MN0102');
+  assert.strictEqual(geo.nta_name, 'Tribeca-Civic Center');
+});
+
+test('311 records fall back to the reported community board without an index', () => {
+  const geo = enrich311Geo({ borough: 'BROOKLYN', community_board: '14 BROOKLYN' }, empty);
+  assert.strictEqual(geo.cd, '314');
+  assert.strictEqual(geo.nta, null);
+});
+
+test('HPD records get CD and NTA from their block and lot', () => {
+  const geo = enrichHPDGeo({ boroid: '1', block: '2', lot: '2' }, index);
+  assert.strictEqual(geo.borough, 'MANHATTAN');
+  assert.strictEqual(geo.bbl, '1000020002');
+  assert.strictEqual(geo.cd, '101');
+  assert.strictEqual(geo.nta, 'MN0102');
+});
+
+test('DOT closures get CD and NTA from the first point of their geometry', () => {
+  const geo = enrichDOTGeo({
+    borough_code: 'M',
+    the_geom: { type: 'MultiLineString', coordinates: [[[-74.015, 40.705], [-74.005, 40.705]]] }
+  }, index);
+  assert.strictEqual(geo.cd, '101');
+  assert.strictEqual(geo.nta, 'MN0101');
+  assert.deepStrictEqual([geo.lat, geo.lon], [40.705, -74.015]);
+
+  assert.strictEqual(enrichDOTGeo({ borough_code: 'M' }, index).nta, null);
+});
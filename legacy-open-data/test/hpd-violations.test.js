@@ -0,0 +1,57 @@
+/**
+ * Tests for search_hpd_violations dispatch
+ * A BIN must keep filtering by building now that v2 is the default
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import axios from 'axios';
+import { createVersionedTool } from '../lib/tool-versions.js';
+import searchViolations from '../mcps/nyc-hpd/tools/search_violations.js';
+import searchViolationsV2 from '../mcps/nyc-hpd/tools/search_violations_v2.js';
+
+const tool = createVersionedTool({
+  name: 'search_hpd_violations',
+  implementations: { v1: searchViolations, v2: searchViolationsV2 },
+});
+
+const originalGet = axios.get;
+let requests;
+
+beforeEach(() => {
+  requests = [];
+  // Stub Socrata: aggregate queries get one class row, raw queries one violation
+  axios.get = async (url, { params }) => {
+    requests.push(params);
+    return { data: params.$group ? [{ class: 'C', boroid: '1', boro: 'MANHATTAN', count: '2' }] : [{ bin: '1001234', class: 'C' }] };
+  };
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+});
+
+test('A BIN with no version filters the default aggregates by building', async () => {
+  const result = await tool.run({ bin: '1001234' });
+
+  assert.strictEqual(result._implementation.version, 'v2');
+  assert.strictEqual(requests.length, 2);
+  for (const params of requests) {
+    assert.match(params.$where, /bin = '1001234'/);
+  }
+  assert.strictEqual(result.meta.bin_filter, '1001234');
+});
+
+test('A BIN filters raw v2 records too', async () => {
+  await tool.run({ bin: '1001234', aggregated: false });
+
+  assert.strictEqual(requests.length, 1);
+  assert.match(requests[0].$where, /bin = '1001234'/);
+});
+
+test('A malformed BIN is a validation error, not a citywide query', async () => {
+  const result = await tool.run({ bin: "1' OR '1'='1" });
+
+  assert.strictEqual(requests.length, 0);
+  assert.strictEqual(result.success, false);
+});
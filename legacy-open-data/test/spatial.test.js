@@ -0,0 +1,96 @@
+/**
+ * Tests for near/within spatial search in the v2/v3 tools
+ * Areas must compile to the same SoQL as the TypeScript tools, and an empty area must not query
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import axios from 'axios';
+import { validateArea, resolveSearchArea, spatialClause } from '../lib/spatial.js';
+import { DATASETS } from '../lib/datasets.js';
+import searchComplaintsV3 from '../mcps/nyc-311/tools/search_complaints_v3.js';
+import searchViolationsV2 from '../mcps/nyc-hpd/tools/search_violations_v2.js';
+
+const block = [
+  [-73.99, 40.74],
+  [-73.98, 40.74],
+  [-73.98, 40.75],
+  [-73.99, 40.75],
+  [-73.99, 40.74]
+];
+
+let requests;
+
+/**
+ * Run `fn` with Socrata stubbed: PLUTO returns `lots`, everything else no rows.
+ * Stubbed per test rather than in hooks, which node:test would apply to every test file.
+ */
+async function withStubbedSocrata(lots, fn) {
+  const originalGet = axios.get;
+  requests = [];
+  axios.get = async (url, { params }) => {
+    requests.push({ url, params });
+    return { data: url.includes(DATASETS.PLUTO.id) ? lots : [] };
+  };
+  try {
+    return await fn();
+  } finally {
+    axios.get = originalGet;
+  }
+}
+
+test('near and within validate like the TypeScript schemas', () => {
+  assert.deepStrictEqual(validateArea({ near: { latitude: 40.7411, longitude: -73.9897 } }).normalized.near, {
+    latitude: 40.7411, longitude: -73.9897, address: null, radius_ft: 500
+  });
+  assert.deepStrictEqual(validateArea({}), { valid: true });
+  assert.match(validateArea({ near: { latitude: 40.7411 } }).error.error.message, /latitude and longitude, or an address/);
+  assert.match(validateArea({ near: { latitude: -73.99, longitude: 40.74 } }).error.error.message, /outside New York City/);
+  assert.match(validateArea({ near: { address: 'x', radius_ft: 10000 } }).error.error.message, /radius_ft/);
+  assert.match(validateArea({ within: { type: 'Polygon', coordinates: [block.slice(0, 4)] } }).error.error.message, /first position/);
+  assert.match(validateArea({ near: { address: 'x' }, within: { type: 'Polygon', coordinates: [block] } }).error.error.message, /not both/);
+});
+
+test('Areas compile to within_circle in meters and within_polygon WKT', async () => {
+  const circle = await resolveSearchArea(validateArea({ near: { latitude: 40.7411, longitude: -73.9897 } }).normalized);
+  assert.strictEqual(spatialClause('location', circle), 'within_circle(location, 40.7411, -73.9897, 152.4)');
+
+  const polygon = await resolveSearchArea(validateArea({ within: { type: 'Polygon', coordinates: [block] } }).normalized);
+  assert.strictEqual(
+    spatialClause('the_geom', polygon),
+    "within_polygon(the_geom, 'MULTIPOLYGON (((-73.99 40.74, -73.98 40.74, -73.98 40.75, -73.99 40.75, -73.99 40.74)))')"
+  );
+});
+
+test('311 v3 filters on its location column and reports the area', async () => {
+  const result = await withStubbedSocrata([], () =>
+    searchComplaintsV3({ near: { latitude: 40.7411, longitude: -73.9897, radius_ft: 250 }, skip_cache: true })
+  );
+
+  assert.strictEqual(requests.length, 1);
+  assert.match(requests[0].params.$where, /within_circle\(location, 40\.7411, -73\.9897, 76\.2\)/);
+  assert.strictEqual(result.meta.filters.area.radius_ft, 250);
+});
+
+test('HPD v2 joins on the BBLs of the PLUTO lots inside the area', async () => {
+  const lots = [
+    { bbl: '1008500001.00000000', latitude: '40.745', longitude: '-73.985' },
+    { bbl: '1008500099', latitude: '40.76', longitude: '-73.985' }
+  ];
+  const result = await withStubbedSocrata(lots, () =>
+    searchViolationsV2({ within: { type: 'Polygon', coordinates: [block] }, aggregated: false })
+  );
+
+  assert.strictEqual(requests.length, 2);
+  assert.match(requests[1].params.$where, /bbl IN \('1008500001'\)/);
+  assert.strictEqual(result.meta.area_filter.lots, 1);
+});
+
+test('HPD v2 answers an area with no lots without querying violations', async () => {
+  const result = await withStubbedSocrata([], () => searchViolationsV2({ near: { latitude: 40.7411, longitude: -73.9897 } }));
+
+  assert.strictEqual(requests.length, 1, 'Only the PLUTO lookup should run');
+  assert.strictEqual(result.count, 0);
+  assert.deepStrictEqual(result.records, []);
+  assert.strictEqual(result.meta.area_filter.lots, 0);
+});
@@ -13,6 +13,12 @@ import './window-bounds.test.js';
 import './trend-calculations.test.js';
 import './enum-validation.test.js';
 import './deduplication.test.js';
+import './tool-versions.test.js';
+import './datasets.test.js';
+import './boroughs.test.js';
+import './hpd-violations.test.js';
+import './geo-enrichment.test.js';
+import './spatial.test.js';
 
 console.log('🧪 Running NYC MCP Test Suite...\n');
 
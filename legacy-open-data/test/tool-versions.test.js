@@ -0,0 +1,59 @@
+/**
+ * Tests for versioned tool dispatch
+ * Ensures v2/v3 rewrites are the default and v1 stays reachable
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createVersionedTool } from '../lib/tool-versions.js';
+
+function makeTool() {
+  return createVersionedTool({
+    name: 'search_example',
+    implementations: {
+      v1: async (params) => ({ impl: 'v1', params }),
+      v2: async (params) => ({ impl: 'v2', params }),
+    },
+  });
+}
+
+test('Newest implementation is the default', async () => {
+  const tool = makeTool();
+  const result = await tool.run({ borough: 'BROOKLYN' });
+
+  assert.strictEqual(tool.defaultVersion, 'v2');
+  assert.strictEqual(result.impl, 'v2');
+  assert.deepStrictEqual(result._implementation, {
+    tool: 'search_example',
+    version: 'v2',
+    is_default: true,
+    available_versions: ['v1', 'v2'],
+  });
+});
+
+test('Explicit version runs the older implementation without leaking the argument', async () => {
+  const result = await makeTool().run({ version: 'v1', borough: 'BROOKLYN' });
+
+  assert.strictEqual(result.impl, 'v1');
+  assert.deepStrictEqual(result.params, { borough: 'BROOKLYN' });
+  assert.strictEqual(result._implementation.version, 'v1');
+  assert.strictEqual(result._implementation.is_default, false);
+});
+
+test('Unknown version is rejected with the available versions', async () => {
+  await assert.rejects(() => makeTool().run({ version: 'v9' }), /Available versions: v1, v2/);
+});
+
+test('Version property advertises the enum and default', () => {
+  const { versionProperty } = makeTool();
+
+  assert.deepStrictEqual(versionProperty.enum, ['v1', 'v2']);
+  assert.strictEqual(versionProperty.default, 'v2');
+});
+
+test('Explicit default version must exist', () => {
+  assert.throws(
+    () => createVersionedTool({ name: 'x', implementations: { v1: async () => ({}) }, defaultVersion: 'v2' }),
+    /no implementation/
+  );
+});
@@ -0,0 +1,94 @@
+import { mkdirSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { parseBBL } from "../utils/identifiers.js";
+import {
+  DEFAULT_GEOGRAPHY_PATH,
+  GEOGRAPHY_SOURCES,
+  GeographyData,
+  DistrictShape,
+  buildBBLTable,
+  createGeographyIndex,
+  shapeFromGeometry
+} from "../utils/geography.js";
+
+/**
+ * Regenerate data/geography.json from NYC Open Data: NTA 2020 and community district boundaries,
+ * then every PLUTO lot's community district with its NTA found by point-in-polygon on the lot centroid.
+ *
+ *   npm run build:geo [-- <output path>]
+ */
+
+const PAGE_SIZE = 50000;
+const REQUEST = { cacheTtlMs: 0, timeoutMs: 120000 };
+
+function shapes(rows: any[], codeColumn: string, nameColumn?: string): DistrictShape[] {
+  return rows
+    .map(row => shapeFromGeometry(String(row[codeColumn]), row.the_geom, nameColumn ? row[nameColumn] : undefined))
+    .filter((shape): shape is DistrictShape => shape !== null)
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+async function fetchAll(datasetId: string, select: string, order: string): Promise<any[]> {
+  const rows: any[] = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page: any[] = await getJSON(socrataUrl(datasetId, { select, order, limit: PAGE_SIZE, offset }), REQUEST);
+    rows.push(...page);
+    console.log(`${datasetId}: ${rows.length} rows`);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function main() {
+  const output = process.argv[2] || DEFAULT_GEOGRAPHY_PATH;
+
+  const [ntaRows, cdRows] = await Promise.all([
+    getJSON(socrataUrl(GEOGRAPHY_SOURCES.nta, { select: "nta2020, ntaname, the_geom", limit: 1000 }), REQUEST),
+    getJSON(socrataUrl(GEOGRAPHY_SOURCES.cd, { select: "boro_cd, the_geom", limit: 1000 }), REQUEST)
+  ]);
+  const nta = shapes(ntaRows, "nta2020", "ntaname");
+  const cd = shapes(cdRows, "boro_cd");
+  const boundaries = createGeographyIndex({
+    version: 1,
+    generated_at: "",
+    sources: {},
+    nta,
+    cd,
+    bbl: { pairs: [], blocks: {}, lots: {} }
+  });
+
+  const lots = (await fetchAll(GEOGRAPHY_SOURCES.pluto, "bbl, cd, latitude, longitude", "bbl")).flatMap(row => {
+    let bbl: string;
+    try {
+      bbl = parseBBL(row.bbl).bbl;
+    } catch {
+      return [];
+    }
+    const lat = parseFloat(row.latitude);
+    const lon = parseFloat(row.longitude);
+    const located = Number.isFinite(lat) && Number.isFinite(lon) ? boundaries.locate(lat, lon) : null;
+    return [{ bbl, cd: row.cd ? String(row.cd) : located?.cd ?? null, nta: located?.nta ?? null }];
+  });
+
+  const data: GeographyData = {
+    version: 1,
+    generated_at: new Date().toISOString(),
+    sources: GEOGRAPHY_SOURCES,
+    nta,
+    cd,
+    bbl: buildBBLTable(lots)
+  };
+
+  mkdirSync(dirname(output), { recursive: true });
+  writeFileSync(output, JSON.stringify(data));
+  console.log(
+    `Wrote ${output}: ${nta.length} NTAs, ${cd.length} community districts, ${lots.length} lots in ` +
+      `${Object.keys(data.bbl.blocks).length} blocks + ${Object.keys(data.bbl.lots).length} split-block lots`
+  );
+}
+
+main().catch(err => {
+  console.error("Failed to build the geography index:", err);
+  process.exit(1);
+});
@@ -1,46 +1,203 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { createMcpExpressApp } from "@modelcontextprotocol/sdk/server/express.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { randomUUID } from "node:crypto";
 import resolveAddress from "./tools/resolveAddress.js";
 import pluto from "./tools/pluto.js";
+import comparableLots from "./tools/comparableLots.js";
 import dobJobs from "./tools/dobJobApplications.js";
+import dobJobTimeline from "./tools/dobJobTimeline.js";
 import dobViolations from "./tools/dobViolations.js";
 import fisp from "./tools/fisp.js";
+import fispCompliance from "./tools/fispCompliance.js";
 import landmarks from "./tools/landmarks.js";
+import landmarkDesignation from "./tools/landmarkDesignation.js";
 import footprints from "./tools/footprints.js";
-
-const mcpServer = new McpServer({ name: "nyc-mcp", version: "1.0.0" });
+import footprintAnalysis from "./tools/footprintAnalysis.js";
+import buildingProfile from "./tools/buildingProfile.js";
+import buildingRisk from "./tools/buildingRisk.js";
+import batchLookup from "./tools/batchLookup.js";
+import search311 from "./tools/search311Complaints.js";
+import responseTimes311 from "./tools/get311ResponseTimes.js";
+import trends311 from "./tools/analyze311Trends.js";
+import neighborhoodHealth from "./tools/neighborhoodHealth.js";
+import hpdViolations from "./tools/hpdViolations.js";
+import hpdComplaints from "./tools/hpdComplaints.js";
+import hpdRegistrations from "./tools/hpdRegistrations.js";
+import housingHealth from "./tools/housingHealth.js";
+import ownerPortfolio from "./tools/ownerPortfolio.js";
+import searchEvents from "./tools/searchEvents.js";
+import upcomingEvents from "./tools/upcomingEvents.js";
+import eventImpact from "./tools/eventImpact.js";
+import dotStreetClosures from "./tools/dotStreetClosures.js";
+import dotParkingViolations from "./tools/dotParkingViolations.js";
+import dotTrafficVolume from "./tools/dotTrafficVolume.js";
+import comptrollerSpending from "./tools/comptrollerSpending.js";
+import comptrollerContracts from "./tools/comptrollerContracts.js";
+import comptrollerPayroll from "./tools/comptrollerPayroll.js";
+import searchCatalog from "./tools/searchCatalog.js";
+import describeDataset from "./tools/describeDataset.js";
+import queryDataset from "./tools/queryDataset.js";
+import { resolveTransportMode, routeConsoleToStderr } from "./utils/transport.js";
+import { ToolExtra } from "./utils/progress.js";
+import { outputFormatShape, formatToolResult } from "./utils/outputFormat.js";
+import { createSessionStore, sessionIdleMs, statefulSessionsEnabled } from "./utils/sessions.js";
 
 const tools = [
   resolveAddress,
   pluto,
+  comparableLots,
   dobJobs,
+  dobJobTimeline,
   dobViolations,
   fisp,
+  fispCompliance,
   landmarks,
-  footprints
+  landmarkDesignation,
+  footprints,
+  footprintAnalysis,
+  buildingProfile,
+  buildingRisk,
+  batchLookup,
+  search311,
+  responseTimes311,
+  trends311,
+  neighborhoodHealth,
+  hpdViolations,
+  hpdComplaints,
+  hpdRegistrations,
+  housingHealth,
+  ownerPortfolio,
+  searchEvents,
+  upcomingEvents,
+  eventImpact,
+  dotStreetClosures,
+  dotParkingViolations,
+  dotTrafficVolume,
+  comptrollerSpending,
+  comptrollerContracts,
+  comptrollerPayroll,
+  searchCatalog,
+  describeDataset,
+  queryDataset
 ];
 
-for (const tool of tools) {
-  mcpServer.registerTool(
-    tool.name,
-    {
-      description: tool.description,
-      inputSchema: tool.inputSchema
+function createMcpServer() {
+  const server = new McpServer({ name: "nyc-mcp", version: "1.0.0" });
+  for (const tool of tools) {
+    server.registerTool(
+      tool.name,
+      {
+        description: tool.description,
+        inputSchema: tool.inputSchema.extend(outputFormatShape)
+      },
+      async ({ output_format, ...args }: any, extra: ToolExtra) =>
+        formatToolResult(await tool.handler(args, extra), output_format)
+    );
+  }
+  return server;
+}
+
+function jsonRpcError(res: any, status: number, message: string) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: {
+      code: -32000,
+      message
     },
-    async (args: any) => tool.handler(args)
-  );
+    id: null
+  });
 }
 
-async function main() {
-  const port = process.env.PORT ? Number(process.env.PORT) : 3001;
-  const authToken = process.env.AUTH_TOKEN;
+function debugRequest(req: any, details: Record<string, unknown>) {
+  // Lightweight debug log to see incoming requests when troubleshooting
+  if (process.env.MCP_DEBUG) {
+    console.log("Incoming MCP request", {
+      method: req.method,
+      headers: req.headers,
+      body: req.body,
+      ...details
+    });
+  }
+}
+
+async function startStdio() {
+  routeConsoleToStderr();
+  await createMcpServer().connect(new StdioServerTransport());
+  console.error("NYC MCP server running on stdio");
+}
+
+/** One shared transport that answers every POST with plain JSON; no sessions, no SSE. */
+async function statelessHandler() {
   const transport = new StreamableHTTPServerTransport({
     sessionIdGenerator: undefined,
     enableJsonResponse: true
   });
+  await createMcpServer().connect(transport);
+
+  return async (req: any, res: any) => {
+    debugRequest(req, {
+      transportInitialized: (transport as any)._initialized,
+      sessionIdGenerator: (transport as any).sessionIdGenerator
+    });
+    await transport.handleRequest(req, res, req.body);
+  };
+}
 
-  await mcpServer.connect(transport);
+/**
+ * One transport and server per Mcp-Session-Id, created on initialize and closed after
+ * `idleMs` without requests. Responses stream over SSE, so progress notifications reach
+ * the client while a tool runs, and GET /mcp opens the session's notification stream.
+ */
+function statefulHandler(idleMs: number) {
+  const sessions = createSessionStore<StreamableHTTPServerTransport>({
+    idleMs,
+    onExpire: (id, transport) => {
+      console.log(`Closing MCP session ${id} after ${idleMs}ms idle`);
+      transport.close().catch(err => console.error("Error closing MCP session", err));
+    }
+  });
+  setInterval(() => sessions.sweep(), Math.min(idleMs, 60_000)).unref();
+
+  return async (req: any, res: any) => {
+    const sessionId = req.headers["mcp-session-id"];
+    debugRequest(req, { sessionId, activeSessions: sessions.size() });
+
+    let transport = typeof sessionId === "string" ? sessions.get(sessionId) : undefined;
+    if (!transport) {
+      if (sessionId !== undefined) {
+        jsonRpcError(res, 404, "Session not found or expired; send a new initialize request");
+        return;
+      }
+      if (req.method !== "POST" || !isInitializeRequest(req.body)) {
+        jsonRpcError(res, 400, "Bad Request: Mcp-Session-Id header is required after initialize");
+        return;
+      }
+
+      const created: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => sessions.set(id, created),
+        onsessionclosed: id => {
+          sessions.delete(id);
+        }
+      });
+      created.onclose = () => {
+        if (created.sessionId) sessions.delete(created.sessionId);
+      };
+      await createMcpServer().connect(created);
+      transport = created;
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  };
+}
+
+async function startHttp() {
+  const port = process.env.PORT ? Number(process.env.PORT) : 3001;
+  const authToken = process.env.AUTH_TOKEN;
+  const stateful = statefulSessionsEnabled(process.argv.slice(2), process.env);
 
   // Allow remote hosting (e.g., Azure Container Apps) by default. If you want to lock this
   // down, set ALLOWED_HOSTS to a comma-separated list of hostnames (no ports), which will
@@ -56,33 +213,17 @@ async function main() {
     app.use((req, res, next) => {
       const headerToken = req.headers["x-api-key"];
       if (headerToken !== authToken) {
-        res.status(401).json({
-          jsonrpc: "2.0",
-          error: {
-            code: -32000,
-            message: "Unauthorized"
-          },
-          id: null
-        });
+        jsonRpcError(res, 401, "Unauthorized");
         return;
       }
       next();
     });
   }
 
+  const handleRequest = stateful ? statefulHandler(sessionIdleMs(process.env)) : await statelessHandler();
   const handler = async (req: any, res: any) => {
     try {
-      // Lightweight debug log to see incoming requests when troubleshooting
-      if (process.env.MCP_DEBUG) {
-        console.log("Incoming MCP request", {
-          method: req.method,
-          headers: req.headers,
-          body: req.body,
-          transportInitialized: (transport as any)._initialized,
-          sessionIdGenerator: (transport as any).sessionIdGenerator
-        });
-      }
-      await transport.handleRequest(req, res, req.body);
+      await handleRequest(req, res);
     } catch (err) {
       console.error("Error handling MCP request", err);
       if (!res.headersSent) {
@@ -96,10 +237,21 @@ async function main() {
   app.delete("/mcp", handler);
 
   app.listen(port, () => {
-    console.log(`NYC MCP server running over Streamable HTTP on port ${port}`);
+    console.log(
+      `NYC MCP server running over Streamable HTTP on port ${port} (${stateful ? "stateful sessions" : "stateless"})`
+    );
   });
 }
 
+async function main() {
+  const mode = resolveTransportMode(process.argv.slice(2), process.env);
+  if (mode === "stdio") {
+    await startStdio();
+  } else {
+    await startHttp();
+  }
+}
+
 main().catch(err => {
   console.error("Failed to start MCP server", err);
   process.exit(1);
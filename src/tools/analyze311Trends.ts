@@ -0,0 +1,129 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { createSuccessEnvelope, DATA_SOURCES, EVENT_TYPES } from "../utils/envelope.js";
+import { generate311TrendsInsights, formatInsights } from "../utils/insights.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type GroupBy = "day" | "week" | "month";
+
+type TrendsArgs = { complaint_type?: string; borough?: BoroughName; group_by: GroupBy; days: number };
+
+type Period = { period: string; count: number; types: Record<string, number> };
+
+/** Key for the period a day belongs to; weeks start on Sunday. */
+function periodKey(day: string, groupBy: GroupBy): string {
+  if (groupBy === "month") return day.slice(0, 7);
+  if (groupBy === "week") {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+    return date.toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+/** Compare the last 7 periods with the 7 before them; 999% caps growth from zero. */
+export function calculateTrend(timeline: Array<{ count: number }>) {
+  if (timeline.length < 14) return null;
+
+  const avg = (periods: Array<{ count: number }>) => periods.reduce((sum, p) => sum + p.count, 0) / periods.length;
+  const recentAvg = avg(timeline.slice(-7));
+  const previousAvg = avg(timeline.slice(-14, -7));
+
+  const change = previousAvg > 0 ? ((recentAvg - previousAvg) / previousAvg) * 100 : recentAvg > 0 ? 999 : 0;
+
+  return {
+    direction: change > 0 ? "increasing" : change < 0 ? "decreasing" : "stable",
+    percentage_change: change.toFixed(2),
+    recent_avg: parseFloat(recentAvg.toFixed(2)),
+    previous_avg: parseFloat(previousAvg.toFixed(2))
+  };
+}
+
+export default {
+  name: "analyze_311_trends",
+  description:
+    "Identify trends in 311 complaints over time using server-side aggregation. Groups by day, week, or month and compares recent periods with earlier ones.",
+  inputSchema: z.object({
+    complaint_type: z.string().max(200).optional(),
+    borough: boroughSchema.optional(),
+    group_by: z.enum(["day", "week", "month"]).default("day"),
+    days: z.number().int().min(1).max(365).default(90)
+  }),
+  async handler({ complaint_type, borough, group_by, days }: TrendsArgs) {
+    const window = windowForDays(days);
+
+    // SoQL has no week truncation, so aggregate per day on the server and fold days into weeks here.
+    const trunc = group_by === "month" ? "date_trunc_ym" : "date_trunc_ymd";
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.NYC_311.id, {
+        select: `${trunc}(created_date) AS period, complaint_type, COUNT(*) AS count`,
+        where: [
+          compare("created_date", ">=", soqlTimestamp(window.start)),
+          compare("created_date", "<=", soqlTimestamp(window.end)),
+          complaint_type && eq("complaint_type", complaint_type),
+          borough && boroughClause(DATASETS.NYC_311, borough)
+        ],
+        group: "period, complaint_type",
+        order: "period ASC",
+        limit: 50000
+      })
+    );
+
+    const periods = new Map<string, Period>();
+    const typeTotals: Record<string, number> = {};
+    for (const row of rows) {
+      const key = periodKey(String(row.period).slice(0, 10), group_by);
+      const count = parseInt(row.count, 10);
+      const period = periods.get(key) ?? { period: key, count: 0, types: {} };
+      period.count += count;
+      period.types[row.complaint_type] = (period.types[row.complaint_type] || 0) + count;
+      periods.set(key, period);
+      typeTotals[row.complaint_type] = (typeTotals[row.complaint_type] || 0) + count;
+    }
+
+    const timeline = [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(p => ({
+        period: p.period,
+        count: p.count,
+        top_types: Object.entries(p.types)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([type, count]) => ({ type, count }))
+      }));
+
+    const envelope = createSuccessEnvelope({
+      source: DATA_SOURCES.NYC_311,
+      eventType: EVENT_TYPES.TREND_ANALYSIS,
+      window,
+      count: timeline.reduce((sum, p) => sum + p.count, 0),
+      records: timeline,
+      meta: {
+        group_by,
+        borough: borough || "ALL",
+        complaint_type: complaint_type || "ALL",
+        trend: calculateTrend(timeline),
+        top_types: Object.entries(typeTotals)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([type, count]) => ({ type, count })),
+        periods_returned: timeline.length,
+        aggregation: "server_side"
+      }
+    });
+    envelope.insights = generate311TrendsInsights(envelope);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights(envelope.insights)
+        }
+      ],
+      structuredContent: envelope
+    };
+  }
+};
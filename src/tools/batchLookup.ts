@@ -0,0 +1,235 @@
+import { z } from "zod";
+import { fetchRows, Fetched, rateLimit, mapConcurrent, RATE_LIMITS } from "../utils/http.js";
+import { socrataUrl, inList } from "../utils/soql.js";
+import { parseBBL, parseBIN } from "../utils/identifiers.js";
+import { chunk } from "../utils/aggregate.js";
+import { parseDobDate, formatInsights } from "../utils/insights.js";
+import { PAGE_LIMITS } from "../utils/pagination.js";
+import { geosearch } from "../utils/geosearch.js";
+import { DATASETS, DatasetInfo } from "../utils/datasets.js";
+
+/** Identifiers per `IN (...)` query; keeps URLs well under Socrata's length limit. */
+export const IDS_PER_QUERY = 50;
+/**
+ * One burst's worth of queries without an app token. `RATE_LIMITS` only caps how many requests are
+ * in flight; nothing paces them against `requests_per_day`, so this bounds a batch's Socrata queries.
+ */
+export const MAX_BATCH = RATE_LIMITS.without_token.burst_limit * IDS_PER_QUERY;
+
+type LookupKey = "bin" | "bbl";
+type BatchLookup = {
+  dataset: DatasetInfo;
+  key: LookupKey;
+  column: string;
+  /** The identifier column is numeric, so identifiers are sent as number literals. */
+  numeric?: boolean;
+  single?: boolean;
+  label: string;
+};
+
+/** The building tools a batch can stand in for, with the identifier column each is keyed on. */
+export const BATCH_LOOKUPS = {
+  pluto: { dataset: DATASETS.PLUTO, key: "bbl", column: DATASETS.PLUTO.bbl_column, numeric: true, single: true, label: "PLUTO record" },
+  dob_violations: { dataset: DATASETS.DOB_VIOLATIONS, key: "bin", column: DATASETS.DOB_VIOLATIONS.bin_column, label: "DOB violations" },
+  dob_job_applications: { dataset: DATASETS.DOB_JOBS, key: "bin", column: DATASETS.DOB_JOBS.bin_column, label: "DOB job filings" },
+  fisp_filings: { dataset: DATASETS.FISP, key: "bin", column: DATASETS.FISP.bin_column, label: "FISP filings" },
+  landmark_status: { dataset: DATASETS.LANDMARKS, key: "bin", column: DATASETS.LANDMARKS.bin_column, label: "landmark records" },
+  building_footprints: { dataset: DATASETS.FOOTPRINTS, key: "bin", column: DATASETS.FOOTPRINTS.bin_column, label: "footprints" },
+  hpd_violations: { dataset: DATASETS.HPD_VIOLATIONS, key: "bbl", column: DATASETS.HPD_VIOLATIONS.bbl_column, label: "HPD violations" },
+  hpd_complaints: { dataset: DATASETS.HPD_COMPLAINTS, key: "bbl", column: DATASETS.HPD_COMPLAINTS.bbl_column, label: "HPD complaints" }
+} satisfies Record<string, BatchLookup>;
+
+export type BatchLookupName = keyof typeof BATCH_LOOKUPS;
+
+/** One requested identifier: the canonical BIN/BBL it resolved to, or why it could not be. */
+export type BatchItem = { input: string; id: string | null; label?: string; error?: string };
+
+export type BatchResult = { id: string | null; label?: string } & (
+  | { ok: true; count: number; rows: any[]; truncated: boolean }
+  | { ok: false; error: string }
+);
+
+export type ChunkResult = { ids: string[]; result: Fetched };
+
+/** Canonical BIN or BBL for a raw value, or undefined when it is not one. */
+export function canonicalId(key: LookupKey, value: unknown): string | undefined {
+  if (value === undefined || value === null || value === "") return undefined;
+  try {
+    return key === "bbl" ? parseBBL(String(value)).bbl : parseBIN(String(value)).bin;
+  } catch {
+    return undefined;
+  }
+}
+
+function identifierItem(key: LookupKey, input: string): BatchItem {
+  try {
+    return { input, id: key === "bbl" ? parseBBL(input).bbl : parseBIN(input).bin };
+  } catch (err) {
+    return { input, id: null, error: (err as Error).message };
+  }
+}
+
+async function addressItem(key: LookupKey, address: string): Promise<BatchItem> {
+  try {
+    const [match] = await geosearch(address);
+    const id = canonicalId(key, match?.[key]);
+    return id
+      ? { input: address, id, label: match.label }
+      : { input: address, id: null, error: `Could not resolve address "${address}" to a ${key.toUpperCase()}` };
+  } catch (err) {
+    return { input: address, id: null, error: `Address lookup failed: ${(err as Error).message}` };
+  }
+}
+
+/** Newest first by the dataset's date column, parsed so MM/DD/YYYY text sorts as a date; undated rows last. */
+function newestFirst(lookup: BatchLookup, rows: any[]): any[] {
+  const column = lookup.dataset.date_column;
+  if (!column) return rows;
+  const time = (row: any) => parseDobDate(row?.[column])?.getTime() ?? -Infinity;
+  return [...rows].sort((a, b) => time(b) - time(a) || 0);
+}
+
+/**
+ * Split each chunk's rows back out by identifier, newest first. Chunks are ordered by identifier,
+ * so when a chunk hits the row limit only the identifiers at or after its last row can be incomplete.
+ */
+export function assembleBatch(
+  lookup: BatchLookup,
+  items: BatchItem[],
+  chunks: ChunkResult[],
+  { queryLimit, limitPerItem }: { queryLimit: number; limitPerItem: number }
+): Record<string, BatchResult> {
+  const rowsById = new Map<string, any[]>();
+  const failed = new Map<string, string>();
+  const incomplete = new Set<string>();
+
+  for (const { ids, result } of chunks) {
+    if (!result.ok) {
+      for (const id of ids) failed.set(id, result.error);
+      continue;
+    }
+    for (const row of result.rows) {
+      const id = canonicalId(lookup.key, row?.[lookup.column]);
+      if (id) rowsById.set(id, [...(rowsById.get(id) ?? []), row]);
+    }
+    if (result.rows.length >= queryLimit) {
+      const last = canonicalId(lookup.key, result.rows[result.rows.length - 1]?.[lookup.column]);
+      for (const id of ids) if (!last || id >= last) incomplete.add(id);
+    }
+  }
+
+  const results: Record<string, BatchResult> = {};
+  for (const item of items) {
+    const base = { id: item.id, ...(item.label ? { label: item.label } : {}) };
+    if (!item.id) {
+      results[item.input] = { ...base, ok: false, error: item.error ?? "Unresolved identifier" };
+      continue;
+    }
+    const error = failed.get(item.id);
+    if (error) {
+      results[item.input] = { ...base, ok: false, error };
+      continue;
+    }
+    const rows = newestFirst(lookup, rowsById.get(item.id) ?? []);
+    if (rows.length === 0 && lookup.single && !incomplete.has(item.id)) {
+      results[item.input] = { ...base, ok: false, error: `No ${lookup.label} for ${lookup.key.toUpperCase()} ${item.id}` };
+      continue;
+    }
+    results[item.input] = {
+      ...base,
+      ok: true,
+      count: rows.length,
+      rows: rows.slice(0, limitPerItem),
+      truncated: incomplete.has(item.id) || rows.length > limitPerItem
+    };
+  }
+  return results;
+}
+
+type BatchLookupArgs = {
+  lookup: BatchLookupName;
+  bins?: string[];
+  bbls?: string[];
+  addresses?: string[];
+  limit_per_item: number;
+};
+
+const identifierList = (what: string) =>
+  z.array(z.string().trim().min(1)).min(1).max(MAX_BATCH).optional().describe(`Up to ${MAX_BATCH} ${what}`);
+
+export default {
+  name: "batch_lookup",
+  description:
+    "Run a building lookup (PLUTO, DOB violations, DOB job filings, FISP filings, landmark status, footprints, HPD violations or complaints) for a list of BINs, BBLs or addresses at once. Identifiers are combined into IN (...) queries, at most the Socrata burst limit in flight at once (requests are not paced against the daily quota, so a full batch of addresses makes one GeoSearch call each); results are keyed by the identifier as given, with per-item errors for identifiers that are invalid, unresolved or failed.",
+  inputSchema: z.object({
+    lookup: z.enum(Object.keys(BATCH_LOOKUPS) as [BatchLookupName, ...BatchLookupName[]]),
+    bins: identifierList("BINs"),
+    bbls: identifierList("BBLs"),
+    addresses: identifierList("addresses, each resolved with GeoSearch"),
+    limit_per_item: z.number().int().min(1).max(1000).default(100).describe("Rows returned per identifier")
+  }),
+  async handler({ lookup: name, bins, bbls, addresses, limit_per_item }: BatchLookupArgs) {
+    const lookup: BatchLookup = BATCH_LOOKUPS[name];
+    const given = [bins && "bins", bbls && "bbls", addresses && "addresses"].filter(Boolean);
+    if (given.length !== 1) {
+      throw new Error("Provide exactly one of bins, bbls or addresses");
+    }
+    const ids = lookup.key === "bin" ? bins : bbls;
+    if (!addresses && !ids) {
+      throw new Error(`${name} is keyed by ${lookup.key.toUpperCase()}; pass ${lookup.key}s or addresses`);
+    }
+
+    const limits = rateLimit();
+    const inputs = [...new Set((addresses ?? ids)!)];
+    // GeoSearch publishes no limits of its own, so address lookups keep to the token-less burst.
+    const items = addresses
+      ? await mapConcurrent(inputs, RATE_LIMITS.without_token.burst_limit, address => addressItem(lookup.key, address))
+      : inputs.map(input => identifierItem(lookup.key, input));
+
+    const unique = [...new Set(items.map(item => item.id).filter((id): id is string => id !== null))].sort();
+    const queryLimit = PAGE_LIMITS.max_limit;
+    const chunks = await mapConcurrent(chunk(unique, IDS_PER_QUERY), limits.burst_limit, async group => ({
+      ids: group,
+      result: await fetchRows(
+        // Ordered by identifier only: some date columns (DOB job filings' pre__filing_date) are
+        // MM/DD/YYYY text that SoQL would sort as strings, so assembleBatch sorts by date instead.
+        socrataUrl(lookup.dataset.id, {
+          where: inList(lookup.column, lookup.numeric ? group.map(Number) : group),
+          order: lookup.column,
+          limit: queryLimit
+        })
+      )
+    }));
+    const results = assembleBatch(lookup, items, chunks, { queryLimit, limitPerItem: limit_per_item });
+
+    const entries = Object.entries(results);
+    const errors = entries.filter(([, r]) => !r.ok) as Array<[string, BatchResult & { ok: false }]>;
+    const found = entries.filter(([, r]) => r.ok && r.count > 0).length;
+    const truncated = entries.filter(([, r]) => r.ok && r.truncated).length;
+    const takeaways = [
+      `${found} with ${lookup.label}, ${entries.length - found - errors.length} with none, ${errors.length} failed`,
+      `${chunks.length} Socrata quer${chunks.length === 1 ? "y" : "ies"} of up to ${IDS_PER_QUERY} identifiers (burst limit ${limits.burst_limit})`,
+      ...errors.slice(0, 10).map(([input, r]) => `${input}: ${r.error}`),
+      ...(errors.length > 10 ? [`…and ${errors.length - 10} more errors`] : []),
+      ...(truncated ? [`${truncated} result${truncated === 1 ? "" : "s"} truncated; raise limit_per_item or look those up individually`] : [])
+    ];
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `Batch ${name} for ${entries.length} identifier${entries.length === 1 ? "" : "s"}`,
+            takeaways
+          })
+        }
+      ],
+      structuredContent: {
+        lookup: name,
+        source: lookup.dataset.source,
+        requests: chunks.length,
+        results
+      }
+    };
+  }
+};
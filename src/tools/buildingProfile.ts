@@ -0,0 +1,141 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { bblSchema, binSchema, parseBBL, parseBIN } from "../utils/identifiers.js";
+import { formatInsights } from "../utils/insights.js";
+import { geosearch } from "../utils/geosearch.js";
+import pluto from "./pluto.js";
+import dobJobs from "./dobJobApplications.js";
+import dobViolations from "./dobViolations.js";
+import fisp from "./fisp.js";
+import landmarks from "./landmarks.js";
+import footprints from "./footprints.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type BuildingProfileArgs = { address?: string; bbl?: string; bin?: string };
+
+type Section = { ok: true; data: any; summary: string } | { ok: false; error: string };
+
+const SECTION_TITLES: Record<string, string> = {
+  pluto: "PLUTO",
+  dob_job_applications: "DOB jobs",
+  dob_violations: "DOB violations",
+  fisp_filings: "FISP",
+  landmark_status: "Landmark",
+  building_footprint: "Footprint"
+};
+
+export type ResolvedBuilding = {
+  bbl: string | null;
+  bin: string | null;
+  label: string | null;
+};
+
+/** Identifiers from GeoSearch and the footprint data can be blank or placeholder BINs. */
+function usable<T>(parse: (value: string) => T, value: string | undefined | null): T | undefined {
+  if (!value) return undefined;
+  try {
+    return parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+export async function resolveBuilding({ address, bbl, bin }: BuildingProfileArgs): Promise<ResolvedBuilding> {
+  let label: string | null = null;
+
+  if (address && (!bbl || !bin)) {
+    const [match] = await geosearch(address);
+    if (!match) {
+      throw new Error(`No GeoSearch match for address: ${address}`);
+    }
+    label = match.label ?? null;
+    bbl = bbl || usable(v => parseBBL(v).bbl, match.bbl);
+    bin = bin || usable(v => parseBIN(v).bin, match.bin);
+  }
+
+  // Fill in whichever identifier is missing from the footprint dataset, which carries both.
+  if (bbl && !bin) {
+    const rows: any[] = await getJSON(socrataUrl(DATASETS.FOOTPRINTS.id, { filters: { base_bbl: bbl }, limit: 1 }));
+    bin = usable(v => parseBIN(v).bin, rows[0]?.bin);
+  } else if (bin && !bbl) {
+    const rows: any[] = await getJSON(socrataUrl(DATASETS.FOOTPRINTS.id, { filters: { bin }, limit: 1 }));
+    bbl = usable(v => parseBBL(v).bbl, rows[0]?.base_bbl);
+  }
+
+  return { bbl: bbl || null, bin: bin || null, label };
+}
+
+async function section(
+  run: () => Promise<{ content: Array<{ text: string }>; structuredContent: any }>
+): Promise<Section> {
+  try {
+    const result = await run();
+    // Each tool's text starts with its headline; the profile lists those one per section.
+    const headline = result.content[0]?.text.split("\n")[0] ?? "";
+    return { ok: true, data: result.structuredContent, summary: headline };
+  } catch (err) {
+    return { ok: false, error: err instanceof Error ? err.message : String(err) };
+  }
+}
+
+function missing(identifier: string): Promise<Section> {
+  return Promise.resolve({ ok: false, error: `No ${identifier} available for this building` });
+}
+
+export default {
+  name: "get_building_profile",
+  description:
+    "Retrieve a merged building profile (PLUTO, DOB jobs and violations, FISP, landmark status, footprint) from an address, BBL, or BIN.",
+  inputSchema: z.object({
+    address: z.string().optional(),
+    bbl: bblSchema.optional(),
+    bin: binSchema.optional()
+  }),
+  async handler(args: BuildingProfileArgs) {
+    if (!args.address && !args.bbl && !args.bin) {
+      throw new Error("Provide at least one of address, bbl, or bin");
+    }
+
+    const { bbl, bin, label } = await resolveBuilding(args);
+
+    const [plutoSection, jobsSection, violationsSection, fispSection, landmarkSection, footprintSection] =
+      await Promise.all([
+        bbl ? section(() => pluto.handler({ bbl })) : missing("BBL"),
+        bin ? section(() => dobJobs.handler({ bin })) : missing("BIN"),
+        bin ? section(() => dobViolations.handler({ bin })) : missing("BIN"),
+        bin ? section(() => fisp.handler({ bin })) : missing("BIN"),
+        bin ? section(() => landmarks.handler({ bin })) : missing("BIN"),
+        bin ? section(() => footprints.handler({ bin })) : missing("BIN")
+      ]);
+
+    const sections = {
+      pluto: plutoSection,
+      dob_job_applications: jobsSection,
+      dob_violations: violationsSection,
+      fisp_filings: fispSection,
+      landmark_status: landmarkSection,
+      building_footprint: footprintSection
+    };
+    const summary = formatInsights({
+      headline: `Building profile for BBL ${bbl ?? "unknown"} / BIN ${bin ?? "unknown"}${label ? ` (${label})` : ""}`,
+      takeaways: Object.entries(sections).map(
+        ([name, s]) => `${SECTION_TITLES[name]}: ${s.ok ? s.summary : `unavailable (${s.error})`}`
+      )
+    });
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: summary
+        }
+      ],
+      structuredContent: {
+        query: { address: args.address ?? null, bbl: args.bbl ?? null, bin: args.bin ?? null },
+        resolved: { bbl, bin, label },
+        sections
+      }
+    };
+  }
+};
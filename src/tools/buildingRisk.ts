@@ -0,0 +1,297 @@
+import { z } from "zod";
+import { fetchRows, Fetched } from "../utils/http.js";
+import { socrataUrl, eq, compare } from "../utils/soql.js";
+import { bblSchema, binSchema, parseBBL } from "../utils/identifiers.js";
+import { soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { isOpenDobViolation, latestFispFiling, formatInsights } from "../utils/insights.js";
+import { round } from "../utils/aggregate.js";
+import { DATASETS } from "../utils/datasets.js";
+import { hazardIndex } from "./hpdViolations.js";
+import { resolveBuilding } from "./buildingProfile.js";
+
+export const DEFAULT_WEIGHTS = {
+  dob_open_violations: 25,
+  hpd_class_c: 20,
+  hpd_hazard_index: 10,
+  fisp_status: 20,
+  complaints_311: 15,
+  building_age: 10
+};
+
+export type RiskFactor = keyof typeof DEFAULT_WEIGHTS;
+
+export type RiskWeights = Record<RiskFactor, number>;
+
+/** Rows per source; a source that could not be read drops out of the score. */
+export type RiskSignals = {
+  dob_violations: Fetched;
+  /** Open HPD violations only. */
+  hpd_violations: Fetched;
+  fisp_filings: Fetched;
+  /** 311 requests at the lot within the look-back window. */
+  complaints_311: Fetched;
+  pluto: Fetched;
+};
+
+export type FactorScore = {
+  factor: RiskFactor;
+  available: boolean;
+  weight: number;
+  /** Factor severity, 0 (none) to 1 (saturated). */
+  signal: number;
+  /** Points this factor adds to the 0-100 score. */
+  contribution: number;
+  detail: string;
+  dataset_id: string;
+  source_ids: string[];
+  error?: string;
+};
+
+/** Counts at which a count-based factor reaches its full weight. */
+const SATURATION = { dob_open_violations: 10, hpd_class_c: 5, complaints_311: 25 };
+
+/** Buildings this old or older score the full age weight. */
+const FULL_AGE_YEARS = 100;
+
+const MAX_ROWS = 5000;
+
+const FISP_SIGNALS: Array<[RegExp, number]> = [
+  [/UNSAFE/i, 1],
+  [/SWARMP|REPAIR/i, 0.5]
+];
+
+function ids(rows: any[], column: string): string[] {
+  return rows.map(r => r?.[column]).filter(id => id !== undefined && id !== null && id !== "").map(String);
+}
+
+function saturating(count: number, full: number): number {
+  return Math.min(count / full, 1);
+}
+
+type Measured = { signal: number; detail: string; source_ids: string[] };
+
+function measure(factor: RiskFactor, signals: RiskSignals, year: number): Measured | string {
+  switch (factor) {
+    case "dob_open_violations": {
+      if (!signals.dob_violations.ok) return signals.dob_violations.error;
+      const open = signals.dob_violations.rows.filter(isOpenDobViolation);
+      return {
+        signal: saturating(open.length, SATURATION.dob_open_violations),
+        detail: `${open.length} open DOB violation${open.length === 1 ? "" : "s"}`,
+        source_ids: ids(open, "isn_dob_bis_viol")
+      };
+    }
+    case "hpd_class_c": {
+      if (!signals.hpd_violations.ok) return signals.hpd_violations.error;
+      const classC = signals.hpd_violations.rows.filter(r => r.class === "C");
+      return {
+        signal: saturating(classC.length, SATURATION.hpd_class_c),
+        detail: `${classC.length} open class C (immediately hazardous) HPD violation${classC.length === 1 ? "" : "s"}`,
+        source_ids: ids(classC, "violationid")
+      };
+    }
+    case "hpd_hazard_index": {
+      if (!signals.hpd_violations.ok) return signals.hpd_violations.error;
+      const rows = signals.hpd_violations.rows;
+      const classCounts: Record<string, number> = {};
+      for (const row of rows) classCounts[row.class] = (classCounts[row.class] || 0) + 1;
+      const index = hazardIndex(classCounts);
+      return {
+        signal: index / 100,
+        detail: `Hazard index ${index} across ${rows.length} open HPD violation${rows.length === 1 ? "" : "s"}`,
+        source_ids: ids(rows, "violationid")
+      };
+    }
+    case "fisp_status": {
+      if (!signals.fisp_filings.ok) return signals.fisp_filings.error;
+      const current = latestFispFiling(signals.fisp_filings.rows);
+      if (!current) return { signal: 0, detail: "No FISP facade filings on record", source_ids: [] };
+      const status = current.status ?? "status not recorded";
+      const signal = FISP_SIGNALS.find(([pattern]) => pattern.test(status))?.[1] ?? 0;
+      return {
+        signal,
+        detail: `Latest FISP cycle ${current.cycle || "unknown"}: ${status}`,
+        source_ids: ids([current.latest], "tr6_no")
+      };
+    }
+    case "complaints_311": {
+      if (!signals.complaints_311.ok) return signals.complaints_311.error;
+      const rows = signals.complaints_311.rows;
+      return {
+        signal: saturating(rows.length, SATURATION.complaints_311),
+        detail: `${rows.length} recent 311 request${rows.length === 1 ? "" : "s"} at the lot`,
+        source_ids: ids(rows, "unique_key")
+      };
+    }
+    case "building_age": {
+      if (!signals.pluto.ok) return signals.pluto.error;
+      const [record] = signals.pluto.rows;
+      const built = parseInt(record?.yearbuilt ?? "", 10);
+      if (!built) return "Year built not recorded in PLUTO";
+      const age = Math.max(year - built, 0);
+      return {
+        signal: saturating(age, FULL_AGE_YEARS),
+        detail: `Built ${built} (${age} years old)`,
+        source_ids: [String(record.bbl).split(".")[0]]
+      };
+    }
+  }
+}
+
+const FACTOR_DATASETS: Record<RiskFactor, string> = {
+  dob_open_violations: DATASETS.DOB_VIOLATIONS.id,
+  hpd_class_c: DATASETS.HPD_VIOLATIONS.id,
+  hpd_hazard_index: DATASETS.HPD_VIOLATIONS.id,
+  fisp_status: DATASETS.FISP.id,
+  complaints_311: DATASETS.NYC_311.id,
+  building_age: DATASETS.PLUTO.id
+};
+
+/**
+ * Weighted 0-100 risk score. Each factor's severity (0-1) is multiplied by its weight; factors whose
+ * source failed are left out and the rest are rescaled, so `coverage` says how much weight was scored.
+ */
+export function scoreRisk(signals: RiskSignals, weights: RiskWeights = DEFAULT_WEIGHTS, year = new Date().getFullYear()) {
+  const measured = (Object.keys(DEFAULT_WEIGHTS) as RiskFactor[]).map(factor => ({
+    factor,
+    result: measure(factor, signals, year)
+  }));
+  const totalWeight = measured.reduce((sum, m) => sum + weights[m.factor], 0);
+  const scoredWeight = measured.reduce((sum, m) => sum + (typeof m.result === "string" ? 0 : weights[m.factor]), 0);
+
+  const factors: FactorScore[] = measured.map(({ factor, result }) => {
+    const base = { factor, weight: weights[factor], dataset_id: FACTOR_DATASETS[factor] };
+    if (typeof result === "string") {
+      return { ...base, available: false, signal: 0, contribution: 0, detail: "Unavailable", source_ids: [], error: result };
+    }
+    const contribution = scoredWeight > 0 ? (weights[factor] * result.signal * 100) / scoredWeight : 0;
+    return { ...base, available: true, ...result, signal: round(result.signal, 3), contribution: round(contribution, 1) };
+  });
+
+  const score = round(factors.reduce((sum, f) => sum + f.contribution, 0), 1);
+  return {
+    score,
+    level: riskLevel(score),
+    coverage: totalWeight > 0 ? round(scoredWeight / totalWeight, 3) : 0,
+    factors
+  };
+}
+
+export function riskLevel(score: number): "low" | "moderate" | "elevated" | "high" {
+  return score < 25 ? "low" : score < 50 ? "moderate" : score < 75 ? "elevated" : "high";
+}
+
+function missing(identifier: string): Promise<Fetched> {
+  return Promise.resolve({ ok: false, error: `No ${identifier} available for this building` });
+}
+
+const weightSchema = z.number().min(0).max(100).optional();
+
+type BuildingRiskArgs = { bin?: string; bbl?: string; weights?: Partial<RiskWeights>; days: number };
+
+export default {
+  name: "score_building_risk",
+  description:
+    "Score a building's risk 0-100 from a BIN or BBL, combining open DOB violations, open HPD class C violations and hazard index, latest FISP facade status (SWARMP/UNSAFE), recent 311 requests at the lot, and building age from PLUTO. Weights are configurable; the result breaks the score into per-factor contributions with the source record IDs behind each.",
+  inputSchema: z.object({
+    bin: binSchema.optional(),
+    bbl: bblSchema.optional(),
+    weights: z
+      .object({
+        dob_open_violations: weightSchema,
+        hpd_class_c: weightSchema,
+        hpd_hazard_index: weightSchema,
+        fisp_status: weightSchema,
+        complaints_311: weightSchema,
+        building_age: weightSchema
+      })
+      .optional()
+      .describe(`Relative factor weights; omitted factors keep their defaults (${Object.entries(DEFAULT_WEIGHTS).map(([f, w]) => `${f}=${w}`).join(", ")})`),
+    days: z.number().int().min(1).max(3650).default(365).describe("Look-back window for 311 requests")
+  }),
+  async handler({ bin: binArg, bbl: bblArg, weights: overrides, days }: BuildingRiskArgs) {
+    if (!binArg && !bblArg) {
+      throw new Error("Provide a bin or bbl");
+    }
+    const weights: RiskWeights = { ...DEFAULT_WEIGHTS };
+    for (const [factor, weight] of Object.entries(overrides ?? {})) {
+      if (weight !== undefined) weights[factor as RiskFactor] = weight;
+    }
+    if (Object.values(weights).every(w => w === 0)) {
+      throw new Error("At least one weight must be greater than 0");
+    }
+
+    const { bbl, bin } = await resolveBuilding({ bbl: bblArg, bin: binArg });
+    const window = windowForDays(days);
+    const lot = bbl ? parseBBL(bbl) : undefined;
+
+    const [dobRows, hpdRows, fispRows, complaintRows, plutoRows] = await Promise.all([
+      bin
+        ? fetchRows(
+            socrataUrl(DATASETS.DOB_VIOLATIONS.id, {
+              select: "isn_dob_bis_viol,violation_type,violation_category,issue_date",
+              filters: { bin },
+              limit: MAX_ROWS
+            })
+          )
+        : missing("BIN"),
+      bin
+        ? fetchRows(
+            socrataUrl(DATASETS.HPD_VIOLATIONS.id, {
+              select: "violationid,class,inspectiondate",
+              filters: { bin, violationstatus: "Open" },
+              limit: MAX_ROWS
+            })
+          )
+        : missing("BIN"),
+      bin ? fetchRows(socrataUrl(DATASETS.FISP.id, { filters: { bin }, limit: MAX_ROWS })) : missing("BIN"),
+      bbl
+        ? fetchRows(
+            socrataUrl(DATASETS.NYC_311.id, {
+              select: "unique_key,complaint_type,created_date",
+              where: [eq("bbl", bbl), compare("created_date", ">=", soqlTimestamp(window.start))],
+              limit: MAX_ROWS
+            })
+          )
+        : missing("BBL"),
+      lot
+        ? fetchRows(
+            socrataUrl(DATASETS.PLUTO.id, {
+              select: "bbl,yearbuilt",
+              filters: { borough: lot.borough_abbr, block: lot.block, lot: lot.lot },
+              limit: 1
+            })
+          )
+        : missing("BBL")
+    ]);
+
+    const result = scoreRisk(
+      { dob_violations: dobRows, hpd_violations: hpdRows, fisp_filings: fispRows, complaints_311: complaintRows, pluto: plutoRows },
+      weights
+    );
+    const takeaways = [...result.factors]
+      .sort((a, b) => b.contribution - a.contribution)
+      .map(f => `${f.factor}: ${f.available ? `+${f.contribution} (${f.detail})` : `unavailable (${f.error})`}`);
+    if (result.coverage < 1) takeaways.push(`Scored on ${round(result.coverage * 100, 0)}% of the total weight`);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `Risk score ${result.score}/100 (${result.level}) for BIN ${bin ?? "unknown"} / BBL ${bbl ?? "unknown"}`,
+            takeaways
+          })
+        }
+      ],
+      structuredContent: {
+        query: { bin: binArg ?? null, bbl: bblArg ?? null, days },
+        resolved: { bin, bbl },
+        window,
+        weights,
+        ...result,
+        truncated: [dobRows, hpdRows, fispRows, complaintRows].some(r => r.ok && r.rows.length === MAX_ROWS)
+      }
+    };
+  }
+};
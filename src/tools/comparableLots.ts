@@ -0,0 +1,238 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, compare, literal, SoqlQuery } from "../utils/soql.js";
+import { bblSchema, parseBBL } from "../utils/identifiers.js";
+import { round } from "../utils/aggregate.js";
+import { formatInsights } from "../utils/insights.js";
+import { areaBounds, distanceFt, MAX_RADIUS_FT, SearchArea } from "../utils/spatial.js";
+import { DATASETS } from "../utils/datasets.js";
+
+const FIELDS = [
+  "bbl",
+  "address",
+  "borough",
+  "cd",
+  "zonedist1",
+  "lotarea",
+  "bldgarea",
+  "bldgclass",
+  "yearbuilt",
+  "numfloors",
+  "unitsres",
+  "builtfar",
+  "latitude",
+  "longitude"
+];
+
+/** Relative weight of each factor in the similarity score; distance only counts in radius scope. */
+const FACTOR_WEIGHTS = { lot_area: 0.4, building_class: 0.3, year_built: 0.2, distance: 0.1 };
+
+/** Candidates pulled per comparable requested, for re-scoring locally. */
+const POOL_FACTOR = 10;
+const MAX_POOL = 500;
+
+export type ComparableOptions = {
+  scope: "community_district" | "radius";
+  radius_ft: number;
+  /** Accepted lot area difference as a fraction of the subject's (0.25 = ±25%). */
+  lot_area_tolerance: number;
+  /** Accepted year built difference, in years. */
+  year_tolerance: number;
+};
+
+type Lot = {
+  bbl: string;
+  lotarea: number;
+  yearbuilt: number;
+  bldgclass: string;
+  zonedist1: string;
+  cd: string;
+  latitude: number;
+  longitude: number;
+};
+
+function lot(record: any): Lot {
+  return {
+    bbl: String(record?.bbl ?? "").split(".")[0],
+    lotarea: parseFloat(record?.lotarea) || 0,
+    yearbuilt: parseInt(record?.yearbuilt, 10) || 0,
+    bldgclass: String(record?.bldgclass ?? "").trim(),
+    zonedist1: String(record?.zonedist1 ?? "").trim(),
+    cd: String(record?.cd ?? "").trim(),
+    latitude: parseFloat(record?.latitude),
+    longitude: parseFloat(record?.longitude)
+  };
+}
+
+function radiusArea(subject: Lot, radiusFt: number): SearchArea {
+  return { type: "circle", latitude: subject.latitude, longitude: subject.longitude, radius_ft: radiusFt, address: null };
+}
+
+/**
+ * Server-side part of the search: same zoning district, lot area and year built within tolerance,
+ * same community district or inside the radius's bounding box, ordered by building class match
+ * (exact, then same class family) and then closeness of lot area.
+ */
+export function comparableQuery(record: any, options: ComparableOptions, limit: number): SoqlQuery {
+  const subject = lot(record);
+  const [minLon, minLat, maxLon, maxLat] =
+    options.scope === "radius" ? areaBounds(radiusArea(subject, options.radius_ft)) : [0, 0, 0, 0];
+  const classOrder = subject.bldgclass
+    ? `case(bldgclass = ${literal(subject.bldgclass)}, 0, bldgclass like ${literal(`${subject.bldgclass[0]}%`)}, 1, true, 2)`
+    : undefined;
+  return {
+    select: FIELDS,
+    where: [
+      eq("zonedist1", subject.zonedist1),
+      compare("lotarea", ">=", Math.floor(subject.lotarea * (1 - options.lot_area_tolerance))),
+      compare("lotarea", "<=", Math.ceil(subject.lotarea * (1 + options.lot_area_tolerance))),
+      subject.yearbuilt > 0 && compare("yearbuilt", ">=", subject.yearbuilt - options.year_tolerance),
+      subject.yearbuilt > 0 && compare("yearbuilt", "<=", subject.yearbuilt + options.year_tolerance),
+      options.scope === "community_district" && eq("cd", Number(subject.cd)),
+      options.scope === "radius" && compare("latitude", ">=", minLat),
+      options.scope === "radius" && compare("latitude", "<=", maxLat),
+      options.scope === "radius" && compare("longitude", ">=", minLon),
+      options.scope === "radius" && compare("longitude", "<=", maxLon)
+    ],
+    order: [classOrder, `(lotarea - ${subject.lotarea}) * (lotarea - ${subject.lotarea})`].filter((o): o is string => Boolean(o)),
+    limit
+  };
+}
+
+export type Comparable = {
+  bbl: string;
+  address: string | null;
+  similarity: number;
+  /** Per-factor similarity, 0-1. */
+  components: Partial<Record<keyof typeof FACTOR_WEIGHTS, number>>;
+  /** Fields that drove the match: required matches plus factors at 0.75 similarity or better. */
+  matched_on: string[];
+  distance_ft: number | null;
+  record: Record<string, unknown>;
+};
+
+/** Similarity of a candidate to the subject, 0-100, with the per-factor breakdown. */
+export function scoreComparable(subjectRecord: any, candidateRecord: any, options: ComparableOptions): Comparable {
+  const subject = lot(subjectRecord);
+  const candidate = lot(candidateRecord);
+  const components: Comparable["components"] = {};
+
+  if (subject.lotarea > 0) {
+    const diff = Math.abs(candidate.lotarea - subject.lotarea) / (subject.lotarea * options.lot_area_tolerance);
+    components.lot_area = Math.max(0, 1 - diff);
+  }
+  if (subject.bldgclass) {
+    components.building_class =
+      candidate.bldgclass === subject.bldgclass ? 1 : candidate.bldgclass[0] === subject.bldgclass[0] ? 0.5 : 0;
+  }
+  if (subject.yearbuilt > 0 && candidate.yearbuilt > 0) {
+    components.year_built = Math.max(0, 1 - Math.abs(candidate.yearbuilt - subject.yearbuilt) / options.year_tolerance);
+  }
+  const located = [subject.latitude, subject.longitude, candidate.latitude, candidate.longitude].every(Number.isFinite);
+  const distance = located ? distanceFt(subject.latitude, subject.longitude, candidate.latitude, candidate.longitude) : null;
+  if (options.scope === "radius" && distance !== null) {
+    components.distance = Math.max(0, 1 - distance / options.radius_ft);
+  }
+
+  const factors = Object.entries(components) as Array<[keyof typeof FACTOR_WEIGHTS, number]>;
+  const totalWeight = factors.reduce((sum, [factor]) => sum + FACTOR_WEIGHTS[factor], 0);
+  const score = totalWeight > 0 ? factors.reduce((sum, [factor, value]) => sum + FACTOR_WEIGHTS[factor] * value, 0) / totalWeight : 0;
+
+  const fields: Record<keyof typeof FACTOR_WEIGHTS, string> = {
+    lot_area: "lotarea",
+    building_class: "bldgclass",
+    year_built: "yearbuilt",
+    distance: "distance"
+  };
+  const matchedOn = [
+    "zonedist1",
+    ...(options.scope === "community_district" ? ["cd"] : []),
+    ...factors.filter(([, value]) => value >= 0.75).map(([factor]) => fields[factor])
+  ];
+
+  return {
+    bbl: candidate.bbl,
+    address: candidateRecord?.address ?? null,
+    similarity: round(score * 100, 1),
+    components: Object.fromEntries(factors.map(([factor, value]) => [factor, round(value, 3)])),
+    matched_on: matchedOn,
+    distance_ft: distance === null ? null : Math.round(distance),
+    record: candidateRecord
+  };
+}
+
+/** Score, drop the subject and anything outside the radius, and keep the top `limit`. */
+export function rankComparables(subjectRecord: any, candidates: any[], options: ComparableOptions, limit: number): Comparable[] {
+  const subjectBbl = lot(subjectRecord).bbl;
+  return candidates
+    .map(candidate => scoreComparable(subjectRecord, candidate, options))
+    .filter(c => c.bbl !== subjectBbl)
+    .filter(c => options.scope !== "radius" || (c.distance_ft !== null && c.distance_ft <= options.radius_ft))
+    .sort((a, b) => b.similarity - a.similarity || (a.distance_ft ?? Infinity) - (b.distance_ft ?? Infinity))
+    .slice(0, limit);
+}
+
+type ComparableLotsArgs = ComparableOptions & { bbl: string; limit: number };
+
+export default {
+  name: "find_comparable_lots",
+  description:
+    "Find PLUTO lots comparable to a BBL: same zoning district, similar lot area, building class and year built, within the same community district or a radius. Filtering and first-pass ranking run in SoQL; returns the top N with a 0-100 similarity score and the fields that drove each match.",
+  inputSchema: z.object({
+    bbl: bblSchema,
+    scope: z.enum(["community_district", "radius"]).default("community_district"),
+    radius_ft: z.number().positive().max(MAX_RADIUS_FT).default(2640).describe("Search radius when scope is radius"),
+    lot_area_tolerance: z.number().min(0.05).max(1).default(0.25).describe("Accepted lot area difference as a fraction (0.25 = ±25%)"),
+    year_tolerance: z.number().int().min(1).max(100).default(20).describe("Accepted year built difference in years"),
+    limit: z.number().int().min(1).max(50).default(10)
+  }),
+  async handler({ bbl, limit, ...options }: ComparableLotsArgs) {
+    const parts = parseBBL(bbl);
+    const [subject]: any[] = await getJSON(
+      socrataUrl(DATASETS.PLUTO.id, {
+        select: FIELDS,
+        filters: { borough: parts.borough_abbr, block: parts.block, lot: parts.lot },
+        limit: 1
+      })
+    );
+    if (!subject) {
+      throw new Error(`No PLUTO record for BBL ${parts.bbl}`);
+    }
+    const { zonedist1, lotarea, cd, latitude, longitude } = lot(subject);
+    if (!zonedist1 || !(lotarea > 0)) {
+      throw new Error(`BBL ${parts.bbl} has no zoning district or lot area in PLUTO to compare on`);
+    }
+    if (options.scope === "community_district" && !cd) {
+      throw new Error(`BBL ${parts.bbl} has no community district in PLUTO; use scope "radius"`);
+    }
+    if (options.scope === "radius" && !(Number.isFinite(latitude) && Number.isFinite(longitude))) {
+      throw new Error(`BBL ${parts.bbl} has no location in PLUTO; use scope "community_district"`);
+    }
+
+    const pool = Math.min(limit * POOL_FACTOR, MAX_POOL);
+    const candidates: any[] = await getJSON(socrataUrl(DATASETS.PLUTO.id, comparableQuery(subject, options, pool)));
+    const comparables = rankComparables(subject, candidates, options, limit);
+
+    const where = options.scope === "radius" ? `within ${options.radius_ft.toLocaleString()} ft` : `in community district ${cd}`;
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `${comparables.length} comparable ${zonedist1} lot${comparables.length === 1 ? "" : "s"} ${where} for BBL ${parts.bbl}`,
+            takeaways: comparables.map(
+              c => `${c.address ?? c.bbl} (BBL ${c.bbl}): similarity ${c.similarity}, matched on ${c.matched_on.join(", ")}`
+            )
+          })
+        }
+      ],
+      structuredContent: {
+        subject,
+        criteria: { ...options, zonedist1, lot_area_range: [Math.floor(lotarea * (1 - options.lot_area_tolerance)), Math.ceil(lotarea * (1 + options.lot_area_tolerance))] },
+        candidates_considered: candidates.length,
+        truncated: candidates.length === pool,
+        comparables
+      }
+    };
+  }
+};
@@ -0,0 +1,54 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, contains } from "../utils/soql.js";
+import { enrichWithVerification } from "../utils/verification.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type ContractsArgs = { agency?: string; vendor?: string; limit: number };
+
+export default {
+  name: "search_comptroller_contracts",
+  description: "Search City Record contract awards by agency and vendor, newest first.",
+  inputSchema: z.object({
+    agency: z.string().max(200).optional().describe("Substring of the agency name"),
+    vendor: z.string().max(200).optional().describe("Substring of the vendor name"),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler(args: ContractsArgs) {
+    const { agency, vendor, limit } = args;
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.COMPTROLLER_CONTRACTS.id, {
+        where: [agency && contains("agency_name", agency), vendor && contains("vendor_name", vendor)],
+        order: "start_date DESC",
+        limit
+      })
+    );
+
+    const contracts = rows.map(c => ({
+      pin: c.pin,
+      agency_name: c.agency_name,
+      vendor_name: c.vendor_name,
+      vendor_address: c.vendor_address,
+      start_date: c.start_date,
+      end_date: c.end_date,
+      contract_amount: c.contract_amount ? parseFloat(c.contract_amount) : null,
+      short_title: c.short_title,
+      category_description: c.category_description,
+      type_of_notice_description: c.type_of_notice_description,
+      selection_method_description: c.selection_method_description,
+      contact_name: c.contact_name,
+      email: c.email
+    }));
+    const total = contracts.reduce((sum, c) => sum + (c.contract_amount ?? 0), 0);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${contracts.length} contracts${vendor ? ` with vendors matching "${vendor}"` : ""}${agency ? ` at agencies matching "${agency}"` : ""}, $${total.toLocaleString(undefined, { maximumFractionDigits: 0 })} total`
+        }
+      ],
+      structuredContent: enrichWithVerification({ count: contracts.length, contracts }, DATASETS.COMPTROLLER_CONTRACTS.source, args)
+    };
+  }
+};
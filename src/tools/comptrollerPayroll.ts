@@ -0,0 +1,64 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, contains } from "../utils/soql.js";
+import { enrichWithVerification } from "../utils/verification.js";
+import { round } from "../utils/aggregate.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type PayrollArgs = { agency?: string; fiscal_year?: string; title?: string; limit: number };
+
+export default {
+  name: "get_comptroller_payroll",
+  description: "Get citywide payroll records by agency, fiscal year, and job title, highest base salary first.",
+  inputSchema: z.object({
+    agency: z.string().max(200).optional().describe("Substring of the agency name"),
+    fiscal_year: z.string().regex(/^\d{4}$/, "Fiscal year must be 4 digits").optional(),
+    title: z.string().max(200).optional().describe("Substring of the job title"),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler(args: PayrollArgs) {
+    const { agency, fiscal_year, title, limit } = args;
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.COMPTROLLER_PAYROLL.id, {
+        filters: { fiscal_year },
+        where: [agency && contains("agency_name", agency), title && contains("title_description", title)],
+        order: "base_salary DESC",
+        limit
+      })
+    );
+
+    const averageSalary = rows.length
+      ? round(rows.reduce((sum, p) => sum + (parseFloat(p.base_salary) || 0), 0) / rows.length)
+      : 0;
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} payroll records${title ? ` for titles matching "${title}"` : ""}${agency ? ` at agencies matching "${agency}"` : ""}, average base salary $${averageSalary.toLocaleString()}`
+        }
+      ],
+      structuredContent: enrichWithVerification(
+        {
+          count: rows.length,
+          average_salary: averageSalary,
+          payroll: rows.map(p => ({
+            fiscal_year: p.fiscal_year,
+            agency_name: p.agency_name,
+            last_name: p.last_name,
+            first_name: p.first_name,
+            mid_init: p.mid_init,
+            title_description: p.title_description,
+            base_salary: parseFloat(p.base_salary || 0),
+            pay_basis: p.pay_basis,
+            regular_hours: p.regular_hours,
+            regular_gross_paid: parseFloat(p.regular_gross_paid || 0),
+            total_gross_pay: parseFloat(p.total_gross_pay || 0)
+          }))
+        },
+        DATASETS.COMPTROLLER_PAYROLL.source,
+        args
+      )
+    };
+  }
+};
@@ -0,0 +1,67 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, compare, contains } from "../utils/soql.js";
+import { enrichWithVerification } from "../utils/verification.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type SpendingArgs = { agency?: string; min_amount?: number; max_amount?: number; fiscal_year?: string; limit: number };
+
+export default {
+  name: "search_comptroller_spending",
+  description:
+    "Search the NYC expense budget by agency, fiscal year, and amount. Shows budgeted amounts, not individual transactions.",
+  inputSchema: z.object({
+    agency: z.string().max(200).optional().describe("Substring of the agency name"),
+    min_amount: z.number().min(0).optional(),
+    max_amount: z.number().min(0).optional(),
+    fiscal_year: z.string().regex(/^\d{4}$/, "Fiscal year must be 4 digits").optional(),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler(args: SpendingArgs) {
+    const { agency, min_amount, max_amount, fiscal_year, limit } = args;
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.COMPTROLLER_SPENDING.id, {
+        filters: { fiscal_year },
+        where: [
+          agency && contains("agency_name", agency),
+          min_amount !== undefined && compare("current_modified_budget_amount", ">=", min_amount),
+          max_amount !== undefined && compare("current_modified_budget_amount", "<=", max_amount)
+        ],
+        order: "current_modified_budget_amount DESC",
+        limit
+      })
+    );
+
+    const totalBudget = rows.reduce((sum, s) => sum + (parseFloat(s.current_modified_budget_amount) || 0), 0);
+    const result = enrichWithVerification(
+      {
+        count: rows.length,
+        total_budget: totalBudget,
+        note: "This data shows budgeted amounts. For actual spending transactions, the Comptroller XML API may be needed.",
+        budget_items: rows.map(s => ({
+          fiscal_year: s.fiscal_year,
+          agency_name: s.agency_name,
+          unit_appropriation_name: s.unit_appropriation_name,
+          budget_code_name: s.budget_code_name,
+          object_code_name: s.object_code_name,
+          object_class_name: s.object_class_name,
+          adopted_budget_amount: parseFloat(s.adopted_budget_amount || 0),
+          current_modified_budget_amount: parseFloat(s.current_modified_budget_amount || 0),
+          financial_plan_amount: parseFloat(s.financial_plan_amount || 0)
+        }))
+      },
+      DATASETS.COMPTROLLER_SPENDING.source,
+      args
+    );
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} budget lines${agency ? ` for agencies matching "${agency}"` : ""}${fiscal_year ? ` in FY${fiscal_year}` : ""}, totaling $${totalBudget.toLocaleString(undefined, { maximumFractionDigits: 0 })} (modified budget)`
+        }
+      ],
+      structuredContent: result
+    };
+  }
+};
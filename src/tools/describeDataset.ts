@@ -0,0 +1,46 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { datasetIdSchema, datasetMetadata } from "../utils/catalog.js";
+import { formatInsights } from "../utils/insights.js";
+
+type DescribeDatasetArgs = { dataset_id: string };
+
+/** Total rows, or null for assets that can't be counted (maps, filtered views). */
+async function rowCount(datasetId: string): Promise<number | null> {
+  try {
+    const [row]: any[] = await getJSON(socrataUrl(datasetId, { select: "count(*) AS count" }));
+    const count = parseInt(row?.count, 10);
+    return Number.isFinite(count) ? count : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  name: "describe_dataset",
+  description:
+    "Describe any NYC Open Data dataset by ID: name, columns and their types, row count, and when the data and metadata were last updated. Use before query_dataset.",
+  inputSchema: z.object({
+    dataset_id: datasetIdSchema
+  }),
+  async handler({ dataset_id }: DescribeDatasetArgs) {
+    const [metadata, row_count] = await Promise.all([datasetMetadata(dataset_id), rowCount(dataset_id)]);
+
+    const takeaways = [
+      `${row_count === null ? "Unknown number of" : row_count.toLocaleString()} rows; data updated ${metadata.rows_updated_at?.split("T")[0] ?? "unknown"}`,
+      `${metadata.columns.length} columns: ${metadata.columns.map(c => `${c.field_name} (${c.type})`).join(", ")}`
+    ];
+    if (metadata.attribution) takeaways.unshift(`Published by ${metadata.attribution}`);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({ headline: `${metadata.name} (${dataset_id})`, takeaways })
+        }
+      ],
+      structuredContent: { ...metadata, row_count }
+    };
+  }
+};
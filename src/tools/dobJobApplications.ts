@@ -1,25 +1,36 @@
 import { z } from "zod";
-import { getJSON } from "../utils/http.js";
+import { binSchema } from "../utils/identifiers.js";
+import { fetchPaged, emptyPage, paginationShape, describePage, isPartialPage, PaginationArgs } from "../utils/pagination.js";
+import { summarizeDobJobs, formatInsights } from "../utils/insights.js";
+import { progressReporter, ToolExtra } from "../utils/progress.js";
+import { spatialShape, SpatialArgs, binScope } from "../utils/spatial.js";
+import { DATASETS } from "../utils/datasets.js";
 
-type DobJobArgs = { bin: string };
+type DobJobArgs = { bin?: string } & SpatialArgs & PaginationArgs;
 
 export default {
   name: "get_dob_job_applications",
-  description: "Retrieve DOB job application filings using BIN.",
+  description:
+    "Retrieve DOB job application filings using BIN, or for every building near a point or within a polygon. Paginated: use limit/offset or next_cursor, or fetch_all (up to max_records).",
   inputSchema: z.object({
-    bin: z.string()
+    bin: binSchema.optional(),
+    ...spatialShape,
+    ...paginationShape
   }),
-  async handler({ bin }: DobJobArgs) {
-    const url = `https://data.cityofnewyork.us/resource/ic3t-wcy2.json?bin__=${bin}`;
-    const data = await getJSON(url);
+  async handler({ bin, near, within, ...page }: DobJobArgs, extra?: ToolExtra) {
+    const { query, area } = await binScope("bin__", bin, { near, within });
+    // An area with no buildings matches nothing; there is no need to ask Socrata.
+    const { data, pagination } = query
+      ? await fetchPaged(DATASETS.DOB_JOBS.id, query, page, { onProgress: progressReporter(extra) })
+      : emptyPage(page);
     return {
       content: [
         {
           type: "text" as const,
-          text: "DOB job application filings returned"
+          text: formatInsights(summarizeDobJobs(data, describePage("DOB job application filings", pagination), isPartialPage(pagination)))
         }
       ],
-      structuredContent: { data }
+      structuredContent: area ? { data, pagination, area } : { data, pagination }
     };
   }
 };
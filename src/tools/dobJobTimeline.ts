@@ -0,0 +1,277 @@
+import { z } from "zod";
+import { fetchRows, Fetched } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { binSchema } from "../utils/identifiers.js";
+import { dateSchema } from "../utils/timeWindows.js";
+import { pick, parseDobDate, formatInsights } from "../utils/insights.js";
+import { DATASETS } from "../utils/datasets.js";
+
+export type Milestone = "filed" | "approved" | "permitted" | "signed_off";
+
+export type Stage = {
+  stage: "plan_review" | "awaiting_permit" | "construction";
+  from: Milestone;
+  to: Milestone;
+  started: string;
+  ended: string | null;
+  days: number;
+  /** Still in this stage as of the timeline date. */
+  open: boolean;
+};
+
+export type TimelineJob = {
+  job_number: string;
+  system: "BIS" | "DOB NOW";
+  job_type: string | null;
+  job_type_description: string | null;
+  status: string | null;
+  description: string | null;
+  documents: number;
+  milestones: Record<Milestone, string | null>;
+  stages: Stage[];
+  permits: Array<{ permit_si_no: string | null; permit_type: string | null; status: string | null; issued: string | null; expires: string | null }>;
+  /** Filed at least `stall_days` ago and never permitted or signed off. */
+  stalled: boolean;
+  permitted_without_signoff: boolean;
+};
+
+const MILESTONES: Milestone[] = ["filed", "approved", "permitted", "signed_off"];
+
+const STAGES: Array<[Stage["stage"], Milestone, Milestone]> = [
+  ["plan_review", "filed", "approved"],
+  ["awaiting_permit", "approved", "permitted"],
+  ["construction", "permitted", "signed_off"]
+];
+
+/** DOB NOW spells job types out; map them to the BIS codes. */
+const DOB_NOW_JOB_TYPES: Array<[RegExp, string]> = [
+  [/NEW BUILDING/i, "NB"],
+  [/ALTERATION CO/i, "A1"],
+  [/ALTERATION/i, "A2"],
+  [/DEMOLITION/i, "DM"],
+  [/SIGN/i, "SG"]
+];
+
+const BIS_JOB_TYPES: Record<string, string> = {
+  NB: "New Building",
+  A1: "Major alteration (changes use, egress or occupancy)",
+  A2: "Alteration (multiple work types, no change in use)",
+  A3: "Minor alteration (one work type)",
+  DM: "Demolition",
+  SG: "Sign",
+  PA: "Place of assembly"
+};
+
+const MAX_ROWS = 5000;
+const DAY_MS = 86400000;
+
+function day(value: string | undefined): string | null {
+  const date = parseDobDate(value);
+  return date ? date.toISOString().split("T")[0] : null;
+}
+
+function earliest(values: Array<string | null>): string | null {
+  return values.filter((v): v is string => Boolean(v)).sort()[0] ?? null;
+}
+
+function latest(values: Array<string | null>): string | null {
+  return values.filter((v): v is string => Boolean(v)).sort().pop() ?? null;
+}
+
+function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function groupBy(rows: any[], key: (row: any) => string | undefined): Map<string, any[]> {
+  const groups = new Map<string, any[]>();
+  for (const row of rows) {
+    const value = key(row);
+    if (!value) continue;
+    const group = groups.get(value);
+    if (group) group.push(row);
+    else groups.set(value, [row]);
+  }
+  return groups;
+}
+
+export function dobNowJobType(jobType: string | undefined): string | null {
+  if (!jobType) return null;
+  return DOB_NOW_JOB_TYPES.find(([pattern]) => pattern.test(jobType))?.[1] ?? jobType;
+}
+
+/**
+ * Days spent in each stage. The stage a job is still in runs to `asOf`; a stage whose closing date is
+ * missing although a later milestone was reached (e.g. no approval date recorded) is left out.
+ */
+export function jobStages(milestones: Record<Milestone, string | null>, asOf: string): Stage[] {
+  const stages: Stage[] = [];
+  for (const [stage, from, to] of STAGES) {
+    const started = milestones[from];
+    const ended = milestones[to];
+    if (!started) continue;
+    if (!ended && MILESTONES.slice(MILESTONES.indexOf(to) + 1).some(m => milestones[m])) continue;
+    stages.push({ stage, from, to, started, ended, days: daysBetween(started, ended ?? asOf), open: !ended });
+  }
+  return stages;
+}
+
+type Entry = Omit<TimelineJob, "stages" | "stalled" | "permitted_without_signoff">;
+
+function bisEntries(jobRows: any[], permitRows: any[]): Map<string, Entry> {
+  const entries = new Map<string, Entry>();
+  const jobsByNumber = groupBy(jobRows, r => pick(r, "job__"));
+  const permitsByNumber = groupBy(permitRows, r => pick(r, "job__"));
+
+  for (const job of new Set([...jobsByNumber.keys(), ...permitsByNumber.keys()])) {
+    const jobs = jobsByNumber.get(job) ?? [];
+    const permits = permitsByNumber.get(job) ?? [];
+    const first = jobs.find(r => pick(r, "doc__") === "01") ?? jobs[0] ?? permits[0];
+    const issued = permits.map(p => day(pick(p, "issuance_date")));
+    const jobType = pick(first, "job_type") ?? null;
+    entries.set(job, {
+      job_number: job,
+      system: "BIS",
+      job_type: jobType,
+      job_type_description: jobType ? BIS_JOB_TYPES[jobType] ?? null : null,
+      status: pick(first, "job_status_descrp", "job_status") ?? null,
+      description: pick(first, "job_description") ?? null,
+      documents: jobs.length,
+      milestones: {
+        filed: earliest(jobs.map(r => day(pick(r, "pre__filing_date")))),
+        approved: earliest(jobs.map(r => day(pick(r, "approved")))),
+        permitted: earliest([...jobs.map(r => day(pick(r, "fully_permitted"))), ...issued]),
+        signed_off: latest(jobs.map(r => day(pick(r, "signoff_date"))))
+      },
+      permits: permits.map(p => ({
+        permit_si_no: pick(p, "permit_si_no") ?? null,
+        permit_type: pick(p, "permit_type") ?? null,
+        status: pick(p, "permit_status") ?? null,
+        issued: day(pick(p, "issuance_date")),
+        expires: day(pick(p, "expiration_date"))
+      }))
+    });
+  }
+  return entries;
+}
+
+function dobNowEntries(rows: any[]): Map<string, Entry> {
+  const entries = new Map<string, Entry>();
+  // Filing numbers are job number plus a document suffix (M00123456-I1, -S1, ...).
+  const byJob = groupBy(rows, r => pick(r, "job_filing_number")?.replace(/-[A-Z]\d+$/i, ""));
+
+  for (const [job, filings] of byJob) {
+    const first = filings.find(r => /-I1$/i.test(pick(r, "job_filing_number") ?? "")) ?? filings[0];
+    const rawType = pick(first, "job_type");
+    const jobType = dobNowJobType(rawType);
+    entries.set(job, {
+      job_number: job,
+      system: "DOB NOW",
+      job_type: jobType,
+      job_type_description: rawType ?? null,
+      status: pick(first, "filing_status", "current_status") ?? null,
+      description: pick(first, "job_description") ?? null,
+      documents: filings.length,
+      milestones: {
+        filed: earliest(filings.map(r => day(pick(r, "filing_date")))),
+        approved: earliest(filings.map(r => day(pick(r, "approved_date", "approveddate")))),
+        permitted: earliest(filings.map(r => day(pick(r, "first_permit_date", "permit_issue_date")))),
+        signed_off: latest(filings.map(r => day(pick(r, "signoff_date", "sign_off_date"))))
+      },
+      permits: []
+    });
+  }
+  return entries;
+}
+
+/**
+ * One chronological history per building: BIS jobs with their issued permits, and DOB NOW filings,
+ * each with milestone dates, time spent per stage, and the stalled / permitted-without-sign-off flags.
+ */
+export function buildJobTimeline(
+  sources: { bis_jobs: any[]; dob_now_filings: any[]; permits: any[] },
+  asOf: string,
+  stallDays = 365
+): TimelineJob[] {
+  const entries = [...bisEntries(sources.bis_jobs, sources.permits).values(), ...dobNowEntries(sources.dob_now_filings).values()];
+  return entries
+    .map(entry => {
+      const { filed, permitted, signed_off } = entry.milestones;
+      const start = filed ?? earliest(MILESTONES.map(m => entry.milestones[m]));
+      return {
+        ...entry,
+        stages: jobStages(entry.milestones, asOf),
+        stalled: Boolean(filed && !permitted && !signed_off && daysBetween(filed, asOf) >= stallDays),
+        permitted_without_signoff: Boolean(permitted && !signed_off),
+        start
+      };
+    })
+    .sort((a, b) => (a.start ?? "9999").localeCompare(b.start ?? "9999") || a.job_number.localeCompare(b.job_number))
+    .map(({ start, ...job }) => job);
+}
+
+type DobJobTimelineArgs = { bin: string; stall_days: number; as_of?: string };
+
+export default {
+  name: "get_dob_job_timeline",
+  description:
+    "Chronological DOB job history for a BIN, merging BIS job filings, DOB NOW job filings and BIS permit issuance. Each job shows its type (NB, A1, A2, DM, ...), filing, approval, permit and sign-off dates, and days spent in each stage; flags stalled jobs (filed but never permitted) and work permitted without a sign-off.",
+  inputSchema: z.object({
+    bin: binSchema,
+    stall_days: z.number().int().min(30).max(3650).default(365).describe("Days after filing without a permit before a job counts as stalled"),
+    as_of: dateSchema.optional().describe("Measure open stages up to this date instead of today")
+  }),
+  async handler({ bin, stall_days, as_of }: DobJobTimelineArgs) {
+    const asOf = as_of ?? new Date().toISOString().split("T")[0];
+    const [bisRows, dobNowRows, permitRows] = await Promise.all([
+      fetchRows(socrataUrl(DATASETS.DOB_JOBS.id, { filters: { bin__: bin }, limit: MAX_ROWS })),
+      fetchRows(socrataUrl(DATASETS.DOB_NOW_JOBS.id, { filters: { bin }, limit: MAX_ROWS })),
+      fetchRows(socrataUrl(DATASETS.DOB_PERMITS.id, { filters: { bin__: bin }, limit: MAX_ROWS }))
+    ]);
+    const sources: Record<string, Fetched> = { bis_jobs: bisRows, dob_now_filings: dobNowRows, permits: permitRows };
+    const failed = Object.entries(sources).filter(([, s]) => !s.ok);
+    if (failed.length === Object.keys(sources).length) {
+      throw new Error(`No DOB job data could be read: ${failed.map(([, s]) => (s.ok ? "" : s.error)).join("; ")}`);
+    }
+    const rowsOf = (s: Fetched) => (s.ok ? s.rows : []);
+
+    const jobs = buildJobTimeline(
+      { bis_jobs: rowsOf(bisRows), dob_now_filings: rowsOf(dobNowRows), permits: rowsOf(permitRows) },
+      asOf,
+      stall_days
+    );
+    const stalled = jobs.filter(j => j.stalled);
+    const unsigned = jobs.filter(j => j.permitted_without_signoff);
+
+    const takeaways = [
+      ...stalled.slice(0, 5).map(j => `Stalled: ${j.system} job ${j.job_number} (${j.job_type ?? "?"}) filed ${j.milestones.filed}, no permit after ${daysBetween(j.milestones.filed!, asOf)} days`),
+      ...unsigned.slice(0, 5).map(j => `Permitted without sign-off: ${j.system} job ${j.job_number} (${j.job_type ?? "?"}) permitted ${j.milestones.permitted}`),
+      ...failed.map(([name, s]) => `${name} unavailable (${s.ok ? "" : s.error})`)
+    ];
+    const recent = jobs[jobs.length - 1];
+    if (recent) {
+      takeaways.unshift(`Most recent: ${recent.system} job ${recent.job_number} (${recent.job_type ?? "?"}) — ${recent.status ?? "status unknown"}`);
+    }
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `${jobs.length} DOB job${jobs.length === 1 ? "" : "s"} for BIN ${bin}: ${stalled.length} stalled, ${unsigned.length} permitted without sign-off`,
+            takeaways
+          })
+        }
+      ],
+      structuredContent: {
+        bin,
+        as_of: asOf,
+        stall_days,
+        sources: Object.fromEntries(
+          Object.entries(sources).map(([name, s]) => [name, s.ok ? { ok: true, rows: s.rows.length } : { ok: false, error: s.error }])
+        ),
+        summary: { jobs: jobs.length, stalled: stalled.length, permitted_without_signoff: unsigned.length },
+        jobs
+      }
+    };
+  }
+};
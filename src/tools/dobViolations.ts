@@ -1,25 +1,36 @@
 import { z } from "zod";
-import { getJSON } from "../utils/http.js";
+import { binSchema } from "../utils/identifiers.js";
+import { fetchPaged, emptyPage, paginationShape, describePage, isPartialPage, PaginationArgs } from "../utils/pagination.js";
+import { summarizeDobViolations, formatInsights } from "../utils/insights.js";
+import { progressReporter, ToolExtra } from "../utils/progress.js";
+import { spatialShape, SpatialArgs, binScope } from "../utils/spatial.js";
+import { DATASETS } from "../utils/datasets.js";
 
-type DobViolationArgs = { bin: string };
+type DobViolationArgs = { bin?: string } & SpatialArgs & PaginationArgs;
 
 export default {
   name: "get_dob_violations",
-  description: "Retrieve DOB violations via BIN.",
+  description:
+    "Retrieve DOB violations via BIN, or for every building near a point or within a polygon. Paginated: use limit/offset or next_cursor, or fetch_all (up to max_records).",
   inputSchema: z.object({
-    bin: z.string()
+    bin: binSchema.optional(),
+    ...spatialShape,
+    ...paginationShape
   }),
-  async handler({ bin }: DobViolationArgs) {
-    const url = `https://data.cityofnewyork.us/resource/3h2n-5cm9.json?bin=${bin}`;
-    const data = await getJSON(url);
+  async handler({ bin, near, within, ...page }: DobViolationArgs, extra?: ToolExtra) {
+    const { query, area } = await binScope("bin", bin, { near, within });
+    // An area with no buildings matches nothing; there is no need to ask Socrata.
+    const { data, pagination } = query
+      ? await fetchPaged(DATASETS.DOB_VIOLATIONS.id, query, page, { onProgress: progressReporter(extra) })
+      : emptyPage(page);
     return {
       content: [
         {
           type: "text" as const,
-          text: "DOB violations returned"
+          text: formatInsights(summarizeDobViolations(data, describePage("DOB violations", pagination), isPartialPage(pagination)))
         }
       ],
-      structuredContent: { data }
+      structuredContent: area ? { data, pagination, area } : { data, pagination }
     };
   }
 };
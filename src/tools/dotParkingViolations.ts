@@ -0,0 +1,61 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughValue } from "../utils/borough.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type ParkingViolationsArgs = { borough?: BoroughName; county?: string; violation_code?: string; limit: number };
+
+export default {
+  name: "get_dot_parking_violations",
+  description: "Get recent parking and camera violations, filtered by borough (or county code) and violation.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    county: z
+      .string()
+      .transform(s => s.toUpperCase())
+      .pipe(z.enum(["NY", "BX", "K", "Q", "R"]))
+      .optional()
+      .describe("County code as it appears in the data (NY, BX, K, Q, R); alternative to borough"),
+    violation_code: z.string().max(50).optional(),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler({ borough, county, violation_code, limit }: ParkingViolationsArgs) {
+    const countyCode = county ?? (borough ? boroughValue(DATASETS.DOT_PARKING, borough) : undefined);
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.DOT_PARKING.id, {
+        where: [countyCode && eq("county", countyCode), violation_code && eq("violation", violation_code)],
+        order: "issue_date DESC",
+        limit
+      })
+    );
+
+    const totalDue = rows.reduce((sum, v) => sum + (parseFloat(v.amount_due) || 0), 0);
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} parking violations${countyCode ? ` in county ${countyCode}` : ""}, $${totalDue.toLocaleString(undefined, { maximumFractionDigits: 2 })} outstanding`
+        }
+      ],
+      structuredContent: {
+        count: rows.length,
+        violations: rows.map(v => ({
+          summons_number: v.summons_number,
+          plate: v.plate,
+          state: v.state,
+          license_type: v.license_type,
+          issue_date: v.issue_date,
+          violation: v.violation,
+          violation_time: v.violation_time,
+          fine_amount: v.fine_amount,
+          penalty_amount: v.penalty_amount,
+          amount_due: v.amount_due,
+          precinct: v.precinct,
+          county: v.county,
+          issuing_agency: v.issuing_agency
+        }))
+      }
+    };
+  }
+};
@@ -0,0 +1,171 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, compare, contains } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { createSuccessEnvelope, DATA_SOURCES, EVENT_TYPES } from "../utils/envelope.js";
+import { enrichDOTGeo } from "../utils/geoEnrichment.js";
+import { generateDOTClosuresInsights, formatInsights } from "../utils/insights.js";
+import { percent } from "../utils/aggregate.js";
+import { spatialShape, SpatialArgs, resolveSearchArea, spatialClause, describeArea } from "../utils/spatial.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type StreetClosuresArgs = { borough?: BoroughName; work_type?: string; active_only: boolean; limit: number } & SpatialArgs;
+
+type Closure = {
+  segment_id: string;
+  work_start_date: string;
+  work_end_date: string;
+  on_street: string;
+  from_street: string;
+  to_street: string;
+  borough_code: string;
+  purposes: string[];
+  geometry: unknown;
+  unique_id: string;
+};
+
+/**
+ * The feed repeats a segment once per permit purpose; collapse rows that share
+ * segment and dates, merging their purposes.
+ */
+export function dedupeClosures(rows: any[]): Closure[] {
+  const byKey = new Map<string, Closure>();
+  for (const row of rows) {
+    const key = `${row.segmentid}|${row.work_start_date}|${row.work_end_date}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      if (row.purpose && !existing.purposes.includes(row.purpose)) existing.purposes.push(row.purpose);
+      continue;
+    }
+    byKey.set(key, {
+      segment_id: row.segmentid,
+      work_start_date: row.work_start_date,
+      work_end_date: row.work_end_date,
+      on_street: row.onstreetname,
+      from_street: row.fromstreetname,
+      to_street: row.tostreetname,
+      borough_code: row.borough_code,
+      purposes: row.purpose ? [row.purpose] : [],
+      geometry: row.the_geom,
+      unique_id: row.uniqueid
+    });
+  }
+  return [...byKey.values()];
+}
+
+export default {
+  name: "search_dot_street_closures",
+  description:
+    "Search DOT street closures for construction and other work, de-duplicated by segment and dates. Defaults to closures active today. Filter by area with near (point or address plus radius) or within (GeoJSON polygon).",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    work_type: z.string().max(100).optional().describe("Substring of the closure purpose"),
+    active_only: z.boolean().default(true),
+    limit: z.number().int().min(1).max(5000).default(1000),
+    ...spatialShape
+  }),
+  async handler({ borough, work_type, active_only, limit, near, within }: StreetClosuresArgs) {
+    const area = await resolveSearchArea({ near, within });
+    const today = new Date().toISOString().split("T")[0];
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.DOT_CLOSURES.id, {
+        where: [
+          borough && boroughClause(DATASETS.DOT_CLOSURES, borough),
+          work_type && contains("purpose", work_type),
+          active_only && compare("work_start_date", "<=", `${today}T23:59:59`),
+          active_only && compare("work_end_date", ">=", `${today}T00:00:00`),
+          area && spatialClause("the_geom", area)
+        ],
+        limit
+      })
+    );
+
+    const now = Date.now();
+    const closures = dedupeClosures(rows)
+      .map(c => {
+        const start = new Date(c.work_start_date).getTime();
+        const end = new Date(c.work_end_date).getTime();
+        const isActive = now >= start && now <= end;
+        return {
+          ...c,
+          is_active: isActive,
+          days_remaining: isActive ? Math.ceil((end - now) / 86400000) : 0,
+          duration_days: Math.ceil((end - start) / 86400000)
+        };
+      })
+      .sort((a, b) => new Date(a.work_end_date).getTime() - new Date(b.work_end_date).getTime());
+
+    const records = closures.map(c => ({
+      ts: c.work_start_date,
+      period: null,
+      geo: enrichDOTGeo({ borough_code: c.borough_code, the_geom: c.geometry }),
+      topic: `Street closure: ${c.on_street}`,
+      value: c.duration_days,
+      details: {
+        segment_id: c.segment_id,
+        on_street: c.on_street,
+        from_street: c.from_street,
+        to_street: c.to_street,
+        purposes: c.purposes,
+        purpose_merged: c.purposes.join("; ") || "Unknown",
+        work_start_date: c.work_start_date,
+        work_end_date: c.work_end_date,
+        is_active: c.is_active,
+        days_remaining: c.days_remaining,
+        duration_days: c.duration_days
+      }
+    }));
+
+    const boroughCounts: Record<string, number> = {};
+    const purposeCounts: Record<string, number> = {};
+    for (const record of records) {
+      const name = record.geo.borough ?? "UNKNOWN";
+      boroughCounts[name] = (boroughCounts[name] || 0) + 1;
+      for (const p of record.details.purposes) purposeCounts[p] = (purposeCounts[p] || 0) + 1;
+    }
+
+    const starts = closures.map(c => new Date(c.work_start_date).getTime()).filter(Number.isFinite);
+    const ends = closures.map(c => new Date(c.work_end_date).getTime()).filter(Number.isFinite);
+    const window = {
+      start: new Date(starts.length ? Math.min(...starts) : now).toISOString(),
+      end: new Date(ends.length ? Math.max(...ends) : now).toISOString(),
+      days: null,
+      type: "custom"
+    };
+
+    const active = closures.filter(c => c.is_active).length;
+    const envelope = createSuccessEnvelope({
+      source: DATA_SOURCES.DOT_CLOSURES,
+      eventType: EVENT_TYPES.SEARCH,
+      window,
+      count: closures.length,
+      records,
+      meta: {
+        total_closures: closures.length,
+        active_closures: active,
+        inactive_closures: closures.length - active,
+        raw_api_count: rows.length,
+        duplicates_removed: rows.length - closures.length,
+        deduplication_rate: percent(rows.length - closures.length, rows.length, 2),
+        deduplication_key: "segment_id + start_date + end_date",
+        borough_breakdown: Object.entries(boroughCounts)
+          .map(([name, count]) => ({ borough: name, count }))
+          .sort((a, b) => b.count - a.count),
+        top_purposes: Object.entries(purposeCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([purpose, count]) => ({ purpose, count })),
+        active_only_filter: active_only,
+        work_type_filter: work_type || "ALL",
+        area_filter: area ? describeArea(area) : null,
+        truncated: rows.length === limit
+      }
+    });
+    envelope.insights = generateDOTClosuresInsights(envelope);
+
+    return {
+      content: [{ type: "text" as const, text: formatInsights(envelope.insights) }],
+      structuredContent: envelope
+    };
+  }
+};
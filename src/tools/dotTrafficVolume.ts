@@ -0,0 +1,88 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type TrafficVolumeArgs = { borough?: BoroughName; limit: number };
+
+/** Hourly count columns, in order, keyed by the label we expose. */
+const HOUR_COLUMNS: Array<[string, string]> = [
+  ["12am-1am", "_12_00_1_00_am"],
+  ["1am-2am", "_1_00_2_00am"],
+  ["2am-3am", "_2_00_3_00am"],
+  ["3am-4am", "_3_00_4_00am"],
+  ["4am-5am", "_4_00_5_00am"],
+  ["5am-6am", "_5_00_6_00am"],
+  ["6am-7am", "_6_00_7_00am"],
+  ["7am-8am", "_7_00_8_00am"],
+  ["8am-9am", "_8_00_9_00am"],
+  ["9am-10am", "_9_00_10_00am"],
+  ["10am-11am", "_10_00_11_00am"],
+  ["11am-12pm", "_11_00_12_00pm"],
+  ["12pm-1pm", "_12_00_1_00pm"],
+  ["1pm-2pm", "_1_00_2_00pm"],
+  ["2pm-3pm", "_2_00_3_00pm"],
+  ["3pm-4pm", "_3_00_4_00pm"],
+  ["4pm-5pm", "_4_00_5_00pm"],
+  ["5pm-6pm", "_5_00_6_00pm"],
+  ["6pm-7pm", "_6_00_7_00pm"],
+  ["7pm-8pm", "_7_00_8_00pm"],
+  ["8pm-9pm", "_8_00_9_00pm"],
+  ["9pm-10pm", "_9_00_10_00pm"],
+  ["10pm-11pm", "_10_00_11_00pm"],
+  ["11pm-12am", "_11_00_12_00am"]
+];
+
+export default {
+  name: "get_dot_traffic_volume",
+  description: "Get DOT automated traffic volume counts by roadway segment, with hourly volumes.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler({ borough, limit }: TrafficVolumeArgs) {
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.DOT_TRAFFIC.id, {
+        // Borough casing varies across count years.
+        where: [borough && boroughClause(DATASETS.DOT_TRAFFIC, borough)],
+        limit
+      })
+    );
+
+    const counts = rows.map(t => {
+      const hourly = Object.fromEntries(HOUR_COLUMNS.map(([label, column]) => [label, t[column] ?? null]));
+      const volumes = Object.entries(hourly).filter(([, v]) => v !== null) as Array<[string, string]>;
+      const peak = volumes.reduce<[string, number] | null>((max, [label, v]) => {
+        const n = Number(v);
+        return !max || n > max[1] ? [label, n] : max;
+      }, null);
+      return {
+        id: t.id,
+        segment_id: t.segmentid,
+        roadway_name: t.roadway_name,
+        from: t.from,
+        to: t.to,
+        direction: t.direction,
+        date: t.date,
+        daily_total: volumes.reduce((sum, [, v]) => sum + (Number(v) || 0), 0),
+        peak_hour: peak?.[0] ?? null,
+        hourly_volumes: hourly
+      };
+    });
+
+    const busiest = counts.reduce<(typeof counts)[number] | undefined>(
+      (max, c) => (!max || c.daily_total > max.daily_total ? c : max),
+      undefined
+    );
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${counts.length} traffic counts${borough ? ` in ${borough}` : ""}${busiest ? `; busiest: ${busiest.roadway_name} (${busiest.daily_total.toLocaleString()} vehicles on ${busiest.date?.split("T")[0]})` : ""}`
+        }
+      ],
+      structuredContent: { count: counts.length, traffic_data: counts }
+    };
+  }
+};
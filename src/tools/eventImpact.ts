@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughTitle } from "../utils/borough.js";
+import { topCounts } from "../utils/aggregate.js";
+import { upcomingWhere } from "./upcomingEvents.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type EventImpactArgs = { borough?: BoroughName; days: number };
+
+const MAX_ROWS = 10000;
+
+export default {
+  name: "analyze_event_impact",
+  description: "Summarize upcoming permitted events by type, borough, and day to gauge their impact on city activity.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    days: z.number().int().min(1).max(365).default(30)
+  }),
+  async handler({ borough, days }: EventImpactArgs) {
+    const rows: any[] = await getJSON(socrataUrl(DATASETS.EVENTS.id, { where: upcomingWhere(days, borough), limit: MAX_ROWS }));
+
+    const byDay: Record<string, number> = {};
+    for (const event of rows) {
+      const day = event.start_date_time?.split("T")[0];
+      if (day) byDay[day] = (byDay[day] || 0) + 1;
+    }
+    const timeline = Object.entries(byDay)
+      .map(([day, count]) => ({ day, count }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+    const busiest = timeline.reduce<{ day: string; count: number } | undefined>(
+      (max, d) => (!max || d.count > max.count ? d : max),
+      undefined
+    );
+
+    const byType = topCounts(rows.map(e => e.event_type || "Unknown"), "event_type", Infinity);
+    const byBorough = topCounts(rows.map(e => e.event_borough || "Unknown"), "borough", Infinity);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} events in the next ${days} days${borough ? ` in ${boroughTitle(borough)}` : ""}${byType[0] ? `; most common type: ${byType[0].event_type}` : ""}${busiest ? `; busiest day: ${busiest.day} (${busiest.count})` : ""}`
+        }
+      ],
+      structuredContent: {
+        total_events: rows.length,
+        by_type: byType,
+        by_borough: byBorough,
+        timeline,
+        truncated: rows.length === MAX_ROWS
+      }
+    };
+  }
+};
@@ -1,27 +1,33 @@
 import { z } from "zod";
-import { getJSON } from "../utils/http.js";
+import { binSchema } from "../utils/identifiers.js";
+import { fetchPaged, paginationShape, describePage, PaginationArgs } from "../utils/pagination.js";
+import { summarizeFisp, formatInsights } from "../utils/insights.js";
+import { progressReporter, ToolExtra } from "../utils/progress.js";
+import { DATASETS } from "../utils/datasets.js";
 
-type FispArgs = { bin: string; cycle?: string };
+type FispArgs = { bin: string; cycle?: string } & PaginationArgs;
 
 export default {
   name: "get_fisp_filings",
-  description: "Retrieve DOB NOW: Safety facade filings using BIN (optionally cycle).",
+  description:
+    "Retrieve DOB NOW: Safety facade filings using BIN (optionally cycle). Paginated: use limit/offset or next_cursor, or fetch_all (up to max_records).",
   inputSchema: z.object({
-    bin: z.string(),
-    cycle: z.string().optional()
+    bin: binSchema,
+    cycle: z.string().optional(),
+    ...paginationShape
   }),
-  async handler({ bin, cycle }: FispArgs) {
-    let url = `https://data.cityofnewyork.us/resource/xubg-57si.json?bin=${bin}`;
-    if (cycle) url += `&cycle=${cycle}`;
-    const data = await getJSON(url);
+  async handler({ bin, cycle, ...page }: FispArgs, extra?: ToolExtra) {
+    const { data, pagination } = await fetchPaged(DATASETS.FISP.id, { filters: { bin, cycle } }, page, {
+      onProgress: progressReporter(extra)
+    });
     return {
       content: [
         {
           type: "text" as const,
-          text: "FISP filings returned"
+          text: formatInsights(summarizeFisp(data, describePage("FISP filings", pagination)))
         }
       ],
-      structuredContent: { data }
+      structuredContent: { data, pagination }
     };
   }
 };
@@ -0,0 +1,310 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, inList } from "../utils/soql.js";
+import { binSchema, parseBBL } from "../utils/identifiers.js";
+import { dateSchema } from "../utils/timeWindows.js";
+import { chunk } from "../utils/aggregate.js";
+import { pick, parseDobDate, formatInsights } from "../utils/insights.js";
+import { DATASETS } from "../utils/datasets.js";
+
+export type SubCycle = "A" | "B" | "C";
+
+export type FispStatus = "SAFE" | "SWARMP" | "UNSAFE" | "OTHER";
+
+export type ComplianceState = "filed" | "due" | "overdue" | "not_yet_open" | "unknown";
+
+/*
+ * FISP (Local Law 11) runs in five-year cycles starting February 21: cycle 8 in 2015, cycle 9 in
+ * 2020, cycle 10 in 2025. Each cycle has three staggered two-year filing windows picked by the last
+ * digit of the tax block: A (4, 5, 6, 9) opens with the cycle, B (0, 7, 8) a year later, C (1, 2, 3)
+ * two years later. A sub-cycle's deadline is the end of its window.
+ */
+const FIRST_CYCLE = 8;
+const FIRST_CYCLE_YEAR = 2015;
+const SUB_CYCLE_OFFSET: Record<SubCycle, number> = { A: 0, B: 1, C: 2 };
+const SUB_CYCLE_BY_DIGIT: Record<string, SubCycle> = {
+  "4": "A", "5": "A", "6": "A", "9": "A",
+  "0": "B", "7": "B", "8": "B",
+  "1": "C", "2": "C", "3": "C"
+};
+
+const DAY_MS = 86400000;
+const MAX_BINS = 100;
+const BINS_PER_QUERY = 50;
+/** Filings fetched per BIN in a chunk; a busy building can have more. */
+const FILINGS_PER_BIN = 50;
+
+function cycleStart(cycle: number, yearOffset = 0): Date {
+  return new Date(Date.UTC(FIRST_CYCLE_YEAR + 5 * (cycle - FIRST_CYCLE) + yearOffset, 1, 21));
+}
+
+/** Cycle in effect on `date`. */
+export function fispCycleFor(date: Date): number {
+  let cycle = FIRST_CYCLE + Math.floor((date.getUTCFullYear() - FIRST_CYCLE_YEAR) / 5);
+  if (date < cycleStart(cycle)) cycle--;
+  return cycle;
+}
+
+/** Sub-cycle a tax block files in, from the block's last digit. */
+export function subCycleForBlock(block: number | string): SubCycle | undefined {
+  const digits = String(block).replace(/\D/g, "");
+  return digits ? SUB_CYCLE_BY_DIGIT[digits[digits.length - 1]] : undefined;
+}
+
+/** Filing window for a cycle and sub-cycle, as YYYY-MM-DD dates. */
+export function filingWindow(cycle: number, subCycle: SubCycle): { opens: string; deadline: string } {
+  const offset = SUB_CYCLE_OFFSET[subCycle];
+  const day = (d: Date) => d.toISOString().split("T")[0];
+  return { opens: day(cycleStart(cycle, offset)), deadline: day(cycleStart(cycle, offset + 2)) };
+}
+
+export function normalizeFispStatus(status: string | undefined): FispStatus {
+  if (/UNSAFE/i.test(status ?? "")) return "UNSAFE";
+  if (/SWARMP|REPAIR/i.test(status ?? "")) return "SWARMP";
+  if (/SAFE/i.test(status ?? "")) return "SAFE";
+  return "OTHER";
+}
+
+/** Cycle number and sub-cycle letter from a filing; the letter is sometimes part of `cycle` ("9B"). */
+function filingCycle(row: any): { cycle: number; sub_cycle: SubCycle | undefined } {
+  const match = /^(\d+)\s*([ABC])?/i.exec(pick(row, "cycle") ?? "");
+  const letter = (match?.[2] ?? pick(row, "sub_cycle", "subcycle"))?.toUpperCase();
+  return {
+    cycle: match ? parseInt(match[1], 10) : 0,
+    sub_cycle: letter === "A" || letter === "B" || letter === "C" ? letter : undefined
+  };
+}
+
+export type FispFiling = {
+  tr6_no: string | null;
+  cycle: number;
+  sub_cycle: SubCycle | null;
+  filing_date: string | null;
+  filing_type: string | null;
+  status: FispStatus;
+  raw_status: string | null;
+};
+
+/** Filings ordered by cycle, sub-cycle, then filing date. */
+export function fispHistory(rows: any[]): FispFiling[] {
+  return rows
+    .map(row => {
+      const { cycle, sub_cycle } = filingCycle(row);
+      const date = parseDobDate(pick(row, "filing_date", "submitted_on"));
+      const rawStatus = pick(row, "filing_status", "current_status", "status");
+      return {
+        tr6_no: pick(row, "tr6_no") ?? null,
+        cycle,
+        sub_cycle: sub_cycle ?? null,
+        filing_date: date ? date.toISOString().split("T")[0] : null,
+        filing_type: pick(row, "filing_type") ?? null,
+        status: normalizeFispStatus(rawStatus),
+        raw_status: rawStatus ?? null
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.cycle - b.cycle ||
+        (a.sub_cycle ?? "").localeCompare(b.sub_cycle ?? "") ||
+        (a.filing_date ?? "").localeCompare(b.filing_date ?? "")
+    );
+}
+
+export type FispCompliance = {
+  bin: string;
+  block: number | null;
+  current_cycle: number;
+  sub_cycle: SubCycle | null;
+  window: { opens: string; deadline: string } | null;
+  state: ComplianceState;
+  missing_current_cycle: boolean;
+  /** Days from `asOf` to the deadline; negative once it has passed. */
+  days_to_deadline: number | null;
+  latest_status: FispStatus | null;
+  status_by_cycle: Array<{ cycle: string; status: FispStatus; filing_date: string | null; tr6_no: string | null }>;
+  history: FispFiling[];
+  /** The filing query hit its row limit, so older filings may be missing from the history. */
+  truncated: boolean;
+  alerts: string[];
+};
+
+/**
+ * Compliance for one building as of `asOf`. The sub-cycle comes from a filing's cycle label, else
+ * from the tax block; without either the deadline is unknown but the missing filing is still flagged.
+ */
+export function assessFispCompliance(bin: string, rows: any[], block: number | null, asOf: Date, truncated = false): FispCompliance {
+  const history = fispHistory(rows);
+  const currentCycle = fispCycleFor(asOf);
+  const current = history.filter(f => f.cycle === currentCycle);
+  const subCycle =
+    current.find(f => f.sub_cycle)?.sub_cycle ??
+    (block !== null ? subCycleForBlock(block) : undefined) ??
+    null;
+  const window = subCycle ? filingWindow(currentCycle, subCycle) : null;
+  const daysToDeadline = window ? Math.ceil((Date.parse(window.deadline) - asOf.getTime()) / DAY_MS) : null;
+  const opened = window ? Date.parse(window.opens) <= asOf.getTime() : false;
+
+  const state: ComplianceState =
+    current.length > 0
+      ? "filed"
+      : !window
+        ? "unknown"
+        : daysToDeadline! < 0
+          ? "overdue"
+          : opened
+            ? "due"
+            : "not_yet_open";
+
+  const byCycle = new Map<string, FispFiling>();
+  for (const filing of history) byCycle.set(`${filing.cycle || "?"}${filing.sub_cycle ?? ""}`, filing);
+  const statusByCycle = [...byCycle].map(([cycle, f]) => ({
+    cycle,
+    status: f.status,
+    filing_date: f.filing_date,
+    tr6_no: f.tr6_no
+  }));
+  const latest = history[history.length - 1];
+
+  const label = `cycle ${currentCycle}${subCycle ?? ""}`;
+  const alerts: string[] = [];
+  if (state === "overdue") alerts.push(`No filing for ${label}; deadline ${window!.deadline} passed ${-daysToDeadline!} days ago`);
+  if (state === "due") alerts.push(`No filing yet for ${label}; due ${window!.deadline} (${daysToDeadline} days left)`);
+  if (state === "unknown") alerts.push(`No filing for cycle ${currentCycle}; sub-cycle unknown, so the deadline could not be computed`);
+  if (latest && latest.status !== "SAFE" && latest.status !== "OTHER") {
+    alerts.push(`Latest filing (cycle ${latest.cycle}${latest.sub_cycle ?? ""}) is ${latest.status}`);
+  }
+  if (truncated) alerts.push("Filing history truncated at the query limit; older filings may be missing");
+
+  return {
+    bin,
+    block,
+    current_cycle: currentCycle,
+    sub_cycle: subCycle,
+    window,
+    state,
+    missing_current_cycle: current.length === 0,
+    days_to_deadline: daysToDeadline,
+    latest_status: latest?.status ?? null,
+    status_by_cycle: statusByCycle,
+    history,
+    truncated,
+    alerts
+  };
+}
+
+/** Tax block per BIN: from the filings when they carry one, otherwise from the footprint's BBL. */
+async function blocksFor(bins: string[], filingsByBin: Map<string, any[]>): Promise<Map<string, number>> {
+  const blocks = new Map<string, number>();
+  for (const [bin, rows] of filingsByBin) {
+    const block = parseInt(pick(rows.find(r => pick(r, "block")), "block") ?? "", 10);
+    if (block) blocks.set(bin, block);
+  }
+
+  const unknown = bins.filter(bin => !blocks.has(bin));
+  const footprints: any[][] = await Promise.all(
+    chunk(unknown, BINS_PER_QUERY).map(group =>
+      getJSON(
+        socrataUrl(DATASETS.FOOTPRINTS.id, {
+          select: "bin,base_bbl",
+          where: [inList("bin", group)],
+          order: "bin",
+          limit: group.length * 5
+        })
+      )
+    )
+  );
+  for (const row of footprints.flat()) {
+    try {
+      if (row.bin && row.base_bbl && !blocks.has(row.bin)) blocks.set(row.bin, parseBBL(row.base_bbl).block);
+    } catch {
+      // Placeholder or malformed BBLs leave the block unknown.
+    }
+  }
+  return blocks;
+}
+
+type FispComplianceArgs = { bin?: string; bins?: string[]; as_of?: string };
+
+export default {
+  name: "get_fisp_compliance",
+  description:
+    "Facade (FISP) compliance for one BIN or a portfolio of up to 100 BINs: filings ordered by cycle and sub-cycle, status over time (SAFE, SWARMP, UNSAFE), whether the current cycle's filing is missing, and days until the sub-cycle deadline.",
+  inputSchema: z.object({
+    bin: binSchema.optional(),
+    bins: z.array(binSchema).min(1).max(MAX_BINS).optional(),
+    as_of: dateSchema.optional().describe("Assess compliance as of this date instead of today")
+  }),
+  async handler({ bin, bins, as_of }: FispComplianceArgs) {
+    const targets = [...new Set([...(bin ? [bin] : []), ...(bins ?? [])])];
+    if (targets.length === 0) {
+      throw new Error("Provide a bin or bins");
+    }
+    if (targets.length > MAX_BINS) {
+      throw new Error(`At most ${MAX_BINS} BINs per call`);
+    }
+    const asOf = as_of ? new Date(`${as_of}T00:00:00Z`) : new Date();
+
+    // Newest first per BIN, so a chunk that hits its limit drops the oldest filings of its last BINs.
+    const groups = chunk([...targets].sort(), BINS_PER_QUERY);
+    const rows: any[][] = await Promise.all(
+      groups.map(group =>
+        getJSON(
+          socrataUrl(DATASETS.FISP.id, {
+            where: [inList("bin", group)],
+            order: ["bin", "filing_date DESC"],
+            limit: group.length * FILINGS_PER_BIN
+          })
+        )
+      )
+    );
+    const filingsByBin = new Map<string, any[]>(targets.map(b => [b, []]));
+    const truncated = new Set<string>();
+    groups.forEach((group, i) => {
+      for (const row of rows[i]) filingsByBin.get(String(row.bin))?.push(row);
+      if (rows[i].length >= group.length * FILINGS_PER_BIN) {
+        const last = String(rows[i][rows[i].length - 1]?.bin ?? "");
+        for (const b of group) if (b >= last) truncated.add(b);
+      }
+    });
+    const blocks = await blocksFor(targets, filingsByBin);
+
+    const buildings = targets.map(b =>
+      assessFispCompliance(b, filingsByBin.get(b)!, blocks.get(b) ?? null, asOf, truncated.has(b))
+    );
+    const count = (state: ComplianceState) => buildings.filter(b => b.state === state).length;
+    const summary = {
+      buildings: buildings.length,
+      filed: count("filed"),
+      due: count("due"),
+      overdue: count("overdue"),
+      not_yet_open: count("not_yet_open"),
+      unknown: count("unknown"),
+      unsafe: buildings.filter(b => b.latest_status === "UNSAFE").length,
+      swarmp: buildings.filter(b => b.latest_status === "SWARMP").length,
+      truncated: truncated.size
+    };
+
+    const cycle = fispCycleFor(asOf);
+    const takeaways =
+      buildings.length === 1
+        ? [
+            `Sub-cycle ${buildings[0].sub_cycle ?? "unknown"}${buildings[0].window ? `, window ${buildings[0].window.opens} to ${buildings[0].window.deadline}` : ""}`,
+            `Status by cycle: ${buildings[0].status_by_cycle.map(c => `${c.cycle} ${c.status}`).join(", ") || "no filings"}`,
+            ...buildings[0].alerts
+          ]
+        : [
+            `${summary.filed} filed, ${summary.due} due, ${summary.overdue} overdue, ${summary.not_yet_open} not yet open, ${summary.unknown} unknown`,
+            `Latest status UNSAFE: ${summary.unsafe}; SWARMP: ${summary.swarmp}`,
+            ...buildings.filter(b => b.alerts.length > 0).slice(0, 10).map(b => `BIN ${b.bin}: ${b.alerts.join("; ")}`)
+          ];
+    const headline =
+      buildings.length === 1
+        ? `BIN ${buildings[0].bin}: FISP cycle ${cycle} ${buildings[0].state.replace(/_/g, " ")}`
+        : `FISP cycle ${cycle} compliance for ${buildings.length} buildings: ${summary.due + summary.overdue + summary.unknown} missing a filing`;
+
+    return {
+      content: [{ type: "text" as const, text: formatInsights({ headline, takeaways }) }],
+      structuredContent: { as_of: asOf.toISOString().split("T")[0], current_cycle: cycle, summary, buildings }
+    };
+  }
+};
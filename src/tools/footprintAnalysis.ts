@@ -0,0 +1,157 @@
+import { z } from "zod";
+import { binSchema } from "../utils/identifiers.js";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { pick, formatInsights } from "../utils/insights.js";
+import { round } from "../utils/aggregate.js";
+import { spatialClause } from "../utils/spatial.js";
+import { Polygon } from "../utils/geography.js";
+import { normalizePolygons, footprintMetrics, sharedWallFt, MIN_SHARED_WALL_FT, FEET_PER_METER } from "../utils/geometry.js";
+import { DATASETS } from "../utils/datasets.js";
+
+/** Extra search radius beyond the footprint's own extent, so walls on the far side are in range. */
+const NEIGHBOR_MARGIN_FT = 25;
+const MAX_NEIGHBOR_CANDIDATES = 200;
+
+export type FootprintHeights = {
+  roof_height_ft: number | null;
+  roof_height_m: number | null;
+  ground_elevation_ft: number | null;
+  ground_elevation_m: number | null;
+  /** Roof above the vertical datum: ground elevation plus roof height. */
+  roof_elevation_ft: number | null;
+};
+
+export type AdjacentBuilding = {
+  bin: string | null;
+  doitt_id: string | null;
+  base_bbl: string | null;
+  shared_wall_ft: number;
+  roof_height_ft: number | null;
+  construction_year: string | null;
+};
+
+function number(value: string | undefined): number | null {
+  const parsed = parseFloat(value ?? "");
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/** Roof height is feet above ground and ground elevation feet above NAVD88; both reported in feet and metres. */
+export function footprintHeights(record: any): FootprintHeights {
+  const roof = number(pick(record, "heightroof", "height_roof"));
+  const ground = number(pick(record, "groundelev", "ground_elevation"));
+  const meters = (feet: number | null) => (feet === null ? null : round(feet / FEET_PER_METER, 2));
+  return {
+    roof_height_ft: roof === null ? null : round(roof, 1),
+    roof_height_m: meters(roof),
+    ground_elevation_ft: ground === null ? null : round(ground, 1),
+    ground_elevation_m: meters(ground),
+    roof_elevation_ft: roof === null || ground === null ? null : round(roof + ground, 1)
+  };
+}
+
+function geometryOf(row: any): Polygon[] | null {
+  return normalizePolygons(row?.the_geom ?? row?.geometry);
+}
+
+/** Candidate footprints that share at least MIN_SHARED_WALL_FT of boundary with the target, longest wall first. */
+export function adjacentBuildings(target: { polygons: Polygon[]; doitt_id?: string; bin?: string }, candidates: any[]): AdjacentBuilding[] {
+  const adjacent: AdjacentBuilding[] = [];
+  for (const row of candidates) {
+    const doittId = pick(row, "doitt_id");
+    if ((target.doitt_id && doittId === target.doitt_id) || (!target.doitt_id && target.bin && pick(row, "bin") === target.bin)) continue;
+    const polygons = geometryOf(row);
+    if (!polygons) continue;
+    const shared = sharedWallFt(target.polygons, polygons);
+    if (shared < MIN_SHARED_WALL_FT) continue;
+    adjacent.push({
+      bin: pick(row, "bin") ?? null,
+      doitt_id: doittId ?? null,
+      base_bbl: pick(row, "base_bbl")?.split(".")[0] ?? null,
+      shared_wall_ft: shared,
+      roof_height_ft: footprintHeights(row).roof_height_ft,
+      construction_year: pick(row, "cnstrct_yr", "construction_year") ?? null
+    });
+  }
+  return adjacent.sort((a, b) => b.shared_wall_ft - a.shared_wall_ft);
+}
+
+type FootprintAnalysisArgs = { bin: string; neighbors: boolean };
+
+export default {
+  name: "analyze_building_footprint",
+  description:
+    "Footprint analytics for a BIN computed from its geometry: area (sq ft), perimeter and centroid, roof height and ground elevation in feet and metres, and (optionally) adjacent buildings that share a wall.",
+  inputSchema: z.object({
+    bin: binSchema,
+    neighbors: z.boolean().default(true).describe("Look up footprints around the centroid and list those sharing a wall")
+  }),
+  async handler({ bin, neighbors }: FootprintAnalysisArgs) {
+    const rows: any[] = await getJSON(socrataUrl(DATASETS.FOOTPRINTS.id, { filters: { bin } }));
+    const record = rows.find(r => geometryOf(r));
+    if (!record) {
+      throw new Error(rows.length ? `Footprint for BIN ${bin} has no polygon geometry` : `No building footprint found for BIN ${bin}`);
+    }
+    const polygons = geometryOf(record)!;
+    const metrics = footprintMetrics(polygons);
+    const heights = footprintHeights(record);
+
+    let adjacent: AdjacentBuilding[] | null = null;
+    let truncated = false;
+    if (neighbors) {
+      const candidates: any[] = await getJSON(
+        socrataUrl(DATASETS.FOOTPRINTS.id, {
+          where: spatialClause(DATASETS.FOOTPRINTS.location_column, {
+            type: "circle",
+            latitude: metrics.centroid.latitude,
+            longitude: metrics.centroid.longitude,
+            radius_ft: metrics.radius_ft + NEIGHBOR_MARGIN_FT,
+            address: null
+          }),
+          limit: MAX_NEIGHBOR_CANDIDATES
+        })
+      );
+      truncated = candidates.length === MAX_NEIGHBOR_CANDIDATES;
+      adjacent = adjacentBuildings({ polygons, doitt_id: pick(record, "doitt_id"), bin }, candidates);
+    }
+
+    const takeaways = [
+      `Perimeter ${metrics.perimeter_ft.toLocaleString()} ft; centroid ${metrics.centroid.latitude}, ${metrics.centroid.longitude}`,
+      heights.roof_height_ft !== null ? `Roof height ${heights.roof_height_ft} ft (${heights.roof_height_m} m)` : "Roof height not recorded",
+      heights.ground_elevation_ft !== null
+        ? `Ground elevation ${heights.ground_elevation_ft} ft (${heights.ground_elevation_m} m)`
+        : "Ground elevation not recorded"
+    ];
+    if (adjacent) {
+      takeaways.push(
+        adjacent.length
+          ? `Shares walls with ${adjacent.map(a => `BIN ${a.bin ?? "?"} (${a.shared_wall_ft} ft)`).join(", ")}`
+          : "Freestanding: no shared walls found"
+      );
+    }
+    if (rows.length > 1) takeaways.push(`${rows.length} footprint records share this BIN; measured the first with geometry`);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `Footprint for BIN ${bin}: ${Math.round(metrics.area_sq_ft).toLocaleString()} sq ft`,
+            takeaways
+          })
+        }
+      ],
+      structuredContent: {
+        bin,
+        doitt_id: pick(record, "doitt_id") ?? null,
+        base_bbl: pick(record, "base_bbl")?.split(".")[0] ?? null,
+        construction_year: pick(record, "cnstrct_yr", "construction_year") ?? null,
+        ...metrics,
+        ...heights,
+        geometry: { type: "MultiPolygon", coordinates: polygons },
+        adjacent,
+        ...(truncated ? { truncated } : {})
+      }
+    };
+  }
+};
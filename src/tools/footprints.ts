@@ -1,5 +1,9 @@
 import { z } from "zod";
+import { binSchema } from "../utils/identifiers.js";
 import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { summarizeFootprint, formatInsights } from "../utils/insights.js";
+import { DATASETS } from "../utils/datasets.js";
 
 type FootprintArgs = { bin: string };
 
@@ -7,16 +11,16 @@ export default {
   name: "get_building_footprint",
   description: "Retrieve building footprint geometry via BIN.",
   inputSchema: z.object({
-    bin: z.string()
+    bin: binSchema
   }),
   async handler({ bin }: FootprintArgs) {
-    const url = `https://data.cityofnewyork.us/resource/5zhs-2jue.json?bin=${bin}`;
-    const data = await getJSON(url);
+    const url = socrataUrl(DATASETS.FOOTPRINTS.id, { filters: { bin } });
+    const data: any[] = await getJSON(url);
     return {
       content: [
         {
           type: "text" as const,
-          text: "Building footprint returned"
+          text: formatInsights(summarizeFootprint(data))
         }
       ],
       structuredContent: { data }
@@ -0,0 +1,82 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { round } from "../utils/aggregate.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type ResponseTimesArgs = { complaint_type?: string; borough?: BoroughName; days: number };
+
+function stats(hours: number[]) {
+  const sorted = [...hours].sort((a, b) => a - b);
+  return {
+    average_hours: round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    median_hours: round(sorted[Math.floor(sorted.length / 2)]),
+    min_hours: round(sorted[0]),
+    max_hours: round(sorted[sorted.length - 1])
+  };
+}
+
+export default {
+  name: "get_311_response_times",
+  description: "Analyze response times for closed 311 service requests: average and median hours to close, by complaint type.",
+  inputSchema: z.object({
+    complaint_type: z.string().max(200).optional(),
+    borough: boroughSchema.optional(),
+    days: z.number().int().min(1).max(365).default(30)
+  }),
+  async handler({ complaint_type, borough, days }: ResponseTimesArgs) {
+    const window = windowForDays(days);
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.NYC_311.id, {
+        select: "complaint_type,created_date,closed_date,borough",
+        where: [
+          compare("created_date", ">=", soqlTimestamp(window.start)),
+          "closed_date IS NOT NULL",
+          complaint_type && eq("complaint_type", complaint_type),
+          borough && boroughClause(DATASETS.NYC_311, borough)
+        ],
+        limit: 10000
+      })
+    );
+
+    const closed = rows
+      .map(r => ({
+        complaint_type: r.complaint_type as string,
+        hours: (new Date(r.closed_date).getTime() - new Date(r.created_date).getTime()) / 3600000
+      }))
+      // Some records are closed before they were created; those timestamps are unusable.
+      .filter(r => Number.isFinite(r.hours) && r.hours >= 0);
+
+    const byType: Record<string, number[]> = {};
+    for (const r of closed) {
+      (byType[r.complaint_type] ||= []).push(r.hours);
+    }
+    const typeStats = Object.entries(byType)
+      .map(([type, hours]) => ({ complaint_type: type, count: hours.length, ...stats(hours) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    const overall = closed.length ? stats(closed.map(r => r.hours)) : null;
+    const text = overall
+      ? `${closed.length} closed 311 requests in ${borough || "NYC"} over ${days} days: median ${overall.median_hours}h, average ${overall.average_hours}h to close`
+      : `No closed 311 requests in ${borough || "NYC"} over ${days} days`;
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text
+        }
+      ],
+      structuredContent: {
+        window,
+        filters: { complaint_type: complaint_type || "ALL", borough: borough || "ALL" },
+        summary: { total_complaints: closed.length, ...overall },
+        by_complaint_type: typeStats,
+        truncated: rows.length === 10000
+      }
+    };
+  }
+};
@@ -0,0 +1,139 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { percent, round } from "../utils/aggregate.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type HousingHealthArgs = { borough?: BoroughName; days: number };
+
+const MAX_ROWS = 50000;
+
+export default {
+  name: "get_housing_health",
+  description:
+    "Housing health indicators combining HPD violations and complaints: open rates, complaint responsiveness, trend, and buildings with repeated open issues.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    days: z.number().int().min(1).max(365).default(90)
+  }),
+  async handler({ borough, days }: HousingHealthArgs) {
+    const window = windowForDays(days);
+    const since = soqlTimestamp(window.start);
+
+    const [violations, complaints]: any[][] = await Promise.all([
+      getJSON(
+        socrataUrl(DATASETS.HPD_VIOLATIONS.id, {
+          select: "violationstatus,inspectiondate,buildingid",
+          where: [compare("inspectiondate", ">=", since), borough && boroughClause(DATASETS.HPD_VIOLATIONS, borough)],
+          limit: MAX_ROWS
+        })
+      ),
+      getJSON(
+        socrataUrl(DATASETS.HPD_COMPLAINTS.id, {
+          select: "status,receiveddate,statusdate,buildingid",
+          where: [compare("receiveddate", ">=", since), borough && boroughClause(DATASETS.HPD_COMPLAINTS, borough)],
+          limit: MAX_ROWS
+        })
+      )
+    ]);
+
+    const openViolations = violations.filter(v => v.violationstatus === "Open").length;
+    const violationOpenRate = percent(openViolations, violations.length);
+
+    const openComplaints = complaints.filter(c => c.status !== "CLOSE" && c.status !== "Close").length;
+    const resolutionRate = percent(complaints.length - openComplaints, complaints.length);
+
+    const resolutionDays = complaints
+      .filter(c => (c.status === "CLOSE" || c.status === "Close") && c.receiveddate && c.statusdate)
+      .map(c => (new Date(c.statusdate).getTime() - new Date(c.receiveddate).getTime()) / 86400000)
+      .filter(d => Number.isFinite(d) && d >= 0);
+    const avgResolutionDays = resolutionDays.length
+      ? round(resolutionDays.reduce((a, b) => a + b, 0) / resolutionDays.length, 1)
+      : 0;
+
+    const issues: Record<string, { violations: number; complaints: number }> = {};
+    for (const v of violations) {
+      if (v.buildingid && v.violationstatus === "Open") {
+        (issues[v.buildingid] ??= { violations: 0, complaints: 0 }).violations++;
+      }
+    }
+    for (const c of complaints) {
+      if (c.buildingid && c.status !== "CLOSE" && c.status !== "Close") {
+        (issues[c.buildingid] ??= { violations: 0, complaints: 0 }).complaints++;
+      }
+    }
+    const problemBuildings = Object.entries(issues)
+      .map(([building_id, i]) => ({
+        building_id,
+        open_violations: i.violations,
+        open_complaints: i.complaints,
+        total_issues: i.violations + i.complaints
+      }))
+      .filter(b => b.total_issues >= 3)
+      .sort((a, b) => b.total_issues - a.total_issues);
+
+    const midpoint = new Date(window.start).getTime() + (new Date(window.end).getTime() - new Date(window.start).getTime()) / 2;
+    const firstHalf = complaints.filter(c => new Date(c.receiveddate).getTime() < midpoint).length;
+    const secondHalf = complaints.length - firstHalf;
+    const direction = secondHalf > firstHalf ? "worsening" : secondHalf < firstHalf ? "improving" : "stable";
+    const magnitude = firstHalf > 0 ? percent(Math.abs(secondHalf - firstHalf), firstHalf) : 0;
+
+    const overall =
+      violationOpenRate < 30 && resolutionRate > 70 && direction === "improving"
+        ? "HEALTHY - Housing stock is well-maintained and complaints are addressed"
+        : violationOpenRate > 50 || resolutionRate < 50 || (direction === "worsening" && magnitude > 20)
+          ? "STRESSED - Housing quality needs attention"
+          : "MODERATE - Some concerns but manageable";
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${borough || "Citywide"} housing over ${days} days: ${openViolations}/${violations.length} violations open (${violationOpenRate}%), ${resolutionRate}% of ${complaints.length} complaints resolved; ${overall}`
+        }
+      ],
+      structuredContent: {
+        window,
+        borough: borough || "CITYWIDE",
+        violations: {
+          total: violations.length,
+          open: openViolations,
+          open_rate: violationOpenRate,
+          interpretation: violationOpenRate > 50 ? "critical" : violationOpenRate > 30 ? "stressed" : "manageable"
+        },
+        complaints: {
+          total: complaints.length,
+          open: openComplaints,
+          resolution_rate: resolutionRate,
+          avg_resolution_days: avgResolutionDays,
+          interpretation: resolutionRate > 70 ? "responsive" : resolutionRate > 50 ? "moderate" : "unresponsive"
+        },
+        trend: {
+          direction,
+          magnitude_percent: magnitude,
+          interpretation:
+            magnitude > 20 && direction === "worsening"
+              ? "significant deterioration"
+              : magnitude > 20 && direction === "improving"
+                ? "significant improvement"
+                : "stable"
+        },
+        problem_buildings: {
+          count: problemBuildings.length,
+          top_20: problemBuildings.slice(0, 20),
+          interpretation: problemBuildings.length > 10 ? "concentrated neglect - enforcement opportunity" : "scattered issues"
+        },
+        health_assessment: {
+          violation_burden: violationOpenRate > 50 ? "severe" : violationOpenRate > 30 ? "moderate" : "low",
+          responsiveness: resolutionRate > 70 ? "good" : resolutionRate > 50 ? "fair" : "poor",
+          trajectory: direction,
+          landlord_compliance: problemBuildings.length < 5 ? "good" : problemBuildings.length < 15 ? "concerning" : "poor",
+          overall
+        },
+        truncated: violations.length === MAX_ROWS || complaints.length === MAX_ROWS
+      }
+    };
+  }
+};
@@ -0,0 +1,58 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type HpdComplaintsArgs = { borough?: BoroughName; status?: string; days: number; limit: number };
+
+export default {
+  name: "search_hpd_complaints",
+  description: "Search HPD housing complaints about heat, hot water, pests, leaks, and other conditions.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    status: z.string().max(50).optional().describe('Complaint status, e.g. "OPEN" or "CLOSE"'),
+    days: z.number().int().min(1).max(365).default(30),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler({ borough, status, days, limit }: HpdComplaintsArgs) {
+    const window = windowForDays(days);
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.HPD_COMPLAINTS.id, {
+        where: [
+          compare("receiveddate", ">=", soqlTimestamp(window.start)),
+          borough && boroughClause(DATASETS.HPD_COMPLAINTS, borough),
+          status && eq("status", status)
+        ],
+        order: "receiveddate DESC",
+        limit
+      })
+    );
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} HPD complaints in ${borough || "NYC"} over ${days} days${rows.length === limit ? " (limit reached)" : ""}`
+        }
+      ],
+      structuredContent: {
+        window,
+        count: rows.length,
+        complaints: rows.map(c => ({
+          complaint_id: c.complaintid,
+          building_id: c.buildingid,
+          borough: c.borough ?? c.boroughid,
+          house_number: c.housenumber,
+          street_name: c.streetname,
+          apartment: c.apartment,
+          zip: c.zip,
+          received_date: c.receiveddate,
+          status: c.status,
+          status_date: c.statusdate
+        }))
+      }
+    };
+  }
+};
@@ -0,0 +1,50 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type HpdRegistrationsArgs = { borough?: BoroughName; zip?: string; limit: number };
+
+export default {
+  name: "get_hpd_registrations",
+  description: "Get HPD multiple dwelling registrations by borough or ZIP code.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    zip: z.string().regex(/^\d{5}$/, "ZIP must be 5 digits").optional(),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler({ borough, zip, limit }: HpdRegistrationsArgs) {
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.HPD_REGISTRATIONS.id, {
+        where: [borough && boroughClause(DATASETS.HPD_REGISTRATIONS, borough), zip && eq("zip", zip)],
+        limit
+      })
+    );
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} HPD registrations${zip ? ` in ZIP ${zip}` : ""}${borough ? ` in ${borough}` : ""}`
+        }
+      ],
+      structuredContent: {
+        count: rows.length,
+        registrations: rows.map(r => ({
+          registration_id: r.registrationid,
+          building_id: r.buildingid,
+          borough: r.boro ?? r.boroid,
+          house_number: r.housenumber,
+          street_name: r.streetname,
+          zip: r.zip,
+          block: r.block,
+          lot: r.lot,
+          bin: r.bin,
+          last_registration_date: r.lastregistrationdate,
+          registration_end_date: r.registrationenddate
+        }))
+      }
+    };
+  }
+};
@@ -0,0 +1,205 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, compare, inList } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause, boroughValue } from "../utils/borough.js";
+import { binSchema } from "../utils/identifiers.js";
+import { TimeWindow, soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { createSuccessEnvelope, DATA_SOURCES, EVENT_TYPES } from "../utils/envelope.js";
+import { enrichHPDGeo } from "../utils/geoEnrichment.js";
+import { generateHPDViolationsInsights, formatInsights } from "../utils/insights.js";
+import { percent } from "../utils/aggregate.js";
+import { spatialShape, SpatialArgs, resolveSearchArea, bblsInArea, describeArea } from "../utils/spatial.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type HpdViolationsArgs = {
+  borough?: BoroughName;
+  bin?: string;
+  status?: string;
+  days: number;
+  limit: number;
+  aggregated: boolean;
+} & SpatialArgs;
+
+/** BBLs of the lots in a `near`/`within` area; HPD violations carry a BBL but no location column. */
+type AreaLots = { area: Record<string, unknown>; bbls: string[] } | undefined;
+
+/** An area with no lots matches nothing, so its queries are answered without a request. */
+function noLots(lots: AreaLots): boolean {
+  return lots !== undefined && lots.bbls.length === 0;
+}
+
+const DATASET = DATASETS.HPD_VIOLATIONS.id;
+
+export const SEVERITY: Record<string, string> = {
+  A: "Non-hazardous",
+  B: "Hazardous",
+  C: "Immediately hazardous"
+};
+
+const CLASS_WEIGHTS: Record<string, number> = { C: 3, B: 2, A: 1 };
+
+/** Weighted severity (C=3, B=2, A=1, other=0) as a share of the all-class-C maximum, 0-100. */
+export function hazardIndex(classCounts: Record<string, number>): number {
+  const total = Object.values(classCounts).reduce((a, b) => a + b, 0);
+  const score = Object.entries(classCounts).reduce((sum, [cls, count]) => sum + count * (CLASS_WEIGHTS[cls] ?? 0), 0);
+  return total > 0 ? parseFloat(((score / (total * 3)) * 100).toFixed(2)) : 0;
+}
+
+export function interpretHazard(index: number): string {
+  return index < 33
+    ? "Low severity (mostly Class A)"
+    : index < 66
+      ? "Moderate severity (mixed classes)"
+      : "High severity (many Class B/C violations)";
+}
+
+function conditions(args: HpdViolationsArgs, window: TimeWindow, lots: AreaLots) {
+  return [
+    compare("inspectiondate", ">=", soqlTimestamp(window.start)),
+    compare("inspectiondate", "<=", soqlTimestamp(window.end)),
+    args.borough && boroughClause(DATASETS.HPD_VIOLATIONS, args.borough),
+    args.bin && eq("bin", args.bin),
+    args.status && eq("violationstatus", args.status),
+    lots && inList("bbl", lots.bbls)
+  ];
+}
+
+async function aggregatedViolations(args: HpdViolationsArgs, window: TimeWindow, lots: AreaLots) {
+  let classRows: any[] = [];
+  let boroughRows: any[] = [];
+  if (!noLots(lots)) {
+    const where = conditions(args, window, lots);
+    [classRows, boroughRows] = await Promise.all([
+      getJSON(socrataUrl(DATASET, { select: "class, COUNT(*) AS count", where, group: "class", order: "count DESC", limit: 10 })),
+      getJSON(
+        socrataUrl(DATASET, { select: "boroid, boro, COUNT(*) AS count", where, group: "boroid, boro", order: "count DESC", limit: 10 })
+      )
+    ]);
+  }
+
+  const classCounts: Record<string, number> = {};
+  for (const row of classRows) classCounts[row.class] = parseInt(row.count, 10);
+  const total = Object.values(classCounts).reduce((a, b) => a + b, 0);
+
+  const classBreakdown = Object.entries(classCounts).map(([cls, count]) => ({
+    class: cls,
+    severity: SEVERITY[cls] ?? "Other",
+    count,
+    percentage: percent(count, total, 2)
+  }));
+  const severityMix = Object.fromEntries(
+    classBreakdown.map(({ class: cls, ...rest }) => [cls, { count: rest.count, percentage: rest.percentage, severity: rest.severity }])
+  );
+  const index = hazardIndex(classCounts);
+
+  const geo = enrichHPDGeo({ boroid: args.borough ? boroughValue(DATASETS.HPD_VIOLATIONS, args.borough) : null });
+  const records = classBreakdown.map(item => ({
+    period: `${window.start.split("T")[0]} to ${window.end.split("T")[0]}`,
+    geo: { ...geo, borough: geo.borough || "ALL" },
+    topic: `Class ${item.class} - ${item.severity}`,
+    value: item.count,
+    details: item
+  }));
+
+  return createSuccessEnvelope({
+    source: DATA_SOURCES.HPD_VIOLATIONS,
+    eventType: EVENT_TYPES.AGGREGATION,
+    window,
+    count: total,
+    records,
+    meta: {
+      aggregation: "server_side",
+      severity_mix: severityMix,
+      class_breakdown: classBreakdown,
+      borough_breakdown: boroughRows.map(row => ({
+        borough_id: row.boroid,
+        borough_name: row.boro,
+        count: parseInt(row.count, 10),
+        percentage: percent(parseInt(row.count, 10), total, 2)
+      })),
+      hazard_index: index,
+      hazard_interpretation: interpretHazard(index),
+      status_filter: args.status || "ALL",
+      bin_filter: args.bin || "ALL",
+      area_filter: lots ? { ...lots.area, lots: lots.bbls.length } : null
+    }
+  });
+}
+
+async function rawViolations(args: HpdViolationsArgs, window: TimeWindow, lots: AreaLots) {
+  const rows: any[] = noLots(lots)
+    ? []
+    : await getJSON(socrataUrl(DATASET, { where: conditions(args, window, lots), order: "inspectiondate DESC", limit: args.limit }));
+
+  const records = rows.map(v => ({
+    ts: v.inspectiondate,
+    geo: enrichHPDGeo(v),
+    topic: `Class ${v.class} - ${v.novdescription?.substring(0, 100) || "N/A"}`,
+    value: 1,
+    details: {
+      violation_id: v.violationid,
+      building_id: v.buildingid,
+      bin: v.bin,
+      class: v.class,
+      address: `${v.housenumber} ${v.streetname}, ${v.boro}`,
+      apartment: v.apartment,
+      inspection_date: v.inspectiondate,
+      status: v.violationstatus,
+      description: v.novdescription,
+      nov_issued_date: v.novissueddate
+    }
+  }));
+
+  return createSuccessEnvelope({
+    source: DATA_SOURCES.HPD_VIOLATIONS,
+    eventType: EVENT_TYPES.SEARCH,
+    window,
+    count: rows.length,
+    records,
+    meta: {
+      aggregation: "raw",
+      limit: args.limit,
+      status_filter: args.status || "ALL",
+      bin_filter: args.bin || "ALL",
+      area_filter: lots ? { ...lots.area, lots: lots.bbls.length } : null
+    }
+  });
+}
+
+export default {
+  name: "search_hpd_violations",
+  description:
+    "Search HPD housing maintenance code violations (default last 12 months). Aggregated mode returns the A/B/C severity mix, hazard index and borough breakdown; set aggregated=false for individual violations. Filter by area with near (point or address plus radius) or within (GeoJSON polygon).",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    bin: binSchema.optional(),
+    status: z.string().max(50).optional().describe('Violation status, e.g. "Open" or "Close"'),
+    days: z.number().int().min(1).max(365).default(365),
+    limit: z.number().int().min(1).max(10000).default(100),
+    aggregated: z.boolean().default(true),
+    ...spatialShape
+  }),
+  async handler(args: HpdViolationsArgs) {
+    const window = windowForDays(args.days);
+    const area = await resolveSearchArea(args);
+    const lots = area && { area: describeArea(area), bbls: await bblsInArea(area) };
+    const envelope = args.aggregated
+      ? await aggregatedViolations(args, window, lots)
+      : await rawViolations(args, window, lots);
+    if (args.aggregated) {
+      envelope.insights = generateHPDViolationsInsights(envelope);
+    }
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: envelope.insights
+            ? formatInsights(envelope.insights)
+            : `${envelope.count} HPD violations returned (limit ${args.limit})`
+        }
+      ],
+      structuredContent: envelope
+    };
+  }
+};
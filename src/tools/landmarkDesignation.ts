@@ -0,0 +1,217 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, or } from "../utils/soql.js";
+import { bblSchema, parseBBL } from "../utils/identifiers.js";
+import { pick, parseDobDate, formatInsights } from "../utils/insights.js";
+import { latitudeSchema, longitudeSchema, containsPointClause } from "../utils/spatial.js";
+import { geosearch } from "../utils/geosearch.js";
+import { DATASETS } from "../utils/datasets.js";
+
+export type HistoricDistrict = {
+  name: string | null;
+  lp_number: string | null;
+  designated: string | null;
+  status: string | null;
+};
+
+export type IndividualLandmark = {
+  name: string | null;
+  lp_number: string | null;
+  designated: string | null;
+  type: string | null;
+  status: string | null;
+  bbl: string | null;
+};
+
+export type LpcPermit = { required: boolean; reason: string };
+
+type Location = {
+  latitude: number;
+  longitude: number;
+  bbl: string | null;
+  label: string | null;
+  located_by: "coordinates" | "address" | "pluto";
+};
+
+/** Calendared or proposed districts and landmarks are under consideration but not yet regulated. */
+const NOT_DESIGNATED = /CALENDAR|PROPOSED|DENIED|DE-?DESIGNATED|HEARD/i;
+
+function day(value: string | undefined): string | null {
+  const date = parseDobDate(value);
+  return date ? date.toISOString().split("T")[0] : null;
+}
+
+export function historicDistrict(row: any): HistoricDistrict {
+  return {
+    name: pick(row, "area_name", "hist_dist", "name") ?? null,
+    lp_number: pick(row, "lp_number", "lpc_lpnumb") ?? null,
+    designated: day(pick(row, "desig_date", "desdate", "designation_date")),
+    status: pick(row, "current_", "status_of_", "status") ?? null
+  };
+}
+
+export function individualLandmark(row: any): IndividualLandmark {
+  return {
+    name: pick(row, "lpc_name", "lm_name", "name") ?? null,
+    lp_number: pick(row, "lpc_lpnumb", "lp_number") ?? null,
+    designated: day(pick(row, "desdate", "desig_date", "designation_date")),
+    type: pick(row, "lm_type", "lpc_sitede", "type") ?? null,
+    status: pick(row, "last_actio", "status", "lpc_sitest") ?? null,
+    bbl: pick(row, "bbl")?.split(".")[0] ?? null
+  };
+}
+
+/** Status is the authority: anything not calendared, proposed, denied or de-designated is in force, dated or not. */
+function designated(entry: HistoricDistrict | IndividualLandmark): boolean {
+  return !NOT_DESIGNATED.test(entry.status ?? "");
+}
+
+/** District names usually already end in "Historic District"; only add it when they don't. */
+function districtLabel(district: HistoricDistrict): string {
+  const name = district.name ?? district.lp_number ?? "unnamed";
+  return /historic district$/i.test(name) ? name : `${name} historic district`;
+}
+
+function landmarkReason(landmark: IndividualLandmark): string {
+  const name = landmark.name ?? landmark.lp_number;
+  return /INTERIOR/i.test(landmark.type ?? "")
+    ? `Designated interior landmark (${name}); LPC permit required for work on the designated interior`
+    : `Designated individual landmark (${name}); LPC permit required for exterior and most interior work`;
+}
+
+/**
+ * Work on a designated individual landmark, or on any lot inside a designated historic district, needs
+ * an LPC permit (Certificate of Appropriateness, No Effect or Expedited Certificate of No Effect) before
+ * DOB will issue its own. Interior landmarks only regulate the designated interior, so a lot that also
+ * sits in a district gets both reasons.
+ */
+export function lpcPermitRequirement(districts: HistoricDistrict[], landmarks: IndividualLandmark[]): LpcPermit {
+  const reasons = [
+    ...landmarks.filter(designated).map(landmarkReason),
+    ...districts
+      .filter(designated)
+      .map(d => `Within the ${districtLabel(d)}; LPC permit required for exterior work, new construction and demolition`)
+  ];
+  if (reasons.length) {
+    return { required: true, reason: reasons.join(". ") };
+  }
+  const pending = [...districts, ...landmarks].find(e => !designated(e));
+  return {
+    required: false,
+    reason: pending
+      ? `Not designated, but ${pending.name ?? pending.lp_number} is under LPC consideration; review may be required once designated`
+      : "Not within a historic district or on an individual landmark site"
+  };
+}
+
+/** One entry per landmark: a site split over several lots repeats its LP number; rows with neither LP number nor name stay separate. */
+export function uniqueLandmarks(rows: any[]): IndividualLandmark[] {
+  const landmarks = rows.map(individualLandmark);
+  return [...new Map(landmarks.map((l, i) => [l.lp_number ?? l.name ?? `row ${i}`, l])).values()];
+}
+
+async function locate({ bbl, address, latitude, longitude }: LandmarkDesignationArgs): Promise<Location> {
+  if (latitude !== undefined && longitude !== undefined) {
+    return { latitude, longitude, bbl: bbl ?? null, label: null, located_by: "coordinates" };
+  }
+  if (address) {
+    const [match] = await geosearch(address);
+    const [lon, lat] = match?.coordinates ?? [];
+    if (typeof lat !== "number" || typeof lon !== "number") {
+      throw new Error(`Could not resolve address "${address}" to a location`);
+    }
+    let matchBbl: string | null = null;
+    try {
+      matchBbl = match.bbl ? parseBBL(match.bbl).bbl : null;
+    } catch {
+      // GeoSearch returns no usable BBL for some addresses; containment only needs the point.
+    }
+    return { latitude: lat, longitude: lon, bbl: bbl ?? matchBbl, label: match.label ?? address, located_by: "address" };
+  }
+
+  const parts = parseBBL(bbl!);
+  const rows: any[] = await getJSON(
+    socrataUrl(DATASETS.PLUTO.id, {
+      select: "address, latitude, longitude",
+      filters: { borough: parts.borough_abbr, block: parts.block, lot: parts.lot },
+      limit: 1
+    })
+  );
+  const lat = parseFloat(rows[0]?.latitude);
+  const lon = parseFloat(rows[0]?.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error(`No PLUTO location for BBL ${parts.bbl}`);
+  }
+  return { latitude: lat, longitude: lon, bbl: parts.bbl, label: rows[0]?.address ?? null, located_by: "pluto" };
+}
+
+type LandmarkDesignationArgs = { bbl?: string; address?: string; latitude?: number; longitude?: number };
+
+export default {
+  name: "check_landmark_designation",
+  description:
+    "Find the LPC historic districts and individual landmark sites containing a BBL, address, or latitude/longitude (boundary containment, so vacant lots and buildings missing from the BIN list are covered). Returns district or landmark name, designation date and LP number, and whether an LPC permit would be required.",
+  inputSchema: z.object({
+    bbl: bblSchema.optional(),
+    address: z.string().trim().min(1).max(200).optional(),
+    latitude: latitudeSchema.optional(),
+    longitude: longitudeSchema.optional()
+  }),
+  async handler(args: LandmarkDesignationArgs) {
+    if ((args.latitude === undefined) !== (args.longitude === undefined)) {
+      throw new Error("Provide both latitude and longitude");
+    }
+    if (!args.bbl && !args.address && args.latitude === undefined) {
+      throw new Error("Provide a bbl, address, or latitude and longitude");
+    }
+
+    const location = await locate(args);
+    const contains = (dataset: { location_column: string }) =>
+      containsPointClause(dataset.location_column, location.latitude, location.longitude);
+    const [districtRows, landmarkRows]: any[][] = await Promise.all([
+      getJSON(
+        socrataUrl(DATASETS.HISTORIC_DISTRICTS.id, {
+          where: contains(DATASETS.HISTORIC_DISTRICTS),
+          limit: 20
+        })
+      ),
+      // Sites are tax-lot polygons, so a lot whose point falls just outside still matches on its BBL.
+      getJSON(
+        socrataUrl(DATASETS.LANDMARK_SITES.id, {
+          where: location.bbl ? or(contains(DATASETS.LANDMARK_SITES), eq("bbl", location.bbl)) : contains(DATASETS.LANDMARK_SITES),
+          limit: 50
+        })
+      )
+    ]);
+
+    const districts = districtRows.map(historicDistrict);
+    const landmarks = uniqueLandmarks(landmarkRows);
+    const lpcPermit = lpcPermitRequirement(districts, landmarks);
+
+    const takeaways = [
+      ...districts.map(d => `Historic district: ${d.name ?? "unnamed"} (${d.lp_number ?? "no LP number"}, designated ${d.designated ?? "date unknown"})`),
+      ...landmarks.map(l => `${l.type ?? "Individual landmark"}: ${l.name ?? "unnamed"} (${l.lp_number ?? "no LP number"}, designated ${l.designated ?? "date unknown"})`),
+      `LPC permit ${lpcPermit.required ? "required" : "not required"}: ${lpcPermit.reason}`
+    ];
+    const where = location.label ?? (location.bbl ? `BBL ${location.bbl}` : `${location.latitude}, ${location.longitude}`);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `${where}: ${districts.length} historic district${districts.length === 1 ? "" : "s"}, ${landmarks.length} individual landmark${landmarks.length === 1 ? "" : "s"}`,
+            takeaways
+          })
+        }
+      ],
+      structuredContent: {
+        query: { bbl: args.bbl ?? null, address: args.address ?? null, latitude: args.latitude ?? null, longitude: args.longitude ?? null },
+        location,
+        historic_districts: districts,
+        individual_landmarks: landmarks,
+        lpc_permit: lpcPermit
+      }
+    };
+  }
+};
@@ -1,5 +1,9 @@
 import { z } from "zod";
+import { binSchema } from "../utils/identifiers.js";
 import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { summarizeLandmark, formatInsights } from "../utils/insights.js";
+import { DATASETS } from "../utils/datasets.js";
 
 type LandmarkArgs = { bin: string };
 
@@ -7,16 +11,16 @@ export default {
   name: "get_landmark_status",
   description: "Retrieve Landmark and Historic District building info via BIN.",
   inputSchema: z.object({
-    bin: z.string()
+    bin: binSchema
   }),
   async handler({ bin }: LandmarkArgs) {
-    const url = `https://data.cityofnewyork.us/resource/gpmc-yuvp.json?bin=${bin}`;
-    const data = await getJSON(url);
+    const url = socrataUrl(DATASETS.LANDMARKS.id, { filters: { bin } });
+    const data: any[] = await getJSON(url);
     return {
       content: [
         {
           type: "text" as const,
-          text: "Landmark status returned"
+          text: formatInsights(summarizeLandmark(data))
         }
       ],
       structuredContent: { data }
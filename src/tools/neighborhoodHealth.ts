@@ -0,0 +1,99 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { soqlTimestamp, windowForDays } from "../utils/timeWindows.js";
+import { topCounts, percent, round } from "../utils/aggregate.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type NeighborhoodHealthArgs = { borough?: BoroughName; days: number };
+
+const MAX_ROWS = 50000;
+
+export default {
+  name: "get_neighborhood_health",
+  description:
+    "Neighborhood health indicators from 311 data: resolution rate, time to resolution, complaint mix, trend, and geographic spread.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    days: z.number().int().min(1).max(365).default(90)
+  }),
+  async handler({ borough, days }: NeighborhoodHealthArgs) {
+    const window = windowForDays(days);
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.NYC_311.id, {
+        select: "complaint_type,created_date,status,resolution_action_updated_date,borough,incident_zip",
+        where: [compare("created_date", ">=", soqlTimestamp(window.start)), borough && boroughClause(DATASETS.NYC_311, borough)],
+        limit: MAX_ROWS
+      })
+    );
+
+    const total = rows.length;
+    const closed = rows.filter(c => c.status === "Closed");
+    const resolutionRate = percent(closed.length, total);
+
+    const resolutionDays = closed
+      .filter(c => c.resolution_action_updated_date && c.created_date)
+      .map(c => (new Date(c.resolution_action_updated_date).getTime() - new Date(c.created_date).getTime()) / 86400000)
+      .filter(d => Number.isFinite(d) && d >= 0);
+    const avgResolutionDays = resolutionDays.length
+      ? round(resolutionDays.reduce((a, b) => a + b, 0) / resolutionDays.length, 1)
+      : 0;
+
+    const topTypes = topCounts(rows.map(c => c.complaint_type || "Unknown"), "type").map(t => ({
+      ...t,
+      percentage: percent(t.count as number, total)
+    }));
+    const topShare = topTypes[0]?.percentage ?? 0;
+    const complaintsPerDay = round(total / days, 1);
+
+    const midpoint = new Date(window.start).getTime() + (new Date(window.end).getTime() - new Date(window.start).getTime()) / 2;
+    const firstHalf = rows.filter(c => new Date(c.created_date).getTime() < midpoint).length;
+    const secondHalf = total - firstHalf;
+    const direction = secondHalf > firstHalf ? "increasing" : secondHalf < firstHalf ? "decreasing" : "stable";
+    const magnitude = firstHalf > 0 ? percent(Math.abs(secondHalf - firstHalf), firstHalf) : secondHalf > 0 ? 999 : 0;
+
+    const uniqueZips = new Set(rows.map(c => c.incident_zip).filter(Boolean)).size;
+
+    const healthSignals = {
+      service_responsiveness: resolutionRate > 70 ? "healthy" : resolutionRate > 50 ? "moderate" : "stressed",
+      complaint_trend: direction === "decreasing" ? "improving" : direction === "increasing" ? "worsening" : "stable",
+      issue_concentration: topShare > 50 ? "focused problem" : "systemic issues",
+      civic_engagement: complaintsPerDay > 100 ? "high" : complaintsPerDay > 50 ? "moderate" : "low"
+    };
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${borough || "Citywide"}: ${total.toLocaleString()} 311 complaints over ${days} days, ${resolutionRate}% resolved (avg ${avgResolutionDays} days); service ${healthSignals.service_responsiveness}, trend ${healthSignals.complaint_trend}`
+        }
+      ],
+      structuredContent: {
+        window,
+        borough: borough || "CITYWIDE",
+        total_complaints: total,
+        complaints_per_day: complaintsPerDay,
+        resolution_rate: resolutionRate,
+        avg_resolution_days: avgResolutionDays,
+        trend: {
+          direction,
+          magnitude_percent: magnitude,
+          interpretation: magnitude > 20 ? "significant change" : "stable"
+        },
+        top_complaint_types: topTypes,
+        complaint_diversity: {
+          unique_types: new Set(rows.map(c => c.complaint_type)).size,
+          top_type_dominance: topShare,
+          interpretation: topShare > 50 ? "concentrated issue" : "varied issues"
+        },
+        geographic_spread: {
+          unique_zip_codes: uniqueZips,
+          interpretation: uniqueZips > 5 ? "widespread" : "localized"
+        },
+        health_signals: healthSignals,
+        truncated: total === MAX_ROWS
+      }
+    };
+  }
+};
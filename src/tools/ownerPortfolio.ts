@@ -0,0 +1,452 @@
+import { z } from "zod";
+import { getJSON, mapConcurrent, rateLimit } from "../utils/http.js";
+import { socrataUrl, eq, compare, contains, inList, and, or } from "../utils/soql.js";
+import { boroughFromId, boroughTitle } from "../utils/borough.js";
+import { formatBBL } from "../utils/identifiers.js";
+import { chunk } from "../utils/aggregate.js";
+import { formatInsights, isOpenDobViolation } from "../utils/insights.js";
+import { Insights } from "../utils/envelope.js";
+import { hazardIndex, interpretHazard } from "./hpdViolations.js";
+import { DATASETS } from "../utils/datasets.js";
+
+const CONTACTS = DATASETS.HPD_CONTACTS.id;
+const REGISTRATIONS = DATASETS.HPD_REGISTRATIONS.id;
+const HPD_VIOLATIONS = DATASETS.HPD_VIOLATIONS.id;
+const HPD_COMPLAINTS = DATASETS.HPD_COMPLAINTS.id;
+const DOB_VIOLATIONS = DATASETS.DOB_VIOLATIONS.id;
+
+/** Registration contact roles, as spelled in the `type` column of the contacts dataset. */
+export const CONTACT_TYPES = [
+  "CorporateOwner",
+  "IndividualOwner",
+  "JointOwner",
+  "HeadOfficer",
+  "Officer",
+  "Shareholder",
+  "Agent",
+  "SiteManager",
+  "Lessee"
+] as const;
+
+type ContactType = (typeof CONTACT_TYPES)[number];
+
+const DEFAULT_CONTACT_TYPES: ContactType[] = ["CorporateOwner", "IndividualOwner", "JointOwner", "HeadOfficer", "Agent"];
+
+const MAX_CONTACTS = 5000;
+/** Entities taken from a seed registration; a co-op board can list dozens of officers. */
+const MAX_SEED_ENTITIES = 10;
+const IN_CHUNK = 100;
+
+/** Legal-form words that vary between filings of the same entity ("ACME LLC" vs "Acme, L.L.C."). */
+const ENTITY_SUFFIXES = new Set(["THE", "LLC", "INC", "CORP", "CORPORATION", "CO", "COMPANY", "LP", "LLP", "LTD", "PC"]);
+
+/** Uppercase, spell out "&", drop punctuation and legal-form suffixes, and collapse whitespace. */
+export function normalizeEntityName(name: string): string {
+  return name
+    .toUpperCase()
+    .replace(/&/g, " AND ")
+    .replace(/[.']/g, "")
+    .replace(/[^A-Z0-9]+/g, " ")
+    .split(" ")
+    .filter(token => token && !ENTITY_SUFFIXES.has(token))
+    .join(" ");
+}
+
+function bigrams(text: string): string[] {
+  const grams: string[] = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+/** Sørensen–Dice coefficient over character bigrams. */
+function dice(a: string, b: string): number {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.length === 0 || right.length === 0) return a === b ? 1 : 0;
+  const pool = new Map<string, number>();
+  for (const gram of left) pool.set(gram, (pool.get(gram) ?? 0) + 1);
+  let shared = 0;
+  for (const gram of right) {
+    const available = pool.get(gram) ?? 0;
+    if (available > 0) {
+      shared++;
+      pool.set(gram, available - 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * How well `candidate` matches the searched `query`, 0-1. Names are normalized and their
+ * words sorted, so word order, punctuation and LLC/INC differences don't count; typos are
+ * scored by bigram similarity. A candidate containing every query word scores at least 0.9.
+ */
+export function nameMatchScore(query: string, candidate: string): number {
+  const q = normalizeEntityName(query).split(" ").filter(Boolean);
+  const c = normalizeEntityName(candidate).split(" ").filter(Boolean);
+  if (q.length === 0 || c.length === 0) return 0;
+
+  const similarity = dice([...q].sort().join(""), [...c].sort().join(""));
+  const covered = q.every(token => c.includes(token)) ? 0.9 : 0;
+  return parseFloat(Math.max(similarity, covered).toFixed(2));
+}
+
+/** The name a contact row is registered under: the corporation, or the person's full name. */
+export function contactName(row: any): string {
+  const corporation = row.corporationname?.trim();
+  if (corporation) return corporation;
+  return [row.firstname, row.middleinitial, row.lastname]
+    .map(part => part?.trim())
+    .filter(Boolean)
+    .join(" ");
+}
+
+export type PortfolioEntity = {
+  name: string;
+  score: number;
+  contact_types: string[];
+  registration_ids: string[];
+};
+
+/**
+ * Score contact rows against `query` (or accept them all when no query is given) and group the
+ * survivors by normalized name, best match first.
+ */
+export function matchContacts(contacts: any[], query: string | undefined, minScore: number): PortfolioEntity[] {
+  const entities = new Map<string, PortfolioEntity & { ids: Set<string>; types: Set<string> }>();
+  for (const row of contacts) {
+    const name = contactName(row);
+    const key = normalizeEntityName(name);
+    if (!key || !row.registrationid) continue;
+    const score = query === undefined ? 1 : nameMatchScore(query, name);
+    if (score < minScore) continue;
+
+    let entity = entities.get(key);
+    if (!entity) {
+      entity = { name, score, contact_types: [], registration_ids: [], ids: new Set(), types: new Set() };
+      entities.set(key, entity);
+    }
+    entity.ids.add(String(row.registrationid));
+    if (row.type) entity.types.add(row.type);
+  }
+
+  return [...entities.values()]
+    .map(({ ids, types, ...entity }) => ({
+      ...entity,
+      contact_types: [...types].sort(),
+      registration_ids: [...ids].sort()
+    }))
+    .sort((a, b) => b.score - a.score || b.registration_ids.length - a.registration_ids.length);
+}
+
+/** Words so common in registration names that they would pull in thousands of unrelated contacts. */
+const COMMON_NAME_WORDS = new Set([
+  "AND",
+  "ASSOCIATES",
+  "GROUP",
+  "HOLDING",
+  "HOLDINGS",
+  "HOUSING",
+  "MANAGEMENT",
+  "MGMT",
+  "NEW",
+  "NYC",
+  "PROPERTIES",
+  "PROPERTY",
+  "REALTY",
+  "YORK"
+]);
+const FRAGMENT_LENGTH = 4;
+const MAX_FILTER_WORDS = 3;
+
+/**
+ * Name fragments for the Socrata pre-filter: the first and last few letters of the longest
+ * distinctive words. A single typo leaves at least one fragment of its word intact, so the
+ * candidate still reaches the bigram scorer ("STELAR" keeps "STEL", found in "STELLAR").
+ */
+export function nameFragments(name: string): string[] {
+  const words = normalizeEntityName(name)
+    .split(" ")
+    .filter(word => word.length >= 3);
+  const distinctive = words.filter(word => !COMMON_NAME_WORDS.has(word));
+  const chosen = (distinctive.length ? distinctive : words).sort((a, b) => b.length - a.length).slice(0, MAX_FILTER_WORDS);
+  if (chosen.length === 0) {
+    throw new Error(`Name "${name}" needs at least one word of 3 or more letters to search on`);
+  }
+  return [...new Set(chosen.flatMap(word => [word.slice(0, FRAGMENT_LENGTH), word.slice(-FRAGMENT_LENGTH)]))];
+}
+
+/** Socrata pre-filter for a name search: any fragment appearing anywhere in the contact's name. */
+function nameFilter(name: string): string {
+  return or(
+    ...nameFragments(name).flatMap(fragment => [
+      contains("corporationname", fragment),
+      contains("lastname", fragment),
+      contains("firstname", fragment)
+    ])
+  );
+}
+
+/** Exact-match clause for the entity a contact row names, used to expand a seed registration. */
+function sameEntity(row: any): string | undefined {
+  if (row.corporationname?.trim()) return eq("corporationname", row.corporationname);
+  if (row.firstname && row.lastname) return and(eq("firstname", row.firstname), eq("lastname", row.lastname));
+  return undefined;
+}
+
+/** Contact rows matching `where`, in a stable order; `truncated` when MAX_CONTACTS cut the match short. */
+async function fetchContacts(where: string, types: ContactType[]): Promise<{ rows: any[]; truncated: boolean }> {
+  const rows: any[] = await getJSON(
+    socrataUrl(CONTACTS, {
+      select: "registrationid, type, corporationname, firstname, middleinitial, lastname",
+      where: [where, inList("type", types)],
+      order: ["registrationid", ...DATASETS.HPD_CONTACTS.key_columns],
+      limit: MAX_CONTACTS
+    })
+  );
+  return { rows, truncated: rows.length >= MAX_CONTACTS };
+}
+
+/** Run a grouped query once per chunk of `ids`, at most a burst at a time, and concatenate the rows. */
+async function inChunks(ids: string[], query: (ids: string[]) => string): Promise<any[]> {
+  const pages = await mapConcurrent(chunk(ids, IN_CHUNK), rateLimit().burst_limit, part => getJSON(query(part)));
+  return pages.flat();
+}
+
+export type PortfolioBuilding = {
+  registration_id: string;
+  building_id: string;
+  bin: string | null;
+  bbl: string | null;
+  address: string;
+  zip: string | null;
+  last_registration_date: string | null;
+  registration_end_date: string | null;
+  open_hpd_violations: { total: number; by_class: Record<string, number> };
+  open_hpd_complaints: number;
+  open_dob_violations: number;
+};
+
+function toBuilding(row: any): PortfolioBuilding {
+  const borough = boroughFromId(row.boroid);
+  let bbl: string | null = null;
+  try {
+    if (borough) bbl = formatBBL(borough, row.block, row.lot).bbl;
+  } catch {
+    // Some registrations carry a zero or missing block/lot; leave the BBL out rather than fail the portfolio.
+  }
+  return {
+    registration_id: String(row.registrationid),
+    building_id: String(row.buildingid),
+    bin: row.bin && !/^\d0{6}$/.test(row.bin) ? String(row.bin) : null,
+    bbl,
+    address: [row.housenumber, row.streetname].filter(Boolean).join(" ") + (borough ? `, ${boroughTitle(borough)}` : ""),
+    zip: row.zip ?? null,
+    last_registration_date: row.lastregistrationdate ?? null,
+    registration_end_date: row.registrationenddate ?? null,
+    open_hpd_violations: { total: 0, by_class: {} },
+    open_hpd_complaints: 0,
+    open_dob_violations: 0
+  };
+}
+
+/** Add grouped open-issue counts onto each building, matching HPD rows by building ID and DOB rows by BIN. */
+export function rollUpIssues(
+  buildings: PortfolioBuilding[],
+  { hpdViolations, hpdComplaints, dobViolations }: { hpdViolations: any[]; hpdComplaints: any[]; dobViolations: any[] }
+) {
+  const byBuildingId = new Map(buildings.map(b => [b.building_id, b]));
+  const byBin = new Map<string, PortfolioBuilding[]>();
+  for (const building of buildings) {
+    if (building.bin) byBin.set(building.bin, [...(byBin.get(building.bin) ?? []), building]);
+  }
+
+  for (const row of hpdViolations) {
+    const building = byBuildingId.get(String(row.buildingid));
+    if (!building) continue;
+    const count = parseInt(row.count, 10) || 0;
+    const cls = row.class || "Other";
+    building.open_hpd_violations.by_class[cls] = (building.open_hpd_violations.by_class[cls] ?? 0) + count;
+    building.open_hpd_violations.total += count;
+  }
+  for (const row of hpdComplaints) {
+    const building = byBuildingId.get(String(row.buildingid));
+    if (building) building.open_hpd_complaints += parseInt(row.count, 10) || 0;
+  }
+  // A BIN shared by two registrations (e.g. owner and lessee filings) is counted once.
+  for (const row of dobViolations) {
+    const [building] = byBin.get(String(row.bin)) ?? [];
+    if (building && isOpenDobViolation(row)) building.open_dob_violations += parseInt(row.count, 10) || 0;
+  }
+
+  const byClass: Record<string, number> = {};
+  for (const building of buildings) {
+    for (const [cls, count] of Object.entries(building.open_hpd_violations.by_class)) {
+      byClass[cls] = (byClass[cls] ?? 0) + count;
+    }
+  }
+  const index = hazardIndex(byClass);
+  return {
+    open_hpd_violations: Object.values(byClass).reduce((a, b) => a + b, 0),
+    open_hpd_violations_by_class: byClass,
+    open_hpd_complaints: buildings.reduce((sum, b) => sum + b.open_hpd_complaints, 0),
+    open_dob_violations: buildings.reduce((sum, b) => sum + b.open_dob_violations, 0),
+    hazard_index: index,
+    hazard_interpretation: interpretHazard(index)
+  };
+}
+
+function openIssues(b: PortfolioBuilding): number {
+  return b.open_hpd_violations.total + b.open_hpd_complaints + b.open_dob_violations;
+}
+
+function summarize(
+  label: string,
+  entities: PortfolioEntity[],
+  buildings: PortfolioBuilding[],
+  totals: ReturnType<typeof rollUpIssues> | null,
+  truncated: boolean,
+  contactsTruncated: boolean
+): Insights {
+  const contactsNote = `Only the first ${MAX_CONTACTS} matching contacts were searched; use a longer name to see every match`;
+  if (buildings.length === 0) {
+    return { headline: `No HPD-registered buildings found for ${label}`, takeaways: contactsTruncated ? [contactsNote] : [] };
+  }
+
+  const takeaways = [
+    `Matched ${entities
+      .slice(0, 5)
+      .map(e => `${e.name} (${e.registration_ids.length} registrations, score ${e.score})`)
+      .join("; ")}${entities.length > 5 ? `; and ${entities.length - 5} more` : ""}`
+  ];
+  if (totals) {
+    const classes = ["C", "B", "A"]
+      .filter(cls => totals.open_hpd_violations_by_class[cls])
+      .map(cls => `${cls}: ${totals.open_hpd_violations_by_class[cls]}`)
+      .join(", ");
+    takeaways.push(
+      `Open HPD violations: ${totals.open_hpd_violations}${classes ? ` (${classes})` : ""}; ${totals.hazard_interpretation.toLowerCase()}`,
+      `Open HPD complaints: ${totals.open_hpd_complaints}`,
+      `Open DOB violations: ${totals.open_dob_violations}`
+    );
+    const worst = buildings.filter(b => openIssues(b) > 0).slice(0, 3);
+    if (worst.length) {
+      takeaways.push(`Most open issues: ${worst.map(b => `${b.address} (${openIssues(b)})`).join(", ")}`);
+    }
+  }
+  if (truncated) takeaways.push("Portfolio truncated at max_buildings; raise it to see the rest");
+  if (contactsTruncated) takeaways.push(contactsNote);
+
+  return { headline: `${buildings.length} buildings registered to ${label}`, takeaways };
+}
+
+type OwnerPortfolioArgs = {
+  name?: string;
+  registration_id?: string;
+  contact_types?: ContactType[];
+  min_score: number;
+  include_issues: boolean;
+  max_buildings: number;
+};
+
+export default {
+  name: "get_owner_portfolio",
+  description:
+    "Find every building registered with HPD to an owner or managing agent, by name (fuzzy: ignores punctuation, word order and LLC/INC, tolerates typos) or by a registration ID whose owners and agents seed the search. Rolls up open HPD violations, HPD complaints and DOB violations across the portfolio.",
+  inputSchema: z.object({
+    name: z.string().trim().min(3).max(200).optional().describe("Owner, corporation or agent name"),
+    registration_id: z
+      .string()
+      .regex(/^\d{1,10}$/, "Registration ID must be numeric")
+      .optional()
+      .describe("HPD registration ID; its owner and agent contacts define the portfolio"),
+    contact_types: z
+      .array(z.enum(CONTACT_TYPES))
+      .min(1)
+      .optional()
+      .describe(`Contact roles to match (default: ${DEFAULT_CONTACT_TYPES.join(", ")})`),
+    min_score: z.number().min(0).max(1).default(0.6).describe("Minimum name match score, 0-1"),
+    include_issues: z.boolean().default(true),
+    max_buildings: z.number().int().min(1).max(1000).default(200)
+  }),
+  async handler({ name, registration_id, contact_types, min_score, include_issues, max_buildings }: OwnerPortfolioArgs) {
+    if (!name && !registration_id) {
+      throw new Error("Provide an owner or agent name, or a registration_id");
+    }
+    const types = contact_types ?? DEFAULT_CONTACT_TYPES;
+
+    let contacts: { rows: any[]; truncated: boolean };
+    if (registration_id) {
+      const seed = await fetchContacts(eq("registrationid", registration_id), types);
+      const clauses = [...new Set(seed.rows.map(sameEntity).filter((c): c is string => !!c))].slice(0, MAX_SEED_ENTITIES);
+      if (clauses.length === 0) {
+        throw new Error(`No ${types.join("/")} contacts found for registration ${registration_id}`);
+      }
+      contacts = await fetchContacts(or(...clauses), types);
+    } else {
+      contacts = await fetchContacts(nameFilter(name!), types);
+    }
+    const entities = matchContacts(contacts.rows, name, registration_id && !name ? 0 : min_score);
+
+    const registrationIds = [...new Set(entities.flatMap(e => e.registration_ids))];
+    const truncated = registrationIds.length > max_buildings;
+    const registrations = registrationIds.length
+      ? await inChunks(registrationIds.slice(0, max_buildings), ids =>
+          socrataUrl(REGISTRATIONS, { where: inList("registrationid", ids), limit: IN_CHUNK })
+        )
+      : [];
+    const buildings = registrations.map(toBuilding);
+
+    let totals: ReturnType<typeof rollUpIssues> | null = null;
+    if (include_issues && buildings.length) {
+      const buildingIds = [...new Set(buildings.map(b => b.building_id))];
+      const bins = [...new Set(buildings.map(b => b.bin).filter((b): b is string => !!b))];
+      const [hpdViolations, hpdComplaints, dobViolations] = await Promise.all([
+        inChunks(buildingIds, ids =>
+          socrataUrl(HPD_VIOLATIONS, {
+            select: "buildingid, class, COUNT(*) AS count",
+            where: [eq("violationstatus", "Open"), inList("buildingid", ids)],
+            group: "buildingid, class",
+            limit: IN_CHUNK * 10
+          })
+        ),
+        inChunks(buildingIds, ids =>
+          socrataUrl(HPD_COMPLAINTS, {
+            select: "buildingid, COUNT(*) AS count",
+            where: [compare("status", "!=", "CLOSE"), inList("buildingid", ids)],
+            group: "buildingid",
+            limit: IN_CHUNK
+          })
+        ),
+        bins.length
+          ? inChunks(bins, ids =>
+              socrataUrl(DOB_VIOLATIONS, {
+                select: "bin, violation_category, COUNT(*) AS count",
+                where: inList("bin", ids),
+                group: "bin, violation_category",
+                limit: IN_CHUNK * 10
+              })
+            )
+          : Promise.resolve([])
+      ]);
+      totals = rollUpIssues(buildings, { hpdViolations, hpdComplaints, dobViolations });
+      buildings.sort((a, b) => openIssues(b) - openIssues(a));
+    }
+
+    const label = name ? `"${name}"` : `the owners and agents of registration ${registration_id}`;
+    return {
+      content: [
+        { type: "text" as const, text: formatInsights(summarize(label, entities, buildings, totals, truncated, contacts.truncated)) }
+      ],
+      structuredContent: {
+        query: { name: name ?? null, registration_id: registration_id ?? null, contact_types: types, min_score },
+        entities,
+        building_count: buildings.length,
+        truncated,
+        contacts_truncated: contacts.truncated,
+        totals,
+        buildings
+      }
+    };
+  }
+};
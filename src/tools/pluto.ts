@@ -1,29 +1,212 @@
 import { z } from "zod";
 import { getJSON } from "../utils/http.js";
+import { socrataUrl } from "../utils/soql.js";
+import { BoroughName, boroughSchema } from "../utils/borough.js";
+import { summarizePluto, formatInsights } from "../utils/insights.js";
+import { bblSchema, blockSchema, lotSchema, parseBBL, formatBBL } from "../utils/identifiers.js";
+import { round, percent } from "../utils/aggregate.js";
+import { DATASETS } from "../utils/datasets.js";
 
-type PlutoArgs = { borough: string; block: string; lot: string };
+type PlutoArgs = { bbl?: string; borough?: BoroughName; block?: number; lot?: number; zoning_analysis?: boolean };
+
+export type UseCapacity = {
+  use: "residential" | "commercial" | "community_facility";
+  max_far: number;
+  max_floor_area_sq_ft: number;
+  /** Null when the existing floor area is unknown. */
+  unused_floor_area_sq_ft: number | null;
+};
+
+export type ZoningCapacity = {
+  lot_area_sq_ft: number | null;
+  existing_floor_area_sq_ft: number | null;
+  built_far: number | null;
+  /** Per use, highest allowance first. */
+  by_use: UseCapacity[];
+  /** The use with the highest allowance, which sets the lot's maximum buildable floor area. */
+  governing_use: UseCapacity["use"] | null;
+  max_far: number | null;
+  max_buildable_floor_area_sq_ft: number | null;
+  unused_floor_area_sq_ft: number | null;
+  unused_far: number | null;
+  percent_built: number | null;
+  zoning: {
+    districts: string[];
+    commercial_overlays: string[];
+    special_districts: string[];
+    limited_height: string | null;
+    split_lot: boolean;
+    description: string;
+  };
+  notes: string[];
+};
+
+const USE_FAR_COLUMNS: Array<[UseCapacity["use"], string]> = [
+  ["residential", "residfar"],
+  ["commercial", "commfar"],
+  ["community_facility", "facilfar"]
+];
+
+function positive(value: unknown): number | null {
+  const parsed = parseFloat(String(value ?? ""));
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function present(record: any, columns: string[]): string[] {
+  return columns.map(c => String(record?.[c] ?? "").trim()).filter(Boolean);
+}
+
+/** Plain-language reading of a zoning district code, e.g. "R7A" or "M1-4/R7A". */
+export function describeDistrict(code: string): string {
+  const upper = code.toUpperCase();
+  if (upper === "PARK") return `${code} (public park, not zoned for development)`;
+  if (upper === "BPC") return `${code} (Battery Park City, governed by its own plan)`;
+  if (/^M\d.*\/R\d/.test(upper)) return `${code} (mixed manufacturing and residence district)`;
+  if (/^R\d+[ABDX]/.test(upper)) return `${code} (contextual residence district with height and setback limits)`;
+  if (/^R\d/.test(upper)) return `${code} (residence district)`;
+  if (/^C\d/.test(upper)) return `${code} (commercial district)`;
+  if (/^M\d/.test(upper)) return `${code} (manufacturing district)`;
+  return code;
+}
+
+/**
+ * Floor-area arithmetic from PLUTO's lot area, existing building area and the district's maximum
+ * residential, commercial and community facility FARs. These are as-of-right base maximums: bonuses,
+ * special district rules and split lots can change the real number, which the notes call out.
+ */
+export function zoningCapacity(record: any): ZoningCapacity {
+  const lotArea = positive(record?.lotarea);
+  const builtFar = parseFloat(record?.builtfar);
+  const existing = positive(record?.bldgarea) ?? (lotArea && Number.isFinite(builtFar) ? round(lotArea * builtFar, 0) : null);
+
+  const byUse: UseCapacity[] = [];
+  for (const [use, column] of USE_FAR_COLUMNS) {
+    const far = positive(record?.[column]);
+    if (far === null || lotArea === null) continue;
+    const maxArea = round(lotArea * far, 0);
+    byUse.push({
+      use,
+      max_far: far,
+      max_floor_area_sq_ft: maxArea,
+      unused_floor_area_sq_ft: existing === null ? null : Math.max(round(maxArea - existing, 0), 0)
+    });
+  }
+  byUse.sort((a, b) => b.max_far - a.max_far);
+  const governing = byUse[0];
+
+  const districts = present(record, ["zonedist1", "zonedist2", "zonedist3", "zonedist4"]);
+  const overlays = present(record, ["overlay1", "overlay2"]);
+  const special = present(record, ["spdist1", "spdist2", "spdist3"]);
+  const limitedHeight = present(record, ["ltdheight"])[0] ?? null;
+  const splitLot = /^Y/i.test(String(record?.splitzone ?? ""));
+
+  const description = [
+    districts.length ? `Zoned ${districts.map(describeDistrict).join(", ")}` : "Zoning district not recorded",
+    overlays.length && `with ${overlays.join(", ")} commercial overlay${overlays.length === 1 ? "" : "s"} (local retail and services)`,
+    special.length && `in special district${special.length === 1 ? "" : "s"} ${special.join(", ")}`,
+    limitedHeight && `limited height district ${limitedHeight}`
+  ]
+    .filter(Boolean)
+    .join("; ");
+
+  const notes: string[] = [];
+  if (lotArea === null) notes.push("Lot area is not recorded, so floor area cannot be computed");
+  else if (!governing) notes.push("No maximum FAR is recorded for this lot's district");
+  if (governing && existing === null) {
+    notes.push("Existing floor area is not recorded (no building area or built FAR), so unused floor area is unknown");
+  }
+  if (splitLot) notes.push(`The lot is split between districts (${districts.join(", ")}); PLUTO's FARs reflect the district covering most of the lot`);
+  if (special.length) notes.push("Special district rules can modify the base FAR");
+  if (governing) notes.push("Base as-of-right maximums; bonuses (e.g. inclusionary housing) and transferred development rights are not included");
+
+  return {
+    lot_area_sq_ft: lotArea,
+    existing_floor_area_sq_ft: existing,
+    built_far: Number.isFinite(builtFar) ? builtFar : null,
+    by_use: byUse,
+    governing_use: governing?.use ?? null,
+    max_far: governing?.max_far ?? null,
+    max_buildable_floor_area_sq_ft: governing?.max_floor_area_sq_ft ?? null,
+    unused_floor_area_sq_ft: governing?.unused_floor_area_sq_ft ?? null,
+    unused_far: governing && Number.isFinite(builtFar) ? Math.max(round(governing.max_far - builtFar, 2), 0) : null,
+    percent_built: governing && existing !== null ? percent(existing, governing.max_floor_area_sq_ft) : null,
+    zoning: {
+      districts,
+      commercial_overlays: overlays,
+      special_districts: special,
+      limited_height: limitedHeight,
+      split_lot: splitLot,
+      description
+    },
+    notes
+  };
+}
+
+function summarizeCapacity(record: any, capacity: ZoningCapacity) {
+  const address = record?.address ?? "Lot";
+  const sqft = (value: number | null) => (value === null ? "unknown" : `${value.toLocaleString()} sq ft`);
+  const headline =
+    capacity.max_buildable_floor_area_sq_ft === null
+      ? `${address}: buildable floor area could not be computed`
+      : `${address}: max buildable ${sqft(capacity.max_buildable_floor_area_sq_ft)} (FAR ${capacity.max_far}, ${capacity.governing_use?.replace("_", " ")}), ${sqft(capacity.unused_floor_area_sq_ft)} unused`;
+  return {
+    headline,
+    takeaways: [
+      capacity.zoning.description,
+      `Lot ${sqft(capacity.lot_area_sq_ft)}, existing ${sqft(capacity.existing_floor_area_sq_ft)} (built FAR ${capacity.built_far ?? "unknown"}${capacity.percent_built !== null ? `, ${capacity.percent_built}% of the maximum` : ""})`,
+      ...capacity.by_use.map(u => `${u.use.replace("_", " ")}: FAR ${u.max_far} allows ${sqft(u.max_floor_area_sq_ft)}, ${sqft(u.unused_floor_area_sq_ft)} unused`),
+      ...capacity.notes
+    ]
+  };
+}
 
 export default {
   name: "get_pluto",
-  description: "Retrieve PLUTO data via borough, block, and lot.",
+  description:
+    "Retrieve PLUTO data via BBL, or borough, block, and lot. With zoning_analysis, also reports maximum buildable floor area, unused development rights and the governing zoning districts in plain language.",
   inputSchema: z.object({
-    borough: z.string(),
-    block: z.string(),
-    lot: z.string()
+    bbl: bblSchema.optional(),
+    borough: boroughSchema.optional(),
+    block: blockSchema.optional(),
+    lot: lotSchema.optional(),
+    zoning_analysis: z
+      .boolean()
+      .optional()
+      .describe("Add zoning capacity: max buildable floor area per use, unused floor area and FAR, and the zoning districts in plain language")
   }),
-  async handler({ borough, block, lot }: PlutoArgs) {
-    const url = `https://data.cityofnewyork.us/resource/64uk-42ks.json?borough=${borough}&block=${block}&lot=${lot}`;
+  async handler({ bbl, borough, block, lot, zoning_analysis }: PlutoArgs) {
+    if (!bbl && !(borough && block && lot)) {
+      throw new Error("Provide a bbl, or all of borough, block, and lot");
+    }
+    const parts = bbl ? parseBBL(bbl) : formatBBL(borough!, block!, lot!);
+
+    // PLUTO keys parcels by two-letter borough abbreviation and numeric block/lot.
+    const url = socrataUrl(DATASETS.PLUTO.id, {
+      filters: { borough: parts.borough_abbr, block: parts.block, lot: parts.lot }
+    });
     const json: any = await getJSON(url);
     const record = (Array.isArray(json) ? json[0] : json) || {};
 
-    return {
-      content: [
-        {
-          type: "text" as const,
-          text: "PLUTO record retrieved"
-        }
-      ],
-      structuredContent: record
-    };
+    if (Object.keys(record).length === 0) {
+      const headline = `No PLUTO record for BBL ${parts.bbl}`;
+      return {
+        content: [
+          {
+            type: "text" as const,
+            text: formatInsights({ headline, takeaways: zoning_analysis ? ["Zoning capacity needs a PLUTO lot"] : [] })
+          }
+        ],
+        structuredContent: zoning_analysis ? { zoning_capacity: null } : {}
+      };
+    }
+
+    if (zoning_analysis) {
+      const capacity = zoningCapacity(record);
+      return {
+        content: [{ type: "text" as const, text: formatInsights(summarizeCapacity(record, capacity)) }],
+        structuredContent: { ...record, zoning_capacity: capacity }
+      };
+    }
+    return { content: [{ type: "text" as const, text: formatInsights(summarizePluto(record)) }], structuredContent: record };
   }
 };
@@ -0,0 +1,198 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import {
+  socrataUrl,
+  soqlParams,
+  identifier,
+  eq,
+  compare,
+  contains,
+  startsWith,
+  inList,
+  SoqlQuery,
+  SoqlLiteral
+} from "../utils/soql.js";
+import { datasetIdSchema, datasetMetadata, DatasetColumn } from "../utils/catalog.js";
+import { formatInsights } from "../utils/insights.js";
+
+const MAX_LIMIT = 5000;
+
+const AGGREGATES = ["count", "sum", "avg", "min", "max"];
+const DATE_TRUNCS = ["date_trunc_y", "date_trunc_ym", "date_trunc_ymd"];
+
+/** `column`, `count(*)`, `fn(column)` for an aggregate or date_trunc_*, each with an optional `AS alias`. */
+const SELECT_ITEM = /^(?:(\w+)\(\s*(\*|[A-Za-z_]\w*)\s*\)|([A-Za-z_]\w*))(?:\s+as\s+([A-Za-z_]\w*))?$/i;
+
+const OPERATORS = ["=", "!=", "<", "<=", ">", ">=", "contains", "starts_with", "in", "is_null", "not_null"] as const;
+
+type Operator = (typeof OPERATORS)[number];
+
+const scalar = z.union([z.string().max(500), z.number(), z.boolean()]);
+
+const condition = z
+  .object({
+    column: z.string(),
+    op: z.enum(OPERATORS).default("="),
+    value: z.union([scalar, z.array(z.union([z.string().max(500), z.number()])).min(1).max(100)]).optional()
+  })
+  .superRefine((c, ctx) => {
+    const message =
+      c.op === "in"
+        ? !Array.isArray(c.value) && "'in' needs an array value"
+        : c.op === "is_null" || c.op === "not_null"
+          ? c.value !== undefined && `'${c.op}' takes no value`
+          : (c.value === undefined || Array.isArray(c.value)) && `'${c.op}' needs a single value`;
+    if (message) ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: ["value"] });
+  });
+
+type Condition = { column: string; op: Operator; value?: SoqlLiteral | Array<string | number> };
+
+export type QueryDatasetArgs = {
+  dataset_id: string;
+  select?: string[];
+  where?: Condition[];
+  group?: string[];
+  order?: Array<{ column: string; direction: "asc" | "desc" }>;
+  limit: number;
+  offset: number;
+};
+
+const NUMERIC_TYPES = new Set(["number", "money", "double", "percent"]);
+
+/** Socrata rejects a quoted literal for number and checkbox columns, so convert using the column's type. */
+function coerce(value: string | number | boolean, type: string | undefined): SoqlLiteral {
+  if (type && NUMERIC_TYPES.has(type) && typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (type === "checkbox" && typeof value === "string" && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === "true";
+  }
+  if (type === "text" && typeof value !== "string") return String(value);
+  return value;
+}
+
+/**
+ * Compile structured query arguments to a SoqlQuery. Every column name is checked against the
+ * dataset's columns (when given) and every value goes through the soql.ts literal escaping.
+ */
+export function compileQuery(args: Omit<QueryDatasetArgs, "dataset_id">, columns?: DatasetColumn[]): SoqlQuery {
+  const types = columns ? new Map(columns.map(c => [c.field_name, c.type])) : undefined;
+  const aliases = new Set<string>();
+
+  const column = (name: string, allowAlias = false): string => {
+    identifier(name);
+    if (types && !types.has(name) && !(allowAlias && aliases.has(name))) {
+      const known = [...types.keys()];
+      throw new Error(
+        `Unknown column '${name}'. Columns: ${known.slice(0, 30).join(", ")}${known.length > 30 ? ", ..." : ""}`
+      );
+    }
+    return name;
+  };
+
+  const select = args.select?.map(item => {
+    const match = SELECT_ITEM.exec(item.trim());
+    if (!match) {
+      throw new Error(`Unsupported select item '${item}'; use a column, count(*), or fn(column) with ${[...AGGREGATES, ...DATE_TRUNCS].join("/")}`);
+    }
+    const [, fn, argument, plain, alias] = match;
+    let expression: string;
+    if (plain) {
+      expression = column(plain);
+    } else {
+      const name = fn.toLowerCase();
+      if (argument === "*" ? name !== "count" : !AGGREGATES.includes(name) && !DATE_TRUNCS.includes(name)) {
+        throw new Error(`Unsupported function '${fn}(${argument})'`);
+      }
+      expression = `${name}(${argument === "*" ? "*" : column(argument)})`;
+    }
+    if (alias) {
+      aliases.add(identifier(alias));
+      return `${expression} AS ${alias}`;
+    }
+    return expression;
+  });
+
+  const where = (args.where ?? []).map(({ column: name, op, value }) => {
+    const col = column(name);
+    const type = types?.get(col);
+    switch (op) {
+      case "=":
+        return eq(col, coerce(value as string | number | boolean, type));
+      case "!=":
+      case "<":
+      case "<=":
+      case ">":
+      case ">=":
+        return compare(col, op, coerce(value as string | number | boolean, type));
+      case "contains":
+        return contains(col, String(value));
+      case "starts_with":
+        return startsWith(col, String(value));
+      case "in":
+        return inList(col, (value as Array<string | number>).map(v => coerce(v, type)));
+      case "is_null":
+        return eq(col, null);
+      case "not_null":
+        return `${col} IS NOT NULL`;
+    }
+  });
+
+  return {
+    select,
+    where,
+    group: args.group?.map(name => column(name, true)),
+    order: args.order?.map(o => `${column(o.column, true)} ${o.direction.toUpperCase()}`),
+    limit: args.limit,
+    offset: args.offset
+  };
+}
+
+export default {
+  name: "query_dataset",
+  description:
+    "Query any NYC Open Data dataset by ID with a validated SoQL subset: select columns, aggregates (count/sum/avg/min/max) and date_trunc_y/ym/ymd with aliases; AND-ed where conditions; group; order; limit/offset. Use describe_dataset to see the columns.",
+  inputSchema: z.object({
+    dataset_id: datasetIdSchema,
+    select: z.array(z.string().max(200)).min(1).max(50).optional().describe('e.g. ["borough", "count(*) AS total"]'),
+    where: z.array(condition).max(20).optional().describe('e.g. [{"column": "borough", "op": "=", "value": "BROOKLYN"}]'),
+    group: z.array(z.string()).max(10).optional(),
+    order: z
+      .array(z.object({ column: z.string(), direction: z.enum(["asc", "desc"]).default("asc") }))
+      .max(10)
+      .optional(),
+    limit: z.number().int().min(1).max(MAX_LIMIT).default(100),
+    offset: z.number().int().min(0).default(0)
+  }),
+  async handler({ dataset_id, ...args }: QueryDatasetArgs) {
+    const metadata = await datasetMetadata(dataset_id);
+    const query = compileQuery(args, metadata.columns);
+
+    // One extra row tells us whether there is another page.
+    const rows: any[] = await getJSON(socrataUrl(dataset_id, { ...query, limit: args.limit + 1 }));
+    const hasMore = rows.length > args.limit;
+    const data = hasMore ? rows.slice(0, args.limit) : rows;
+    const soql = [...soqlParams(query)].map(([key, value]) => `${key}=${value}`).join("&");
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `${data.length} rows from ${metadata.name} (${dataset_id})${hasMore ? "; more available, raise offset to continue" : ""}`,
+            takeaways: [`Query: ${soql}`]
+          })
+        }
+      ],
+      structuredContent: {
+        dataset_id,
+        name: metadata.name,
+        soql,
+        count: data.length,
+        has_more: hasMore,
+        offset: args.offset,
+        data
+      }
+    };
+  }
+};
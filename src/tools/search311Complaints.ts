@@ -0,0 +1,118 @@
+import { z } from "zod";
+import { getJSON, getCacheStats, getAPIToken } from "../utils/http.js";
+import { socrataUrl, eq, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughClause } from "../utils/borough.js";
+import { dateSchema, resolveWindow, soqlTimestamp } from "../utils/timeWindows.js";
+import { topCounts, percent } from "../utils/aggregate.js";
+import { createSuccessEnvelope, DATA_SOURCES, EVENT_TYPES } from "../utils/envelope.js";
+import { enrich311Geo, getGeoCacheStats } from "../utils/geoEnrichment.js";
+import { generate311SearchInsights, formatInsights } from "../utils/insights.js";
+import { spatialShape, SpatialArgs, resolveSearchArea, spatialClause, describeArea } from "../utils/spatial.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type Search311Args = {
+  complaint_type?: string;
+  borough?: BoroughName;
+  start_date?: string;
+  end_date?: string;
+  days?: number;
+  limit: number;
+  skip_cache?: boolean;
+} & SpatialArgs;
+
+export default {
+  name: "search_311_complaints",
+  description:
+    "Search NYC 311 service requests by type, borough, and date range (default last 90 days). Filter by area with near (point or address plus radius) or within (GeoJSON polygon). Records carry borough, community district, and NTA.",
+  inputSchema: z.object({
+    complaint_type: z.string().max(200).optional().describe('e.g. "Noise - Residential", "HEAT/HOT WATER"'),
+    borough: boroughSchema.optional(),
+    start_date: dateSchema.optional(),
+    end_date: dateSchema.optional(),
+    days: z.number().int().min(1).max(365).optional(),
+    limit: z.number().int().min(1).max(10000).default(100),
+    skip_cache: z.boolean().optional().describe("Bypass the response cache and fetch fresh data"),
+    ...spatialShape
+  }),
+  async handler({ complaint_type, borough, start_date, end_date, days, limit, skip_cache, near, within }: Search311Args) {
+    const window = resolveWindow({ start_date, end_date, days });
+    const area = await resolveSearchArea({ near, within });
+
+    const url = socrataUrl(DATASETS.NYC_311.id, {
+      select:
+        "unique_key,created_date,complaint_type,descriptor,borough,community_board,bbl,latitude,longitude,incident_address,status,agency,resolution_description",
+      where: [
+        compare("created_date", ">=", soqlTimestamp(window.start)),
+        compare("created_date", "<=", soqlTimestamp(window.end)),
+        complaint_type && eq("complaint_type", complaint_type),
+        borough && boroughClause(DATASETS.NYC_311, borough),
+        area && spatialClause("location", area)
+      ],
+      order: "created_date DESC",
+      limit
+    });
+
+    const startTime = Date.now();
+    const rows: any[] = await getJSON(url, skip_cache ? { cacheTtlMs: 0 } : {});
+    const requestTime = Date.now() - startTime;
+
+    const records = rows.map(complaint => ({
+      ts: complaint.created_date,
+      period: null,
+      geo: enrich311Geo(complaint),
+      topic: complaint.complaint_type,
+      value: 1,
+      details: {
+        unique_key: complaint.unique_key,
+        created_date: complaint.created_date,
+        complaint_type: complaint.complaint_type,
+        descriptor: complaint.descriptor,
+        incident_address: complaint.incident_address,
+        status: complaint.status,
+        agency: complaint.agency,
+        resolution_description: complaint.resolution_description
+      }
+    }));
+
+    const withNta = records.filter(r => r.geo.nta).length;
+    const coverage = percent(withNta, records.length, 2);
+
+    const envelope = createSuccessEnvelope({
+      source: DATA_SOURCES.NYC_311,
+      eventType: EVENT_TYPES.SEARCH,
+      window,
+      count: records.length,
+      records,
+      meta: {
+        top_complaint_types: topCounts(records.map(r => r.topic), "type"),
+        nta_coverage: {
+          records_with_nta: withNta,
+          total_records: records.length,
+          coverage_percent: coverage,
+          target: 95.0,
+          meets_target: coverage >= 95.0
+        },
+        top_ntas: topCounts(records.map(r => r.geo.nta), "nta"),
+        geo_enrichment: { enabled: true, cache_stats: getGeoCacheStats() },
+        filters: { complaint_type: complaint_type || "ALL", borough: borough || "ALL", area: area ? describeArea(area) : null },
+        reliability: {
+          request_time_ms: requestTime,
+          query_cache_stats: getCacheStats(),
+          api_token_configured: getAPIToken() !== null,
+          truncated: rows.length === limit
+        }
+      }
+    });
+    envelope.insights = generate311SearchInsights(envelope);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights(envelope.insights)
+        }
+      ],
+      structuredContent: envelope
+    };
+  }
+};
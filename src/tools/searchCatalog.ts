@@ -0,0 +1,33 @@
+import { z } from "zod";
+import { searchCatalog } from "../utils/catalog.js";
+import { formatInsights } from "../utils/insights.js";
+
+type SearchCatalogArgs = { query: string; category?: string; limit: number; offset: number };
+
+export default {
+  name: "search_catalog",
+  description:
+    "Keyword search over the NYC Open Data catalog. Returns dataset IDs to pass to describe_dataset and query_dataset.",
+  inputSchema: z.object({
+    query: z.string().trim().min(2).max(200),
+    category: z.string().max(100).optional().describe('Catalog category, e.g. "Housing & Development"'),
+    limit: z.number().int().min(1).max(100).default(10),
+    offset: z.number().int().min(0).default(0)
+  }),
+  async handler(args: SearchCatalogArgs) {
+    const { total, results } = await searchCatalog(args);
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: formatInsights({
+            headline: `${total} datasets match "${args.query}"${total > results.length ? ` (showing ${results.length})` : ""}`,
+            takeaways: results.map(r => `${r.dataset_id}: ${r.name}${r.category ? ` [${r.category}]` : ""}`)
+          })
+        }
+      ],
+      structuredContent: { query: args.query, category: args.category ?? null, total, offset: args.offset, results }
+    };
+  }
+};
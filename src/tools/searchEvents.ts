@@ -0,0 +1,64 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, eq, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughTitle, boroughClause } from "../utils/borough.js";
+import { dateSchema } from "../utils/timeWindows.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type SearchEventsArgs = {
+  event_type?: string;
+  borough?: BoroughName;
+  start_date?: string;
+  end_date?: string;
+  limit: number;
+};
+
+export function formatEvent(event: any) {
+  return {
+    event_id: event.event_id,
+    event_name: event.event_name,
+    event_type: event.event_type,
+    event_borough: event.event_borough,
+    event_location: event.event_location,
+    start_date_time: event.start_date_time,
+    end_date_time: event.end_date_time,
+    community_board: event.community_board,
+    police_precinct: event.police_precinct
+  };
+}
+
+export default {
+  name: "search_events",
+  description: "Search permitted NYC events (parades, street fairs, filming, sports) by type, borough, and date range.",
+  inputSchema: z.object({
+    event_type: z.string().max(100).optional(),
+    borough: boroughSchema.optional(),
+    start_date: dateSchema.optional(),
+    end_date: dateSchema.optional(),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler({ event_type, borough, start_date, end_date, limit }: SearchEventsArgs) {
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.EVENTS.id, {
+        where: [
+          event_type && eq("event_type", event_type),
+          borough && boroughClause(DATASETS.EVENTS, borough),
+          start_date && compare("start_date_time", ">=", `${start_date}T00:00:00`),
+          end_date && compare("end_date_time", "<=", `${end_date}T23:59:59`)
+        ],
+        order: "start_date_time DESC",
+        limit
+      })
+    );
+
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} events found${borough ? ` in ${boroughTitle(borough)}` : ""}${event_type ? ` of type ${event_type}` : ""}`
+        }
+      ],
+      structuredContent: { count: rows.length, events: rows.map(formatEvent) }
+    };
+  }
+};
@@ -0,0 +1,46 @@
+import { z } from "zod";
+import { getJSON } from "../utils/http.js";
+import { socrataUrl, compare } from "../utils/soql.js";
+import { boroughSchema, BoroughName, boroughTitle, boroughClause } from "../utils/borough.js";
+import { soqlTimestamp } from "../utils/timeWindows.js";
+import { formatEvent } from "./searchEvents.js";
+import { DATASETS } from "../utils/datasets.js";
+
+type UpcomingEventsArgs = { borough?: BoroughName; days: number; limit: number };
+
+/** Conditions for events starting between now and `days` from now. */
+export function upcomingWhere(days: number, borough?: BoroughName) {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * 86400000);
+  return [
+    compare("start_date_time", ">=", soqlTimestamp(now)),
+    compare("start_date_time", "<=", soqlTimestamp(until)),
+    borough && boroughClause(DATASETS.EVENTS, borough)
+  ];
+}
+
+export default {
+  name: "get_upcoming_events",
+  description: "List permitted NYC events starting in the next N days, soonest first.",
+  inputSchema: z.object({
+    borough: boroughSchema.optional(),
+    days: z.number().int().min(1).max(365).default(30),
+    limit: z.number().int().min(1).max(10000).default(100)
+  }),
+  async handler({ borough, days, limit }: UpcomingEventsArgs) {
+    const rows: any[] = await getJSON(
+      socrataUrl(DATASETS.EVENTS.id, { where: upcomingWhere(days, borough), order: "start_date_time ASC", limit })
+    );
+
+    const next = rows[0];
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: `${rows.length} events in the next ${days} days${borough ? ` in ${boroughTitle(borough)}` : ""}${next ? `; next: ${next.event_name} (${next.start_date_time})` : ""}`
+        }
+      ],
+      structuredContent: { count: rows.length, events: rows.map(formatEvent) }
+    };
+  }
+};
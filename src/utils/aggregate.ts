@@ -0,0 +1,27 @@
+/** Count occurrences and return the `n` most common as `{ [key]: value, count }`, highest first. */
+export function topCounts(values: Array<string | null | undefined>, key: string, n = 10) {
+  const counts: Record<string, number> = {};
+  for (const value of values) {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+export function round(value: number, digits = 2): number {
+  return parseFloat(value.toFixed(digits));
+}
+
+/** Percentage of `part` in `whole`, guarding against an empty denominator. */
+export function percent(part: number, whole: number, digits = 1): number {
+  return whole > 0 ? round((part / whole) * 100, digits) : 0;
+}
+
+/** Split `values` into consecutive slices of at most `size`, e.g. to keep `IN (...)` lists short. */
+export function chunk<T>(values: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
@@ -0,0 +1,110 @@
+import { z } from "zod";
+import { eq } from "./soql.js";
+import { BoroughEncoding, DatasetInfo } from "./datasets.js";
+
+export const BOROUGH_NAMES = ["MANHATTAN", "BRONX", "BROOKLYN", "QUEENS", "STATEN ISLAND"] as const;
+
+export type BoroughName = (typeof BOROUGH_NAMES)[number];
+
+const ALIASES: Record<string, BoroughName> = {
+  "1": "MANHATTAN",
+  "2": "BRONX",
+  "3": "BROOKLYN",
+  "4": "QUEENS",
+  "5": "STATEN ISLAND",
+  M: "MANHATTAN",
+  MN: "MANHATTAN",
+  NY: "MANHATTAN",
+  "NEW YORK": "MANHATTAN",
+  X: "BRONX",
+  BX: "BRONX",
+  "THE BRONX": "BRONX",
+  B: "BROOKLYN",
+  K: "BROOKLYN",
+  BK: "BROOKLYN",
+  KINGS: "BROOKLYN",
+  Q: "QUEENS",
+  QN: "QUEENS",
+  R: "STATEN ISLAND",
+  S: "STATEN ISLAND",
+  SI: "STATEN ISLAND",
+  RICHMOND: "STATEN ISLAND"
+};
+
+/** Accept a borough name, county name, 1-5 code, or any abbreviation a dataset uses; undefined if unrecognized. */
+export function normalizeBorough(input: string): BoroughName | undefined {
+  const upper = input.trim().toUpperCase().replace(/\s+/g, " ");
+  if ((BOROUGH_NAMES as readonly string[]).includes(upper)) return upper as BoroughName;
+  return ALIASES[upper];
+}
+
+/** Borough ID ("1"-"5") used by HPD and in BBLs. */
+export function boroughId(name: BoroughName): string {
+  return String(BOROUGH_NAMES.indexOf(name) + 1);
+}
+
+export function boroughFromId(id: string | undefined | null): BoroughName | null {
+  return id ? BOROUGH_NAMES[Number(id) - 1] ?? null : null;
+}
+
+/** Two-letter abbreviations used by PLUTO and DCP datasets, in borough-code order. */
+export const BOROUGH_ABBREVIATIONS = ["MN", "BX", "BK", "QN", "SI"] as const;
+
+export type BoroughAbbreviation = (typeof BOROUGH_ABBREVIATIONS)[number];
+
+export function boroughAbbreviation(name: BoroughName): BoroughAbbreviation {
+  return BOROUGH_ABBREVIATIONS[BOROUGH_NAMES.indexOf(name)];
+}
+
+export const boroughSchema = z
+  .string()
+  .describe("NYC borough: name (e.g. BROOKLYN), county (KINGS), code 1-5, or abbreviation (MN, BX, BK, QN, SI)")
+  .transform((value, ctx) => {
+    const borough = normalizeBorough(value);
+    if (!borough) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Invalid borough: '${value}'. Must be one of: ${BOROUGH_NAMES.join(", ")} or codes 1-5`
+      });
+      return z.NEVER;
+    }
+    return borough;
+  });
+
+/** Title-case form ("Staten Island") used by the events calendar and some DOT datasets. */
+export function boroughTitle(name: BoroughName): string {
+  return name.toLowerCase().replace(/\b\w/g, ch => ch.toUpperCase());
+}
+
+/** Each dataset encoding's values, in borough-code order (see BoroughEncoding in datasets.ts). */
+const ENCODED: Record<BoroughEncoding, readonly string[]> = {
+  name: BOROUGH_NAMES,
+  title: BOROUGH_NAMES.map(boroughTitle),
+  code: ["1", "2", "3", "4", "5"],
+  abbreviation: BOROUGH_ABBREVIATIONS,
+  letter: ["M", "X", "B", "Q", "S"],
+  county: ["NY", "BX", "K", "Q", "R"]
+};
+
+function boroughColumn(dataset: DatasetInfo) {
+  if (!dataset.borough) throw new Error(`${dataset.name} has no borough column`);
+  return dataset.borough;
+}
+
+/** The literal a dataset stores for a borough, per its registry entry. */
+export function boroughValue(dataset: DatasetInfo, name: BoroughName): string {
+  return ENCODED[boroughColumn(dataset).encoding][BOROUGH_NAMES.indexOf(name)];
+}
+
+/** `$where` condition on a dataset's borough column. */
+export function boroughClause(dataset: DatasetInfo, name: BoroughName): string {
+  return eq(boroughColumn(dataset).column, boroughValue(dataset, name));
+}
+
+/** Read a dataset's stored borough value back; falls back to the general aliases for off-spec values. */
+export function boroughFromValue(dataset: DatasetInfo, value: string | undefined | null): BoroughName | null {
+  if (!value) return null;
+  const upper = String(value).trim().toUpperCase();
+  const index = ENCODED[boroughColumn(dataset).encoding].findIndex(v => v.toUpperCase() === upper);
+  return index >= 0 ? BOROUGH_NAMES[index] : normalizeBorough(upper) ?? null;
+}
@@ -0,0 +1,107 @@
+import { z } from "zod";
+import { getJSON } from "./http.js";
+import { DATASET_ID, SOCRATA_BASE, withQuery } from "./soql.js";
+
+/**
+ * Socrata metadata (views API) and catalog (Discovery API) lookups behind the generic
+ * dataset tools. Responses go through getJSON, so they are cached like any other request.
+ */
+
+export const SOCRATA_DOMAIN = "data.cityofnewyork.us";
+const VIEWS_BASE = `https://${SOCRATA_DOMAIN}/api/views`;
+const CATALOG_URL = "https://api.us.socrata.com/api/catalog/v1";
+
+export const datasetIdSchema = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(DATASET_ID, 'Dataset ID must be a Socrata four-by-four such as "64uk-42ks"');
+
+export type DatasetColumn = { field_name: string; name: string; type: string; description: string | null };
+
+export type DatasetMetadata = {
+  dataset_id: string;
+  name: string;
+  description: string | null;
+  category: string | null;
+  attribution: string | null;
+  type: string | null;
+  created_at: string | null;
+  rows_updated_at: string | null;
+  metadata_updated_at: string | null;
+  columns: DatasetColumn[];
+  links: { api: string; page: string };
+};
+
+function epoch(seconds: unknown): string | null {
+  return typeof seconds === "number" ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/** Columns, types and update dates from the views API. System columns (":id", ":@computed_region_...") are left out. */
+export async function datasetMetadata(datasetId: string): Promise<DatasetMetadata> {
+  const view: any = await getJSON(`${VIEWS_BASE}/${datasetId}.json`);
+  return {
+    dataset_id: view.id ?? datasetId,
+    name: view.name,
+    description: view.description || null,
+    category: view.category || null,
+    attribution: view.attribution || null,
+    type: view.assetType || view.viewType || null,
+    created_at: epoch(view.createdAt),
+    rows_updated_at: epoch(view.rowsUpdatedAt),
+    metadata_updated_at: epoch(view.viewLastModified),
+    columns: (view.columns ?? [])
+      .filter((c: any) => c.fieldName && !c.fieldName.startsWith(":"))
+      .map((c: any) => ({ field_name: c.fieldName, name: c.name, type: c.dataTypeName, description: c.description || null })),
+    links: { api: `${SOCRATA_BASE}/${datasetId}.json`, page: `https://${SOCRATA_DOMAIN}/d/${datasetId}` }
+  };
+}
+
+export type CatalogResult = {
+  dataset_id: string;
+  name: string;
+  description: string | null;
+  category: string | null;
+  type: string | null;
+  updated_at: string | null;
+  columns: string[];
+  link: string | null;
+};
+
+export async function searchCatalog({
+  query,
+  category,
+  limit,
+  offset
+}: {
+  query: string;
+  category?: string;
+  limit: number;
+  offset: number;
+}): Promise<{ total: number; results: CatalogResult[] }> {
+  const data: any = await getJSON(
+    withQuery(CATALOG_URL, {
+      domains: SOCRATA_DOMAIN,
+      search_context: SOCRATA_DOMAIN,
+      q: query,
+      categories: category,
+      only: "dataset",
+      limit,
+      offset
+    })
+  );
+
+  return {
+    total: data?.resultSetSize ?? 0,
+    results: (data?.results ?? []).map((r: any) => ({
+      dataset_id: r.resource?.id,
+      name: r.resource?.name,
+      description: r.resource?.description || null,
+      category: r.classification?.domain_category || null,
+      type: r.resource?.type || null,
+      updated_at: r.resource?.data_updated_at || r.resource?.updatedAt || null,
+      columns: r.resource?.columns_field_name ?? [],
+      link: r.permalink || r.link || null
+    }))
+  };
+}
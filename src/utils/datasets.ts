@@ -0,0 +1,348 @@
+import { SOCRATA_BASE } from "./soql.js";
+
+/**
+ * Registry of every NYC Open Data dataset the server reads. Tools take their dataset IDs from
+ * here, verification builds its citations from it, and envelope `source` names come from it.
+ * The legacy server has its own registry (legacy-open-data/lib/datasets.js) for the datasets it
+ * reads; test/legacy-parity.test.js fails when a shared entry's ID, source, borough column,
+ * key columns or BIN/BBL columns differ between the two.
+ */
+
+/**
+ * How a dataset writes boroughs:
+ * - name: upper-case name ("STATEN ISLAND")
+ * - title: title-case name ("Staten Island")
+ * - code: borough code "1"-"5"
+ * - abbreviation: DCP two-letter code ("SI")
+ * - letter: DOT single letter (M, X, B, Q, S)
+ * - county: county code as printed on summonses (NY, BX, K, Q, R)
+ */
+export type BoroughEncoding = "name" | "title" | "code" | "abbreviation" | "letter" | "county";
+
+export type DatasetInfo = {
+  id: string;
+  /** Envelope `source` name. */
+  source: string;
+  name: string;
+  authority: string;
+  update_frequency: string;
+  credibility: string;
+  /** Human-facing page, when it is somewhere other than the portal's /d/{id} page. */
+  page_url?: string;
+  /** Column that dates each row (filing, inspection, creation), if any. */
+  date_column?: string;
+  borough?: { column: string; encoding: BoroughEncoding };
+  /** Columns that identify a row. */
+  key_columns: string[];
+  bin_column?: string;
+  bbl_column?: string;
+  /** Point or shape column usable with within_circle/within_polygon. */
+  location_column?: string;
+  note?: string;
+};
+
+const HPD = "NYC Department of Housing Preservation & Development";
+const DOB = "NYC Department of Buildings";
+const DOT = "NYC Department of Transportation";
+const DCP = "NYC Department of City Planning";
+const LPC = "NYC Landmarks Preservation Commission";
+const COMPTROLLER = "NYC Office of the Comptroller";
+
+export const DATASETS = {
+  NYC_311: {
+    id: "erm2-nwe9",
+    source: "311_service_requests",
+    name: "NYC 311 Service Requests",
+    authority: "NYC Department of Information Technology & Telecommunications",
+    update_frequency: "Daily",
+    credibility: "Official City Data",
+    page_url: "https://data.cityofnewyork.us/Social-Services/311-Service-Requests/erm2-nwe9",
+    date_column: "created_date",
+    borough: { column: "borough", encoding: "name" },
+    key_columns: ["unique_key"],
+    bbl_column: "bbl",
+    location_column: "location"
+  },
+  HPD_VIOLATIONS: {
+    id: "wvxf-dwi5",
+    source: "hpd_violations",
+    name: "HPD Housing Maintenance Code Violations",
+    authority: HPD,
+    update_frequency: "Daily",
+    credibility: "Official City Housing Data",
+    page_url: "https://data.cityofnewyork.us/Housing-Development/Housing-Maintenance-Code-Violations/wvxf-dwi5",
+    date_column: "inspectiondate",
+    borough: { column: "boroid", encoding: "code" },
+    key_columns: ["violationid"],
+    bin_column: "bin",
+    bbl_column: "bbl"
+  },
+  HPD_COMPLAINTS: {
+    id: "uwyv-629c",
+    source: "hpd_complaints",
+    name: "HPD Housing Maintenance Code Complaints and Problems",
+    authority: HPD,
+    update_frequency: "Daily",
+    credibility: "Official City Housing Data",
+    date_column: "receiveddate",
+    borough: { column: "boroughid", encoding: "code" },
+    key_columns: ["complaintid"],
+    bin_column: "bin",
+    bbl_column: "bbl"
+  },
+  HPD_REGISTRATIONS: {
+    id: "tesw-yqqr",
+    source: "hpd_registrations",
+    name: "HPD Multiple Dwelling Registrations",
+    authority: HPD,
+    update_frequency: "Daily",
+    credibility: "Official City Housing Data",
+    date_column: "lastregistrationdate",
+    borough: { column: "boroid", encoding: "code" },
+    key_columns: ["registrationid"],
+    bin_column: "bin"
+  },
+  HPD_CONTACTS: {
+    id: "feu5-w2e2",
+    source: "hpd_registration_contacts",
+    name: "HPD Registration Contacts",
+    authority: HPD,
+    update_frequency: "Daily",
+    credibility: "Official City Housing Data",
+    key_columns: ["registrationcontactid"]
+  },
+  DOT_CLOSURES: {
+    id: "i6b5-j7bu",
+    source: "dot_street_closures",
+    name: "DOT Street Closures due to Construction Activities",
+    authority: DOT,
+    update_frequency: "Daily",
+    credibility: "Official City Transportation Data",
+    date_column: "work_start_date",
+    borough: { column: "borough_code", encoding: "letter" },
+    key_columns: ["segmentid", "work_start_date"],
+    location_column: "the_geom"
+  },
+  DOT_PARKING: {
+    id: "nc67-uf89",
+    source: "dot_parking_violations",
+    name: "Open Parking and Camera Violations",
+    authority: "NYC Department of Finance",
+    update_frequency: "Daily",
+    credibility: "Official City Enforcement Data",
+    date_column: "issue_date",
+    borough: { column: "county", encoding: "county" },
+    key_columns: ["summons_number"]
+  },
+  DOT_TRAFFIC: {
+    id: "btm5-ppia",
+    source: "dot_traffic_volume",
+    name: "DOT Traffic Volume Counts",
+    authority: DOT,
+    update_frequency: "As counts are collected",
+    credibility: "Official City Transportation Data",
+    date_column: "date",
+    borough: { column: "boro", encoding: "title" },
+    key_columns: ["id", "segmentid", "date"]
+  },
+  EVENTS: {
+    id: "tvpp-9vvx",
+    source: "nyc_events",
+    name: "NYC Permitted Event Information",
+    authority: "NYC Mayor's Office of Citywide Event Coordination and Management",
+    update_frequency: "Daily",
+    credibility: "Official City Events Data",
+    page_url: "https://data.cityofnewyork.us/City-Government/NYC-Permitted-Event-Information/tvpp-9vvx",
+    date_column: "start_date_time",
+    borough: { column: "event_borough", encoding: "title" },
+    key_columns: ["event_id"]
+  },
+  COMPTROLLER_SPENDING: {
+    id: "mwzb-yiwb",
+    source: "comptroller_spending",
+    name: "NYC Expense Budget",
+    authority: COMPTROLLER,
+    update_frequency: "Quarterly",
+    credibility: "Official City Financial Data",
+    page_url: "https://data.cityofnewyork.us/City-Government/Expense-Budget/mwzb-yiwb",
+    date_column: "publication_date",
+    key_columns: ["fiscal_year", "agency_number", "unit_appropriation_number", "object_code"],
+    note: "Shows budgeted amounts, not actual transactions"
+  },
+  COMPTROLLER_CONTRACTS: {
+    id: "qyyg-4tf5",
+    source: "comptroller_contracts",
+    name: "NYC Contracts (City Record)",
+    authority: COMPTROLLER,
+    update_frequency: "Daily",
+    credibility: "Official City Procurement Data",
+    page_url: "https://www.checkbooknyc.com/contracts",
+    date_column: "start_date",
+    key_columns: ["request_id"]
+  },
+  COMPTROLLER_PAYROLL: {
+    id: "k397-673e",
+    source: "comptroller_payroll",
+    name: "NYC Citywide Payroll",
+    authority: `${COMPTROLLER} / Office of Payroll Administration`,
+    update_frequency: "Annually",
+    credibility: "Official City Personnel Data",
+    page_url: "https://www.checkbooknyc.com/payroll",
+    key_columns: ["fiscal_year", "payroll_number", "last_name", "first_name", "agency_start_date"]
+  },
+  PLUTO: {
+    id: "64uk-42ks",
+    source: "pluto",
+    name: "Primary Land Use Tax Lot Output (PLUTO)",
+    authority: DCP,
+    update_frequency: "Quarterly",
+    credibility: "Official City Planning Data",
+    borough: { column: "borough", encoding: "abbreviation" },
+    key_columns: ["bbl"],
+    bbl_column: "bbl"
+  },
+  DOB_VIOLATIONS: {
+    id: "3h2n-5cm9",
+    source: "dob_violations",
+    name: "DOB Violations",
+    authority: DOB,
+    update_frequency: "Daily",
+    credibility: "Official City Buildings Data",
+    date_column: "issue_date",
+    borough: { column: "boro", encoding: "code" },
+    key_columns: ["isn_dob_bis_viol"],
+    bin_column: "bin"
+  },
+  DOB_JOBS: {
+    id: "ic3t-wcy2",
+    source: "dob_job_applications",
+    name: "DOB Job Application Filings",
+    authority: DOB,
+    update_frequency: "Daily",
+    credibility: "Official City Buildings Data",
+    date_column: "pre__filing_date",
+    borough: { column: "borough", encoding: "name" },
+    key_columns: ["job__", "doc__"],
+    bin_column: "bin__"
+  },
+  DOB_NOW_JOBS: {
+    id: "w9ak-ipjd",
+    source: "dob_now_job_filings",
+    name: "DOB NOW: Build – Job Application Filings",
+    authority: DOB,
+    update_frequency: "Daily",
+    credibility: "Official City Buildings Data",
+    date_column: "filing_date",
+    borough: { column: "borough", encoding: "name" },
+    key_columns: ["job_filing_number"],
+    bin_column: "bin"
+  },
+  DOB_PERMITS: {
+    id: "ipu4-2q9a",
+    source: "dob_permit_issuance",
+    name: "DOB Permit Issuance",
+    authority: DOB,
+    update_frequency: "Daily",
+    credibility: "Official City Buildings Data",
+    date_column: "issuance_date",
+    borough: { column: "borough", encoding: "name" },
+    key_columns: ["permit_si_no"],
+    bin_column: "bin__"
+  },
+  FISP: {
+    id: "xubg-57si",
+    source: "dob_fisp_filings",
+    name: "DOB NOW: Safety – Facades Compliance Filings",
+    authority: DOB,
+    update_frequency: "Daily",
+    credibility: "Official City Buildings Data",
+    date_column: "filing_date",
+    borough: { column: "borough", encoding: "name" },
+    key_columns: ["tr6_no"],
+    bin_column: "bin"
+  },
+  LANDMARKS: {
+    id: "gpmc-yuvp",
+    source: "lpc_landmarks",
+    name: "Individual Landmark and Historic District Building Database",
+    authority: LPC,
+    update_frequency: "As designations are made",
+    credibility: "Official City Preservation Data",
+    borough: { column: "borough", encoding: "abbreviation" },
+    key_columns: ["bin"],
+    bin_column: "bin",
+    bbl_column: "bbl"
+  },
+  HISTORIC_DISTRICTS: {
+    id: "xbvj-gfnw",
+    source: "lpc_historic_districts",
+    name: "Historic Districts",
+    authority: LPC,
+    update_frequency: "As designations are made",
+    credibility: "Official City Preservation Data",
+    key_columns: ["lp_number"],
+    location_column: "the_geom"
+  },
+  LANDMARK_SITES: {
+    id: "buis-pvji",
+    source: "lpc_individual_landmark_sites",
+    name: "Individual Landmark Sites",
+    authority: LPC,
+    update_frequency: "As designations are made",
+    credibility: "Official City Preservation Data",
+    key_columns: ["lpc_lpnumb"],
+    bbl_column: "bbl",
+    location_column: "the_geom"
+  },
+  FOOTPRINTS: {
+    id: "5zhs-2jue",
+    source: "building_footprints",
+    name: "Building Footprints",
+    authority: "NYC Office of Technology and Innovation",
+    update_frequency: "Weekly",
+    credibility: "Official City Planimetric Data",
+    key_columns: ["doitt_id"],
+    bin_column: "bin",
+    bbl_column: "base_bbl",
+    location_column: "the_geom"
+  },
+  NTA_BOUNDARIES: {
+    id: "9nt8-h7nd",
+    source: "nta_boundaries",
+    name: "2020 Neighborhood Tabulation Areas (NTAs)",
+    authority: DCP,
+    update_frequency: "Decennially",
+    credibility: "Official City Planning Data",
+    borough: { column: "boroname", encoding: "title" },
+    key_columns: ["nta2020"],
+    location_column: "the_geom"
+  },
+  COMMUNITY_DISTRICTS: {
+    id: "jp9i-3b7y",
+    source: "community_districts",
+    name: "Community Districts",
+    authority: DCP,
+    update_frequency: "As boundaries change",
+    credibility: "Official City Planning Data",
+    key_columns: ["boro_cd"],
+    location_column: "the_geom"
+  }
+} satisfies Record<string, DatasetInfo>;
+
+export type DatasetKey = keyof typeof DATASETS;
+
+const BY_SOURCE = new Map<string, DatasetInfo>(Object.values(DATASETS).map(d => [d.source, d]));
+const BY_ID = new Map<string, DatasetInfo>(Object.values(DATASETS).map(d => [d.id, d]));
+
+/** Look a dataset up by envelope source name or four-by-four ID. */
+export function findDataset(sourceOrId: string): DatasetInfo | undefined {
+  return BY_SOURCE.get(sourceOrId) ?? BY_ID.get(sourceOrId);
+}
+
+export function apiEndpoint(dataset: DatasetInfo): string {
+  return `${SOCRATA_BASE}/${dataset.id}.json`;
+}
+
+export function datasetPage(dataset: DatasetInfo): string {
+  return dataset.page_url ?? `https://data.cityofnewyork.us/d/${dataset.id}`;
+}
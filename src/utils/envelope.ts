@@ -0,0 +1,77 @@
+import { TimeWindow } from "./timeWindows.js";
+import { DATASETS, DatasetKey, findDataset } from "./datasets.js";
+
+/**
+ * Standard output envelope, ported from legacy-open-data/lib/standard-envelope.js.
+ * Every envelope-style tool returns the same field names so results join across datasets.
+ */
+
+/** Envelope `source` names by registry key (see datasets.ts). */
+export const DATA_SOURCES = Object.fromEntries(
+  Object.entries(DATASETS).map(([key, dataset]) => [key, dataset.source])
+) as Record<DatasetKey, string>;
+
+export const EVENT_TYPES = {
+  SEARCH: "search",
+  TREND_ANALYSIS: "trend_analysis",
+  AGGREGATION: "aggregation",
+  HEALTH_SCORE: "health_score",
+  COMPARISON: "comparison",
+  FORECAST: "forecast"
+} as const;
+
+export type Geo = {
+  borough: string | null;
+  borough_id?: string | null;
+  cd: string | null;
+  cd_numeric?: string | null;
+  nta: string | null;
+  nta_name?: string | null;
+  bbl?: string | null;
+  lat?: number | null;
+  lon?: number | null;
+};
+
+export type EnvelopeRecord = {
+  ts?: string;
+  period?: string | null;
+  geo: Geo;
+  topic: string;
+  value: number;
+  details?: Record<string, unknown>;
+};
+
+export type Insights = { headline: string; takeaways: string[] };
+
+export type Envelope = {
+  success: true;
+  source: string;
+  dataset_id: string | null;
+  event_type: string;
+  window: TimeWindow;
+  count: number;
+  records: any[];
+  meta: Record<string, any>;
+  insights?: Insights;
+};
+
+export function createSuccessEnvelope(params: {
+  source: string;
+  eventType: string;
+  window: TimeWindow;
+  count: number;
+  records: any[];
+  meta?: Record<string, any>;
+}): Envelope {
+  const { source, eventType, window, count, records, meta = {} } = params;
+  return {
+    success: true,
+    source,
+    dataset_id: findDataset(source)?.id ?? null,
+    event_type: eventType,
+    window: { start: window.start, end: window.end, days: window.days, type: window.type },
+    count,
+    records,
+    meta
+  };
+}
@@ -0,0 +1,100 @@
+import { Geo } from "./envelope.js";
+import { BoroughName, boroughFromId, boroughFromValue, boroughId, normalizeBorough } from "./borough.js";
+import { DATASETS } from "./datasets.js";
+import { Districts, GeographyIndex, geographyIndex } from "./geography.js";
+
+/**
+ * Geographic enrichment for envelope records, ported from legacy-open-data/lib/geo-enrichment.js.
+ * Community district and NTA come from the offline geography index (src/utils/geography.ts): the
+ * PLUTO-derived BBL table when the record has a BBL, otherwise point-in-polygon on its coordinates.
+ */
+
+const NO_DISTRICTS: Districts = { cd: null, nta: null, nta_name: null };
+
+function toNumber(value: unknown): number | null {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(String(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Districts for a lot (by BBL) or, failing that, a point. */
+export function lookupDistricts(
+  { bbl, lat, lon }: { bbl: string | null; lat: number | null; lon: number | null },
+  index: GeographyIndex = geographyIndex()
+): Districts {
+  const byLot = bbl ? index.lookupBBL(bbl) : null;
+  if (byLot?.cd && byLot.nta) return byLot;
+  const byPoint = lat !== null && lon !== null ? index.locate(lat, lon) : NO_DISTRICTS;
+  return {
+    cd: byLot?.cd ?? byPoint.cd,
+    nta: byLot?.nta ?? byPoint.nta,
+    nta_name: byLot?.nta_name ?? byPoint.nta_name
+  };
+}
+
+function districtGeo(
+  borough: BoroughName | null,
+  bbl: string | null,
+  lat: number | null,
+  lon: number | null,
+  index: GeographyIndex,
+  fallbackCd: string | null = null
+): Geo {
+  const districts = lookupDistricts({ bbl, lat, lon }, index);
+  const cd = districts.cd ?? fallbackCd;
+  return {
+    borough,
+    borough_id: borough ? boroughId(borough) : null,
+    cd,
+    cd_numeric: cd ? cd.slice(1) : null,
+    nta: districts.nta,
+    nta_name: districts.nta_name,
+    bbl,
+    lat,
+    lon
+  };
+}
+
+/** 311 records carry borough, "NN BOROUGH" community_board, BBL and coordinates. */
+export function enrich311Geo(record: any, index: GeographyIndex = geographyIndex()): Geo {
+  const borough = record.borough ? normalizeBorough(record.borough) ?? null : null;
+
+  // The reported community board is only used when the index can't place the record.
+  let reportedCd: string | null = null;
+  const match = typeof record.community_board === "string" ? record.community_board.match(/^(\d+)/) : null;
+  if (match && borough) {
+    reportedCd = `${boroughId(borough)}${match[1].padStart(2, "0")}`;
+  }
+
+  return districtGeo(borough, record.bbl || null, toNumber(record.latitude), toNumber(record.longitude), index, reportedCd);
+}
+
+/** HPD records have a borough ID and block/lot, and (violations) coordinates. */
+export function enrichHPDGeo(record: any, index: GeographyIndex = geographyIndex()): Geo {
+  const id: string | null = record.boroid || record.borough_code || null;
+  const bbl =
+    id && record.block && record.lot
+      ? `${id}${String(record.block).padStart(5, "0")}${String(record.lot).padStart(4, "0")}`
+      : null;
+
+  return districtGeo(boroughFromId(id), bbl, toNumber(record.latitude), toNumber(record.longitude), index);
+}
+
+/** DOT closures have a letter borough code and a MultiLineString; we use its first point. */
+export function enrichDOTGeo(record: any, index: GeographyIndex = geographyIndex()): Geo {
+  const borough = boroughFromValue(DATASETS.DOT_CLOSURES, record.borough_code);
+  const first = record.the_geom?.coordinates?.[0]?.[0];
+
+  return districtGeo(
+    borough,
+    null,
+    Array.isArray(first) ? toNumber(first[1]) : null,
+    Array.isArray(first) ? toNumber(first[0]) : null,
+    index
+  );
+}
+
+export function getGeoCacheStats() {
+  const index = geographyIndex();
+  return { size: index.cacheSize(), capacity: "unlimited", type: "in_memory", index: index.info };
+}
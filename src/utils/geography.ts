@@ -0,0 +1,209 @@
+import { existsSync, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseBBL } from "./identifiers.js";
+import { DATASETS } from "./datasets.js";
+
+/**
+ * Offline geography index: NTA and community district boundaries for point-in-polygon lookups,
+ * plus a BBL-to-district table derived from PLUTO. The data file is generated by
+ * `npm run build:geo` (src/scripts/buildGeography.ts) and read once on first use.
+ */
+
+export const GEOGRAPHY_SOURCES = {
+  nta: DATASETS.NTA_BOUNDARIES.id,
+  cd: DATASETS.COMMUNITY_DISTRICTS.id,
+  pluto: DATASETS.PLUTO.id
+};
+
+export const DEFAULT_GEOGRAPHY_PATH = fileURLToPath(new URL("../../data/geography.json", import.meta.url));
+
+/** Coordinates are [lon, lat], as in GeoJSON. */
+export type Ring = Array<[number, number]>;
+export type Polygon = Ring[];
+
+export type DistrictShape = {
+  code: string;
+  name?: string;
+  /** [minLon, minLat, maxLon, maxLat] */
+  bbox: [number, number, number, number];
+  polygons: Polygon[];
+};
+
+export type BBLTable = {
+  /** Distinct [cd, nta] pairs; blocks and lots refer to them by index. */
+  pairs: Array<[string | null, string | null]>;
+  /** Borough code + 5-digit block, for blocks whose lots all share one pair. */
+  blocks: Record<string, number>;
+  /** 10-digit BBL, for lots on blocks that straddle a boundary. */
+  lots: Record<string, number>;
+};
+
+export type GeographyData = {
+  version: 1;
+  generated_at: string;
+  sources: Record<string, string>;
+  nta: DistrictShape[];
+  cd: DistrictShape[];
+  bbl: BBLTable;
+};
+
+export type Districts = { cd: string | null; nta: string | null; nta_name: string | null };
+
+/** Even-odd ray cast against one ring. */
+export function pointInRing(lon: number, lat: number, ring: Ring): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Inside the outer ring of any polygon and outside all of that polygon's holes. */
+export function pointInPolygons(lon: number, lat: number, polygons: Polygon[]): boolean {
+  return polygons.some(([outer, ...holes]) => outer && pointInRing(lon, lat, outer) && !holes.some(h => pointInRing(lon, lat, h)));
+}
+
+function within([minLon, minLat, maxLon, maxLat]: DistrictShape["bbox"], lon: number, lat: number): boolean {
+  return lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+}
+
+function roundCoordinate(value: number): number {
+  // 5 decimal places is about a metre, well inside boundary precision.
+  return Math.round(value * 1e5) / 1e5;
+}
+
+/** Convert a Socrata Polygon/MultiPolygon geometry to a compact shape with a bounding box. */
+export function shapeFromGeometry(code: string, geometry: any, name?: string): DistrictShape | null {
+  const raw: number[][][][] =
+    geometry?.type === "MultiPolygon" ? geometry.coordinates : geometry?.type === "Polygon" ? [geometry.coordinates] : [];
+  const polygons: Polygon[] = raw.map(polygon =>
+    polygon.map(ring => ring.map(([lon, lat]) => [roundCoordinate(lon), roundCoordinate(lat)] as [number, number]))
+  );
+  const points = polygons.flatMap(polygon => polygon[0] ?? []);
+  if (points.length === 0) return null;
+
+  const lons = points.map(([lon]) => lon);
+  const lats = points.map(([, lat]) => lat);
+  return {
+    code,
+    ...(name ? { name } : {}),
+    bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)],
+    polygons
+  };
+}
+
+/**
+ * Build the BBL table from per-lot districts, storing one entry per block where every lot agrees
+ * and per-lot entries only where a block is split.
+ */
+export function buildBBLTable(lots: Array<{ bbl: string; cd: string | null; nta: string | null }>): BBLTable {
+  const pairs: BBLTable["pairs"] = [];
+  const pairIndex = new Map<string, number>();
+  const byBlock = new Map<string, Array<{ bbl: string; pair: number }>>();
+
+  for (const lot of lots) {
+    const key = `${lot.cd ?? ""}|${lot.nta ?? ""}`;
+    let pair = pairIndex.get(key);
+    if (pair === undefined) {
+      pair = pairs.push([lot.cd, lot.nta]) - 1;
+      pairIndex.set(key, pair);
+    }
+    const block = lot.bbl.slice(0, 6);
+    const entries = byBlock.get(block);
+    if (entries) entries.push({ bbl: lot.bbl, pair });
+    else byBlock.set(block, [{ bbl: lot.bbl, pair }]);
+  }
+
+  const blocks: BBLTable["blocks"] = {};
+  const table: BBLTable["lots"] = {};
+  for (const [block, entries] of byBlock) {
+    if (entries.every(e => e.pair === entries[0].pair)) {
+      blocks[block] = entries[0].pair;
+    } else {
+      for (const { bbl, pair } of entries) table[bbl] = pair;
+    }
+  }
+  return { pairs, blocks, lots: table };
+}
+
+export type GeographyIndex = ReturnType<typeof createGeographyIndex>;
+
+export function createGeographyIndex(data: GeographyData | null) {
+  const nta = data?.nta ?? [];
+  const cd = data?.cd ?? [];
+  const ntaNames = new Map(nta.map(shape => [shape.code, shape.name ?? null]));
+  const cache = new Map<string, Districts>();
+
+  function find(shapes: DistrictShape[], lon: number, lat: number): DistrictShape | undefined {
+    return shapes.find(shape => within(shape.bbox, lon, lat) && pointInPolygons(lon, lat, shape.polygons));
+  }
+
+  return {
+    available: data !== null,
+    info: {
+      available: data !== null,
+      generated_at: data?.generated_at ?? null,
+      nta_count: nta.length,
+      cd_count: cd.length,
+      bbl_blocks: data ? Object.keys(data.bbl.blocks).length : 0
+    },
+
+    /** Districts containing a point; null fields where the point falls outside every boundary. */
+    locate(lat: number, lon: number): Districts {
+      const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+      const cached = cache.get(key);
+      if (cached) return cached;
+      const ntaShape = find(nta, lon, lat);
+      const districts = {
+        cd: find(cd, lon, lat)?.code ?? null,
+        nta: ntaShape?.code ?? null,
+        nta_name: ntaShape?.name ?? null
+      };
+      cache.set(key, districts);
+      return districts;
+    },
+
+    /** Districts PLUTO assigns to a lot, or null if the BBL is invalid or not in the table. */
+    lookupBBL(bbl: string): Districts | null {
+      if (!data) return null;
+      let canonical: string;
+      try {
+        canonical = parseBBL(bbl).bbl;
+      } catch {
+        return null;
+      }
+      const pair = data.bbl.lots[canonical] ?? data.bbl.blocks[canonical.slice(0, 6)];
+      if (pair === undefined) return null;
+      const [cdCode, ntaCode] = data.bbl.pairs[pair];
+      return { cd: cdCode, nta: ntaCode, nta_name: ntaCode ? ntaNames.get(ntaCode) ?? null : null };
+    },
+
+    cacheSize() {
+      return cache.size;
+    }
+  };
+}
+
+let defaultIndex: GeographyIndex | undefined;
+
+/**
+ * The bundled index, loaded on first use from GEOGRAPHY_INDEX_PATH or data/geography.json.
+ * Without a data file every lookup returns nulls and enrichment falls back to what the record carries.
+ */
+export function geographyIndex(): GeographyIndex {
+  if (!defaultIndex) {
+    const path = process.env.GEOGRAPHY_INDEX_PATH || DEFAULT_GEOGRAPHY_PATH;
+    let data: GeographyData | null = null;
+    if (existsSync(path)) {
+      data = JSON.parse(readFileSync(path, "utf8"));
+    } else {
+      console.warn(`Geography index not found at ${path}; run "npm run build:geo" for NTA and community district lookups`);
+    }
+    defaultIndex = createGeographyIndex(data);
+  }
+  return defaultIndex;
+}
@@ -0,0 +1,177 @@
+import { Polygon, Ring } from "./geography.js";
+
+/**
+ * Planar measurements on footprint-sized GeoJSON. Coordinates are projected to feet on a local
+ * equirectangular plane around the shape, which is well under 0.1% off at building scale, so
+ * everything here runs offline on the geometry alone.
+ */
+
+export const FEET_PER_METER = 3.28084;
+const EARTH_RADIUS_FT = 6371008.8 * FEET_PER_METER;
+const RAD = Math.PI / 180;
+
+/** Boundary segments closer than this count as touching. */
+export const WALL_TOLERANCE_FT = 1;
+/** Minimum length of boundary two footprints must share to count as a party wall. */
+export const MIN_SHARED_WALL_FT = 3;
+
+type Point = [number, number];
+
+/**
+ * Polygon or MultiPolygon as GeoJSON (or a `{ geometry }` feature, or WKT text as some exports
+ * deliver it) to a list of polygons; null when there is no polygonal geometry.
+ */
+export function normalizePolygons(geometry: any): Polygon[] | null {
+  if (typeof geometry === "string") return parseWktPolygons(geometry);
+  if (geometry?.type === "Feature") return normalizePolygons(geometry.geometry);
+  const raw: number[][][][] =
+    geometry?.type === "MultiPolygon" ? geometry.coordinates : geometry?.type === "Polygon" ? [geometry.coordinates] : [];
+  const polygons = raw
+    .map(polygon => polygon.map(ring => closeRing(ring.map(([lon, lat]) => [Number(lon), Number(lat)] as [number, number]))))
+    .filter(polygon => polygon[0]?.length >= 4);
+  return polygons.length ? polygons : null;
+}
+
+function closeRing(ring: Ring): Ring {
+  if (ring.length === 0) return ring;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+function parseWktPolygons(wkt: string): Polygon[] | null {
+  if (!/^\s*(MULTI)?POLYGON\b/i.test(wkt)) return null;
+  // Split on the ")), ((" between polygons and the "), (" between rings.
+  const body = wkt.replace(/^\s*(MULTI)?POLYGON\s*/i, "").trim();
+  const polygons = body
+    .replace(/^\(+|\)+$/g, "")
+    .split(/\)\s*\)\s*,\s*\(\s*\(/)
+    .map(polygon =>
+      polygon.split(/\)\s*,\s*\(/).map(ring =>
+        closeRing(
+          ring
+            .replace(/[()]/g, "")
+            .split(",")
+            .map(pair => pair.trim().split(/\s+/).map(Number) as [number, number])
+            .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat))
+        )
+      )
+    )
+    .filter(polygon => polygon[0]?.length >= 4);
+  return polygons.length ? polygons : null;
+}
+
+/** Projects [lon, lat] to feet east/north of an origin, and back. */
+export function localPlane(origin: Point) {
+  const [lon0, lat0] = origin;
+  const scaleX = Math.cos(lat0 * RAD) * RAD * EARTH_RADIUS_FT;
+  const scaleY = RAD * EARTH_RADIUS_FT;
+  return {
+    toFeet: ([lon, lat]: Point): Point => [(lon - lon0) * scaleX, (lat - lat0) * scaleY],
+    toLonLat: ([x, y]: Point): Point => [lon0 + x / scaleX, lat0 + y / scaleY]
+  };
+}
+
+function origin(polygons: Polygon[]): Point {
+  const points = polygons.flatMap(p => p[0]);
+  return [points.reduce((s, p) => s + p[0], 0) / points.length, points.reduce((s, p) => s + p[1], 0) / points.length];
+}
+
+/** Signed shoelace area and first moments of a ring already in feet. */
+function ringMoments(ring: Point[]): { area: number; cx: number; cy: number } {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  return { area: area / 2, cx: cx / 6, cy: cy / 6 };
+}
+
+function ringLength(ring: Point[]): number {
+  let length = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    length += Math.hypot(ring[i + 1][0] - ring[i][0], ring[i + 1][1] - ring[i][1]);
+  }
+  return length;
+}
+
+export type FootprintMetrics = {
+  area_sq_ft: number;
+  /** Outer walls plus courtyard (hole) walls. */
+  perimeter_ft: number;
+  centroid: { latitude: number; longitude: number };
+  /** Farthest vertex from the centroid, for sizing a neighbor search. */
+  radius_ft: number;
+};
+
+/** Area (holes subtracted), perimeter and area-weighted centroid of a footprint. */
+export function footprintMetrics(polygons: Polygon[]): FootprintMetrics {
+  const plane = localPlane(origin(polygons));
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  let perimeter = 0;
+  for (const [outer, ...holes] of polygons) {
+    for (const [index, ring] of [outer, ...holes].entries()) {
+      const projected = ring.map(plane.toFeet);
+      const moments = ringMoments(projected);
+      // Outer rings add and holes subtract whatever their winding order.
+      const sign = (index === 0 ? 1 : -1) * Math.sign(moments.area);
+      area += sign * moments.area;
+      cx += sign * moments.cx;
+      cy += sign * moments.cy;
+      perimeter += ringLength(projected);
+    }
+  }
+
+  const centroidFeet: Point = area > 0 ? [cx / area, cy / area] : [0, 0];
+  const [longitude, latitude] = plane.toLonLat(centroidFeet);
+  const radius = Math.max(
+    ...polygons.flatMap(p => p[0].map(plane.toFeet)).map(([x, y]) => Math.hypot(x - centroidFeet[0], y - centroidFeet[1]))
+  );
+  return {
+    area_sq_ft: Math.round(area * 10) / 10,
+    perimeter_ft: Math.round(perimeter * 10) / 10,
+    centroid: { latitude: Math.round(latitude * 1e7) / 1e7, longitude: Math.round(longitude * 1e7) / 1e7 },
+    radius_ft: Math.round(radius * 10) / 10
+  };
+}
+
+function segments(polygons: Polygon[], toFeet: (p: Point) => Point): Array<[Point, Point]> {
+  return polygons.flatMap(polygon =>
+    polygon.flatMap(ring => {
+      const projected = ring.map(toFeet);
+      return projected.slice(0, -1).map((p, i) => [p, projected[i + 1]] as [Point, Point]);
+    })
+  );
+}
+
+/** Length of `b` that lies along `a`, within `tolerance` feet of it. */
+function overlapAlong([a1, a2]: [Point, Point], [b1, b2]: [Point, Point], tolerance: number): number {
+  const length = Math.hypot(a2[0] - a1[0], a2[1] - a1[1]);
+  if (length === 0) return 0;
+  const ux = (a2[0] - a1[0]) / length;
+  const uy = (a2[1] - a1[1]) / length;
+  const offset = (p: Point) => Math.abs((p[0] - a1[0]) * uy - (p[1] - a1[1]) * ux);
+  if (offset(b1) > tolerance || offset(b2) > tolerance) return 0;
+  const along = (p: Point) => (p[0] - a1[0]) * ux + (p[1] - a1[1]) * uy;
+  const [t1, t2] = [along(b1), along(b2)].sort((x, y) => x - y);
+  return Math.max(0, Math.min(t2, length) - Math.max(t1, 0));
+}
+
+/** Feet of boundary two footprints share: edges of one lying on edges of the other. */
+export function sharedWallFt(a: Polygon[], b: Polygon[], tolerance = WALL_TOLERANCE_FT): number {
+  const plane = localPlane(origin(a));
+  const edgesA = segments(a, plane.toFeet);
+  const edgesB = segments(b, plane.toFeet);
+  let shared = 0;
+  for (const edgeA of edgesA) {
+    for (const edgeB of edgesB) shared += overlapAlong(edgeA, edgeB, tolerance);
+  }
+  return Math.round(shared * 10) / 10;
+}
@@ -0,0 +1,30 @@
+import { getJSON } from "./http.js";
+import { withQuery } from "./soql.js";
+
+/** NYC Planning GeoSearch address matches, shared by resolve_address and every tool that takes an address. */
+export type GeoSearchFeature = {
+  label: string | undefined;
+  borough: string | undefined;
+  zipcode: string | undefined;
+  coordinates: number[] | undefined;
+  bbl: string | null;
+  bin: string | null;
+  raw: any;
+};
+
+export async function geosearch(text: string): Promise<GeoSearchFeature[]> {
+  const url = withQuery("https://geosearch.planninglabs.nyc/v2/search", { text });
+  const data: any = await getJSON(url);
+
+  return Array.isArray(data?.features)
+    ? data.features.map((f: any) => ({
+        label: f.properties?.label,
+        borough: f.properties?.borough,
+        zipcode: f.properties?.postalcode,
+        coordinates: f.geometry?.coordinates,
+        bbl: f.properties?.addendum?.pad?.bbl || null,
+        bin: f.properties?.addendum?.pad?.bin || null,
+        raw: f
+      }))
+    : [];
+}
@@ -1,9 +1,236 @@
 import fetch from "node-fetch";
 
-export async function getJSON(url: string): Promise<any> {
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+/**
+ * HTTP client for the NYC data APIs.
+ *
+ * Typed port of the legacy reliability layer (legacy-open-data/lib/reliability.js):
+ * per-request timeouts, jittered exponential backoff on 429/5xx and network errors,
+ * TTL caching keyed on the normalized URL, and X-App-Token injection for Socrata.
+ */
+
+export const HTTP_CONFIG = {
+  timeout_ms: 15000,
+  max_attempts: 3,
+  base_delay_ms: 1000,
+  max_delay_ms: 30000,
+  exponential_base: 2,
+  jitter: 0.1,
+  cache_ttl_ms: 5 * 60 * 1000,
+  cache_max_size: 1000
+};
+
+/** Socrata request budgets. The legacy reliability layer declares the same ones; test/legacy-parity.test.js keeps them equal. */
+export const RATE_LIMITS = {
+  without_token: { requests_per_day: 1000, burst_limit: 10 },
+  with_token: { requests_per_day: 50000, burst_limit: 100 }
+};
+
+/** Hosts that receive the Socrata app token. Other hosts (e.g. GeoSearch) never see it. */
+const SOCRATA_HOSTS = new Set(["data.cityofnewyork.us"]);
+
+export type RequestOptions = {
+  timeoutMs?: number;
+  maxAttempts?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  /** Cache lifetime for this response; 0 disables caching. */
+  cacheTtlMs?: number;
+  /** Force the X-App-Token header on or off; by default only Socrata hosts get it. */
+  sendAppToken?: boolean;
+  headers?: Record<string, string>;
+};
+
+export class HttpError extends Error {
+  constructor(
+    readonly status: number,
+    statusText: string,
+    readonly url: string,
+    readonly retryAfterMs?: number
+  ) {
+    super(`HTTP ${status}: ${statusText}`);
+    this.name = "HttpError";
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(readonly url: string, timeoutMs: number) {
+    super(`Request timed out after ${timeoutMs}ms`);
+    this.name = "TimeoutError";
+  }
+}
+
+/** Rows from one request, or why it failed, for callers that carry on without a failed source. */
+export type Fetched<T = any[]> = { ok: true; rows: T } | { ok: false; error: string };
+
+type CacheEntry = { data: unknown; expires: number };
+
+const cache = new Map<string, CacheEntry>();
+
+export function getAPIToken(): string | null {
+  return process.env.SOCRATA_APP_TOKEN || process.env.NYC_OPEN_DATA_APP_TOKEN || process.env.NYC_APP_TOKEN || null;
+}
+
+/** The budget that applies to this process: the token tier when an app token is configured. */
+export function rateLimit() {
+  return getAPIToken() ? RATE_LIMITS.with_token : RATE_LIMITS.without_token;
+}
+
+/** Map over `items` with at most `concurrency` calls in flight, keeping input order. */
+export async function mapConcurrent<T, R>(items: T[], concurrency: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+/** Cache key: the URL with its query parameters sorted, so parameter order does not matter. */
+export function normalizeUrl(url: string): string {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams.entries()].sort(([a, av], [b, bv]) =>
+    a === b ? av.localeCompare(bv) : a.localeCompare(b)
+  );
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.hash = "";
+  return parsed.toString();
+}
+
+export function clearCache() {
+  cache.clear();
+}
+
+export function getCacheStats() {
+  const now = Date.now();
+  let valid = 0;
+  for (const entry of cache.values()) {
+    if (entry.expires > now) valid++;
+  }
+  return { total: cache.size, valid, expired: cache.size - valid, max_size: HTTP_CONFIG.cache_max_size };
+}
+
+function readCache(key: string): unknown | undefined {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expires <= Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+  // Re-insert so Map order tracks recency for eviction.
+  cache.delete(key);
+  cache.set(key, entry);
+  // Callers get their own copy, so enriching rows in place cannot leak into later hits.
+  return structuredClone(entry.data);
+}
+
+function writeCache(key: string, data: unknown, ttlMs: number) {
+  if (cache.size >= HTTP_CONFIG.cache_max_size) {
+    const oldest = cache.keys().next().value;
+    if (oldest !== undefined) cache.delete(oldest);
+  }
+  cache.set(key, { data: structuredClone(data), expires: Date.now() + ttlMs });
+}
+
+function isRetryable(err: unknown): boolean {
+  if (err instanceof HttpError) {
+    return err.status === 429 || err.status >= 500;
+  }
+  // A body that is not JSON will not parse any better on another attempt.
+  if (err instanceof SyntaxError) return false;
+  // Timeouts and network failures (DNS, connection reset) are worth another try.
+  return true;
+}
+
+function backoffDelay(attempt: number, baseDelayMs: number, maxDelayMs: number): number {
+  const exponential = Math.min(baseDelayMs * Math.pow(HTTP_CONFIG.exponential_base, attempt), maxDelayMs);
+  const jitter = exponential * HTTP_CONFIG.jitter * (Math.random() - 0.5) * 2;
+  return Math.max(0, exponential + jitter);
+}
+
+function sleep(ms: number) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+async function fetchOnce(url: string, headers: Record<string, string>, timeoutMs: number): Promise<unknown> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { headers, signal: controller.signal });
+    if (!res.ok) {
+      throw new HttpError(res.status, res.statusText, url, parseRetryAfter(res.headers.get("retry-after")));
+    }
+    return await res.json();
+  } catch (err: any) {
+    if (err?.name === "AbortError") {
+      throw new TimeoutError(url, timeoutMs);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export async function getJSON(url: string, options: RequestOptions = {}): Promise<any> {
+  const {
+    timeoutMs = HTTP_CONFIG.timeout_ms,
+    maxAttempts = HTTP_CONFIG.max_attempts,
+    baseDelayMs = HTTP_CONFIG.base_delay_ms,
+    maxDelayMs = HTTP_CONFIG.max_delay_ms,
+    cacheTtlMs = HTTP_CONFIG.cache_ttl_ms
+  } = options;
+
+  const key = normalizeUrl(url);
+  if (cacheTtlMs > 0) {
+    const cached = readCache(key);
+    if (cached !== undefined) return cached;
+  }
+
+  const headers: Record<string, string> = { Accept: "application/json", ...options.headers };
+  const token = getAPIToken();
+  const sendToken = options.sendAppToken ?? SOCRATA_HOSTS.has(new URL(url).hostname);
+  if (token && sendToken) {
+    headers["X-App-Token"] = token;
+  }
+
+  let lastError: unknown;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      const data = await fetchOnce(url, headers, timeoutMs);
+      if (cacheTtlMs > 0) writeCache(key, data, cacheTtlMs);
+      return data;
+    } catch (err) {
+      lastError = err;
+      if (!isRetryable(err) || attempt === maxAttempts - 1) break;
+
+      const retryAfter = err instanceof HttpError ? err.retryAfterMs : undefined;
+      const delay = retryAfter !== undefined ? Math.min(retryAfter, maxDelayMs) : backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      console.warn(
+        `Request failed (attempt ${attempt + 1}/${maxAttempts}), retrying in ${Math.round(delay)}ms: ${(err as Error).message}`
+      );
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+/** getJSON that reports a failure in the result instead of throwing. */
+export async function fetchRows(url: string, options: RequestOptions = {}): Promise<Fetched> {
+  try {
+    return { ok: true, rows: await getJSON(url, options) };
+  } catch (err) {
+    return { ok: false, error: err instanceof Error ? err.message : String(err) };
   }
-  return await res.json();
 }
@@ -0,0 +1,125 @@
+import { z } from "zod";
+import { BoroughName, boroughAbbreviation, boroughFromId, boroughId, normalizeBorough } from "./borough.js";
+
+/**
+ * BBL and BIN parsing and validation.
+ *
+ * A BBL is borough (1-5), block (1-99999) and lot (1-9999), canonically the 10-digit
+ * string "BBBBBLLLL" prefixed by the borough code. A BIN is 7 digits whose first digit
+ * is the borough code; BINs of the form N000000 are placeholders for "no BIN assigned".
+ */
+
+export type BBLParts = {
+  bbl: string;
+  borough: BoroughName;
+  borough_code: string;
+  borough_abbr: string;
+  block: number;
+  lot: number;
+};
+
+export type BINParts = {
+  bin: string;
+  borough: BoroughName;
+  borough_code: string;
+};
+
+const BBL_HINT = "expected 10 digits (e.g. 1000010001), dashed form (1-00001-0001), or borough/block/lot";
+const BIN_HINT = "expected 7 digits starting with a borough code 1-5 (e.g. 1001145)";
+
+/** Assemble a BBL from its parts; the borough may be a code, name or abbreviation. */
+export function formatBBL(borough: string | number, block: string | number, lot: string | number): BBLParts {
+  const name = normalizeBorough(String(borough));
+  if (!name) {
+    throw new Error(`Invalid BBL borough '${borough}'; use 1-5, a borough name, or MN/BX/BK/QN/SI`);
+  }
+  const blockNumber = parseRange("block", block, 99999);
+  const lotNumber = parseRange("lot", lot, 9999);
+  const code = boroughId(name);
+
+  return {
+    bbl: `${code}${String(blockNumber).padStart(5, "0")}${String(lotNumber).padStart(4, "0")}`,
+    borough: name,
+    borough_code: code,
+    borough_abbr: boroughAbbreviation(name),
+    block: blockNumber,
+    lot: lotNumber
+  };
+}
+
+function parseRange(label: string, value: string | number, max: number): number {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) < 1 || Number(text) > max) {
+    throw new Error(`Invalid BBL ${label} '${value}'; must be a whole number from 1 to ${max}`);
+  }
+  return Number(text);
+}
+
+/**
+ * Parse a BBL in any common form: "1000010001", "1000010001.00000000" (PLUTO's numeric
+ * column), "1-00001-0001", "1/1/1", "1 1 1", or "MN-1-1".
+ */
+export function parseBBL(input: string | number): BBLParts {
+  const text = String(input).trim();
+
+  const compact = /^(\d{10})(?:\.0+)?$/.exec(text);
+  if (compact) {
+    const digits = compact[1];
+    if (!boroughFromId(digits[0])) {
+      throw new Error(`Invalid BBL '${input}': first digit must be a borough code 1-5`);
+    }
+    return formatBBL(digits[0], digits.slice(1, 6), digits.slice(6));
+  }
+
+  const parts = text.split(/\s*[-/\s]\s*/);
+  if (parts.length === 3 && parts.every(Boolean)) {
+    return formatBBL(parts[0], parts[1], parts[2]);
+  }
+
+  throw new Error(`Invalid BBL '${input}': ${BBL_HINT}`);
+}
+
+export function parseBIN(input: string | number): BINParts {
+  const text = String(input).trim();
+  if (!/^[1-5]\d{6}$/.test(text)) {
+    throw new Error(`Invalid BIN '${input}': ${BIN_HINT}`);
+  }
+  if (text.slice(1) === "000000") {
+    throw new Error(`Invalid BIN '${input}': ${text} is a placeholder meaning no BIN has been assigned`);
+  }
+  const code = text[0];
+  return { bin: text, borough: boroughFromId(code)!, borough_code: code };
+}
+
+function refineWith<I, T>(parse: (value: I) => T) {
+  return (value: I, ctx: z.RefinementCtx) => {
+    try {
+      return parse(value);
+    } catch (err) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: (err as Error).message });
+      return z.NEVER;
+    }
+  };
+}
+
+/** Accepts any form parseBBL does and yields the canonical 10-digit BBL. */
+export const bblSchema = z
+  .string()
+  .describe("Borough-Block-Lot: 10 digits (1000010001) or dashed (1-00001-0001)")
+  .transform(refineWith(value => parseBBL(value).bbl));
+
+/** Yields the trimmed 7-digit BIN. */
+export const binSchema = z
+  .string()
+  .describe("Building Identification Number: 7 digits starting with the borough code 1-5")
+  .transform(refineWith(value => parseBIN(value).bin));
+
+export const blockSchema = z
+  .union([z.string(), z.number()])
+  .describe("Tax block, 1-99999")
+  .transform(refineWith(value => parseRange("block", value, 99999)));
+
+export const lotSchema = z
+  .union([z.string(), z.number()])
+  .describe("Tax lot, 1-9999")
+  .transform(refineWith(value => parseRange("lot", value, 9999)));
@@ -0,0 +1,380 @@
+import { Envelope, Insights } from "./envelope.js";
+
+/**
+ * Headlines and takeaways, ported from legacy-open-data/lib/insights.js.
+ */
+
+function pct(part: number, whole: number): string {
+  return whole > 0 ? ((part / whole) * 100).toFixed(0) : "0";
+}
+
+export function generate311SearchInsights({ count, window, meta }: Envelope): Insights {
+  const borough = meta.filters?.borough && meta.filters.borough !== "ALL" ? meta.filters.borough : "NYC";
+  const days = window.days || 0;
+  const topType = meta.top_complaint_types?.[0];
+
+  let headline = `Found ${count.toLocaleString()} complaints in ${borough}`;
+  if (days > 0) headline += ` over ${days} days`;
+  if (topType) headline += ` — "${topType.type}" leads with ${topType.count} reports`;
+
+  const takeaways: string[] = [];
+  if (count > 0) {
+    takeaways.push(`${days > 0 ? (count / days).toFixed(1) : count} complaints per day on average`);
+  }
+  if (topType) {
+    takeaways.push(`${pct(topType.count, count)}% of complaints are "${topType.type}"`);
+  }
+  if (meta.nta_coverage) {
+    const coverage = meta.nta_coverage.coverage_percent;
+    const ntaCount = meta.top_ntas?.length || 0;
+    takeaways.push(
+      coverage >= 95
+        ? `Geographic data available for ${coverage}% of records across ${ntaCount} neighborhoods`
+        : `${coverage}% geographic coverage (${ntaCount} neighborhoods identified)`
+    );
+  }
+
+  return { headline, takeaways };
+}
+
+export function generate311TrendsInsights({ count, meta }: Envelope): Insights {
+  const trend = meta.trend;
+  const groupBy = meta.group_by || "day";
+  const borough = meta.borough && meta.borough !== "ALL" ? meta.borough : "NYC";
+
+  let headline = `${count.toLocaleString()} complaints in ${borough}`;
+  if (trend) {
+    const arrow = trend.direction === "increasing" ? "↑" : trend.direction === "decreasing" ? "↓" : "→";
+    headline += ` ${arrow} ${trend.direction} by ${Math.abs(parseFloat(trend.percentage_change))}%`;
+  }
+
+  const takeaways: string[] = [];
+  if (trend) {
+    if (trend.direction === "increasing") {
+      takeaways.push(`Volume rising from ${trend.previous_avg} to ${trend.recent_avg} complaints per ${groupBy}`);
+    } else if (trend.direction === "decreasing") {
+      takeaways.push(`Volume falling from ${trend.previous_avg} to ${trend.recent_avg} complaints per ${groupBy}`);
+    } else {
+      takeaways.push(`Stable at ~${trend.recent_avg} complaints per ${groupBy}`);
+    }
+  }
+  const top = meta.top_types?.[0];
+  if (top) {
+    takeaways.push(`"${top.type}" accounts for ${pct(top.count, count)}% (${top.count.toLocaleString()} complaints)`);
+  }
+  if (meta.periods_returned > 0) {
+    takeaways.push(`${meta.periods_returned} ${groupBy} periods analyzed using server-side aggregation`);
+  }
+
+  return { headline, takeaways };
+}
+
+export function generateHPDViolationsInsights({ count, meta }: Envelope): Insights {
+  const severityMix = meta.severity_mix || {};
+  const hazardIndex = meta.hazard_index || 0;
+  const hazardLevel: string = meta.hazard_interpretation || "Unknown";
+
+  const takeaways: string[] = [];
+  const classC = severityMix.C?.percentage || 0;
+  const classB = severityMix.B?.percentage || 0;
+  if (classC > 0 || classB > 0) {
+    takeaways.push(
+      `${(classB + classC).toFixed(0)}% are hazardous (Class B: ${classB.toFixed(0)}%, Class C: ${classC.toFixed(0)}%)`
+    );
+  }
+  if (meta.hazard_index !== undefined) {
+    takeaways.push(`Hazard index: ${hazardIndex}/100 — ${hazardLevel.toLowerCase()}`);
+  }
+  const top = meta.borough_breakdown?.[0];
+  if (top) {
+    takeaways.push(`${top.borough_name} has ${top.percentage.toFixed(0)}% of violations (${top.count.toLocaleString()})`);
+  }
+
+  return { headline: `${count.toLocaleString()} housing violations — ${hazardLevel}`, takeaways };
+}
+
+export function generateDOTClosuresInsights({ count, meta }: Envelope): Insights {
+  const takeaways: string[] = [];
+  if (meta.deduplication_rate > 0) {
+    takeaways.push(
+      `Removed ${meta.duplicates_removed || 0} duplicates (${meta.deduplication_rate.toFixed(0)}% de-duplication rate)`
+    );
+  }
+  const top = meta.top_purposes?.[0];
+  if (top) {
+    takeaways.push(`"${top.purpose}" is the leading reason (${top.count} closures)`);
+  }
+  if (meta.borough_breakdown?.length > 0) {
+    const first = meta.borough_breakdown[0];
+    takeaways.push(`Affecting ${meta.borough_breakdown.length} boroughs — ${first.borough} has most (${first.count})`);
+  }
+
+  return {
+    headline: `${meta.active_closures || 0} active street closures (${count} total after de-duplication)`,
+    takeaways
+  };
+}
+
+export function formatInsights({ headline, takeaways }: Insights): string {
+  if (takeaways.length === 0) return headline;
+  return `${headline}\n${takeaways.map(t => `- ${t}`).join("\n")}`;
+}
+
+/*
+ * Building tools. These summarize the raw Socrata rows the building tools return, so
+ * clients that only read `content` still get the key facts.
+ */
+
+/** First non-empty value among `keys`; dataset column names vary between releases. */
+export function pick(record: any, ...keys: string[]): string | undefined {
+  for (const key of keys) {
+    const value = record?.[key];
+    if (value !== undefined && value !== null && String(value).trim() !== "") return String(value).trim();
+  }
+  return undefined;
+}
+
+/** Parse the date formats DOB datasets use (YYYYMMDD, MM/DD/YYYY, ISO); null if unparseable. */
+export function parseDobDate(value: string | undefined): Date | null {
+  if (!value) return null;
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  const us = /^(\d{2})\/(\d{2})\/(\d{4})/.exec(value);
+  const date = compact
+    ? new Date(`${compact[1]}-${compact[2]}-${compact[3]}T00:00:00Z`)
+    : us
+      ? new Date(`${us[3]}-${us[1]}-${us[2]}T00:00:00Z`)
+      : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function day(date: Date | null): string {
+  return date ? date.toISOString().split("T")[0] : "unknown date";
+}
+
+function latestBy<T>(rows: T[], date: (row: T) => Date | null): T | undefined {
+  let latest: T | undefined;
+  let latestTime = -Infinity;
+  for (const row of rows) {
+    const time = date(row)?.getTime() ?? -Infinity;
+    if (latest === undefined || time > latestTime) {
+      latest = row;
+      latestTime = time;
+    }
+  }
+  return latest;
+}
+
+function countBy(values: Array<string | undefined>): Array<[string, number]> {
+  const counts: Record<string, number> = {};
+  for (const value of values) {
+    const key = value || "Unknown";
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+export function summarizeAddressMatches(
+  query: string,
+  features: Array<{ label?: string; bbl: string | null; bin: string | null }>
+): Insights {
+  if (features.length === 0) {
+    return { headline: `No GeoSearch matches for "${query}"`, takeaways: [] };
+  }
+  const [best] = features;
+  return {
+    headline: `${features.length} GeoSearch match${features.length === 1 ? "" : "es"} for "${query}"; best: ${best.label ?? "unlabeled"}`,
+    takeaways: features
+      .slice(0, 5)
+      .map(f => `${f.label ?? "Unlabeled"} — BBL ${f.bbl ?? "n/a"}, BIN ${f.bin ?? "n/a"}`)
+  };
+}
+
+export function summarizePluto(record: any): Insights {
+  if (!record || Object.keys(record).length === 0) {
+    return { headline: "No PLUTO record found for this lot", takeaways: [] };
+  }
+
+  const address = pick(record, "address") ?? "Lot";
+  const zoning = [pick(record, "zonedist1"), pick(record, "zonedist2")].filter(Boolean).join(" / ");
+  const yearBuilt = pick(record, "yearbuilt");
+  const takeaways: string[] = [];
+
+  const built = yearBuilt && yearBuilt !== "0" ? yearBuilt : undefined;
+  const overlay = pick(record, "overlay1");
+  const special = pick(record, "spdist1");
+  takeaways.push(
+    `Zoning: ${zoning || "not recorded"}${overlay ? ` (overlay ${overlay})` : ""}${special ? `, special district ${special}` : ""}`
+  );
+  takeaways.push(`Year built: ${built ?? "unknown"}`);
+
+  const floors = pick(record, "numfloors");
+  const units = pick(record, "unitsres");
+  const buildingClass = pick(record, "bldgclass");
+  if (buildingClass || floors || units) {
+    takeaways.push(
+      [buildingClass && `Building class ${buildingClass}`, floors && `${Number(floors)} floors`, units && `${units} residential units`]
+        .filter(Boolean)
+        .join(", ")
+    );
+  }
+  const lotArea = pick(record, "lotarea");
+  const builtFar = pick(record, "builtfar");
+  const residFar = pick(record, "residfar");
+  if (lotArea || builtFar) {
+    takeaways.push(
+      [
+        lotArea && `Lot area ${Number(lotArea).toLocaleString()} sq ft`,
+        builtFar && `built FAR ${builtFar}${residFar ? ` (residential max ${residFar})` : ""}`
+      ]
+        .filter(Boolean)
+        .join(", ")
+    );
+  }
+  const owner = pick(record, "ownername");
+  if (owner) takeaways.push(`Owner: ${owner}`);
+  const landmark = pick(record, "landmark");
+  const district = pick(record, "histdist");
+  if (landmark || district) {
+    takeaways.push(
+      [landmark && `Landmark: ${landmark}`, district && `Historic district: ${district}`].filter(Boolean).join("; ")
+    );
+  }
+
+  return {
+    headline: `${address}: ${zoning || "zoning not recorded"}, built ${built ?? "year unknown"}`,
+    takeaways
+  };
+}
+
+/** DOB marks open violations "ACTIVE" in violation_category; anything else is resolved or dismissed. */
+export function isOpenDobViolation(row: any): boolean {
+  return /ACTIVE/i.test(pick(row, "violation_category") ?? "");
+}
+
+/** `partial` marks rows that are one page of a longer result, so counts are not read as building totals. */
+export function summarizeDobViolations(rows: any[], pageNote: string, partial = false): Insights {
+  if (rows.length === 0) {
+    return { headline: partial ? "No DOB violations on this page" : "No DOB violations on record", takeaways: [pageNote] };
+  }
+
+  const open = rows.filter(isOpenDobViolation);
+  const takeaways: string[] = [];
+  const latest = latestBy(rows, r => parseDobDate(pick(r, "issue_date")));
+  if (latest) {
+    takeaways.push(
+      `Most recent: ${pick(latest, "violation_type") ?? "violation"} issued ${day(parseDobDate(pick(latest, "issue_date")))}${isOpenDobViolation(latest) ? " (open)" : ""}`
+    );
+  }
+  const types = countBy(open.map(r => pick(r, "violation_type")));
+  if (types.length > 0) {
+    takeaways.push(`Open by type: ${types.slice(0, 3).map(([type, count]) => `${type} (${count})`).join(", ")}`);
+  }
+  takeaways.push(pageNote);
+
+  return {
+    headline: `${open.length} open and ${rows.length - open.length} closed DOB violations${partial ? " on this page" : ""}`,
+    takeaways
+  };
+}
+
+export function summarizeDobJobs(rows: any[], pageNote: string, partial = false): Insights {
+  if (rows.length === 0) {
+    return { headline: partial ? "No DOB job filings on this page" : "No DOB job filings on record", takeaways: [pageNote] };
+  }
+
+  const takeaways: string[] = [];
+  const types = countBy(rows.map(r => pick(r, "job_type")));
+  takeaways.push(`By job type: ${types.slice(0, 5).map(([type, count]) => `${type} (${count})`).join(", ")}`);
+  const latest = latestBy(rows, r => parseDobDate(pick(r, "latest_action_date", "pre__filing_date")));
+  if (latest) {
+    takeaways.push(
+      `Latest activity: job ${pick(latest, "job__") ?? "?"} (${pick(latest, "job_type") ?? "?"}) — ${pick(latest, "job_status_descrp", "job_status") ?? "status unknown"} on ${day(parseDobDate(pick(latest, "latest_action_date", "pre__filing_date")))}`
+    );
+  }
+  const description = latest && pick(latest, "job_description");
+  if (description) takeaways.push(`Work: ${description}`);
+  takeaways.push(pageNote);
+
+  return { headline: `${rows.length} DOB job filing${rows.length === 1 ? "" : "s"}${partial ? " on this page" : ""}`, takeaways };
+}
+
+function cycleNumber(row: any): number {
+  return parseInt(pick(row, "cycle") ?? "", 10) || 0;
+}
+
+/** Most recent filing in the highest FISP cycle on record, with its status (SAFE, SWARMP, UNSAFE, ...). */
+export function latestFispFiling(rows: any[]): { cycle: number; filings: any[]; latest: any; status: string | undefined } | undefined {
+  if (rows.length === 0) return undefined;
+  const cycle = Math.max(...rows.map(cycleNumber));
+  const filings = rows.filter(r => cycleNumber(r) === cycle);
+  const latest = latestBy(filings, r => parseDobDate(pick(r, "filing_date", "submitted_on")));
+  return { cycle, filings, latest, status: pick(latest, "filing_status", "current_status", "status") };
+}
+
+export function summarizeFisp(rows: any[], pageNote: string): Insights {
+  const current = latestFispFiling(rows);
+  if (!current) {
+    return { headline: "No FISP facade filings on record", takeaways: [pageNote] };
+  }
+
+  const { cycle: latestCycle, filings: inCycle, latest, status } = current;
+  const takeaways = [
+    `${inCycle.length} filing${inCycle.length === 1 ? "" : "s"} in cycle ${latestCycle || "unknown"}; latest filed ${day(parseDobDate(pick(latest, "filing_date", "submitted_on")))}`
+  ];
+  const cycles = [...new Set(rows.map(cycleNumber).filter(Boolean))].sort((a, b) => a - b);
+  if (cycles.length > 1) takeaways.push(`Cycles on record: ${cycles.join(", ")}`);
+  takeaways.push(pageNote);
+
+  return {
+    headline: `Latest FISP cycle ${latestCycle || "unknown"}: ${status ?? "status not recorded"}`,
+    takeaways
+  };
+}
+
+export function summarizeLandmark(rows: any[]): Insights {
+  if (rows.length === 0) {
+    return { headline: "Not a designated landmark or within a historic district", takeaways: [] };
+  }
+
+  const [record] = rows;
+  const name = pick(record, "lm_new", "lm_orig", "lpc_name", "landmark_name");
+  const district = pick(record, "hist_distr", "hist_dist", "historic_district");
+  const takeaways: string[] = [];
+  if (district) takeaways.push(`Historic district: ${district}`);
+  const built = pick(record, "date_combo", "date_low");
+  const architect = pick(record, "arch_build");
+  const style = pick(record, "style_prim");
+  if (built || architect || style) {
+    takeaways.push(
+      [built && `Built ${built}`, architect && `by ${architect}`, style && `style ${style}`].filter(Boolean).join(", ")
+    );
+  }
+  const lp = pick(record, "lp_number", "lpc_lpnumb");
+  if (lp) takeaways.push(`LP number: ${lp}`);
+
+  return {
+    headline: name ? `Designated landmark: ${name}` : district ? `Within the ${district} historic district` : "LPC-designated property",
+    takeaways
+  };
+}
+
+export function summarizeFootprint(rows: any[]): Insights {
+  if (rows.length === 0) {
+    return { headline: "No building footprint found", takeaways: [] };
+  }
+
+  const [record] = rows;
+  const takeaways: string[] = [];
+  const year = pick(record, "cnstrct_yr", "construction_year");
+  const roof = pick(record, "heightroof", "height_roof");
+  const ground = pick(record, "groundelev", "ground_elevation");
+  if (year) takeaways.push(`Constructed ${year}`);
+  if (roof) takeaways.push(`Roof height ${Number(roof).toFixed(1)} ft`);
+  if (ground) takeaways.push(`Ground elevation ${ground} ft`);
+  const area = pick(record, "shape_area");
+  if (area) takeaways.push(`Footprint area ${Math.round(Number(area)).toLocaleString()} sq ft`);
+  if (rows.length > 1) takeaways.push(`${rows.length} footprint records share this BIN`);
+
+  const name = pick(record, "name");
+  return { headline: `Footprint for BIN ${pick(record, "bin") ?? "unknown"}${name ? ` (${name})` : ""}`, takeaways };
+}
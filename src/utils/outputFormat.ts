@@ -0,0 +1,167 @@
+import { z } from "zod";
+
+/**
+ * Alternative renderings of a tool's structuredContent, selected with the `output_format`
+ * argument every tool accepts (added centrally in server.ts).
+ *
+ * - json: the tool's own result, unchanged.
+ * - geojson: a FeatureCollection. Rows with a GeoJSON geometry (e.g. footprints' `the_geom`) keep
+ *   it; envelope records become Points from `geo.lat`/`geo.lon`; other rows use latitude/longitude
+ *   columns when they have them and a null geometry otherwise.
+ * - csv: RFC 4180 text, one line per row, nested objects flattened to dotted column names and
+ *   columns sorted by name so the header doesn't depend on which fields the first row happens to have.
+ */
+
+export const OUTPUT_FORMATS = ["json", "geojson", "csv"] as const;
+
+export type OutputFormat = (typeof OUTPUT_FORMATS)[number];
+
+export const outputFormatShape = {
+  output_format: z
+    .enum(OUTPUT_FORMATS)
+    .default("json")
+    .describe("json (default), geojson (FeatureCollection) or csv (RFC 4180)")
+};
+
+type ToolResult = { content: Array<{ type: "text"; text: string }>; structuredContent: any };
+
+const GEOMETRY_TYPES = new Set([
+  "Point",
+  "MultiPoint",
+  "LineString",
+  "MultiLineString",
+  "Polygon",
+  "MultiPolygon",
+  "GeometryCollection"
+]);
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isGeometry(value: unknown): boolean {
+  return isPlainObject(value) && GEOMETRY_TYPES.has(value.type) && (Array.isArray(value.coordinates) || Array.isArray(value.geometries));
+}
+
+function isEnvelope(result: any): boolean {
+  return isPlainObject(result) && Array.isArray(result.records) && typeof result.source === "string";
+}
+
+/**
+ * The rows a result is made of: envelope `records`, a `data` array, or else the longest array of
+ * objects at the top level. A result with none of these is a single row.
+ */
+export function resultRows(result: any): { key: string | null; rows: any[] } {
+  if (!isPlainObject(result)) return { key: null, rows: [] };
+  if (isEnvelope(result)) return { key: "records", rows: result.records };
+  if (Array.isArray(result.data)) return { key: "data", rows: result.data };
+
+  let best: { key: string | null; rows: any[] } = { key: null, rows: [result] };
+  for (const [key, value] of Object.entries(result)) {
+    if (Array.isArray(value) && value.some(isPlainObject) && (best.key === null || value.length > best.rows.length)) {
+      best = { key, rows: value };
+    }
+  }
+  return best;
+}
+
+function number(value: unknown): number | null {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(String(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+function point(lon: unknown, lat: unknown) {
+  const x = number(lon);
+  const y = number(lat);
+  return x !== null && y !== null ? { type: "Point", coordinates: [x, y] } : null;
+}
+
+const GEOMETRY_KEYS = ["the_geom", "geometry", "location", "geom"];
+
+/** A row's geometry and the key it came from (so it isn't repeated in the properties). */
+function rowGeometry(row: any): { geometry: any; key?: string } {
+  if (!isPlainObject(row)) return { geometry: null };
+  if (isPlainObject(row.geo) && ("lat" in row.geo || "lon" in row.geo)) {
+    return { geometry: point(row.geo.lon, row.geo.lat) };
+  }
+  const key = [...GEOMETRY_KEYS, ...Object.keys(row)].find(k => isGeometry(row[k]));
+  if (key) return { geometry: row[key], key };
+  if (Array.isArray(row.coordinates) && row.coordinates.length >= 2) {
+    return { geometry: point(row.coordinates[0], row.coordinates[1]) };
+  }
+  return {
+    geometry: point(
+      row.longitude ?? row.lon ?? row.lng ?? row.gis_longitude,
+      row.latitude ?? row.lat ?? row.gis_latitude
+    )
+  };
+}
+
+function metadata(result: any, key: string | null): Record<string, unknown> | undefined {
+  if (!isPlainObject(result) || key === null) return undefined;
+  const { [key]: _rows, ...rest } = result;
+  return Object.keys(rest).length ? rest : undefined;
+}
+
+export function toFeatureCollection(result: any) {
+  const { key, rows } = resultRows(result);
+  const features = rows.map(row => {
+    const { geometry, key: geometryKey } = rowGeometry(row);
+    const properties: Record<string, unknown> = isPlainObject(row) ? { ...row } : { value: row };
+    if (geometryKey) delete properties[geometryKey];
+    return { type: "Feature", geometry, properties };
+  });
+  const meta = metadata(result, key);
+  return { type: "FeatureCollection", features, ...(meta ? { metadata: meta } : {}) };
+}
+
+/** Flatten nested objects to dotted keys. Geometries and arrays of objects are kept whole as JSON. */
+export function flattenRow(row: any, prefix = "", out: Record<string, unknown> = {}): Record<string, unknown> {
+  if (!isPlainObject(row) || isGeometry(row)) {
+    out[prefix || "value"] = row;
+    return out;
+  }
+  for (const [key, value] of Object.entries(row)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && !isGeometry(value)) flattenRow(value, column, out);
+    else out[column] = value;
+  }
+  return out;
+}
+
+function csvCell(value: unknown): string {
+  if (value === null || value === undefined) return "";
+  const text =
+    Array.isArray(value) && value.every(v => v === null || typeof v !== "object")
+      ? value.join("; ")
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows: any[]): { columns: string[]; csv: string } {
+  const flat = rows.map(row => flattenRow(row));
+  const columns = [...new Set(flat.flatMap(row => Object.keys(row)))].sort();
+  const lines = [columns.map(csvCell), ...flat.map(row => columns.map(column => csvCell(row[column])))];
+  return { columns, csv: lines.length > 1 || columns.length ? lines.map(cells => cells.join(",")).join("\r\n") + "\r\n" : "" };
+}
+
+/** Re-render a tool result in the requested format. */
+export function formatToolResult(result: ToolResult, format: OutputFormat = "json"): ToolResult {
+  if (format === "json") return result;
+
+  if (format === "geojson") {
+    const collection = toFeatureCollection(result.structuredContent);
+    return { content: [{ type: "text", text: JSON.stringify(collection) }], structuredContent: collection };
+  }
+
+  const { key, rows } = resultRows(result.structuredContent);
+  const { columns, csv } = toCsv(rows);
+  const meta = metadata(result.structuredContent, key);
+  return {
+    content: [{ type: "text", text: csv }],
+    structuredContent: { format: "csv", columns, row_count: rows.length, csv, ...(meta ? { metadata: meta } : {}) }
+  };
+}
@@ -0,0 +1,145 @@
+import { z } from "zod";
+import { getJSON } from "./http.js";
+import { socrataUrl, SoqlQuery } from "./soql.js";
+import { ProgressReporter } from "./progress.js";
+
+/** Page sizes and caps. max_limit is also the legacy HARD_CAPS.max_limit (checked by test/legacy-parity.test.js). */
+export const PAGE_LIMITS = {
+  default_limit: 1000,
+  max_limit: 10000,
+  page_size: 1000,
+  max_pages: 10
+};
+
+export const paginationShape = {
+  limit: z.number().int().min(1).max(PAGE_LIMITS.max_limit).optional(),
+  offset: z.number().int().min(0).optional(),
+  cursor: z.string().optional(),
+  fetch_all: z.boolean().optional(),
+  max_records: z.number().int().min(1).max(PAGE_LIMITS.max_limit).optional()
+};
+
+export type PaginationArgs = {
+  limit?: number;
+  offset?: number;
+  cursor?: string;
+  fetch_all?: boolean;
+  max_records?: number;
+};
+
+export type PageInfo = {
+  limit: number;
+  offset: number;
+  returned: number;
+  has_more: boolean;
+  next_cursor: string | null;
+};
+
+type Cursor = { offset: number; limit: number };
+
+export function encodeCursor(cursor: Cursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+export function decodeCursor(cursor: string): Cursor {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(parsed?.offset) && parsed.offset >= 0 && Number.isInteger(parsed?.limit) && parsed.limit > 0) {
+      return { offset: parsed.offset, limit: parsed.limit };
+    }
+  } catch {
+    // fall through to the error below
+  }
+  throw new Error("Invalid cursor; pass the next_cursor value from a previous response unchanged");
+}
+
+/**
+ * Fetch one page (or, with fetch_all, every page up to max_records) of a Socrata query.
+ * Rows are ordered by the system :id column so offsets are stable between calls.
+ * With fetch_all, `onProgress` is called after each page with the running record count.
+ * `baseUrl` replaces the Socrata resource base (tests point it at a local stub).
+ */
+export async function fetchPaged(
+  datasetId: string,
+  query: Omit<SoqlQuery, "limit" | "offset">,
+  args: PaginationArgs,
+  { onProgress, baseUrl }: { onProgress?: ProgressReporter; baseUrl?: string } = {}
+): Promise<{ data: any[]; pagination: PageInfo }> {
+  const fromCursor = args.cursor ? decodeCursor(args.cursor) : undefined;
+  const offset = fromCursor?.offset ?? args.offset ?? 0;
+  const ordered = { ...query, order: query.order ?? ":id" };
+
+  if (args.fetch_all) {
+    const maxRecords = args.max_records ?? PAGE_LIMITS.max_limit;
+    const data: any[] = [];
+    let nextOffset = offset;
+    let exhausted = false;
+
+    for (let page = 0; page < PAGE_LIMITS.max_pages && data.length < maxRecords; page++) {
+      const pageSize = Math.min(PAGE_LIMITS.page_size, maxRecords - data.length);
+      // Ask for one extra row so we know whether anything is left after this page.
+      const rows: any[] = await getJSON(socrataUrl(datasetId, { ...ordered, limit: pageSize + 1, offset: nextOffset }, baseUrl));
+      data.push(...rows.slice(0, pageSize));
+      nextOffset += Math.min(rows.length, pageSize);
+      await onProgress?.(data.length, undefined, `Fetched page ${page + 1} (${data.length} records)`);
+      if (rows.length <= pageSize) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    return {
+      data,
+      pagination: {
+        limit: maxRecords,
+        offset,
+        returned: data.length,
+        has_more: !exhausted,
+        next_cursor: exhausted ? null : encodeCursor({ offset: nextOffset, limit: PAGE_LIMITS.page_size })
+      }
+    };
+  }
+
+  const limit = args.limit ?? fromCursor?.limit ?? PAGE_LIMITS.default_limit;
+  const rows: any[] = await getJSON(socrataUrl(datasetId, { ...ordered, limit: limit + 1, offset }, baseUrl));
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      offset,
+      returned: data.length,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor({ offset: offset + limit, limit }) : null
+    }
+  };
+}
+
+/** The page a query would have returned had it matched nothing, for callers that know so without asking. */
+export function emptyPage(args: PaginationArgs): { data: any[]; pagination: PageInfo } {
+  const fromCursor = args.cursor ? decodeCursor(args.cursor) : undefined;
+  return {
+    data: [],
+    pagination: {
+      limit: args.fetch_all ? args.max_records ?? PAGE_LIMITS.max_limit : args.limit ?? fromCursor?.limit ?? PAGE_LIMITS.default_limit,
+      offset: fromCursor?.offset ?? args.offset ?? 0,
+      returned: 0,
+      has_more: false,
+      next_cursor: null
+    }
+  };
+}
+
+export function describePage(label: string, { returned, offset, has_more }: PageInfo): string {
+  const range = returned ? ` (records ${offset + 1}-${offset + returned})` : "";
+  return has_more
+    ? `${label}: ${returned} returned${range}; more available, pass next_cursor to continue`
+    : `${label}: ${returned} returned${range}`;
+}
+
+/** True when the rows are only part of the full result: later pages remain or earlier ones were skipped. */
+export function isPartialPage({ offset, has_more }: PageInfo): boolean {
+  return has_more || offset > 0;
+}
@@ -1,16 +0,0 @@
-export function parseBBL(bbl: string) {
-  const boroughCode = bbl[0];
-  const boroughMap: Record<string, string> = {
-    "1": "MN",
-    "2": "BX",
-    "3": "BK",
-    "4": "QN",
-    "5": "SI"
-  };
-
-  return {
-    borough: boroughMap[boroughCode],
-    block: bbl.slice(1, 6).padStart(5, "0"),
-    lot: bbl.slice(6).padStart(4, "0")
-  };
-}
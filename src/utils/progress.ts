@@ -0,0 +1,28 @@
+import type { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
+import type { ServerNotification, ServerRequest } from "@modelcontextprotocol/sdk/types.js";
+
+/** Per-request context the SDK passes to tool handlers as their second argument. */
+export type ToolExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+export type ProgressReporter = (progress: number, total?: number, message?: string) => Promise<void>;
+
+/**
+ * Progress callback for the current request, or undefined when the client did not send a
+ * progressToken. Over stateful HTTP the notifications stream to the client via SSE.
+ */
+export function progressReporter(extra?: Pick<ToolExtra, "_meta" | "sendNotification">): ProgressReporter | undefined {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+
+  return async (progress, total, message) => {
+    try {
+      await extra!.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress, total, message }
+      });
+    } catch (err) {
+      // Progress is best-effort; a closed stream must not fail the tool call.
+      console.warn(`Could not send progress notification: ${(err as Error).message}`);
+    }
+  };
+}
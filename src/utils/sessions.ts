@@ -0,0 +1,79 @@
+/** Idle lifetime for stateful HTTP sessions unless MCP_SESSION_IDLE_MS overrides it. */
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+type Entry<T> = { value: T; lastSeen: number };
+
+export type SessionStore<T> = {
+  get(id: string): T | undefined;
+  set(id: string, value: T): void;
+  delete(id: string): boolean;
+  size(): number;
+  /** Remove every session idle longer than the limit, calling onExpire for each; returns their IDs. */
+  sweep(): string[];
+};
+
+/**
+ * Session registry with idle expiry. `get` counts as activity; expired sessions are only
+ * removed by `sweep`, which the caller runs on a timer.
+ */
+export function createSessionStore<T>({
+  idleMs,
+  onExpire,
+  now = Date.now
+}: {
+  idleMs: number;
+  onExpire?: (id: string, value: T) => void;
+  now?: () => number;
+}): SessionStore<T> {
+  const sessions = new Map<string, Entry<T>>();
+
+  return {
+    get(id) {
+      const entry = sessions.get(id);
+      if (!entry) return undefined;
+      entry.lastSeen = now();
+      return entry.value;
+    },
+    set(id, value) {
+      sessions.set(id, { value, lastSeen: now() });
+    },
+    delete(id) {
+      return sessions.delete(id);
+    },
+    size() {
+      return sessions.size;
+    },
+    sweep() {
+      const cutoff = now() - idleMs;
+      const expired: string[] = [];
+      for (const [id, entry] of sessions) {
+        if (entry.lastSeen <= cutoff) {
+          sessions.delete(id);
+          expired.push(id);
+          onExpire?.(id, entry.value);
+        }
+      }
+      return expired;
+    }
+  };
+}
+
+/** `--stateful` on the command line or MCP_SESSIONS=stateful enables per-session HTTP transports. */
+export function statefulSessionsEnabled(argv: string[], env: NodeJS.ProcessEnv = {}): boolean {
+  if (argv.includes("--stateful")) return true;
+  if (argv.includes("--stateless")) return false;
+  const mode = env.MCP_SESSIONS?.trim().toLowerCase();
+  if (mode && mode !== "stateful" && mode !== "stateless") {
+    throw new Error(`Invalid MCP_SESSIONS '${env.MCP_SESSIONS}'; expected stateful or stateless`);
+  }
+  return mode === "stateful";
+}
+
+export function sessionIdleMs(env: NodeJS.ProcessEnv = {}): number {
+  if (!env.MCP_SESSION_IDLE_MS) return DEFAULT_SESSION_IDLE_MS;
+  const ms = Number(env.MCP_SESSION_IDLE_MS);
+  if (!Number.isInteger(ms) || ms <= 0) {
+    throw new Error(`MCP_SESSION_IDLE_MS must be a positive integer, got: ${env.MCP_SESSION_IDLE_MS}`);
+  }
+  return ms;
+}
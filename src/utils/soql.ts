@@ -0,0 +1,131 @@
+export const SOCRATA_BASE = "https://data.cityofnewyork.us/resource";
+
+export type SoqlLiteral = string | number | boolean | null;
+
+export type SoqlQuery = {
+  /** Simple equality filters (`?column=value`); Socrata matches these against the column's own type. */
+  filters?: Record<string, string | number | undefined>;
+  select?: string | string[];
+  /** A single clause, or clauses to AND together (falsy entries are skipped). */
+  where?: string | Array<string | false | undefined>;
+  order?: string | string[];
+  group?: string | string[];
+  limit?: number;
+  offset?: number;
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/** Socrata "four-by-four" dataset IDs, e.g. "64uk-42ks". */
+export const DATASET_ID = /^[a-z0-9]{4}-[a-z0-9]{4}$/;
+
+/** Validate a column name so it can be interpolated into a clause. */
+export function identifier(name: string): string {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid SoQL column name: ${name}`);
+  }
+  return name;
+}
+
+/** Render a value as a SoQL literal. Strings are single-quoted with embedded quotes doubled. */
+export function literal(value: SoqlLiteral): string {
+  if (value === null) return "NULL";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid SoQL number: ${value}`);
+    }
+    return String(value);
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+export function eq(column: string, value: SoqlLiteral): string {
+  return value === null ? `${identifier(column)} IS NULL` : `${identifier(column)} = ${literal(value)}`;
+}
+
+export function compare(column: string, op: "<" | "<=" | ">" | ">=" | "!=", value: SoqlLiteral): string {
+  return `${identifier(column)} ${op} ${literal(value)}`;
+}
+
+export function inList(column: string, values: SoqlLiteral[]): string {
+  if (values.length === 0) {
+    throw new Error(`IN list for ${column} must not be empty`);
+  }
+  return `${identifier(column)} IN (${values.map(literal).join(", ")})`;
+}
+
+/** Case-insensitive substring match. */
+export function contains(column: string, text: string): string {
+  return `upper(${identifier(column)}) LIKE ${literal(`%${text.toUpperCase()}%`)}`;
+}
+
+/** Case-insensitive prefix match. */
+export function startsWith(column: string, text: string): string {
+  return `upper(${identifier(column)}) LIKE ${literal(`${text.toUpperCase()}%`)}`;
+}
+
+export function and(...conditions: Array<string | undefined | false>): string {
+  return conditions.filter(Boolean).map(c => `(${c})`).join(" AND ");
+}
+
+export function or(...conditions: Array<string | undefined | false>): string {
+  return conditions.filter(Boolean).map(c => `(${c})`).join(" OR ");
+}
+
+function clause(part: string | string[] | undefined, separator: string): string | undefined {
+  if (part === undefined) return undefined;
+  const joined = Array.isArray(part) ? part.filter(Boolean).join(separator) : part;
+  return joined || undefined;
+}
+
+function count(name: string, value: number | undefined): string | undefined {
+  if (value === undefined) return undefined;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got: ${value}`);
+  }
+  return String(value);
+}
+
+/** Build the `$`-prefixed query parameters for a Socrata request. */
+export function soqlParams(query: SoqlQuery): URLSearchParams {
+  const entries: Array<[string, string | undefined]> = [
+    ["$select", clause(query.select, ", ")],
+    ["$where", (Array.isArray(query.where) ? and(...query.where) : query.where) || undefined],
+    ["$order", clause(query.order, ", ")],
+    ["$group", clause(query.group, ", ")],
+    ["$limit", count("limit", query.limit)],
+    ["$offset", count("offset", query.offset)]
+  ];
+
+  const params = new URLSearchParams();
+  for (const [column, value] of Object.entries(query.filters ?? {})) {
+    if (value !== undefined) params.set(identifier(column), String(value));
+  }
+  for (const [key, value] of entries) {
+    if (value !== undefined) params.set(key, value);
+  }
+  return params;
+}
+
+/**
+ * Full resource URL for a dataset ID (e.g. "64uk-42ks") and query. `SOCRATA_BASE_URL` points every
+ * request at a mirror or local stub instead of NYC Open Data.
+ */
+export function socrataUrl(datasetId: string, query: SoqlQuery = {}, base = process.env.SOCRATA_BASE_URL || SOCRATA_BASE): string {
+  if (!DATASET_ID.test(datasetId)) {
+    throw new Error(`Invalid dataset ID: ${datasetId}`);
+  }
+  const qs = soqlParams(query).toString();
+  return `${base}/${datasetId}.json${qs ? `?${qs}` : ""}`;
+}
+
+/** Append encoded query parameters to a non-Socrata URL. */
+export function withQuery(base: string, params: Record<string, string | number | undefined>): string {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) search.set(key, String(value));
+  }
+  const qs = search.toString();
+  return qs ? `${base}?${qs}` : base;
+}
@@ -0,0 +1,219 @@
+import { z } from "zod";
+import { getJSON } from "./http.js";
+import { socrataUrl, compare, identifier, inList, SoqlQuery } from "./soql.js";
+import { parseBBL } from "./identifiers.js";
+import { Polygon, pointInPolygons } from "./geography.js";
+import { geosearch } from "./geosearch.js";
+import { DATASETS } from "./datasets.js";
+
+/**
+ * `near` and `within` search areas. Datasets with a location column get a SoQL `within_circle` /
+ * `within_polygon` clause; datasets without coordinates are joined through the PLUTO lots (BBLs)
+ * inside the area, and BIN-keyed datasets through the building footprints on those lots.
+ */
+
+const FEET_PER_METER = 3.28084;
+const EARTH_RADIUS_M = 6371008.8;
+
+/** Generous bounds around the five boroughs; anything outside is almost certainly swapped lat/lon. */
+const NYC_BOUNDS = { minLat: 40.4, maxLat: 41.0, minLon: -74.3, maxLon: -73.6 };
+
+export const MAX_RADIUS_FT = 5280;
+export const MAX_POLYGON_VERTICES = 500;
+/** Lots (or buildings) an area may cover before a BBL/BIN join gets too long for one request. */
+export const MAX_AREA_LOTS = 300;
+
+const PLUTO = DATASETS.PLUTO.id;
+const FOOTPRINTS = DATASETS.FOOTPRINTS.id;
+
+export const latitudeSchema = z.number().min(NYC_BOUNDS.minLat).max(NYC_BOUNDS.maxLat);
+export const longitudeSchema = z.number().min(NYC_BOUNDS.minLon).max(NYC_BOUNDS.maxLon);
+const position = z.tuple([longitudeSchema, latitudeSchema]).rest(z.number());
+
+const ring = z
+  .array(position)
+  .min(4, "A polygon ring needs at least 4 positions")
+  .refine(r => r[0][0] === r[r.length - 1][0] && r[0][1] === r[r.length - 1][1], "A polygon ring must end at its first position");
+
+export const nearSchema = z
+  .object({
+    latitude: latitudeSchema.optional(),
+    longitude: longitudeSchema.optional(),
+    address: z.string().trim().min(1).max(200).optional().describe("Resolved with GeoSearch, as in resolve_address"),
+    radius_ft: z.number().positive().max(MAX_RADIUS_FT).default(500)
+  })
+  .refine(n => (n.latitude !== undefined && n.longitude !== undefined) !== (n.address !== undefined), {
+    message: "near needs either latitude and longitude, or an address"
+  });
+
+export const withinSchema = z
+  .discriminatedUnion("type", [
+    z.object({ type: z.literal("Polygon"), coordinates: z.array(ring).min(1) }),
+    z.object({ type: z.literal("MultiPolygon"), coordinates: z.array(z.array(ring).min(1)).min(1) })
+  ])
+  .refine(
+    g => (g.type === "Polygon" ? [g.coordinates] : g.coordinates).flat(2).length <= MAX_POLYGON_VERTICES,
+    `Polygon may have at most ${MAX_POLYGON_VERTICES} vertices`
+  );
+
+export const spatialShape = {
+  near: nearSchema.optional().describe("Search around a point (latitude/longitude or address) within radius_ft feet"),
+  within: withinSchema.optional().describe("Search inside a GeoJSON Polygon or MultiPolygon ([longitude, latitude] positions)")
+};
+
+export type NearArgs = z.infer<typeof nearSchema>;
+export type WithinArgs = z.infer<typeof withinSchema>;
+export type SpatialArgs = { near?: NearArgs; within?: WithinArgs };
+
+export type SearchArea =
+  | { type: "circle"; latitude: number; longitude: number; radius_ft: number; address: string | null }
+  | { type: "polygon"; polygons: Polygon[] };
+
+/** Resolve `near`/`within` to a search area, geocoding a `near.address`; undefined when neither is given. */
+export async function resolveSearchArea({ near, within }: SpatialArgs): Promise<SearchArea | undefined> {
+  if (near && within) {
+    throw new Error("Use either near or within, not both");
+  }
+  if (within) {
+    const polygons = within.type === "Polygon" ? [within.coordinates] : within.coordinates;
+    return { type: "polygon", polygons: polygons.map(p => p.map(r => r.map(([lon, lat]) => [lon, lat] as [number, number]))) };
+  }
+  if (!near) return undefined;
+
+  if (near.address) {
+    const [match] = await geosearch(near.address);
+    const [lon, lat] = match?.coordinates ?? [];
+    if (typeof lat !== "number" || typeof lon !== "number") {
+      throw new Error(`Could not resolve address "${near.address}" to a location`);
+    }
+    return { type: "circle", latitude: lat, longitude: lon, radius_ft: near.radius_ft, address: match.label ?? near.address };
+  }
+  return { type: "circle", latitude: near.latitude!, longitude: near.longitude!, radius_ft: near.radius_ft, address: null };
+}
+
+function wktPolygons(polygons: Polygon[]): string {
+  const rings = (polygon: Polygon) => `(${polygon.map(r => `(${r.map(([lon, lat]) => `${lon} ${lat}`).join(", ")})`).join(", ")})`;
+  return `MULTIPOLYGON (${polygons.map(rings).join(", ")})`;
+}
+
+/** SoQL clause restricting a location (point, line or polygon) column to the area. */
+export function spatialClause(column: string, area: SearchArea): string {
+  if (area.type === "circle") {
+    const meters = Math.round((area.radius_ft / FEET_PER_METER) * 100) / 100;
+    return `within_circle(${identifier(column)}, ${area.latitude}, ${area.longitude}, ${meters})`;
+  }
+  return `within_polygon(${identifier(column)}, '${wktPolygons(area.polygons)}')`;
+}
+
+/** SoQL clause matching rows whose shape in `column` contains the point. */
+export function containsPointClause(column: string, latitude: number, longitude: number): string {
+  return `intersects(${identifier(column)}, 'POINT (${longitude} ${latitude})')`;
+}
+
+/** Great-circle distance in feet. */
+export function distanceFt(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a)) * FEET_PER_METER;
+}
+
+/** [minLon, minLat, maxLon, maxLat] enclosing the area. */
+export function areaBounds(area: SearchArea): [number, number, number, number] {
+  if (area.type === "circle") {
+    const meters = area.radius_ft / FEET_PER_METER;
+    const dLat = (meters / EARTH_RADIUS_M) * (180 / Math.PI);
+    const dLon = dLat / Math.cos((area.latitude * Math.PI) / 180);
+    return [area.longitude - dLon, area.latitude - dLat, area.longitude + dLon, area.latitude + dLat];
+  }
+  const points = area.polygons.flatMap(p => p[0] ?? []);
+  const lons = points.map(([lon]) => lon);
+  const lats = points.map(([, lat]) => lat);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+export function areaContains(area: SearchArea, lat: number, lon: number): boolean {
+  return area.type === "circle"
+    ? distanceFt(area.latitude, area.longitude, lat, lon) <= area.radius_ft
+    : pointInPolygons(lon, lat, area.polygons);
+}
+
+function tooLarge(what: string): Error {
+  return new Error(`Search area covers more than ${MAX_AREA_LOTS} ${what}; use a smaller radius or polygon`);
+}
+
+/** BBLs of the PLUTO lots whose centroid falls inside the area. */
+export async function bblsInArea(area: SearchArea): Promise<string[]> {
+  const [minLon, minLat, maxLon, maxLat] = areaBounds(area);
+  const rows: any[] = await getJSON(
+    socrataUrl(PLUTO, {
+      select: "bbl, latitude, longitude",
+      where: [
+        compare("latitude", ">=", minLat),
+        compare("latitude", "<=", maxLat),
+        compare("longitude", ">=", minLon),
+        compare("longitude", "<=", maxLon)
+      ],
+      // The bounding box holds more lots than a circle or irregular polygon inside it.
+      limit: MAX_AREA_LOTS * 4
+    })
+  );
+  if (rows.length === MAX_AREA_LOTS * 4) throw tooLarge("tax lots");
+
+  const bbls = new Set<string>();
+  for (const row of rows) {
+    const lat = parseFloat(row.latitude);
+    const lon = parseFloat(row.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || !areaContains(area, lat, lon)) continue;
+    try {
+      bbls.add(parseBBL(row.bbl).bbl);
+    } catch {
+      // PLUTO carries a few condo billing and placeholder rows without a usable BBL.
+    }
+  }
+  if (bbls.size > MAX_AREA_LOTS) throw tooLarge("tax lots");
+  return [...bbls].sort();
+}
+
+/** BINs of the buildings standing on the lots inside the area, via the footprints' base BBL. */
+export async function binsInArea(area: SearchArea): Promise<string[]> {
+  const bbls = await bblsInArea(area);
+  if (bbls.length === 0) return [];
+  const rows: any[] = await getJSON(
+    // A lot can hold several buildings, so the footprint query allows more rows than lots.
+    socrataUrl(FOOTPRINTS, { select: "bin", where: inList("base_bbl", bbls), limit: MAX_AREA_LOTS * 4 })
+  );
+  if (rows.length === MAX_AREA_LOTS * 4) throw tooLarge("buildings");
+  const bins = [...new Set(rows.map(r => String(r.bin)).filter(bin => /^[1-5]\d{6}$/.test(bin) && !/^\d0{6}$/.test(bin)))];
+  if (bins.length > MAX_AREA_LOTS) throw tooLarge("buildings");
+  return bins.sort();
+}
+
+export function describeArea(area: SearchArea): Record<string, unknown> {
+  return area.type === "circle"
+    ? { type: "circle", latitude: area.latitude, longitude: area.longitude, radius_ft: area.radius_ft, address: area.address }
+    : { type: "polygon", polygons: area.polygons.length, vertices: area.polygons.flat(2).length };
+}
+
+/**
+ * Scope a BIN-keyed dataset to one building (`bin`) or to every building in a `near`/`within` area.
+ * Exactly one of the two must be given. `query` is null when the area holds no buildings, so the
+ * caller can answer with an empty result without querying.
+ */
+export async function binScope(
+  column: string,
+  bin: string | undefined,
+  spatial: SpatialArgs
+): Promise<{ query: Pick<SoqlQuery, "filters" | "where"> | null; area: Record<string, unknown> | null }> {
+  const area = await resolveSearchArea(spatial);
+  if (!bin === !area) {
+    throw new Error("Provide either a bin, or a near/within search area");
+  }
+  if (!area) return { query: { filters: { [column]: bin } }, area: null };
+  const bins = await binsInArea(area);
+  return {
+    query: bins.length ? { where: inList(column, bins) } : null,
+    area: { ...describeArea(area), buildings: bins.length }
+  };
+}
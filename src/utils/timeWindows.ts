@@ -0,0 +1,78 @@
+import { z } from "zod";
+
+/**
+ * Standard time windows, ported from legacy-open-data/lib/time-windows.js.
+ * Windows are inclusive: start of the first day through end of today.
+ */
+
+export type TimeWindow = {
+  start: string;
+  end: string;
+  days: number | null;
+  type: string;
+};
+
+export function getTimeWindow(windowType: "90d" | "12m" = "90d"): TimeWindow {
+  return windowFor(windowType === "12m" ? 365 : 90, windowType);
+}
+
+export function getCustomWindow(days: number): TimeWindow {
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error(`Days must be a positive integer, got: ${days}`);
+  }
+  return windowFor(days, "custom");
+}
+
+/** Pick the standard window when `days` matches one, otherwise a custom one. */
+export function windowForDays(days: number): TimeWindow {
+  return days === 90 ? getTimeWindow("90d") : days === 365 ? getTimeWindow("12m") : getCustomWindow(days);
+}
+
+/** Window spanning two explicit YYYY-MM-DD dates, inclusive of both. */
+export function windowBetween(startDate: string, endDate: string): TimeWindow {
+  const start = new Date(`${startDate}T00:00:00.000`);
+  const end = new Date(`${endDate}T23:59:59.999`);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    throw new Error(`Invalid date range: ${startDate} to ${endDate}`);
+  }
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    days: Math.ceil((end.getTime() - start.getTime()) / 86400000),
+    type: "custom"
+  };
+}
+
+/** Socrata floating timestamps have no zone suffix. */
+export function soqlTimestamp(iso: string | Date): string {
+  return new Date(iso).toISOString().replace("Z", "");
+}
+
+function windowFor(days: number, type: string): TimeWindow {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+
+  const start = new Date(end);
+  start.setDate(start.getDate() - days);
+  start.setHours(0, 0, 0, 0);
+
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    days: type === "custom" ? days : Math.ceil((end.getTime() - start.getTime()) / 86400000),
+    type
+  };
+}
+
+/** Explicit start/end dates win over `days`; with neither, the standard 90-day window. */
+export function resolveWindow({ start_date, end_date, days }: { start_date?: string; end_date?: string; days?: number }): TimeWindow {
+  if (start_date || end_date) {
+    if (!start_date || !end_date) {
+      throw new Error("Provide both start_date and end_date, or use days");
+    }
+    return windowBetween(start_date, end_date);
+  }
+  return days ? windowForDays(days) : getTimeWindow("90d");
+}
+
+export const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD");
@@ -0,0 +1,41 @@
+export type TransportMode = "http" | "stdio";
+
+const MODES: readonly TransportMode[] = ["http", "stdio"];
+
+function parseMode(value: string, source: string): TransportMode {
+  const mode = value.trim().toLowerCase();
+  if (!(MODES as readonly string[]).includes(mode)) {
+    throw new Error(`Invalid transport '${value}' from ${source}; expected one of: ${MODES.join(", ")}`);
+  }
+  return mode as TransportMode;
+}
+
+/**
+ * Pick the transport from the command line (`--stdio`, `--http`, `--transport <mode>`,
+ * `--transport=<mode>`), then MCP_TRANSPORT, defaulting to Streamable HTTP.
+ */
+export function resolveTransportMode(argv: string[], env: NodeJS.ProcessEnv = {}): TransportMode {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--stdio") return "stdio";
+    if (arg === "--http") return "http";
+    if (arg.startsWith("--transport=")) return parseMode(arg.slice("--transport=".length), "--transport");
+    if (arg === "--transport") {
+      const value = argv[i + 1];
+      if (value === undefined) throw new Error("--transport requires a value (http or stdio)");
+      return parseMode(value, "--transport");
+    }
+  }
+  return env.MCP_TRANSPORT ? parseMode(env.MCP_TRANSPORT, "MCP_TRANSPORT") : "http";
+}
+
+/**
+ * In stdio mode stdout carries the JSON-RPC stream, so anything written there by us or a
+ * dependency would corrupt it. Point the stdout console methods at stderr.
+ */
+export function routeConsoleToStderr() {
+  const toStderr = (...args: unknown[]) => console.error(...args);
+  console.log = toStderr;
+  console.info = toStderr;
+  console.debug = toStderr;
+}
@@ -0,0 +1,72 @@
+import { DATASETS, apiEndpoint, datasetPage, findDataset } from "./datasets.js";
+
+/**
+ * Source citations and verification URLs, ported from legacy-open-data/lib/verification.js.
+ * Dataset details come from the registry in datasets.ts; `dataSource` is an envelope source name.
+ */
+
+function trustScore(dataSource: string, recordCount: number, limit?: number) {
+  const score = {
+    overall: 95,
+    factors: {
+      source_credibility: 100,
+      data_freshness: 90,
+      completeness: recordCount > 0 ? 90 : 50,
+      api_reliability: 95
+    },
+    notes: [] as string[]
+  };
+
+  if (dataSource === DATASETS.COMPTROLLER_SPENDING.source) {
+    score.factors.completeness = 80;
+    score.notes.push("Budget data shows allocations, not actual expenditures");
+    score.overall = 85;
+  }
+  if (recordCount === 0) {
+    score.notes.push("No records found - may indicate narrow query or data gap");
+    score.overall = 70;
+  }
+  if (limit !== undefined && recordCount === limit) {
+    score.notes.push("Result limit reached - there may be additional records");
+    score.overall = Math.min(score.overall, 90);
+  }
+
+  return score;
+}
+
+export function generateVerification(dataSource: string, params: Record<string, unknown>, count: number) {
+  const dataset = findDataset(dataSource);
+  return {
+    data_source: dataset
+      ? {
+          name: dataset.name,
+          authority: dataset.authority,
+          update_frequency: dataset.update_frequency,
+          credibility: dataset.credibility,
+          dataset_id: dataset.id,
+          dataset_url: datasetPage(dataset),
+          ...(dataset.note ? { note: dataset.note } : {})
+        }
+      : { name: "NYC Open Data", credibility: "Official City Data" },
+    query_parameters: params,
+    record_count: count,
+    verification_urls: {
+      main_portal: "https://data.cityofnewyork.us/",
+      dataset_specific: dataset ? datasetPage(dataset) : null
+    },
+    data_freshness: new Date().toISOString(),
+    api_endpoint: dataset ? apiEndpoint(dataset) : "https://data.cityofnewyork.us/",
+    trust_score: trustScore(dataSource, count, typeof params.limit === "number" ? params.limit : undefined)
+  };
+}
+
+export function enrichWithVerification<T extends { count: number }>(
+  response: T,
+  dataSource: string,
+  params: Record<string, unknown>
+) {
+  return {
+    ...response,
+    _verification: generateVerification(dataSource, params, response.count)
+  };
+}
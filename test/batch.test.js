@@ -0,0 +1,150 @@
+/**
+ * Tests for batch lookups: bounded concurrency and splitting IN (...) results back out per identifier.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { mapConcurrent, rateLimit, clearCache } from "../dist/utils/http.js";
+import batchLookup, { assembleBatch, canonicalId, BATCH_LOOKUPS, MAX_BATCH, IDS_PER_QUERY } from "../dist/tools/batchLookup.js";
+
+test("mapConcurrent keeps input order and never exceeds the concurrency", async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapConcurrent([5, 1, 4, 2, 3], 2, async n => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, n));
+    running--;
+    return n * 10;
+  });
+  assert.deepStrictEqual(results, [50, 10, 40, 20, 30]);
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(await mapConcurrent([], 10, async n => n), []);
+});
+
+test("a full batch is split into IN (...) chunks run at most a burst at a time", async () => {
+  let running = 0;
+  let peak = 0;
+  const queries = [];
+  const server = http.createServer((req, res) => {
+    running++;
+    peak = Math.max(peak, running);
+    const where = new URL(req.url, "http://stub").searchParams.get("$where");
+    const ids = where.match(/'\d+'/g).map(id => id.slice(1, -1));
+    queries.push(ids);
+    setTimeout(() => {
+      running--;
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify([{ bin: ids[0] }]));
+    }, 20);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.SOCRATA_BASE_URL = `http://127.0.0.1:${server.address().port}/resource`;
+  try {
+    clearCache();
+    const bins = Array.from({ length: MAX_BATCH }, (_, i) => String(1000001 + i));
+    const result = await batchLookup.handler({ lookup: "landmark_status", bins: [...bins, bins[0]], limit_per_item: 10 });
+
+    assert.strictEqual(result.structuredContent.requests, MAX_BATCH / IDS_PER_QUERY);
+    assert.strictEqual(queries.length, MAX_BATCH / IDS_PER_QUERY);
+    assert.ok(queries.every(ids => ids.length === IDS_PER_QUERY));
+    assert.deepStrictEqual(queries.flat().sort(), bins);
+    assert.ok(peak > 1 && peak <= rateLimit().burst_limit, `peak concurrency ${peak}`);
+    assert.strictEqual(Object.keys(result.structuredContent.results).length, MAX_BATCH);
+    assert.strictEqual(result.structuredContent.results["1000001"].count, 1);
+  } finally {
+    delete process.env.SOCRATA_BASE_URL;
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test("canonicalId normalizes dataset values and rejects non-identifiers", () => {
+  assert.strictEqual(canonicalId("bbl", "1012340056.00000000"), "1012340056");
+  assert.strictEqual(canonicalId("bin", " 1001234 "), "1001234");
+  assert.strictEqual(canonicalId("bin", "1000000"), undefined);
+  assert.strictEqual(canonicalId("bbl", null), undefined);
+});
+
+test("rows are keyed by the identifier as given, with per-item errors", () => {
+  const items = [
+    { input: "1001234", id: "1001234" },
+    { input: "1001235", id: "1001235" },
+    { input: "2000001", id: "2000001" },
+    { input: "1000000", id: null, error: "Invalid BIN '1000000'" },
+    { input: "100 Example St", id: "1001234", label: "100 EXAMPLE STREET, Manhattan" }
+  ];
+  const chunks = [
+    {
+      ids: ["1001234", "1001235"],
+      result: { ok: true, rows: [{ bin: "1001234", isn_dob_bis_viol: "1" }, { bin: "1001234", isn_dob_bis_viol: "2" }] }
+    },
+    { ids: ["2000001"], result: { ok: false, error: "HTTP 503: Service Unavailable" } }
+  ];
+  const results = assembleBatch(BATCH_LOOKUPS.dob_violations, items, chunks, { queryLimit: 10000, limitPerItem: 1 });
+
+  assert.deepStrictEqual(results["1001234"], {
+    id: "1001234",
+    ok: true,
+    count: 2,
+    rows: [{ bin: "1001234", isn_dob_bis_viol: "1" }],
+    truncated: true
+  });
+  assert.deepStrictEqual(results["1001235"], { id: "1001235", ok: true, count: 0, rows: [], truncated: false });
+  assert.deepStrictEqual(results["2000001"], { id: "2000001", ok: false, error: "HTTP 503: Service Unavailable" });
+  assert.deepStrictEqual(results["1000000"], { id: null, ok: false, error: "Invalid BIN '1000000'" });
+  assert.strictEqual(results["100 Example St"].label, "100 EXAMPLE STREET, Manhattan");
+  assert.strictEqual(results["100 Example St"].count, 2);
+});
+
+test("a full chunk flags only trailing identifiers, and only complete chunks report a missing record", () => {
+  const items = ["1000010001", "1000010002", "1000010003"].map(id => ({ input: id, id }));
+  const chunks = [
+    {
+      ids: ["1000010001", "1000010002", "1000010003"],
+      result: { ok: true, rows: [{ bbl: "1000010001.00000000" }, { bbl: "1000010002.00000000" }] }
+    }
+  ];
+  const results = assembleBatch(BATCH_LOOKUPS.pluto, items, chunks, { queryLimit: 2, limitPerItem: 100 });
+  assert.strictEqual(results["1000010001"].truncated, false);
+  assert.strictEqual(results["1000010002"].truncated, true);
+  assert.deepStrictEqual(results["1000010003"], { id: "1000010003", ok: true, count: 0, rows: [], truncated: true });
+
+  const complete = assembleBatch(BATCH_LOOKUPS.pluto, items, chunks, { queryLimit: 10000, limitPerItem: 100 });
+  assert.deepStrictEqual(complete["1000010003"], { id: "1000010003", ok: false, error: "No PLUTO record for BBL 1000010003" });
+});
+
+test("rows per identifier are newest first by parsed date, not by the date text", () => {
+  const items = [{ input: "1001234", id: "1001234" }];
+  const dates = ["12/01/2019", "03/15/2024", "", "01/02/2023"];
+  const chunks = [{ ids: ["1001234"], result: { ok: true, rows: dates.map(d => ({ bin__: "1001234", pre__filing_date: d })) } }];
+  const results = assembleBatch(BATCH_LOOKUPS.dob_job_applications, items, chunks, { queryLimit: 10000, limitPerItem: 3 });
+  assert.deepStrictEqual(
+    results["1001234"].rows.map(r => r.pre__filing_date),
+    ["03/15/2024", "01/02/2023", "12/01/2019"]
+  );
+});
+
+test("PLUTO batches send BBLs as numbers to match its numeric bbl column", async () => {
+  const wheres = [];
+  const server = http.createServer((req, res) => {
+    wheres.push(new URL(req.url, "http://stub").searchParams.get("$where"));
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify([{ bbl: "1000010001.00000000", address: "1 EXAMPLE PLACE" }]));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.SOCRATA_BASE_URL = `http://127.0.0.1:${server.address().port}/resource`;
+  try {
+    clearCache();
+    const result = await batchLookup.handler({ lookup: "pluto", bbls: ["1000010001", "1-1-2"], limit_per_item: 1 });
+    assert.deepStrictEqual(wheres, ["bbl IN (1000010001, 1000010002)"]);
+    assert.strictEqual(result.structuredContent.results["1000010001"].rows[0].address, "1 EXAMPLE PLACE");
+    assert.strictEqual(result.structuredContent.results["1-1-2"].ok, false);
+  } finally {
+    delete process.env.SOCRATA_BASE_URL;
+    server.closeAllConnections();
+    server.close();
+  }
+});
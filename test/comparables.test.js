@@ -0,0 +1,78 @@
+/**
+ * Tests for the comparable-lot SoQL query and similarity scoring.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { comparableQuery, scoreComparable, rankComparables } from "../dist/tools/comparableLots.js";
+import { soqlParams } from "../dist/utils/soql.js";
+
+const subject = {
+  bbl: "1012340056.00000000",
+  address: "100 EXAMPLE STREET",
+  cd: "107",
+  zonedist1: "R7A",
+  lotarea: "5000",
+  bldgclass: "C4",
+  yearbuilt: "1925",
+  latitude: "40.7800",
+  longitude: "-73.9800"
+};
+
+const districtScope = { scope: "community_district", radius_ft: 2640, lot_area_tolerance: 0.25, year_tolerance: 20 };
+const radiusScope = { ...districtScope, scope: "radius", radius_ft: 1000 };
+
+test("comparableQuery filters on zoning, lot area, year and community district server-side", () => {
+  const params = soqlParams(comparableQuery(subject, districtScope, 100));
+  const where = params.get("$where");
+  assert.match(where, /zonedist1 = 'R7A'/);
+  assert.match(where, /lotarea >= 3750/);
+  assert.match(where, /lotarea <= 6250/);
+  assert.match(where, /yearbuilt >= 1905/);
+  assert.match(where, /yearbuilt <= 1945/);
+  assert.match(where, /cd = 107/);
+  assert.doesNotMatch(where, /latitude/);
+  assert.match(params.get("$order"), /^case\(bldgclass = 'C4', 0, bldgclass like 'C%', 1, true, 2\),\s*\(lotarea - 5000\) \* \(lotarea - 5000\)$/);
+  assert.strictEqual(params.get("$limit"), "100");
+});
+
+test("comparableQuery bounds radius searches and skips the year filter for vacant lots", () => {
+  const where = soqlParams(comparableQuery({ ...subject, yearbuilt: "0" }, radiusScope, 50)).get("$where");
+  assert.match(where, /latitude >= 40\.77/);
+  assert.match(where, /longitude <= -73\.97/);
+  assert.doesNotMatch(where, /yearbuilt/);
+  assert.doesNotMatch(where, /cd = /);
+});
+
+test("scoreComparable weighs lot area, building class and year built", () => {
+  const identical = scoreComparable(subject, { ...subject, bbl: "1012340057" }, districtScope);
+  assert.strictEqual(identical.similarity, 100);
+  assert.deepStrictEqual(identical.matched_on, ["zonedist1", "cd", "lotarea", "bldgclass", "yearbuilt"]);
+
+  // Lot area off by half the tolerance (0.5), same class family (0.5), ten years apart (0.5).
+  const partial = scoreComparable(subject, { ...subject, lotarea: "5625", bldgclass: "C1", yearbuilt: "1935" }, districtScope);
+  assert.deepStrictEqual(partial.components, { lot_area: 0.5, building_class: 0.5, year_built: 0.5 });
+  assert.strictEqual(partial.similarity, 50);
+  assert.deepStrictEqual(partial.matched_on, ["zonedist1", "cd"]);
+});
+
+test("scoreComparable adds distance only in radius scope", () => {
+  const nearby = scoreComparable(subject, { ...subject, latitude: "40.7810" }, radiusScope);
+  assert.ok(nearby.distance_ft > 300 && nearby.distance_ft < 400);
+  assert.ok(nearby.components.distance > 0.6 && nearby.components.distance < 0.7);
+  assert.ok(!nearby.matched_on.includes("cd"));
+  assert.strictEqual(scoreComparable(subject, subject, districtScope).components.distance, undefined);
+});
+
+test("rankComparables drops the subject and lots outside the radius, best match first", () => {
+  const candidates = [
+    subject,
+    { ...subject, bbl: "1012340060", bldgclass: "D1" },
+    { ...subject, bbl: "1012340061" },
+    { ...subject, bbl: "1012340062", latitude: "40.7900" }
+  ];
+  const ranked = rankComparables(subject, candidates, radiusScope, 10);
+  assert.deepStrictEqual(ranked.map(c => c.bbl), ["1012340061", "1012340060"]);
+  assert.strictEqual(rankComparables(subject, candidates, districtScope, 1).length, 1);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the generic dataset tools: query compilation and validation, and argument schemas.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { soqlParams } from "../dist/utils/soql.js";
+import { datasetIdSchema } from "../dist/utils/catalog.js";
+import queryDataset, { compileQuery } from "../dist/tools/queryDataset.js";
+
+const columns = [
+  { field_name: "borough", name: "Borough", type: "text" },
+  { field_name: "created_date", name: "Created Date", type: "calendar_date" },
+  { field_name: "numfloors", name: "Floors", type: "number" },
+  { field_name: "is_open", name: "Open", type: "checkbox" }
+];
+
+const defaults = { limit: 100, offset: 0 };
+
+test("dataset IDs are normalized and validated", () => {
+  assert.strictEqual(datasetIdSchema.parse(" 64UK-42KS "), "64uk-42ks");
+  assert.throws(() => datasetIdSchema.parse("64uk42ks"), /four-by-four/);
+  assert.throws(() => datasetIdSchema.parse("../views"), /four-by-four/);
+});
+
+test("select, group and order compile with aggregates and aliases", () => {
+  const query = compileQuery(
+    {
+      ...defaults,
+      select: ["borough", "count(*) AS total", "avg(numfloors) as floors", "date_trunc_ym(created_date) AS month"],
+      group: ["borough", "month"],
+      order: [{ column: "total", direction: "desc" }]
+    },
+    columns
+  );
+  assert.strictEqual(
+    soqlParams(query).get("$select"),
+    "borough, count(*) AS total, avg(numfloors) AS floors, date_trunc_ym(created_date) AS month"
+  );
+  assert.strictEqual(soqlParams(query).get("$group"), "borough, month");
+  assert.strictEqual(soqlParams(query).get("$order"), "total DESC");
+});
+
+test("where conditions are escaped and coerced to the column type", () => {
+  const query = compileQuery(
+    {
+      ...defaults,
+      where: [
+        { column: "borough", op: "=", value: "O'BRIEN" },
+        { column: "numfloors", op: ">=", value: "10" },
+        { column: "is_open", op: "=", value: "true" },
+        { column: "borough", op: "in", value: ["BRONX", "QUEENS"] },
+        { column: "borough", op: "starts_with", value: "brook" },
+        { column: "created_date", op: "not_null" }
+      ]
+    },
+    columns
+  );
+  assert.strictEqual(
+    soqlParams(query).get("$where"),
+    "(borough = 'O''BRIEN') AND (numfloors >= 10) AND (is_open = TRUE) AND (borough IN ('BRONX', 'QUEENS')) AND " +
+      "(upper(borough) LIKE 'BROOK%') AND (created_date IS NOT NULL)"
+  );
+});
+
+test("unknown columns, functions and injection attempts are rejected", () => {
+  assert.throws(() => compileQuery({ ...defaults, select: ["nope"] }, columns), /Unknown column 'nope'. Columns: borough/);
+  assert.throws(() => compileQuery({ ...defaults, select: ["upper(borough)"] }, columns), /Unsupported function/);
+  assert.throws(() => compileQuery({ ...defaults, select: ["sum(*)"] }, columns), /Unsupported function/);
+  assert.throws(() => compileQuery({ ...defaults, select: ["borough; DROP"] }, columns), /Unsupported select item/);
+  assert.throws(() => compileQuery({ ...defaults, where: [{ column: "1=1 OR borough", op: "=", value: "x" }] }, columns), /Invalid SoQL column name/);
+  assert.throws(() => compileQuery({ ...defaults, order: [{ column: "total", direction: "asc" }] }, columns), /Unknown column 'total'/);
+});
+
+test("where conditions need values that fit the operator", () => {
+  const schema = queryDataset.inputSchema;
+  const base = { dataset_id: "erm2-nwe9" };
+  assert.ok(schema.safeParse({ ...base, where: [{ column: "borough", value: "BRONX" }] }).success);
+  assert.match(schema.safeParse({ ...base, where: [{ column: "borough", op: "in", value: "BRONX" }] }).error.message, /needs an array/);
+  assert.match(schema.safeParse({ ...base, where: [{ column: "borough", op: "is_null", value: "x" }] }).error.message, /takes no value/);
+  assert.match(schema.safeParse({ ...base, where: [{ column: "borough", op: ">" }] }).error.message, /single value/);
+});
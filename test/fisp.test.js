@@ -0,0 +1,119 @@
+/**
+ * Tests for FISP cycle arithmetic and per-building compliance.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import fispCompliance, {
+  fispCycleFor,
+  subCycleForBlock,
+  filingWindow,
+  normalizeFispStatus,
+  fispHistory,
+  assessFispCompliance
+} from "../dist/tools/fispCompliance.js";
+import { DATASETS } from "../dist/utils/datasets.js";
+import { clearCache } from "../dist/utils/http.js";
+
+const asOf = new Date("2026-10-18T00:00:00Z");
+
+const rows = [
+  { tr6_no: "T9", cycle: "9B", filing_status: "SWARMP", filing_date: "2022-11-01T00:00:00.000" },
+  { tr6_no: "T8", cycle: "8", filing_status: "UNSAFE", filing_date: "2017-05-01T00:00:00.000" },
+  { tr6_no: "T9-AMEND", cycle: "9B", filing_status: "SAFE", filing_date: "2023-01-15T00:00:00.000", filing_type: "AMEND" }
+];
+
+test("cycles start every five years on February 21 and sub-cycles follow the block's last digit", () => {
+  assert.strictEqual(fispCycleFor(asOf), 10);
+  assert.strictEqual(fispCycleFor(new Date("2025-02-20T00:00:00Z")), 9);
+  assert.strictEqual(fispCycleFor(new Date("2025-02-21T00:00:00Z")), 10);
+  assert.deepStrictEqual([1234, 570, "00013"].map(subCycleForBlock), ["A", "B", "C"]);
+  assert.deepStrictEqual(filingWindow(10, "B"), { opens: "2026-02-21", deadline: "2028-02-21" });
+  assert.deepStrictEqual(filingWindow(9, "C"), { opens: "2022-02-21", deadline: "2024-02-21" });
+});
+
+test("history is ordered by cycle, sub-cycle and date with normalized statuses", () => {
+  assert.deepStrictEqual(
+    fispHistory(rows).map(f => [f.tr6_no, f.cycle, f.sub_cycle, f.status]),
+    [
+      ["T8", 8, null, "UNSAFE"],
+      ["T9", 9, "B", "SWARMP"],
+      ["T9-AMEND", 9, "B", "SAFE"]
+    ]
+  );
+  assert.strictEqual(normalizeFispStatus("Safe With Repair and Maintenance Program"), "SWARMP");
+  assert.strictEqual(normalizeFispStatus("No Report Filed"), "OTHER");
+});
+
+test("a building without a current-cycle filing is due, overdue or not yet open", () => {
+  const due = assessFispCompliance("1000001", rows, 1237, asOf);
+  assert.strictEqual(due.state, "due");
+  assert.strictEqual(due.missing_current_cycle, true);
+  assert.strictEqual(due.sub_cycle, "B");
+  assert.strictEqual(due.days_to_deadline, 491);
+  assert.deepStrictEqual(due.status_by_cycle.map(c => [c.cycle, c.status]), [["8", "UNSAFE"], ["9B", "SAFE"]]);
+  assert.match(due.alerts[0], /No filing yet for cycle 10B; due 2028-02-21 \(491 days left\)/);
+
+  const overdue = assessFispCompliance("1000002", [], 1234, new Date("2027-03-01T00:00:00Z"));
+  assert.strictEqual(overdue.state, "overdue");
+  assert.strictEqual(overdue.days_to_deadline, -8);
+
+  assert.strictEqual(assessFispCompliance("1000003", [], 1231, asOf).state, "not_yet_open");
+  assert.strictEqual(assessFispCompliance("1000004", [], null, asOf).state, "unknown");
+});
+
+test("a current-cycle filing counts as filed and unsafe results raise an alert", () => {
+  const filed = assessFispCompliance(
+    "1000005",
+    [...rows, { tr6_no: "T10", cycle: "10A", filing_status: "UNSAFE", filing_date: "2026-01-05T00:00:00.000" }],
+    null,
+    asOf
+  );
+  assert.strictEqual(filed.state, "filed");
+  assert.strictEqual(filed.sub_cycle, "A");
+  assert.strictEqual(filed.latest_status, "UNSAFE");
+  assert.deepStrictEqual(filed.alerts, ["Latest filing (cycle 10A) is UNSAFE"]);
+});
+
+test("filings are fetched newest first per BIN and a full chunk flags its trailing BINs as truncated", async () => {
+  const orders = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://stub");
+    let rows = [];
+    if (url.pathname.endsWith(`/${DATASETS.FISP.id}.json`)) {
+      orders.push(url.searchParams.get("$order"));
+      // 1000001 has one filing; 1000002 has more than the chunk's limit can hold.
+      const limit = Number(url.searchParams.get("$limit"));
+      rows = [
+        { bin: "1000001", tr6_no: "A1", cycle: "10A", filing_status: "SAFE", filing_date: "2026-01-05T00:00:00.000" },
+        ...Array.from({ length: limit - 1 }, (_, i) => ({
+          bin: "1000002",
+          tr6_no: `B${i}`,
+          cycle: "10A",
+          filing_status: "SAFE",
+          filing_date: "2026-02-01T00:00:00.000"
+        }))
+      ];
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.SOCRATA_BASE_URL = `http://127.0.0.1:${server.address().port}/resource`;
+  try {
+    clearCache();
+    const { structuredContent } = await fispCompliance.handler({ bins: ["1000002", "1000001"], as_of: "2026-10-18" });
+    assert.deepStrictEqual(orders, ["bin, filing_date DESC"]);
+    const byBin = Object.fromEntries(structuredContent.buildings.map(b => [b.bin, b]));
+    assert.strictEqual(byBin["1000001"].truncated, false);
+    assert.strictEqual(byBin["1000002"].truncated, true);
+    assert.match(byBin["1000002"].alerts.join("; "), /truncated/);
+    assert.strictEqual(structuredContent.summary.truncated, 1);
+  } finally {
+    delete process.env.SOCRATA_BASE_URL;
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the offline geography index and the record enrichment built on it, using fixture boundaries.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  pointInRing,
+  pointInPolygons,
+  shapeFromGeometry,
+  buildBBLTable,
+  createGeographyIndex
+} from "../dist/utils/geography.js";
+import { enrich311Geo, enrichHPDGeo, enrichDOTGeo } from "../dist/utils/geoEnrichment.js";
+
+const square = (minLon, minLat, maxLon, maxLat) => [
+  [minLon, minLat],
+  [maxLon, minLat],
+  [maxLon, maxLat],
+  [minLon, maxLat],
+  [minLon, minLat]
+];
+
+// Two side-by-side NTAs in one community district; the western NTA has a park carved out of it.
+const fixture = {
+  version: 1,
+  generated_at: "2026-01-01T00:00:00.000Z",
+  sources: {},
+  nta: [
+    shapeFromGeometry("MN0101", { type: "Polygon", coordinates: [square(-74.02, 40.7, -74.0, 40.72), square(-74.015, 40.705, -74.01, 40.71)] }, "West"),
+    shapeFromGeometry("MN0102", { type: "MultiPolygon", coordinates: [[square(-74.0, 40.7, -73.98, 40.72)]] }, "East")
+  ],
+  cd: [shapeFromGeometry("101", { type: "Polygon", coordinates: [square(-74.02, 40.7, -73.98, 40.72)] })],
+  bbl: buildBBLTable([
+    { bbl: "1000010001", cd: "101", nta: "MN0101" },
+    { bbl: "1000010002", cd: "101", nta: "MN0101" },
+    { bbl: "1000020001", cd: "101", nta: "MN0101" },
+    { bbl: "1000020002", cd: "101", nta: "MN0102" }
+  ])
+};
+const index = createGeographyIndex(fixture);
+
+test("point-in-polygon respects outer rings and holes", () => {
+  const ring = square(0, 0, 10, 10);
+  assert.strictEqual(pointInRing(5, 5, ring), true);
+  assert.strictEqual(pointInRing(15, 5, ring), false);
+  assert.strictEqual(pointInPolygons(5, 5, [[ring, square(4, 4, 6, 6)]]), false);
+  assert.strictEqual(pointInPolygons(2, 2, [[ring, square(4, 4, 6, 6)]]), true);
+  assert.strictEqual(pointInPolygons(25, 5, [[square(20, 0, 30, 10)], [ring]]), true);
+});
+
+test("shapes get a bounding box and rounded coordinates", () => {
+  const shape = shapeFromGeometry("X", { type: "Polygon", coordinates: [[[-74.0000012, 40.1], [-73.9, 40.2], [-73.95, 40.3], [-74.0000012, 40.1]]] });
+  assert.deepStrictEqual(shape.bbox, [-74, 40.1, -73.9, 40.3]);
+  assert.strictEqual(shapeFromGeometry("Y", null), null);
+});
+
+test("BBL table stores whole blocks once and only splits blocks that straddle a boundary", () => {
+  assert.deepStrictEqual(fixture.bbl.pairs, [["101", "MN0101"], ["101", "MN0102"]]);
+  assert.deepStrictEqual(fixture.bbl.blocks, { "100001": 0 });
+  assert.deepStrictEqual(fixture.bbl.lots, { "1000020001": 0, "1000020002": 1 });
+
+  assert.deepStrictEqual(index.lookupBBL("1-00001-0099"), { cd: "101", nta: "MN0101", nta_name: "West" });
+  assert.deepStrictEqual(index.lookupBBL("1000020002"), { cd: "101", nta: "MN0102", nta_name: "East" });
+  assert.strictEqual(index.lookupBBL("1000030001"), null);
+  assert.strictEqual(index.lookupBBL("not a bbl"), null);
+});
+
+test("locate finds the containing NTA and community district", () => {
+  assert.deepStrictEqual(index.locate(40.71, -73.99), { cd: "101", nta: "MN0102", nta_name: "East" });
+  assert.deepStrictEqual(index.locate(40.7075, -74.0125), { cd: "101", nta: null, nta_name: null });
+  assert.deepStrictEqual(index.locate(41, -74), { cd: null, nta: null, nta_name: null });
+});
+
+test("311 enrichment prefers the BBL table, then coordinates, then the reported community board", () => {
+  const byBbl = enrich311Geo({ borough: "MANHATTAN", bbl: "1000010001", latitude: "40.71", longitude: "-73.99" }, index);
+  assert.strictEqual(byBbl.nta, "MN0101");
+  assert.strictEqual(byBbl.cd, "101");
+  assert.strictEqual(byBbl.cd_numeric, "01");
+
+  const byPoint = enrich311Geo({ borough: "MANHATTAN", latitude: "40.71", longitude: "-73.99" }, index);
+  assert.strictEqual(byPoint.nta, "MN0102");
+
+  const reported = enrich311Geo({ borough: "MANHATTAN", community_board: "03 MANHATTAN" }, index);
+  assert.deepStrictEqual([reported.cd, reported.nta], ["103", null]);
+});
+
+test("HPD and DOT records get districts from block/lot and geometry", () => {
+  const hpd = enrichHPDGeo({ boroid: "1", block: "2", lot: "2" }, index);
+  assert.deepStrictEqual([hpd.borough, hpd.bbl, hpd.cd, hpd.nta], ["MANHATTAN", "1000020002", "101", "MN0102"]);
+
+  const dot = enrichDOTGeo({ borough_code: "M", the_geom: { coordinates: [[[-74.019, 40.701], [-74.018, 40.702]]] } }, index);
+  assert.deepStrictEqual([dot.borough, dot.cd, dot.nta, dot.lat], ["MANHATTAN", "101", "MN0101", 40.701]);
+
+  const empty = createGeographyIndex(null);
+  assert.strictEqual(empty.available, false);
+  assert.strictEqual(enrichHPDGeo({ boroid: "1", block: "2", lot: "2" }, empty).nta, null);
+});
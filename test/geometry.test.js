@@ -0,0 +1,76 @@
+/**
+ * Tests for footprint geometry: area, perimeter, centroid, shared walls and height units, on fixture shapes.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { normalizePolygons, footprintMetrics, sharedWallFt, localPlane } from "../dist/utils/geometry.js";
+import { footprintHeights, adjacentBuildings } from "../dist/tools/footprintAnalysis.js";
+
+const plane = localPlane([-73.99, 40.74]);
+
+/** A rectangle drawn in feet east/north of the fixture origin, as GeoJSON [lon, lat] positions. */
+function rectangle(x, y, width, height) {
+  return [[x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]].map(plane.toLonLat);
+}
+
+const building = { type: "MultiPolygon", coordinates: [[rectangle(0, 0, 100, 50)]] };
+
+function near(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+test("area, perimeter and centroid of a rectangle, with and without a courtyard", () => {
+  const metrics = footprintMetrics(normalizePolygons(building));
+  near(metrics.area_sq_ft, 5000, 0.5, "area");
+  near(metrics.perimeter_ft, 300, 0.1, "perimeter");
+  const [lon, lat] = plane.toLonLat([50, 25]);
+  near(metrics.centroid.longitude, lon, 1e-7, "centroid longitude");
+  near(metrics.centroid.latitude, lat, 1e-7, "centroid latitude");
+
+  const courtyard = { type: "Polygon", coordinates: [rectangle(0, 0, 100, 50), rectangle(10, 10, 10, 10).reverse()] };
+  const withHole = footprintMetrics(normalizePolygons(courtyard));
+  near(withHole.area_sq_ft, 4900, 0.5, "area with courtyard");
+  near(withHole.perimeter_ft, 340, 0.1, "perimeter with courtyard");
+});
+
+test("WKT, Feature and unclosed rings normalize to the same polygons", () => {
+  const ring = rectangle(0, 0, 100, 50);
+  const wkt = `MULTIPOLYGON (((${ring.map(([lon, lat]) => `${lon} ${lat}`).join(", ")})))`;
+  assert.deepStrictEqual(normalizePolygons(wkt), normalizePolygons(building));
+  assert.deepStrictEqual(normalizePolygons({ type: "Feature", geometry: { type: "Polygon", coordinates: [ring.slice(0, -1)] } }), normalizePolygons(building));
+  assert.strictEqual(normalizePolygons({ type: "Point", coordinates: [-73.99, 40.74] }), null);
+  assert.strictEqual(normalizePolygons(null), null);
+});
+
+test("shared walls are measured along touching edges only", () => {
+  const target = normalizePolygons(building);
+  near(sharedWallFt(target, normalizePolygons({ type: "Polygon", coordinates: [rectangle(100, 0, 40, 50)] })), 50, 0.2, "full party wall");
+  near(sharedWallFt(target, normalizePolygons({ type: "Polygon", coordinates: [rectangle(100, 10, 30, 20)] })), 20, 0.2, "partial wall");
+  assert.strictEqual(sharedWallFt(target, normalizePolygons({ type: "Polygon", coordinates: [rectangle(110, 0, 40, 50)] })), 0);
+});
+
+test("adjacent buildings skip the target itself and sort by shared wall length", () => {
+  const candidates = [
+    { doitt_id: "1", bin: "1000001", the_geom: building },
+    { doitt_id: "2", bin: "1000002", heightroof: "40", the_geom: { type: "Polygon", coordinates: [rectangle(100, 10, 30, 20)] } },
+    { doitt_id: "3", bin: "1000003", base_bbl: "1000010002.00000000", the_geom: { type: "Polygon", coordinates: [rectangle(-40, 0, 40, 50)] } },
+    { doitt_id: "4", bin: "1000004", the_geom: { type: "Polygon", coordinates: [rectangle(0, 80, 100, 50)] } }
+  ];
+  const adjacent = adjacentBuildings({ polygons: normalizePolygons(building), doitt_id: "1" }, candidates);
+  assert.deepStrictEqual(adjacent.map(a => a.bin), ["1000003", "1000002"]);
+  assert.strictEqual(adjacent[0].base_bbl, "1000010002");
+  assert.strictEqual(adjacent[1].roof_height_ft, 40);
+});
+
+test("roof height and ground elevation are reported in feet and metres", () => {
+  assert.deepStrictEqual(footprintHeights({ heightroof: "285.43", groundelev: "21" }), {
+    roof_height_ft: 285.4,
+    roof_height_m: 87,
+    ground_elevation_ft: 21,
+    ground_elevation_m: 6.4,
+    roof_elevation_ft: 306.4
+  });
+  assert.strictEqual(footprintHeights({}).roof_elevation_ft, null);
+});
@@ -0,0 +1,139 @@
+/**
+ * HTTP client tests against a local stub server (no network access needed)
+ */
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { getJSON, clearCache, normalizeUrl, HttpError, TimeoutError } from "../dist/utils/http.js";
+
+let server;
+let baseUrl;
+let hits;
+let handler;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push({ url: req.url, headers: req.headers });
+    handler(req, res, hits.length);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  hits = [];
+  clearCache();
+  delete process.env.SOCRATA_APP_TOKEN;
+});
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+const fast = { baseDelayMs: 1, cacheTtlMs: 0 };
+
+test("retries 5xx responses with backoff and returns the eventual success", async () => {
+  handler = (req, res, n) => (n < 3 ? json(res, 503, { error: "busy" }) : json(res, 200, [{ ok: true }]));
+
+  const data = await getJSON(`${baseUrl}/retry`, fast);
+
+  assert.deepStrictEqual(data, [{ ok: true }]);
+  assert.strictEqual(hits.length, 3);
+});
+
+test("retries 429 using Retry-After", async () => {
+  handler = (req, res, n) => (n === 1 ? json(res, 429, {}, { "Retry-After": "0" }) : json(res, 200, { ok: 1 }));
+
+  const data = await getJSON(`${baseUrl}/limited`, fast);
+
+  assert.deepStrictEqual(data, { ok: 1 });
+  assert.strictEqual(hits.length, 2);
+});
+
+test("does not retry other 4xx errors", async () => {
+  handler = (req, res) => json(res, 404, {});
+
+  await assert.rejects(getJSON(`${baseUrl}/missing`, fast), err => err instanceof HttpError && err.status === 404);
+  assert.strictEqual(hits.length, 1);
+});
+
+test("gives up after maxAttempts", async () => {
+  handler = (req, res) => json(res, 500, {});
+
+  await assert.rejects(getJSON(`${baseUrl}/down`, { ...fast, maxAttempts: 2 }), /HTTP 500/);
+  assert.strictEqual(hits.length, 2);
+});
+
+test("aborts slow requests after the per-request timeout", async () => {
+  handler = (req, res) => setTimeout(() => json(res, 200, {}), 300);
+
+  await assert.rejects(
+    getJSON(`${baseUrl}/slow`, { ...fast, timeoutMs: 50, maxAttempts: 1 }),
+    err => err instanceof TimeoutError
+  );
+});
+
+test("caches responses keyed on the normalized query", async () => {
+  handler = (req, res, n) => json(res, 200, { n });
+
+  const first = await getJSON(`${baseUrl}/cached?b=2&a=1`, { cacheTtlMs: 1000 });
+  const second = await getJSON(`${baseUrl}/cached?a=1&b=2`, { cacheTtlMs: 1000 });
+
+  assert.deepStrictEqual(first, { n: 1 });
+  assert.deepStrictEqual(second, { n: 1 }, "Reordered parameters should hit the cache");
+  assert.strictEqual(hits.length, 1);
+  assert.strictEqual(normalizeUrl(`${baseUrl}/x?b=2&a=1`), `${baseUrl}/x?a=1&b=2`);
+});
+
+test("cache hits are copies, so mutating a result does not change later hits", async () => {
+  handler = (req, res) => json(res, 200, [{ bin: "1001234" }]);
+
+  const first = await getJSON(`${baseUrl}/copies`, { cacheTtlMs: 1000 });
+  first[0].enriched = true;
+  first.push({ bin: "extra" });
+  const second = await getJSON(`${baseUrl}/copies`, { cacheTtlMs: 1000 });
+  second[0].bin = "changed";
+  const third = await getJSON(`${baseUrl}/copies`, { cacheTtlMs: 1000 });
+
+  assert.deepStrictEqual(second.length, 1);
+  assert.deepStrictEqual(third, [{ bin: "1001234" }]);
+  assert.strictEqual(hits.length, 1);
+});
+
+test("does not retry responses that are not valid JSON", async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end("<html>maintenance</html>");
+  };
+
+  await assert.rejects(getJSON(`${baseUrl}/garbled`, fast), SyntaxError);
+  assert.strictEqual(hits.length, 1);
+});
+
+test("expired cache entries are refetched", async () => {
+  handler = (req, res, n) => json(res, 200, { n });
+
+  await getJSON(`${baseUrl}/ttl`, { cacheTtlMs: 20 });
+  await new Promise(resolve => setTimeout(resolve, 40));
+  const data = await getJSON(`${baseUrl}/ttl`, { cacheTtlMs: 20 });
+
+  assert.deepStrictEqual(data, { n: 2 });
+});
+
+test("injects X-App-Token only where allowed", async () => {
+  handler = (req, res) => json(res, 200, {});
+  process.env.SOCRATA_APP_TOKEN = "test-token";
+
+  await getJSON(`${baseUrl}/token`, fast);
+  await getJSON(`${baseUrl}/token`, { ...fast, sendAppToken: true });
+
+  assert.strictEqual(hits[0].headers["x-app-token"], undefined, "Non-Socrata hosts should not receive the token");
+  assert.strictEqual(hits[1].headers["x-app-token"], "test-token");
+});
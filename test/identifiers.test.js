@@ -0,0 +1,70 @@
+/**
+ * BBL/BIN parsing and the tool schemas that use it
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parseBBL, formatBBL, parseBIN, bblSchema, binSchema } from "../dist/utils/identifiers.js";
+import { boroughAbbreviation } from "../dist/utils/borough.js";
+import pluto from "../dist/tools/pluto.js";
+import dobViolations from "../dist/tools/dobViolations.js";
+import buildingProfile from "../dist/tools/buildingProfile.js";
+
+test("parseBBL accepts 10-digit, PLUTO decimal, dashed, slashed and named-borough forms", () => {
+  const expected = {
+    bbl: "3012340056",
+    borough: "BROOKLYN",
+    borough_code: "3",
+    borough_abbr: "BK",
+    block: 1234,
+    lot: 56
+  };
+  for (const input of ["3012340056", "3012340056.00000000", "3-01234-0056", "3-1234-56", "3/1234/56", "BK 1234 56", "brooklyn-1234-56"]) {
+    assert.deepStrictEqual(parseBBL(input), expected, input);
+  }
+  assert.deepStrictEqual(formatBBL("MN", 1, 1).bbl, "1000010001");
+});
+
+test("parseBBL rejects bad boroughs, out-of-range blocks and lots, and malformed input", () => {
+  assert.throws(() => parseBBL("6012340056"), /borough code 1-5/);
+  assert.throws(() => parseBBL("3-0-56"), /block '0'/);
+  assert.throws(() => parseBBL("3-1234-10000"), /lot '10000'/);
+  assert.throws(() => parseBBL("12345"), /expected 10 digits/);
+  assert.throws(() => parseBBL("GOTHAM-1-1"), /Invalid BBL borough/);
+});
+
+test("parseBIN requires 7 digits with a borough prefix and rejects placeholder BINs", () => {
+  assert.deepStrictEqual(parseBIN(" 1001145 "), { bin: "1001145", borough: "MANHATTAN", borough_code: "1" });
+  assert.throws(() => parseBIN("6001145"), /borough code 1-5/);
+  assert.throws(() => parseBIN("100114"), /7 digits/);
+  assert.throws(() => parseBIN("3000000"), /placeholder/);
+});
+
+test("borough abbreviations round-trip with names", () => {
+  assert.strictEqual(boroughAbbreviation("STATEN ISLAND"), "SI");
+  assert.strictEqual(parseBBL("SI-1-1").borough, "STATEN ISLAND");
+});
+
+test("schemas normalize identifiers and report clear errors", () => {
+  assert.strictEqual(bblSchema.parse("1-1-1"), "1000010001");
+  assert.strictEqual(binSchema.parse("1001145"), "1001145");
+  const result = binSchema.safeParse("abc");
+  assert.strictEqual(result.success, false);
+  assert.match(result.error.issues[0].message, /Invalid BIN 'abc'/);
+});
+
+test("tool schemas reject bad identifiers before any request is made", () => {
+  assert.strictEqual(dobViolations.inputSchema.safeParse({ bin: "12" }).success, false);
+  assert.strictEqual(buildingProfile.inputSchema.safeParse({ bbl: "9999999999" }).success, false);
+  assert.strictEqual(pluto.inputSchema.safeParse({ borough: "MN", block: "0", lot: "1" }).success, false);
+  assert.deepStrictEqual(pluto.inputSchema.parse({ borough: "1", block: "00001", lot: 1 }), {
+    borough: "MANHATTAN",
+    block: 1,
+    lot: 1
+  });
+});
+
+test("get_pluto requires a BBL or a complete borough/block/lot", async () => {
+  await assert.rejects(() => pluto.handler({ borough: "MANHATTAN", block: 1 }), /Provide a bbl/);
+});
@@ -0,0 +1,100 @@
+/**
+ * Text summaries for the building tools, from fixture rows
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  formatInsights,
+  parseDobDate,
+  summarizeDobViolations,
+  summarizeDobJobs,
+  summarizeFisp,
+  summarizeLandmark,
+  summarizePluto,
+  summarizeFootprint,
+  summarizeAddressMatches
+} from "../dist/utils/insights.js";
+import { isPartialPage } from "../dist/utils/pagination.js";
+
+test("parseDobDate reads DOB's compact, US and ISO date formats", () => {
+  assert.strictEqual(parseDobDate("20240315").toISOString(), "2024-03-15T00:00:00.000Z");
+  assert.strictEqual(parseDobDate("03/15/2024").toISOString(), "2024-03-15T00:00:00.000Z");
+  assert.strictEqual(parseDobDate("2024-03-15T00:00:00.000Z").toISOString(), "2024-03-15T00:00:00.000Z");
+  assert.strictEqual(parseDobDate("not a date"), null);
+  assert.strictEqual(parseDobDate(undefined), null);
+});
+
+test("DOB violations summary counts open versus closed and names the latest", () => {
+  const rows = [
+    { violation_category: "V-DOB VIOLATION - ACTIVE", violation_type: "LL6291-LOCAL LAW 62/91 - BOILERS", issue_date: "20230102" },
+    { violation_category: "V*-DOB VIOLATION - Resolved", violation_type: "E-ELEVATOR", issue_date: "20240501" },
+    { violation_category: "V-DOB VIOLATION - ACTIVE", violation_type: "LL6291-LOCAL LAW 62/91 - BOILERS", issue_date: "20220101" }
+  ];
+  const insights = summarizeDobViolations(rows, "DOB violations: 3 returned");
+  assert.strictEqual(insights.headline, "2 open and 1 closed DOB violations");
+  assert.match(insights.takeaways[0], /E-ELEVATOR issued 2024-05-01$/);
+  assert.match(insights.takeaways[1], /BOILERS \(2\)/);
+  assert.strictEqual(summarizeDobViolations([], "x").headline, "No DOB violations on record");
+});
+
+test("DOB summaries of one page of a longer result say so instead of reading as building totals", () => {
+  const rows = [{ violation_category: "V-DOB VIOLATION - ACTIVE", violation_type: "E-ELEVATOR", issue_date: "20240501" }];
+  assert.strictEqual(summarizeDobViolations(rows, "page", true).headline, "1 open and 0 closed DOB violations on this page");
+  assert.strictEqual(summarizeDobViolations([], "page", true).headline, "No DOB violations on this page");
+  assert.strictEqual(summarizeDobJobs([{ job__: "1", job_type: "A2" }], "page", true).headline, "1 DOB job filing on this page");
+  assert.strictEqual(isPartialPage({ limit: 10, offset: 0, returned: 10, has_more: true, next_cursor: "x" }), true);
+  assert.strictEqual(isPartialPage({ limit: 10, offset: 10, returned: 3, has_more: false, next_cursor: null }), true);
+  assert.strictEqual(isPartialPage({ limit: 10, offset: 0, returned: 3, has_more: false, next_cursor: null }), false);
+});
+
+test("DOB jobs summary groups by job type and reports the latest action", () => {
+  const rows = [
+    { job__: "1", job_type: "A2", job_status_descrp: "SIGNED OFF", latest_action_date: "01/05/2020" },
+    { job__: "2", job_type: "A2", job_status_descrp: "PERMIT ISSUED - ENTIRE JOB/WORK", latest_action_date: "06/30/2023" },
+    { job__: "3", job_type: "DM", job_status_descrp: "SIGNED OFF", latest_action_date: "02/01/2019" }
+  ];
+  const { headline, takeaways } = summarizeDobJobs(rows, "page");
+  assert.strictEqual(headline, "3 DOB job filings");
+  assert.strictEqual(takeaways[0], "By job type: A2 (2), DM (1)");
+  assert.match(takeaways[1], /job 2 \(A2\) — PERMIT ISSUED - ENTIRE JOB\/WORK on 2023-06-30/);
+});
+
+test("FISP summary reports the status of the latest cycle", () => {
+  const rows = [
+    { cycle: "8", filing_date: "2015-02-01T00:00:00.000", filing_status: "SAFE" },
+    { cycle: "9", filing_date: "2020-02-01T00:00:00.000", filing_status: "SWARMP" },
+    { cycle: "9", filing_date: "2023-06-01T00:00:00.000", filing_status: "SAFE" }
+  ];
+  const { headline, takeaways } = summarizeFisp(rows, "page");
+  assert.strictEqual(headline, "Latest FISP cycle 9: SAFE");
+  assert.match(takeaways[0], /2 filings in cycle 9; latest filed 2023-06-01/);
+  assert.strictEqual(takeaways[1], "Cycles on record: 8, 9");
+});
+
+test("landmark, PLUTO and footprint summaries surface the key facts", () => {
+  const landmark = summarizeLandmark([{ lm_new: "Flatiron Building", hist_distr: "Ladies' Mile", date_combo: "1902", lp_number: "LP-0080" }]);
+  assert.strictEqual(landmark.headline, "Designated landmark: Flatiron Building");
+  assert.ok(landmark.takeaways.includes("Historic district: Ladies' Mile"));
+  assert.strictEqual(summarizeLandmark([]).headline, "Not a designated landmark or within a historic district");
+
+  const pluto = summarizePluto({ address: "175 5 AVENUE", zonedist1: "C6-4M", yearbuilt: "1902", numfloors: "22.0", lotarea: "8000" });
+  assert.strictEqual(pluto.headline, "175 5 AVENUE: C6-4M, built 1902");
+  assert.ok(pluto.takeaways.some(t => t.includes("22 floors")));
+  assert.strictEqual(summarizePluto({}).headline, "No PLUTO record found for this lot");
+
+  const footprint = summarizeFootprint([{ bin: "1015862", cnstrct_yr: "1902", heightroof: "285.4", groundelev: "21" }]);
+  assert.strictEqual(footprint.headline, "Footprint for BIN 1015862");
+  assert.deepStrictEqual(footprint.takeaways, ["Constructed 1902", "Roof height 285.4 ft", "Ground elevation 21 ft"]);
+});
+
+test("address summary lists matches with identifiers and formats as text", () => {
+  const text = formatInsights(
+    summarizeAddressMatches("175 5th ave", [{ label: "175 5 AVENUE, Manhattan", bbl: "1008500001", bin: "1015862" }])
+  );
+  assert.strictEqual(
+    text,
+    '1 GeoSearch match for "175 5th ave"; best: 175 5 AVENUE, Manhattan\n- 175 5 AVENUE, Manhattan — BBL 1008500001, BIN 1015862'
+  );
+});
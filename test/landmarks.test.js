@@ -0,0 +1,90 @@
+/**
+ * Tests for reading LPC district and landmark rows and deciding whether an LPC permit is required.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { historicDistrict, individualLandmark, uniqueLandmarks, lpcPermitRequirement } from "../dist/tools/landmarkDesignation.js";
+import { containsPointClause } from "../dist/utils/spatial.js";
+
+const ladiesMile = historicDistrict({
+  area_name: "Ladies' Mile Historic District",
+  lp_number: "LP-1609",
+  desig_date: "1989-05-02T00:00:00.000",
+  current_: "DESIGNATED"
+});
+
+test("district and landmark rows normalize names, LP numbers and designation dates", () => {
+  assert.deepStrictEqual(ladiesMile, {
+    name: "Ladies' Mile Historic District",
+    lp_number: "LP-1609",
+    designated: "1989-05-02",
+    status: "DESIGNATED"
+  });
+  assert.deepStrictEqual(
+    individualLandmark({ lpc_name: "Flatiron Building", lpc_lpnumb: "LP-0080", desdate: "1966-09-20T00:00:00.000", lm_type: "Individual Landmark", last_actio: "DESIGNATED", bbl: "1008500001.00000000" }),
+    { name: "Flatiron Building", lp_number: "LP-0080", designated: "1966-09-20", type: "Individual Landmark", status: "DESIGNATED", bbl: "1008500001" }
+  );
+});
+
+test("designated districts and landmarks require an LPC permit", () => {
+  assert.strictEqual(lpcPermitRequirement([ladiesMile], []).required, true);
+  assert.strictEqual(
+    lpcPermitRequirement([ladiesMile], []).reason,
+    "Within the Ladies' Mile Historic District; LPC permit required for exterior work, new construction and demolition"
+  );
+  const unsuffixed = historicDistrict({ area_name: "Tribeca West", current_: "DESIGNATED" });
+  assert.match(lpcPermitRequirement([unsuffixed], []).reason, /^Within the Tribeca West historic district;/);
+
+  const interior = individualLandmark({ lpc_name: "Radio City Music Hall", lpc_lpnumb: "LP-0995", desdate: "1978-03-28", lm_type: "Interior Landmark" });
+  const permit = lpcPermitRequirement([], [interior]);
+  assert.strictEqual(permit.required, true);
+  assert.match(permit.reason, /designated interior/);
+});
+
+test("a designated district without a parseable date still requires a permit", () => {
+  const undated = historicDistrict({ area_name: "Greenwich Village Historic District", lp_number: "LP-0489", desig_date: "not a date", current_: "DESIGNATED" });
+  assert.strictEqual(undated.designated, null);
+  assert.strictEqual(lpcPermitRequirement([undated], []).required, true);
+});
+
+test("an interior landmark inside a historic district needs both permits", () => {
+  const interior = individualLandmark({ lpc_name: "Lord & Taylor Building Interior", lpc_lpnumb: "LP-2600", lm_type: "Interior Landmark" });
+  const permit = lpcPermitRequirement([ladiesMile], [interior]);
+  assert.strictEqual(permit.required, true);
+  assert.match(permit.reason, /designated interior/);
+  assert.match(permit.reason, /Within the Ladies' Mile Historic District; LPC permit required for exterior work/);
+});
+
+test("calendared designations and empty results do not require a permit", () => {
+  const calendared = historicDistrict({ area_name: "Proposed District", lp_number: "LP-2700", current_: "CALENDARED" });
+  const pending = lpcPermitRequirement([calendared], []);
+  assert.strictEqual(pending.required, false);
+  assert.match(pending.reason, /under LPC consideration/);
+  assert.deepStrictEqual(lpcPermitRequirement([], []), {
+    required: false,
+    reason: "Not within a historic district or on an individual landmark site"
+  });
+});
+
+test("a calendared individual landmark is under consideration, not permit-regulated", () => {
+  const calendared = individualLandmark({ lpc_name: "Example Bank Building", lpc_lpnumb: "LP-2701", lm_type: "Individual Landmark", last_actio: "CALENDARED" });
+  const permit = lpcPermitRequirement([], [calendared]);
+  assert.strictEqual(permit.required, false);
+  assert.match(permit.reason, /Example Bank Building is under LPC consideration/);
+});
+
+test("landmark rows dedupe by LP number or name, and rows with neither stay separate", () => {
+  const landmarks = uniqueLandmarks([
+    { lpc_lpnumb: "LP-0080", lpc_name: "Flatiron Building", bbl: "1008500001" },
+    { lpc_lpnumb: "LP-0080", lpc_name: "Flatiron Building", bbl: "1008500002" },
+    { lm_type: "Individual Landmark", bbl: "1000010001" },
+    { lm_type: "Interior Landmark", bbl: "1000010002" }
+  ]);
+  assert.deepStrictEqual(landmarks.map(l => l.bbl), ["1008500002", "1000010001", "1000010002"]);
+});
+
+test("containment clauses put longitude first in the WKT point", () => {
+  assert.strictEqual(containsPointClause("the_geom", 40.7411, -73.9897), "intersects(the_geom, 'POINT (-73.9897 40.7411)')");
+});
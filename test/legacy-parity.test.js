@@ -0,0 +1,35 @@
+/**
+ * Parity between the TypeScript server and the legacy server (legacy-open-data/), which keep
+ * separate registries: shared datasets and Socrata budgets must not drift apart.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { DATASETS } from "../dist/utils/datasets.js";
+import { RATE_LIMITS } from "../dist/utils/http.js";
+import { PAGE_LIMITS } from "../dist/utils/pagination.js";
+import { DATASETS as LEGACY_DATASETS } from "../legacy-open-data/lib/datasets.js";
+import { RATE_LIMITS as LEGACY_RATE_LIMITS } from "../legacy-open-data/lib/reliability.js";
+
+const SHARED_FIELDS = ["id", "source", "borough", "key_columns", "bin_column", "bbl_column"];
+
+test("every legacy dataset has a matching entry in the TypeScript registry", () => {
+  for (const [key, legacy] of Object.entries(LEGACY_DATASETS)) {
+    const current = DATASETS[key];
+    if (!current) {
+      // Datasets only the legacy tools read (events, comptroller, parking, traffic) have nothing to drift from.
+      assert.ok(!Object.values(DATASETS).some(d => d.id === legacy.id), `${key} is registered under another key`);
+      continue;
+    }
+    for (const field of SHARED_FIELDS) {
+      assert.deepStrictEqual(current[field], legacy[field], `${key}.${field}`);
+    }
+  }
+});
+
+test("both servers use the same Socrata budgets and record cap", () => {
+  assert.deepStrictEqual(RATE_LIMITS.without_token, LEGACY_RATE_LIMITS.WITHOUT_TOKEN);
+  assert.deepStrictEqual(RATE_LIMITS.with_token, LEGACY_RATE_LIMITS.WITH_TOKEN);
+  assert.strictEqual(PAGE_LIMITS.max_limit, LEGACY_RATE_LIMITS.HARD_CAPS.max_limit);
+});
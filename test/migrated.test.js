@@ -0,0 +1,98 @@
+/**
+ * Tests for the helpers behind the tools migrated from legacy-open-data.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  boroughSchema,
+  normalizeBorough,
+  boroughId,
+  boroughTitle,
+  boroughValue,
+  boroughClause,
+  boroughFromValue
+} from "../dist/utils/borough.js";
+import { DATASETS } from "../dist/utils/datasets.js";
+import { enrichDOTGeo } from "../dist/utils/geoEnrichment.js";
+import { createGeographyIndex } from "../dist/utils/geography.js";
+import { windowBetween } from "../dist/utils/timeWindows.js";
+import { calculateTrend } from "../dist/tools/analyze311Trends.js";
+import { hazardIndex } from "../dist/tools/hpdViolations.js";
+import { dedupeClosures } from "../dist/tools/dotStreetClosures.js";
+
+test("borough input accepts names, codes and abbreviations, including S and R for Staten Island", () => {
+  assert.strictEqual(normalizeBorough(" brooklyn "), "BROOKLYN");
+  assert.strictEqual(normalizeBorough("3"), "BROOKLYN");
+  assert.strictEqual(normalizeBorough("S"), "STATEN ISLAND");
+  assert.strictEqual(normalizeBorough("R"), "STATEN ISLAND");
+  assert.strictEqual(normalizeBorough("Gotham"), undefined);
+  assert.strictEqual(boroughId("QUEENS"), "4");
+  assert.strictEqual(boroughTitle("STATEN ISLAND"), "Staten Island");
+  assert.strictEqual(boroughSchema.parse("bx"), "BRONX");
+  assert.throws(() => boroughSchema.parse("Gotham"), /Invalid borough/);
+});
+
+test("any borough input becomes the literal each dataset stores", () => {
+  for (const input of ["bk", "Kings", "3", "Brooklyn", "B", "K"]) {
+    const borough = boroughSchema.parse(input);
+    assert.strictEqual(boroughValue(DATASETS.NYC_311, borough), "BROOKLYN", input);
+    assert.strictEqual(boroughValue(DATASETS.HPD_VIOLATIONS, borough), "3", input);
+    assert.strictEqual(boroughValue(DATASETS.DOT_CLOSURES, borough), "B", input);
+    assert.strictEqual(boroughValue(DATASETS.DOT_PARKING, borough), "K", input);
+    assert.strictEqual(boroughValue(DATASETS.PLUTO, borough), "BK", input);
+    assert.strictEqual(boroughValue(DATASETS.EVENTS, borough), "Brooklyn", input);
+  }
+  assert.strictEqual(boroughSchema.parse("Richmond"), "STATEN ISLAND");
+  assert.strictEqual(boroughClause(DATASETS.HPD_COMPLAINTS, "STATEN ISLAND"), "boroughid = '5'");
+  assert.strictEqual(boroughClause(DATASETS.DOT_TRAFFIC, "STATEN ISLAND"), "boro = 'Staten Island'");
+  assert.throws(() => boroughValue(DATASETS.COMPTROLLER_PAYROLL, "BRONX"), /no borough column/);
+});
+
+test("stored borough values read back to names", () => {
+  assert.strictEqual(boroughFromValue(DATASETS.DOT_CLOSURES, "S"), "STATEN ISLAND");
+  assert.strictEqual(boroughFromValue(DATASETS.DOT_CLOSURES, "K"), "BROOKLYN");
+  assert.strictEqual(boroughFromValue(DATASETS.DOT_PARKING, "ny"), "MANHATTAN");
+  assert.strictEqual(boroughFromValue(DATASETS.NYC_311, "Unspecified"), null);
+  assert.strictEqual(enrichDOTGeo({ borough_code: "X" }, createGeographyIndex(null)).borough, "BRONX");
+});
+
+test("windowBetween covers both end dates and rejects inverted ranges", () => {
+  const window = windowBetween("2024-01-01", "2024-01-31");
+  assert.strictEqual(window.days, 31);
+  assert.throws(() => windowBetween("2024-02-01", "2024-01-01"));
+});
+
+test("calculateTrend compares the last seven periods with the seven before", () => {
+  assert.strictEqual(calculateTrend(Array(13).fill({ count: 1 })), null);
+
+  const rising = [...Array(7).fill({ count: 10 }), ...Array(7).fill({ count: 15 })];
+  assert.deepStrictEqual(calculateTrend(rising), {
+    direction: "increasing",
+    percentage_change: "50.00",
+    recent_avg: 15,
+    previous_avg: 10
+  });
+
+  const fromZero = [...Array(7).fill({ count: 0 }), ...Array(7).fill({ count: 2 })];
+  assert.strictEqual(calculateTrend(fromZero).percentage_change, "999.00");
+});
+
+test("hazardIndex weights class C highest and handles no violations", () => {
+  assert.strictEqual(hazardIndex({ C: 4 }), 100);
+  assert.strictEqual(hazardIndex({ A: 1, B: 1, C: 1 }), 66.67);
+  assert.strictEqual(hazardIndex({}), 0);
+});
+
+test("dedupeClosures merges purposes for the same segment and dates", () => {
+  const row = { segmentid: "1", work_start_date: "2024-01-01", work_end_date: "2024-02-01", borough_code: "M" };
+  const closures = dedupeClosures([
+    { ...row, purpose: "CRANE" },
+    { ...row, purpose: "SIDEWALK" },
+    { ...row, purpose: "CRANE" },
+    { ...row, work_end_date: "2024-03-01", purpose: "CRANE" }
+  ]);
+  assert.strictEqual(closures.length, 2);
+  assert.deepStrictEqual(closures[0].purposes, ["CRANE", "SIDEWALK"]);
+});
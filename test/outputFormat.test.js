@@ -0,0 +1,87 @@
+/**
+ * Tests for the output_format renderings (GeoJSON and CSV) of tool results.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { formatToolResult, resultRows, toCsv, toFeatureCollection, outputFormatShape } from "../dist/utils/outputFormat.js";
+
+const footprintGeometry = {
+  type: "MultiPolygon",
+  coordinates: [[[[-73.9897, 40.7411], [-73.9893, 40.7411], [-73.9893, 40.7414], [-73.9897, 40.7411]]]]
+};
+
+test("output_format defaults to json and rejects unknown formats", () => {
+  assert.strictEqual(outputFormatShape.output_format.parse(undefined), "json");
+  assert.throws(() => outputFormatShape.output_format.parse("xml"));
+});
+
+test("json leaves the result untouched", () => {
+  const result = { content: [{ type: "text", text: "hi" }], structuredContent: { data: [] } };
+  assert.strictEqual(formatToolResult(result, "json"), result);
+});
+
+test("footprints become a FeatureCollection built from the_geom", () => {
+  const result = formatToolResult(
+    { content: [{ type: "text", text: "Footprint" }], structuredContent: { data: [{ bin: "1015862", heightroof: "285.4", the_geom: footprintGeometry }] } },
+    "geojson"
+  );
+  assert.deepStrictEqual(result.structuredContent, {
+    type: "FeatureCollection",
+    features: [{ type: "Feature", geometry: footprintGeometry, properties: { bin: "1015862", heightroof: "285.4" } }]
+  });
+  assert.deepStrictEqual(JSON.parse(result.content[0].text), result.structuredContent);
+});
+
+test("envelope records become Point features from geo.lat/geo.lon, with the rest kept as metadata", () => {
+  const envelope = {
+    success: true,
+    source: "nyc_311",
+    count: 2,
+    records: [
+      { ts: "2026-01-01", topic: "Noise", value: 1, geo: { borough: "BROOKLYN", lat: 40.68, lon: -73.95 } },
+      { ts: "2026-01-02", topic: "Heat", value: 1, geo: { borough: "BRONX", lat: null, lon: null } }
+    ]
+  };
+  const collection = toFeatureCollection(envelope);
+  assert.deepStrictEqual(collection.features[0].geometry, { type: "Point", coordinates: [-73.95, 40.68] });
+  assert.strictEqual(collection.features[0].properties.topic, "Noise");
+  assert.strictEqual(collection.features[1].geometry, null);
+  assert.deepStrictEqual(collection.metadata, { success: true, source: "nyc_311", count: 2 });
+});
+
+test("rows fall back to latitude/longitude columns, and results pick their longest array of rows", () => {
+  const collection = toFeatureCollection({ data: [{ bbl: "1008500001", latitude: "40.7411", longitude: "-73.9897" }] });
+  assert.deepStrictEqual(collection.features[0].geometry, { type: "Point", coordinates: [-73.9897, 40.7411] });
+
+  assert.strictEqual(resultRows({ query: {}, entities: [{ a: 1 }], buildings: [{ b: 1 }, { b: 2 }] }).key, "buildings");
+  assert.deepStrictEqual(resultRows({ bbl: "1" }), { key: null, rows: [{ bbl: "1" }] });
+});
+
+test("CSV is RFC 4180 with sorted, flattened columns", () => {
+  const { columns, csv } = toCsv([
+    { name: 'ACME "Best" Realty, LLC', geo: { lat: 40.7, lon: -74 }, tags: ["a", "b"] },
+    { name: "Line\nbreak", extra: 1 }
+  ]);
+  assert.deepStrictEqual(columns, ["extra", "geo.lat", "geo.lon", "name", "tags"]);
+  assert.strictEqual(
+    csv,
+    'extra,geo.lat,geo.lon,name,tags\r\n,40.7,-74,"ACME ""Best"" Realty, LLC",a; b\r\n1,,,"Line\nbreak",\r\n'
+  );
+});
+
+test("csv results carry the text, columns, row count and non-row metadata", () => {
+  const result = formatToolResult(
+    { content: [{ type: "text", text: "x" }], structuredContent: { data: [{ b: 2, a: 1 }], pagination: { has_more: false } } },
+    "csv"
+  );
+  assert.strictEqual(result.content[0].text, "a,b\r\n1,2\r\n");
+  assert.deepStrictEqual(result.structuredContent, {
+    format: "csv",
+    columns: ["a", "b"],
+    row_count: 1,
+    csv: "a,b\r\n1,2\r\n",
+    metadata: { pagination: { has_more: false } }
+  });
+});
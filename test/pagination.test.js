@@ -0,0 +1,109 @@
+/**
+ * Pagination tests: cursor helpers, and fetchPaged against a local stub server (no network access needed)
+ */
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import { encodeCursor, decodeCursor, describePage, fetchPaged } from "../dist/utils/pagination.js";
+import { clearCache } from "../dist/utils/http.js";
+
+let server;
+let baseUrl;
+let hits;
+let total;
+
+before(async () => {
+  // Serves `total` rows numbered from 0, honoring $limit and $offset like Socrata.
+  server = http.createServer((req, res) => {
+    const params = new URL(req.url, "http://stub").searchParams;
+    hits.push(params);
+    const offset = Number(params.get("$offset") ?? 0);
+    const limit = Number(params.get("$limit") ?? 1000);
+    const rows = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => ({ n: offset + i }));
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/resource`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  hits = [];
+  clearCache();
+});
+
+const QUERY = { where: "bin = '1001234'" };
+
+test("cursors round-trip offset and page size", () => {
+  const cursor = encodeCursor({ offset: 2000, limit: 1000 });
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/, "Cursor should be URL-safe");
+  assert.deepStrictEqual(decodeCursor(cursor), { offset: 2000, limit: 1000 });
+});
+
+test("malformed or tampered cursors are rejected", () => {
+  assert.throws(() => decodeCursor("not-a-cursor"), /Invalid cursor/);
+  assert.throws(() => decodeCursor(Buffer.from('{"offset":-5,"limit":10}').toString("base64url")), /Invalid cursor/);
+  assert.throws(() => decodeCursor(Buffer.from('{"offset":0}').toString("base64url")), /Invalid cursor/);
+});
+
+test("page descriptions flag truncation", () => {
+  const more = describePage("DOB violations", { limit: 100, offset: 100, returned: 100, has_more: true, next_cursor: "x" });
+  assert.strictEqual(more, "DOB violations: 100 returned (records 101-200); more available, pass next_cursor to continue");
+
+  const done = describePage("FISP filings", { limit: 100, offset: 0, returned: 0, has_more: false, next_cursor: null });
+  assert.strictEqual(done, "FISP filings: 0 returned");
+});
+
+test("a page asks for one extra row to detect more and hands back a cursor", async () => {
+  total = 12;
+  const first = await fetchPaged("3h2n-5cm9", QUERY, { limit: 5 }, { baseUrl });
+  assert.strictEqual(hits[0].get("$limit"), "6");
+  assert.strictEqual(hits[0].get("$offset"), "0");
+  assert.strictEqual(hits[0].get("$order"), ":id");
+  assert.deepStrictEqual(first.data.map(r => r.n), [0, 1, 2, 3, 4]);
+  assert.strictEqual(first.pagination.has_more, true);
+  assert.deepStrictEqual(decodeCursor(first.pagination.next_cursor), { offset: 5, limit: 5 });
+
+  const last = await fetchPaged("3h2n-5cm9", QUERY, { cursor: encodeCursor({ offset: 10, limit: 5 }) }, { baseUrl });
+  assert.deepStrictEqual(last.data.map(r => r.n), [10, 11]);
+  assert.deepStrictEqual(last.pagination, { limit: 5, offset: 10, returned: 2, has_more: false, next_cursor: null });
+});
+
+test("fetch_all walks every page and reports progress", async () => {
+  total = 2500;
+  const progress = [];
+  const { data, pagination } = await fetchPaged("3h2n-5cm9", QUERY, { fetch_all: true }, {
+    baseUrl,
+    onProgress: async count => progress.push(count)
+  });
+  assert.strictEqual(data.length, 2500);
+  assert.deepStrictEqual(hits.map(h => [h.get("$limit"), h.get("$offset")]), [["1001", "0"], ["1001", "1000"], ["1001", "2000"]]);
+  assert.deepStrictEqual(progress, [1000, 2000, 2500]);
+  assert.strictEqual(pagination.has_more, false);
+  assert.strictEqual(pagination.next_cursor, null);
+});
+
+test("fetch_all stops at max_records and flags the truncation", async () => {
+  total = 2500;
+  const { data, pagination } = await fetchPaged("3h2n-5cm9", QUERY, { fetch_all: true, max_records: 1500 }, { baseUrl });
+  assert.strictEqual(data.length, 1500);
+  assert.strictEqual(hits[1].get("$limit"), "501");
+  assert.strictEqual(pagination.has_more, true);
+  assert.deepStrictEqual(decodeCursor(pagination.next_cursor), { offset: 1500, limit: 1000 });
+});
+
+test("fetch_all stops after the page cap even when rows remain", async () => {
+  total = 12000;
+  const { data, pagination } = await fetchPaged("3h2n-5cm9", QUERY, { fetch_all: true }, { baseUrl });
+  assert.strictEqual(hits.length, 10);
+  assert.strictEqual(data.length, 10000);
+  assert.strictEqual(data[9999].n, 9999);
+  assert.strictEqual(pagination.has_more, true);
+  assert.deepStrictEqual(decodeCursor(pagination.next_cursor), { offset: 10000, limit: 1000 });
+});
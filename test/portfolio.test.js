@@ -0,0 +1,166 @@
+/**
+ * Tests for the owner portfolio name matching and issue roll-up.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import ownerPortfolio, {
+  normalizeEntityName,
+  nameMatchScore,
+  nameFragments,
+  matchContacts,
+  rollUpIssues
+} from "../dist/tools/ownerPortfolio.js";
+import { DATASETS } from "../dist/utils/datasets.js";
+import { clearCache } from "../dist/utils/http.js";
+
+const CONTACT_ROWS = [
+  { registrationid: "100", type: "CorporateOwner", corporationname: "STELLAR MANAGEMENT LLC" },
+  { registrationid: "200", type: "Agent", corporationname: "Stellar Management, L.L.C." },
+  { registrationid: "300", type: "CorporateOwner", corporationname: "ZENITH PROPERTIES INC" }
+];
+
+let server;
+let contactOrders = [];
+
+// Stands in for Socrata: contacts are filtered by the LIKE fragments in $where, registrations by ID.
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://stub");
+    const where = url.searchParams.get("$where") ?? "";
+    let rows = [];
+    if (url.pathname.endsWith(`/${DATASETS.HPD_CONTACTS.id}.json`)) {
+      const fragments = [...where.matchAll(/LIKE '%([^%']+)%'/g)].map(m => m[1]);
+      contactOrders.push(url.searchParams.get("$order"));
+      // "BUSY" matches more contacts than the query limit lets through.
+      rows = fragments.includes("BUSY")
+        ? Array.from({ length: Number(url.searchParams.get("$limit")) }, (_, i) => ({
+            registrationid: String(1000 + i),
+            type: "CorporateOwner",
+            corporationname: `BUSY HOLDINGS ${i} LLC`
+          }))
+        : CONTACT_ROWS.filter(row => fragments.some(f => row.corporationname.toUpperCase().includes(f)));
+    } else if (url.pathname.endsWith(`/${DATASETS.HPD_REGISTRATIONS.id}.json`)) {
+      const ids = [...where.matchAll(/'(\d+)'/g)].map(m => m[1]);
+      rows = ids.map(id => ({ registrationid: id, buildingid: `b${id}`, boroid: "1", block: "1", lot: id, housenumber: id, streetname: "MAIN ST" }));
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.SOCRATA_BASE_URL = `http://127.0.0.1:${server.address().port}/resource`;
+  clearCache();
+});
+
+after(() => {
+  delete process.env.SOCRATA_BASE_URL;
+  server.closeAllConnections();
+  server.close();
+});
+
+test("entity names normalize away punctuation, ampersands and legal-form suffixes", () => {
+  assert.strictEqual(normalizeEntityName("Acme Realty, L.L.C."), "ACME REALTY");
+  assert.strictEqual(normalizeEntityName("The Smith & Jones Co."), "SMITH AND JONES");
+  assert.strictEqual(normalizeEntityName("O'Brien Management Inc"), "OBRIEN MANAGEMENT");
+});
+
+test("name match score tolerates word order, suffixes and typos but not different names", () => {
+  assert.strictEqual(nameMatchScore("acme realty llc", "ACME REALTY L.L.C."), 1);
+  assert.strictEqual(nameMatchScore("John Smith", "SMITH JOHN"), 1);
+  assert.strictEqual(nameMatchScore("Acme", "ACME REALTY HOLDINGS LLC"), 0.9);
+  assert.ok(nameMatchScore("Acme Realty", "ACME REALTTY") >= 0.8);
+  assert.ok(nameMatchScore("Acme Realty", "ZENITH PROPERTIES") < 0.3);
+});
+
+test("name fragments keep the ends of distinctive words so one typo still reaches the scorer", () => {
+  assert.deepStrictEqual(nameFragments("Stelar Management LLC"), ["STEL", "ELAR"]);
+  assert.deepStrictEqual(nameFragments("Acme Realty"), ["ACME"]);
+  assert.deepStrictEqual(nameFragments("Realty Management"), ["MANA", "MENT", "REAL", "ALTY"]);
+  assert.throws(() => nameFragments("A B"), /3 or more letters/);
+});
+
+test("a typo in the owner's name still finds the portfolio", async () => {
+  const { structuredContent } = await ownerPortfolio.handler({
+    name: "Stelar Management",
+    min_score: 0.6,
+    include_issues: false,
+    max_buildings: 200
+  });
+
+  assert.deepStrictEqual(
+    structuredContent.entities.map(e => [e.name, e.registration_ids]),
+    [["STELLAR MANAGEMENT LLC", ["100", "200"]]]
+  );
+  assert.deepStrictEqual(structuredContent.buildings.map(b => b.registration_id).sort(), ["100", "200"]);
+  assert.strictEqual(structuredContent.contacts_truncated, false);
+});
+
+test("a name matching more contacts than the limit is ordered and reported as truncated", async () => {
+  contactOrders = [];
+  const { content, structuredContent } = await ownerPortfolio.handler({
+    name: "Busy",
+    min_score: 0.6,
+    include_issues: false,
+    max_buildings: 1
+  });
+
+  assert.deepStrictEqual(contactOrders, ["registrationid, registrationcontactid"]);
+  assert.strictEqual(structuredContent.contacts_truncated, true);
+  assert.strictEqual(structuredContent.truncated, true);
+  assert.match(content[0].text, /Only the first 5000 matching contacts were searched/);
+});
+
+test("matchContacts groups registrations by entity and drops weak matches", () => {
+  const contacts = [
+    { registrationid: "100", type: "CorporateOwner", corporationname: "ACME REALTY LLC" },
+    { registrationid: "200", type: "CorporateOwner", corporationname: "Acme Realty, L.L.C." },
+    { registrationid: "200", type: "Agent", corporationname: "ACME REALTY LLC" },
+    { registrationid: "300", type: "Agent", firstname: "JANE", lastname: "ACMEVILLE" },
+    { registrationid: "400", type: "IndividualOwner", firstname: "ACME", middleinitial: "R", lastname: "REALTY" }
+  ];
+  const entities = matchContacts(contacts, "Acme Realty LLC", 0.6);
+  assert.deepStrictEqual(
+    entities.map(e => [e.name, e.registration_ids, e.contact_types]),
+    [
+      ["ACME REALTY LLC", ["100", "200"], ["Agent", "CorporateOwner"]],
+      ["ACME R REALTY", ["400"], ["IndividualOwner"]]
+    ]
+  );
+  assert.strictEqual(matchContacts(contacts, undefined, 0.6).length, 3);
+});
+
+test("rollUpIssues attributes counts per building and totals the portfolio", () => {
+  const building = (id, bin) => ({
+    registration_id: `r${id}`,
+    building_id: id,
+    bin,
+    open_hpd_violations: { total: 0, by_class: {} },
+    open_hpd_complaints: 0,
+    open_dob_violations: 0
+  });
+  const buildings = [building("1", "1000001"), building("2", null)];
+  const totals = rollUpIssues(buildings, {
+    hpdViolations: [
+      { buildingid: "1", class: "C", count: "2" },
+      { buildingid: "1", class: "A", count: "1" },
+      { buildingid: "2", class: "B", count: "3" },
+      { buildingid: "9", class: "C", count: "50" }
+    ],
+    hpdComplaints: [{ buildingid: "2", count: "4" }],
+    dobViolations: [
+      { bin: "1000001", violation_category: "V-DOB VIOLATION - ACTIVE", count: "5" },
+      { bin: "1000001", violation_category: "V*-DOB VIOLATION - Resolved", count: "7" }
+    ]
+  });
+
+  assert.deepStrictEqual(buildings[0].open_hpd_violations, { total: 3, by_class: { C: 2, A: 1 } });
+  assert.strictEqual(buildings[0].open_dob_violations, 5);
+  assert.strictEqual(buildings[1].open_hpd_complaints, 4);
+  assert.strictEqual(totals.open_hpd_violations, 6);
+  assert.deepStrictEqual(totals.open_hpd_violations_by_class, { C: 2, A: 1, B: 3 });
+  assert.strictEqual(totals.open_hpd_complaints, 4);
+  assert.strictEqual(totals.open_dob_violations, 5);
+  assert.strictEqual(totals.hazard_index, 72.22);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the dataset registry and the verification and envelope metadata built from it.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { DATASETS, findDataset, apiEndpoint, datasetPage } from "../dist/utils/datasets.js";
+import { DATASET_ID } from "../dist/utils/soql.js";
+import { generateVerification } from "../dist/utils/verification.js";
+import { createSuccessEnvelope, DATA_SOURCES } from "../dist/utils/envelope.js";
+import { GEOGRAPHY_SOURCES } from "../dist/utils/geography.js";
+
+const window = { start: "2025-01-01T00:00:00.000Z", end: "2025-01-31T23:59:59.999Z", days: 31, type: "custom" };
+
+test("registry entries are complete and their IDs and sources unique", () => {
+  const entries = Object.entries(DATASETS);
+  for (const [key, dataset] of entries) {
+    assert.match(dataset.id, DATASET_ID, key);
+    assert.ok(dataset.name && dataset.authority && dataset.update_frequency && dataset.credibility, key);
+    assert.ok(dataset.key_columns.length > 0, key);
+  }
+  assert.strictEqual(new Set(entries.map(([, d]) => d.id)).size, entries.length);
+  assert.strictEqual(new Set(entries.map(([, d]) => d.source)).size, entries.length);
+});
+
+test("datasets resolve by source name or ID", () => {
+  assert.strictEqual(findDataset("hpd_complaints"), DATASETS.HPD_COMPLAINTS);
+  assert.strictEqual(findDataset("uwyv-629c"), DATASETS.HPD_COMPLAINTS);
+  assert.strictEqual(findDataset("nope"), undefined);
+  assert.strictEqual(apiEndpoint(DATASETS.PLUTO), "https://data.cityofnewyork.us/resource/64uk-42ks.json");
+  assert.strictEqual(datasetPage(DATASETS.FISP), "https://data.cityofnewyork.us/d/xubg-57si");
+});
+
+test("envelope sources and the geography builder read from the registry", () => {
+  assert.strictEqual(DATA_SOURCES.NYC_311, "311_service_requests");
+  assert.strictEqual(DATA_SOURCES.DOT_CLOSURES, DATASETS.DOT_CLOSURES.source);
+  assert.strictEqual(GEOGRAPHY_SOURCES.pluto, DATASETS.PLUTO.id);
+
+  const envelope = createSuccessEnvelope({ source: DATA_SOURCES.HPD_VIOLATIONS, eventType: "search", window, count: 0, records: [] });
+  assert.strictEqual(envelope.dataset_id, "wvxf-dwi5");
+  assert.strictEqual(createSuccessEnvelope({ source: "other", eventType: "search", window, count: 0, records: [] }).dataset_id, null);
+});
+
+test("verification cites the registry entry", () => {
+  const contracts = generateVerification(DATA_SOURCES.COMPTROLLER_CONTRACTS, { limit: 10 }, 10);
+  assert.strictEqual(contracts.data_source.dataset_id, "qyyg-4tf5");
+  assert.strictEqual(contracts.api_endpoint, apiEndpoint(DATASETS.COMPTROLLER_CONTRACTS));
+  assert.strictEqual(contracts.verification_urls.dataset_specific, "https://www.checkbooknyc.com/contracts");
+  assert.match(contracts.trust_score.notes.join(" "), /limit reached/);
+
+  const spending = generateVerification(DATA_SOURCES.COMPTROLLER_SPENDING, {}, 5);
+  assert.strictEqual(spending.trust_score.overall, 85);
+  assert.strictEqual(spending.data_source.note, DATASETS.COMPTROLLER_SPENDING.note);
+
+  const unknown = generateVerification("unknown", {}, 1);
+  assert.strictEqual(unknown.api_endpoint, "https://data.cityofnewyork.us/");
+  assert.strictEqual(unknown.verification_urls.dataset_specific, null);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the building risk score: per-factor contributions, weights and failed sources.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { scoreRisk, riskLevel, DEFAULT_WEIGHTS } from "../dist/tools/buildingRisk.js";
+import { latestFispFiling } from "../dist/utils/insights.js";
+
+const signals = {
+  dob_violations: {
+    ok: true,
+    rows: [
+      { isn_dob_bis_viol: "111", violation_category: "V-DOB VIOLATION - ACTIVE" },
+      { isn_dob_bis_viol: "112", violation_category: "V*-DOB VIOLATION - Resolved" },
+      { isn_dob_bis_viol: "113", violation_category: "V-DOB VIOLATION - ACTIVE" }
+    ]
+  },
+  hpd_violations: {
+    ok: true,
+    rows: [
+      { violationid: "901", class: "C" },
+      { violationid: "902", class: "C" },
+      { violationid: "903", class: "A" },
+      { violationid: "904", class: "B" }
+    ]
+  },
+  fisp_filings: {
+    ok: true,
+    rows: [
+      { tr6_no: "T-8", cycle: "8", filing_status: "UNSAFE", filing_date: "2017-03-01T00:00:00.000" },
+      { tr6_no: "T-9A", cycle: "9", filing_status: "SAFE", filing_date: "2021-02-01T00:00:00.000" },
+      { tr6_no: "T-9B", cycle: "9", filing_status: "SWARMP", filing_date: "2022-06-01T00:00:00.000" }
+    ]
+  },
+  complaints_311: { ok: true, rows: [{ unique_key: "5001" }, { unique_key: "5002" }] },
+  pluto: { ok: true, rows: [{ bbl: "1000010001.00000000", yearbuilt: "1926" }] }
+};
+
+test("each factor reports its signal, contribution and source record IDs", () => {
+  const { score, level, coverage, factors } = scoreRisk(signals, DEFAULT_WEIGHTS, 2026);
+  const byFactor = Object.fromEntries(factors.map(f => [f.factor, f]));
+
+  assert.deepStrictEqual(byFactor.dob_open_violations.source_ids, ["111", "113"]);
+  assert.strictEqual(byFactor.dob_open_violations.contribution, 5);
+  assert.deepStrictEqual(byFactor.hpd_class_c.source_ids, ["901", "902"]);
+  assert.strictEqual(byFactor.hpd_class_c.contribution, 8);
+  assert.strictEqual(byFactor.hpd_hazard_index.signal, 0.75);
+  assert.strictEqual(byFactor.hpd_hazard_index.source_ids.length, 4);
+  assert.deepStrictEqual(byFactor.fisp_status.source_ids, ["T-9B"]);
+  assert.strictEqual(byFactor.fisp_status.contribution, 10);
+  assert.deepStrictEqual(byFactor.complaints_311.source_ids, ["5001", "5002"]);
+  assert.deepStrictEqual(byFactor.building_age.source_ids, ["1000010001"]);
+  assert.strictEqual(byFactor.building_age.contribution, 10);
+  assert.strictEqual(byFactor.building_age.dataset_id, "64uk-42ks");
+
+  assert.strictEqual(score, 41.7);
+  assert.strictEqual(level, "moderate");
+  assert.strictEqual(coverage, 1);
+});
+
+test("custom weights change each factor's share", () => {
+  const weights = { ...DEFAULT_WEIGHTS, dob_open_violations: 0, hpd_class_c: 0, hpd_hazard_index: 0, complaints_311: 0, building_age: 0 };
+  const { score, factors } = scoreRisk(signals, weights, 2026);
+  assert.strictEqual(score, 50);
+  assert.ok(factors.filter(f => f.factor !== "fisp_status").every(f => f.contribution === 0));
+});
+
+test("a failed source is left out and the remaining weight rescaled", () => {
+  const { score, coverage, factors } = scoreRisk(
+    {
+      ...signals,
+      dob_violations: { ok: false, error: "No BIN available for this building" },
+      hpd_violations: { ok: false, error: "timeout" },
+      complaints_311: { ok: true, rows: [] }
+    },
+    DEFAULT_WEIGHTS,
+    2026
+  );
+  const dob = factors.find(f => f.factor === "dob_open_violations");
+  assert.strictEqual(dob.available, false);
+  assert.strictEqual(dob.error, "No BIN available for this building");
+  assert.strictEqual(coverage, 0.45);
+  assert.strictEqual(score, 44.4);
+});
+
+test("risk levels and the latest FISP filing", () => {
+  assert.deepStrictEqual([0, 25, 50, 80].map(riskLevel), ["low", "moderate", "elevated", "high"]);
+  assert.strictEqual(latestFispFiling(signals.fisp_filings.rows).latest.tr6_no, "T-9B");
+  assert.strictEqual(latestFispFiling([]), undefined);
+});
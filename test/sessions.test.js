@@ -0,0 +1,137 @@
+/**
+ * Stateful HTTP sessions: the session store, progress notifications, and a spawned
+ * server on a local port (no network access needed)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import net from "node:net";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { createSessionStore, statefulSessionsEnabled, sessionIdleMs } from "../dist/utils/sessions.js";
+import { progressReporter } from "../dist/utils/progress.js";
+
+const serverPath = fileURLToPath(new URL("../dist/server.js", import.meta.url));
+
+test("session store expires only sessions idle past the limit and reports them", () => {
+  let clock = 0;
+  const expired = [];
+  const store = createSessionStore({ idleMs: 100, now: () => clock, onExpire: id => expired.push(id) });
+
+  store.set("a", "A");
+  store.set("b", "B");
+  clock = 60;
+  assert.strictEqual(store.get("a"), "A");
+  clock = 120;
+
+  assert.deepStrictEqual(store.sweep(), ["b"]);
+  assert.deepStrictEqual(expired, ["b"]);
+  assert.strictEqual(store.get("b"), undefined);
+  assert.strictEqual(store.size(), 1);
+});
+
+test("session mode and idle limit come from flags and environment", () => {
+  assert.strictEqual(statefulSessionsEnabled([]), false);
+  assert.strictEqual(statefulSessionsEnabled(["--stateful"]), true);
+  assert.strictEqual(statefulSessionsEnabled([], { MCP_SESSIONS: "Stateful" }), true);
+  assert.strictEqual(statefulSessionsEnabled(["--stateless"], { MCP_SESSIONS: "stateful" }), false);
+  assert.throws(() => statefulSessionsEnabled([], { MCP_SESSIONS: "sticky" }), /MCP_SESSIONS/);
+  assert.strictEqual(sessionIdleMs({}), 30 * 60 * 1000);
+  assert.strictEqual(sessionIdleMs({ MCP_SESSION_IDLE_MS: "5000" }), 5000);
+  assert.throws(() => sessionIdleMs({ MCP_SESSION_IDLE_MS: "soon" }));
+});
+
+test("progressReporter sends notifications only when the client asked for progress", async () => {
+  const sent = [];
+  const sendNotification = async n => void sent.push(n);
+
+  assert.strictEqual(progressReporter({ _meta: {}, sendNotification }), undefined);
+
+  const report = progressReporter({ _meta: { progressToken: "t1" }, sendNotification });
+  await report(1000, undefined, "Fetched page 1");
+  assert.deepStrictEqual(sent, [
+    { method: "notifications/progress", params: { progressToken: "t1", progress: 1000, total: undefined, message: "Fetched page 1" } }
+  ]);
+
+  const failing = progressReporter({ _meta: { progressToken: 1 }, sendNotification: async () => Promise.reject(new Error("closed")) });
+  await failing(1);
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForListening(child) {
+  let stdout = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start: ${stdout}`)), 10000);
+    child.stdout.on("data", chunk => {
+      stdout += chunk;
+      if (stdout.includes("running over Streamable HTTP")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+}
+
+test("stateful HTTP mode issues session IDs, serves SSE on GET, and expires idle sessions", async () => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverPath, "--stateful"], {
+    env: { ...process.env, PORT: String(port), MCP_SESSION_IDLE_MS: "300", ALLOWED_HOSTS: "127.0.0.1" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  const url = `http://127.0.0.1:${port}/mcp`;
+  const headers = { "Content-Type": "application/json", Accept: "application/json, text/event-stream" };
+
+  try {
+    await waitForListening(child);
+
+    const init = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        jsonrpc: "2.0",
+        id: 1,
+        method: "initialize",
+        params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "test", version: "1" } }
+      })
+    });
+    assert.strictEqual(init.status, 200);
+    assert.match(init.headers.get("content-type"), /text\/event-stream/);
+    const sessionId = init.headers.get("mcp-session-id");
+    assert.ok(sessionId);
+    assert.match(await init.text(), /"serverInfo"/);
+
+    const withSession = { ...headers, "Mcp-Session-Id": sessionId, "Mcp-Protocol-Version": "2025-06-18" };
+    const controller = new AbortController();
+    const sse = await fetch(url, { headers: withSession, signal: controller.signal });
+    assert.strictEqual(sse.status, 200);
+    assert.match(sse.headers.get("content-type"), /text\/event-stream/);
+    controller.abort();
+
+    const noSession = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ jsonrpc: "2.0", id: 2, method: "tools/list" })
+    });
+    assert.strictEqual(noSession.status, 400);
+
+    await new Promise(resolve => setTimeout(resolve, 900));
+    const expired = await fetch(url, {
+      method: "POST",
+      headers: withSession,
+      body: JSON.stringify({ jsonrpc: "2.0", id: 3, method: "tools/list" })
+    });
+    assert.strictEqual(expired.status, 404);
+  } finally {
+    child.kill();
+  }
+});
@@ -0,0 +1,75 @@
+/**
+ * SoQL builder tests
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { literal, eq, inList, and, identifier, soqlParams, socrataUrl, withQuery } from "../dist/utils/soql.js";
+
+test("literal quotes strings and doubles embedded quotes", () => {
+  assert.strictEqual(literal("O'Malley's"), "'O''Malley''s'");
+  assert.strictEqual(literal("1' OR '1'='1"), "'1'' OR ''1''=''1'");
+  assert.strictEqual(literal(42), "42");
+  assert.strictEqual(literal(true), "TRUE");
+  assert.strictEqual(literal(null), "NULL");
+  assert.throws(() => literal(Number.NaN));
+});
+
+test("identifier rejects anything that is not a bare column name", () => {
+  assert.strictEqual(identifier("bin__"), "bin__");
+  assert.throws(() => identifier("bin; DROP"));
+  assert.throws(() => identifier("1bin"));
+});
+
+test("condition helpers compose into a parenthesized $where", () => {
+  const where = and(eq("borough", "BK"), inList("bin", ["3001234", "3005678"]), undefined);
+  assert.strictEqual(where, "(borough = 'BK') AND (bin IN ('3001234', '3005678'))");
+  assert.strictEqual(eq("status", null), "status IS NULL");
+  assert.throws(() => inList("bin", []));
+});
+
+test("soqlParams emits only the clauses that were set", () => {
+  const params = soqlParams({
+    select: ["bin", "COUNT(*) AS count"],
+    where: [eq("status", "OPEN")],
+    group: "bin",
+    order: "count DESC",
+    limit: 50,
+    offset: 100
+  });
+  assert.deepStrictEqual(Object.fromEntries(params), {
+    $select: "bin, COUNT(*) AS count",
+    $where: "(status = 'OPEN')",
+    $order: "count DESC",
+    $group: "bin",
+    $limit: "50",
+    $offset: "100"
+  });
+  assert.throws(() => soqlParams({ limit: -1 }));
+  assert.throws(() => soqlParams({ offset: 1.5 }));
+});
+
+test("simple filters are URL-encoded so input cannot add parameters", () => {
+  const url = socrataUrl("3h2n-5cm9", { filters: { bin: "1000000&$limit=1" } });
+  const parsed = new URL(url);
+  assert.strictEqual(parsed.pathname, "/resource/3h2n-5cm9.json");
+  assert.strictEqual(parsed.searchParams.get("bin"), "1000000&$limit=1");
+  assert.strictEqual(parsed.searchParams.get("$limit"), null);
+});
+
+test("socrataUrl validates dataset IDs and skips undefined filters", () => {
+  assert.strictEqual(
+    socrataUrl("xubg-57si", { filters: { bin: "1001234", cycle: undefined } }),
+    "https://data.cityofnewyork.us/resource/xubg-57si.json?bin=1001234"
+  );
+  assert.throws(() => socrataUrl("../etc", {}));
+  assert.throws(() => socrataUrl("xubg-57si", { filters: { "bin=1&x": "1" } }));
+});
+
+test("withQuery encodes non-Socrata query strings", () => {
+  assert.strictEqual(
+    withQuery("https://geosearch.planninglabs.nyc/v2/search", { text: "120 Broadway & Pine" }),
+    "https://geosearch.planninglabs.nyc/v2/search?text=120+Broadway+%26+Pine"
+  );
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the near/within search areas and the SoQL they compile to.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import {
+  nearSchema,
+  withinSchema,
+  resolveSearchArea,
+  spatialClause,
+  distanceFt,
+  areaBounds,
+  areaContains,
+  binScope
+} from "../dist/utils/spatial.js";
+import dobViolations from "../dist/tools/dobViolations.js";
+import hpdViolations from "../dist/tools/hpdViolations.js";
+import { clearCache } from "../dist/utils/http.js";
+
+let server;
+let hits;
+/** Rows the stub answers with; by default none, so every area is empty. */
+let respond = () => [];
+
+// Stands in for Socrata.
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://stub");
+    hits.push(url.pathname);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(respond(url)));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.SOCRATA_BASE_URL = `http://127.0.0.1:${server.address().port}/resource`;
+});
+
+after(() => {
+  delete process.env.SOCRATA_BASE_URL;
+  server.closeAllConnections();
+  server.close();
+});
+
+const block = [
+  [-73.99, 40.74],
+  [-73.98, 40.74],
+  [-73.98, 40.75],
+  [-73.99, 40.75],
+  [-73.99, 40.74]
+];
+
+test("near needs a point or an address and defaults to 500 ft", () => {
+  assert.deepStrictEqual(nearSchema.parse({ latitude: 40.7411, longitude: -73.9897 }), {
+    latitude: 40.7411,
+    longitude: -73.9897,
+    radius_ft: 500
+  });
+  assert.strictEqual(nearSchema.parse({ address: "175 5th Ave", radius_ft: 250 }).radius_ft, 250);
+  assert.throws(() => nearSchema.parse({ latitude: 40.7411 }), /latitude and longitude, or an address/);
+  assert.throws(() => nearSchema.parse({ latitude: 40.74, longitude: -73.99, address: "x" }), /either/);
+  assert.throws(() => nearSchema.parse({ latitude: -73.99, longitude: 40.74 }));
+  assert.throws(() => nearSchema.parse({ address: "x", radius_ft: 10000 }));
+});
+
+test("within accepts closed GeoJSON polygons inside the city", () => {
+  assert.strictEqual(withinSchema.parse({ type: "Polygon", coordinates: [block] }).type, "Polygon");
+  assert.strictEqual(withinSchema.parse({ type: "MultiPolygon", coordinates: [[block]] }).type, "MultiPolygon");
+  assert.throws(() => withinSchema.parse({ type: "Polygon", coordinates: [block.slice(0, 4)] }), /first position/);
+  assert.throws(() => withinSchema.parse({ type: "Point", coordinates: [-73.99, 40.74] }));
+});
+
+test("areas compile to within_circle in meters and within_polygon WKT", async () => {
+  const circle = await resolveSearchArea({ near: { latitude: 40.7411, longitude: -73.9897, radius_ft: 500 } });
+  assert.strictEqual(spatialClause("location", circle), "within_circle(location, 40.7411, -73.9897, 152.4)");
+
+  const polygon = await resolveSearchArea({ within: { type: "Polygon", coordinates: [block] } });
+  assert.strictEqual(
+    spatialClause("the_geom", polygon),
+    "within_polygon(the_geom, 'MULTIPOLYGON (((-73.99 40.74, -73.98 40.74, -73.98 40.75, -73.99 40.75, -73.99 40.74)))')"
+  );
+  assert.throws(() => spatialClause("bad column", circle), /Invalid SoQL column name/);
+  assert.strictEqual(await resolveSearchArea({}), undefined);
+  await assert.rejects(resolveSearchArea({ near: { latitude: 40.74, longitude: -73.99, radius_ft: 100 }, within: { type: "Polygon", coordinates: [block] } }), /not both/);
+});
+
+test("circle bounds and containment agree with great-circle distance", async () => {
+  const circle = await resolveSearchArea({ near: { latitude: 40.75, longitude: -73.99, radius_ft: 1000 } });
+  const [minLon, minLat, maxLon, maxLat] = areaBounds(circle);
+  assert.ok(Math.abs(distanceFt(40.75, -73.99, maxLat, -73.99) - 1000) < 1);
+  assert.ok(Math.abs(distanceFt(40.75, -73.99, 40.75, maxLon) - 1000) < 1);
+  assert.ok(minLat < 40.75 && minLon < -73.99);
+  assert.strictEqual(areaContains(circle, 40.752, -73.99), true);
+  assert.strictEqual(areaContains(circle, maxLat, maxLon), false);
+
+  const polygon = await resolveSearchArea({ within: { type: "Polygon", coordinates: [block] } });
+  assert.deepStrictEqual(areaBounds(polygon), [-73.99, 40.74, -73.98, 40.75]);
+  assert.strictEqual(areaContains(polygon, 40.745, -73.985), true);
+});
+
+test("BIN tools need exactly one scope", async () => {
+  assert.deepStrictEqual(await binScope("bin__", "1015862", {}), { query: { filters: { bin__: "1015862" } }, area: null });
+  await assert.rejects(binScope("bin", undefined, {}), /either a bin, or a near\/within/);
+});
+
+test("an area with no lots or buildings answers empty without querying the dataset", async () => {
+  const near = { latitude: 40.7411, longitude: -73.9897, radius_ft: 100 };
+  hits = [];
+  clearCache();
+  const dob = await dobViolations.handler({ near, limit: 50 });
+  assert.deepStrictEqual(hits, ["/resource/64uk-42ks.json"]);
+  assert.deepStrictEqual(dob.structuredContent.data, []);
+  assert.deepStrictEqual(dob.structuredContent.pagination, { limit: 50, offset: 0, returned: 0, has_more: false, next_cursor: null });
+  assert.strictEqual(dob.structuredContent.area.buildings, 0);
+
+  hits = [];
+  clearCache();
+  const hpd = await hpdViolations.handler({ near, days: 365, limit: 100, aggregated: true });
+  assert.deepStrictEqual(hits, ["/resource/64uk-42ks.json"]);
+  assert.strictEqual(hpd.structuredContent.count, 0);
+  assert.strictEqual(hpd.structuredContent.meta.area_filter.lots, 0);
+});
+
+test("an area whose footprint query hits its row limit is too large rather than silently short", async () => {
+  const near = { latitude: 40.7411, longitude: -73.9897, radius_ft: 100 };
+  hits = [];
+  respond = url =>
+    url.pathname.endsWith("/64uk-42ks.json")
+      ? [{ bbl: "1008500001.00000000", latitude: "40.7411", longitude: "-73.9897" }]
+      : Array.from({ length: Number(url.searchParams.get("$limit")) }, (_, i) => ({ bin: String(1000001 + i) }));
+  clearCache();
+  try {
+    await assert.rejects(binScope("bin", undefined, { near }), /more than 300 buildings/);
+    assert.deepStrictEqual(hits, ["/resource/64uk-42ks.json", "/resource/5zhs-2jue.json"]);
+  } finally {
+    respond = () => [];
+  }
+});
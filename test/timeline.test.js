@@ -0,0 +1,67 @@
+/**
+ * Tests for merging BIS jobs, DOB NOW filings and permits into one job timeline.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { buildJobTimeline, jobStages, dobNowJobType } from "../dist/tools/dobJobTimeline.js";
+
+const sources = {
+  bis_jobs: [
+    { job__: "120000001", doc__: "01", job_type: "A2", job_status_descrp: "SIGNED OFF", pre__filing_date: "03/01/2015", approved: "05/01/2015", fully_permitted: "06/01/2015", signoff_date: "01/15/2016" },
+    { job__: "120000001", doc__: "02", job_type: "A2", pre__filing_date: "04/10/2015", approved: "05/20/2015" },
+    { job__: "120000002", doc__: "01", job_type: "NB", job_status_descrp: "PLAN EXAM - APPROVED", pre__filing_date: "02/01/2019", approved: "09/01/2019" },
+    { job__: "120000003", doc__: "01", job_type: "DM", job_status_descrp: "PERMIT ISSUED - ENTIRE JOB/WORK", pre__filing_date: "01/10/2022", approved: "02/01/2022" }
+  ],
+  permits: [
+    { job__: "120000003", permit_si_no: "3000001", permit_type: "DM", permit_status: "ISSUED", issuance_date: "03/15/2022", expiration_date: "03/15/2023" }
+  ],
+  dob_now_filings: [
+    { job_filing_number: "M00456789-I1", job_type: "Alteration CO", filing_status: "Approved", filing_date: "2024-05-01T00:00:00.000", approved_date: "2024-08-01T00:00:00.000" },
+    { job_filing_number: "M00456789-S1", job_type: "Alteration CO", filing_date: "2024-09-01T00:00:00.000" }
+  ]
+};
+
+test("jobs from all three sources merge into one chronological history", () => {
+  const jobs = buildJobTimeline(sources, "2026-10-18");
+  assert.deepStrictEqual(
+    jobs.map(j => [j.system, j.job_number, j.job_type]),
+    [
+      ["BIS", "120000001", "A2"],
+      ["BIS", "120000002", "NB"],
+      ["BIS", "120000003", "DM"],
+      ["DOB NOW", "M00456789", "A1"]
+    ]
+  );
+  const [altered, , demolition, dobNow] = jobs;
+  assert.strictEqual(altered.documents, 2);
+  assert.deepStrictEqual(altered.milestones, { filed: "2015-03-01", approved: "2015-05-01", permitted: "2015-06-01", signed_off: "2016-01-15" });
+  assert.strictEqual(demolition.milestones.permitted, "2022-03-15");
+  assert.strictEqual(demolition.permits[0].permit_si_no, "3000001");
+  assert.strictEqual(dobNow.documents, 2);
+  assert.strictEqual(dobNow.job_type_description, "Alteration CO");
+});
+
+test("stalled jobs and work permitted without sign-off are flagged", () => {
+  const jobs = buildJobTimeline(sources, "2026-10-18");
+  assert.deepStrictEqual(jobs.filter(j => j.stalled).map(j => j.job_number), ["120000002", "M00456789"]);
+  assert.deepStrictEqual(jobs.filter(j => j.permitted_without_signoff).map(j => j.job_number), ["120000003"]);
+  assert.deepStrictEqual(buildJobTimeline(sources, "2024-10-01").filter(j => j.stalled).map(j => j.job_number), ["120000002"]);
+});
+
+test("stages measure time between milestones and the open stage runs to the as-of date", () => {
+  const stages = jobStages({ filed: "2022-01-10", approved: "2022-02-01", permitted: "2022-03-15", signed_off: null }, "2022-04-14");
+  assert.deepStrictEqual(
+    stages.map(s => [s.stage, s.days, s.open]),
+    [
+      ["plan_review", 22, false],
+      ["awaiting_permit", 42, false],
+      ["construction", 30, true]
+    ]
+  );
+  const noApproval = jobStages({ filed: "2022-01-10", approved: null, permitted: "2022-03-15", signed_off: null }, "2022-04-14");
+  assert.deepStrictEqual(noApproval.map(s => s.stage), ["construction"]);
+  assert.strictEqual(dobNowJobType("New Building"), "NB");
+  assert.strictEqual(dobNowJobType("Full Demolition"), "DM");
+});
@@ -0,0 +1,62 @@
+/**
+ * Transport selection and the stdio server (spawns dist/server.js; no network access needed)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { resolveTransportMode } from "../dist/utils/transport.js";
+
+const serverPath = fileURLToPath(new URL("../dist/server.js", import.meta.url));
+
+test("resolveTransportMode prefers CLI flags over MCP_TRANSPORT and defaults to http", () => {
+  assert.strictEqual(resolveTransportMode([]), "http");
+  assert.strictEqual(resolveTransportMode([], { MCP_TRANSPORT: "STDIO" }), "stdio");
+  assert.strictEqual(resolveTransportMode(["--stdio"]), "stdio");
+  assert.strictEqual(resolveTransportMode(["--transport", "stdio"]), "stdio");
+  assert.strictEqual(resolveTransportMode(["--transport=http"], { MCP_TRANSPORT: "stdio" }), "http");
+  assert.throws(() => resolveTransportMode(["--transport=pipe"]), /Invalid transport/);
+  assert.throws(() => resolveTransportMode(["--transport"]), /requires a value/);
+  assert.throws(() => resolveTransportMode([], { MCP_TRANSPORT: "ws" }), /MCP_TRANSPORT/);
+});
+
+test("stdio mode answers initialize and tools/list with nothing but JSON-RPC on stdout", async () => {
+  const child = spawn(process.execPath, [serverPath, "--stdio"], {
+    env: { ...process.env, MCP_DEBUG: "1" },
+    stdio: ["pipe", "pipe", "pipe"]
+  });
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", chunk => (stdout += chunk));
+  child.stderr.on("data", chunk => (stderr += chunk));
+
+  const send = message => child.stdin.write(`${JSON.stringify({ jsonrpc: "2.0", ...message })}\n`);
+  send({
+    id: 1,
+    method: "initialize",
+    params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "test", version: "1" } }
+  });
+  send({ method: "notifications/initialized" });
+  send({ id: 2, method: "tools/list" });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No tools/list response; stderr: ${stderr}`)), 10000);
+      child.stdout.on("data", () => {
+        if (stdout.includes('"id":2')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+    });
+  } finally {
+    child.kill();
+  }
+
+  const messages = stdout.trim().split("\n").map(line => JSON.parse(line));
+  assert.ok(messages.every(m => m.jsonrpc === "2.0"));
+  const list = messages.find(m => m.id === 2);
+  assert.ok(list.result.tools.some(t => t.name === "get_building_profile"));
+  assert.match(stderr, /running on stdio/);
+});
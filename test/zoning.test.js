@@ -0,0 +1,108 @@
+/**
+ * Tests for the PLUTO zoning capacity arithmetic and plain-language zoning descriptions.
+ * Runs against the compiled output in dist/ (npm test builds first).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+import pluto, { zoningCapacity, describeDistrict } from "../dist/tools/pluto.js";
+import { clearCache } from "../dist/utils/http.js";
+
+const lot = {
+  address: "100 EXAMPLE STREET",
+  lotarea: "5000",
+  bldgarea: "12000",
+  builtfar: "2.4",
+  residfar: "4.0",
+  commfar: "2.0",
+  facilfar: "4.8",
+  zonedist1: "R7A",
+  overlay1: "C2-4",
+  splitzone: "N"
+};
+
+test("maximum and unused floor area are computed per use, highest allowance governing", () => {
+  const capacity = zoningCapacity(lot);
+  assert.deepStrictEqual(
+    capacity.by_use.map(u => [u.use, u.max_far, u.max_floor_area_sq_ft, u.unused_floor_area_sq_ft]),
+    [
+      ["community_facility", 4.8, 24000, 12000],
+      ["residential", 4, 20000, 8000],
+      ["commercial", 2, 10000, 0]
+    ]
+  );
+  assert.strictEqual(capacity.governing_use, "community_facility");
+  assert.strictEqual(capacity.max_buildable_floor_area_sq_ft, 24000);
+  assert.strictEqual(capacity.unused_floor_area_sq_ft, 12000);
+  assert.strictEqual(capacity.unused_far, 2.4);
+  assert.strictEqual(capacity.percent_built, 50);
+});
+
+test("zoning is described in plain language with overlays, special districts and split lots", () => {
+  assert.strictEqual(
+    zoningCapacity(lot).zoning.description,
+    "Zoned R7A (contextual residence district with height and setback limits); with C2-4 commercial overlay (local retail and services)"
+  );
+  const split = zoningCapacity({ ...lot, zonedist2: "C6-2", spdist1: "MiD", splitzone: "Y" });
+  assert.strictEqual(split.zoning.split_lot, true);
+  assert.deepStrictEqual(split.zoning.special_districts, ["MiD"]);
+  assert.ok(split.notes.some(n => /split between districts \(R7A, C6-2\)/.test(n)));
+  assert.strictEqual(describeDistrict("M1-4/R7A"), "M1-4/R7A (mixed manufacturing and residence district)");
+  assert.strictEqual(describeDistrict("C6-4"), "C6-4 (commercial district)");
+});
+
+test("missing lot area or FARs leave the capacity unknown with a note", () => {
+  const noArea = zoningCapacity({ ...lot, lotarea: "0", bldgarea: "0" });
+  assert.strictEqual(noArea.max_buildable_floor_area_sq_ft, null);
+  assert.deepStrictEqual(noArea.notes, ["Lot area is not recorded, so floor area cannot be computed"]);
+
+  const park = zoningCapacity({ lotarea: "40000", builtfar: "0", zonedist1: "PARK" });
+  assert.strictEqual(park.governing_use, null);
+  assert.deepStrictEqual(park.notes, ["No maximum FAR is recorded for this lot's district"]);
+});
+
+test("unknown existing floor area leaves unused floor area unknown rather than the full maximum", () => {
+  const vacant = zoningCapacity({ ...lot, bldgarea: "", builtfar: "" });
+  assert.strictEqual(vacant.max_buildable_floor_area_sq_ft, 24000);
+  assert.strictEqual(vacant.existing_floor_area_sq_ft, null);
+  assert.strictEqual(vacant.unused_floor_area_sq_ft, null);
+  assert.strictEqual(vacant.percent_built, null);
+  assert.ok(vacant.by_use.every(u => u.unused_floor_area_sq_ft === null));
+  assert.ok(vacant.notes.some(n => /unused floor area is unknown/.test(n)));
+});
+
+test("get_pluto keeps the record at the top level and adds zoning_capacity only when asked", async () => {
+  let rows = [{ ...lot, bbl: "1008350041", latitude: "40.7484", longitude: "-73.9857" }];
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(rows));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.SOCRATA_BASE_URL = `http://127.0.0.1:${server.address().port}/resource`;
+  try {
+    clearCache();
+    const plain = await pluto.handler({ bbl: "1008350041" });
+    assert.strictEqual(plain.structuredContent.latitude, "40.7484");
+    assert.ok(!("zoning_capacity" in plain.structuredContent));
+
+    clearCache();
+    const zoned = await pluto.handler({ bbl: "1008350041", zoning_analysis: true });
+    assert.strictEqual(zoned.structuredContent.latitude, "40.7484");
+    assert.strictEqual(zoned.structuredContent.zoning_capacity.max_buildable_floor_area_sq_ft, 24000);
+
+    rows = [];
+    clearCache();
+    const missing = await pluto.handler({ bbl: "1008350041", zoning_analysis: true });
+    assert.match(missing.content[0].text, /No PLUTO record for BBL 1008350041/);
+    assert.deepStrictEqual(missing.structuredContent, { zoning_capacity: null });
+    clearCache();
+    const missingPlain = await pluto.handler({ bbl: "1008350041" });
+    assert.match(missingPlain.content[0].text, /No PLUTO record for BBL 1008350041/);
+    assert.deepStrictEqual(missingPlain.structuredContent, {});
+  } finally {
+    delete process.env.SOCRATA_BASE_URL;
+    server.closeAllConnections();
+    server.close();
+  }
+});